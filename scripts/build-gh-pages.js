@@ -44,8 +44,14 @@ try {
   const constantsJs = readFileSync(join(rootDir, 'src/constants.js'), 'utf-8');
   const inputJs = readFileSync(join(rootDir, 'src/input.js'), 'utf-8');
   const engineConstantsJs = readFileSync(join(rootDir, 'src/engine/constants.js'), 'utf-8');
-  const pixelDisplayJs = readFileSync(join(rootDir, 'src/engine/pixel-display.js'), 'utf-8');
+  // Engine modules in dependency order (each must come after the modules it imports)
+  const engineModulePaths = ['src/engine/png.js', 'src/engine/gif.js', 'src/engine/renderers.js', 'src/engine/decay.js', 'src/engine/postfx.js', 'src/engine/layers.js', 'src/engine/fonts.js', 'src/engine/bitmap-formats.js', 'src/engine/effects.js', 'src/engine/pixel-display.js', 'src/engine/recorder.js', 'src/engine/game-loop.js'];
+  const engineModulesJs = engineModulePaths.map((p) => readFileSync(join(rootDir, p), 'utf-8'));
   const spritesJs = readFileSync(join(rootDir, 'src/sprites.js'), 'utf-8');
+  const matchRulesJs = readFileSync(join(rootDir, 'src/match-rules.js'), 'utf-8');
+  const pongSimJs = readFileSync(join(rootDir, 'src/pong-sim.js'), 'utf-8');
+  const replayJs = readFileSync(join(rootDir, 'src/replay.js'), 'utf-8');
+  const scoreboardJs = readFileSync(join(rootDir, 'src/scoreboard.js'), 'utf-8');
   const pongJs = readFileSync(join(rootDir, 'src/pong.js'), 'utf-8');
 
   // Step 2: Process JavaScript (remove import/export; strip imports including multiline)
@@ -57,15 +63,19 @@ try {
   const constantsProcessed = stripExport(constantsJs);
   const inputProcessed = stripExport(inputJs);
   const engineConstantsProcessed = stripExport(engineConstantsJs);
-  const pixelDisplayProcessed = stripImports(stripExport(pixelDisplayJs));
+  const engineModulesProcessed = engineModulesJs.map((s) => stripImports(stripExport(s)));
   const spritesProcessed = stripExport(spritesJs);
+  const matchRulesProcessed = stripImports(stripExport(matchRulesJs));
+  const pongSimProcessed = stripImports(stripExport(pongSimJs));
+  const replayProcessed = stripImports(stripExport(replayJs));
+  const scoreboardProcessed = stripImports(stripExport(scoreboardJs));
   const pongProcessed = stripExportPong(stripImports(pongJs));
 
-  // Step 3: Combine JavaScript (game constants, input, engine constants, engine pixel-display, sprites, pong)
+  // Step 3: Combine JavaScript (game constants, input, engine constants, engine modules, sprites, match rules, pong simulation, replays, scoreboard, pong)
   logStep(3, 'Combining JavaScript into single bundle...');
   const debugScreens = process.env.DISABLE_DEBUG !== '1' && process.env.DISABLE_DEBUG !== 'true';
   const debugPreamble = `const __DEBUG_SCREENS_ENABLED__ = ${debugScreens};\n\n`;
-  let combinedJs = debugPreamble + [constantsProcessed, inputProcessed, engineConstantsProcessed, pixelDisplayProcessed, spritesProcessed, pongProcessed].join('\n\n');
+  let combinedJs = debugPreamble + [constantsProcessed, inputProcessed, engineConstantsProcessed, ...engineModulesProcessed, spritesProcessed, matchRulesProcessed, pongSimProcessed, replayProcessed, scoreboardProcessed, pongProcessed].join('\n\n');
   if (process.env.DISABLE_DEBUG === '1') {
     combinedJs = esbuild.transformSync(combinedJs, { minify: true }).code;
   }
@@ -91,6 +101,7 @@ try {
       justify-content: center;
       align-items: center;
       min-height: 100vh;
+      overflow: hidden;
       background: #000;
       font-family: monospace;
     }
@@ -122,8 +133,12 @@ ${combinedJs}
     constants: (constantsProcessed.length / 1024).toFixed(1),
     input: (inputProcessed.length / 1024).toFixed(1),
     engineConstants: (engineConstantsProcessed.length / 1024).toFixed(1),
-    pixelDisplay: (pixelDisplayProcessed.length / 1024).toFixed(1),
+    engineModules: engineModulesProcessed.map((s) => (s.length / 1024).toFixed(1)),
     sprites: (spritesProcessed.length / 1024).toFixed(1),
+    matchRules: (matchRulesProcessed.length / 1024).toFixed(1),
+    pongSim: (pongSimProcessed.length / 1024).toFixed(1),
+    replay: (replayProcessed.length / 1024).toFixed(1),
+    scoreboard: (scoreboardProcessed.length / 1024).toFixed(1),
     pong: (pongProcessed.length / 1024).toFixed(1),
     total: (html.length / 1024).toFixed(1)
   };
@@ -133,8 +148,14 @@ ${combinedJs}
   log(`    constants.js:        ${stats.constants} KB`, 'dim');
   log(`    input.js:            ${stats.input} KB`, 'dim');
   log(`    engine/constants.js: ${stats.engineConstants} KB`, 'dim');
-  log(`    engine/pixel-display.js: ${stats.pixelDisplay} KB`, 'dim');
+  engineModulePaths.forEach((p, i) => {
+    log(`    ${p.replace('src/', '')}: ${stats.engineModules[i]} KB`, 'dim');
+  });
   log(`    sprites.js:          ${stats.sprites} KB`, 'dim');
+  log(`    match-rules.js:      ${stats.matchRules} KB`, 'dim');
+  log(`    pong-sim.js:         ${stats.pongSim} KB`, 'dim');
+  log(`    replay.js:           ${stats.replay} KB`, 'dim');
+  log(`    scoreboard.js:       ${stats.scoreboard} KB`, 'dim');
   log(`    pong.js:             ${stats.pong} KB`, 'dim');
   log(`    ─────────────────────────────`, 'dim');
   log(`    index.html:          ${stats.total} KB\n`, 'yellow');
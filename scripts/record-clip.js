@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+
+/**
+ * Record a Pong clip headlessly as an animated GIF or APNG (no browser needed).
+ * The game runs on the engine's GameLoop, ticked by hand on simulated time at 60 fps, with a fixed match seed, so
+ * the same arguments record the same clip; in PLAYING the left paddle follows the ball.
+ *
+ * Usage: node scripts/record-clip.js [output.gif|output.png] [seconds] [state]
+ *   format: .png/.apng writes APNG, anything else GIF
+ *   seconds: clip length (default 5)
+ *   state: PLAYING (default) or MENU
+ */
+
+import { writeFileSync } from 'fs';
+import { PixelDisplay } from '../src/engine/pixel-display.js';
+import { HeadlessRenderer } from '../src/engine/renderers.js';
+import { FrameRecorder } from '../src/engine/recorder.js';
+import { GameLoop } from '../src/engine/game-loop.js';
+import { Pong } from '../src/pong.js';
+import { DT_MS, LOGIC_HZ, RECORD_FPS, RECORD_SCALE } from '../src/constants.js';
+
+const outPath = process.argv[2] || 'clip.gif';
+const seconds = Number(process.argv[3] || 5);
+const state = (process.argv[4] || 'PLAYING').toUpperCase();
+const format = /\.a?png$/i.test(outPath) ? 'apng' : 'gif';
+
+if (!(seconds > 0)) {
+  console.error(`record-clip: seconds must be a positive number, got ${process.argv[3]}`);
+  process.exit(1);
+}
+
+const renderer = new HeadlessRenderer();
+const display = new PixelDisplay(null, 160, 120, 800, 600, 60, { renderer });
+let now = 1000;
+const game = new Pong(display, { seed: 1, now: () => now });
+display.setTime(now);
+
+if (state === 'PLAYING') {
+  game.gameState = 'PLAYING';
+  game.resetBall();
+}
+
+const recorder = new FrameRecorder(display, { format, fps: RECORD_FPS, maxDurationMs: seconds * 1000, scale: RECORD_SCALE });
+recorder.start();
+
+// The engine's game loop, driven by hand on simulated time
+const loop = new GameLoop({
+  hz: LOGIC_HZ,
+  update(dtMs) {
+    if (game.gameState !== 'PLAYING') return;
+    // Stand-in for the left player: steer toward the ball
+    const paddle = game.leftPaddle;
+    const offset = game.ball.y - (paddle.y + paddle.height / 2);
+    const left = offset < -1 ? 'up' : (offset > 1 ? 'down' : null);
+    game.updateLogic(dtMs, { ...game.readInputs(), left });
+  },
+  render(alpha, frame) {
+    game.clearFrame();
+    if (game.gameState === 'PLAYING') {
+      game.drawCurrentFrame(1);
+    } else {
+      game.update(DT_MS);
+    }
+    display.render(1, frame);
+  }
+});
+
+const frames = Math.round(seconds * 60);
+for (let n = 0; n < frames; n++) {
+  now = 1000 + n * DT_MS;
+  display.setTime(now);
+  loop.tick(now);
+}
+
+const bytes = recorder.stop();
+writeFileSync(outPath, bytes);
+console.log(`Wrote ${outPath} (${recorder.width}x${recorder.height}, ${recorder.frameCount} frames, ${(recorder.durationMs / 1000).toFixed(1)}s ${format.toUpperCase()}, ${state})`);
@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+
+/**
+ * Render a Pong frame headlessly and write it as PNG (no browser needed).
+ *
+ * Usage: node scripts/render-frame.js [output.png] [state]
+ *   state: MENU (default), PLAYING or GAME_OVER
+ */
+
+import { writeFileSync } from 'fs';
+import { PixelDisplay } from '../src/engine/pixel-display.js';
+import { HeadlessRenderer } from '../src/engine/renderers.js';
+import { Pong } from '../src/pong.js';
+
+const outPath = process.argv[2] || 'frame.png';
+const state = (process.argv[3] || 'MENU').toUpperCase();
+
+const renderer = new HeadlessRenderer();
+const display = new PixelDisplay(null, 160, 120, 800, 600, 60, { renderer });
+const game = new Pong(display);
+display.setTime(1);
+
+if (state === 'PLAYING') {
+  game.gameState = 'PLAYING';
+  game.resetBall();
+} else if (state === 'GAME_OVER') {
+  game.gameState = 'GAME_OVER';
+  game.winner = 'left';
+}
+game.updateScores();
+
+game.clearFrame();
+game.update();
+if (game.gameState === 'PLAYING') game.drawCurrentFrame(1);
+// Render after fade-in has completed
+display.render(1, { now: 1000 });
+
+writeFileSync(outPath, renderer.toPNG());
+console.log(`Wrote ${outPath} (${renderer.width}x${renderer.height}, ${state})`);
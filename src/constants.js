@@ -16,6 +16,22 @@ export const PADDLE_HEIGHT = 14;
 export const PADDLE_SPEED = 1.8;
 export const BALL_SPEED = 1.0;
 export const PADDLE_EDGE_OFFSET = 2;
+// Palette indices (distinct with the 'multi' palette; mono palettes draw everything in entry 0)
+export const PADDLE_LEFT_COLOR = 4;
+export const PADDLE_RIGHT_COLOR = 1;
+
+// Display layers, bottom to top. Menu/UI and game-over text sit under the court, which masks the midline
+// and walls; the ui layer masks the restart button off the text. Ball, paddles, countdown and title draw over the court.
+export const PONG_LAYERS = ['message', 'ui', 'court', 'sprites', 'hud'];
+// Cleared and redrawn every frame
+export const PONG_FRAME_LAYERS = ['message', 'ui', 'sprites'];
+
+// HUD (scoreboard): distance from the screen edges, clear columns either side of the midline, row pitch and the
+// least space between two items on a row
+export const HUD_MARGIN = 2;
+export const HUD_MIDLINE_GAP = 3;
+export const HUD_ROW_HEIGHT = 9;
+export const HUD_ITEM_GAP = 4;
 
 // Volley / speed
 export const SPEED_INCREASE_PER_VOLLEY = 0.0025;
@@ -33,22 +49,52 @@ export const TRIANGLE_EXTRA = 3;
 export const SMALL_TRIANGLE_LONG_SIDE = 10;
 export const SMALL_TRIANGLE_HEIGHT = 6;
 
-// Font / text scales
+// Fonts (registered with the engine's font registry in pong.js) and text scales
+export const FONT_SMALL = 'pong5x7';
+export const FONT_LARGE = 'pong7x9';
+export const FONT_PROPORTIONAL = 'pong5x7p';
 export const SCALE_1P = 17 / 12;
 export const SCALE_2P_DIGIT = 6 / 5;
 export const GAME_OVER_TEXT_SCALE = 1.26;
-export const GAME_OVER_CHAR_WIDTH = 10;
+export const GAME_OVER_LETTER_SPACING = 1;
 export const GAME_OVER_BOUNCE_SPEED = 0.003;
 export const GAME_OVER_BOUNCE_AMOUNT = 3;
 export const GAME_OVER_BASE_Y_OFFSET = 28;
-export const GAME_OVER_WINNER_X_OFFSET = 1;
-export const GAME_OVER_LOSE_X_OFFSET = 3;
 export const LABEL_SCALE = 2.0;
-export const LABEL_GLYPH_COLS = 7;
 export const LABEL_GAP_W = 4;
 export const LABEL_BOUNCE_SPEED = 0.003;
 export const LABEL_BOUNCE_AMOUNT = 3;
 
+// Screen effects on game events: engine effect specs (see src/engine/effects.js), triggered in order
+export const PONG_EFFECTS = {
+  hit: [{ effect: 'flicker', strength: 0.35, durationMs: 120 }],
+  goal: [{ effect: 'shake' }, { effect: 'static', durationMs: 250, density: 0.2 }],
+  gameOver: [{ effect: 'syncRoll' }, { effect: 'tint', durationMs: 600 }],
+  suddenDeath: [{ effect: 'flicker', strength: 0.5, durationMs: 400 }]
+};
+
+// Match rules on the menu: serve rule labels (see src/match-rules.js), drawn along the bottom
+export const SERVE_POLICY_LABELS = { random: 'RANDOM', alternate: 'ALT', conceder: 'LOSER' };
+export const SERVE_START_LABELS = { countdown: 'AUTO', manual: 'PRESS' };
+export const MENU_RULES_ROWS = 12;
+
+// Clip recording (R key): animated GIF of the display output, box-filtered to RECORD_SCALE
+export const RECORD_FPS = 15;
+export const RECORD_MAX_MS = 20000;
+export const RECORD_SCALE = 0.5;
+
+// Replays: playback speeds (up/down keys), seek step (left/right keys), how often playback keeps a state to
+// seek back from, and the bottom rows where a click scrubs
+export const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+export const REPLAY_SEEK_MS = 5000;
+export const REPLAY_KEYFRAME_STEPS = 600;
+export const REPLAY_BAR_HIT_ROWS = 8;
+
+// Menu notice (Pong.showNotice, e.g. a shared replay that cannot be read): how long it shows, and its row
+// counted from the bottom
+export const NOTICE_MS = 4000;
+export const NOTICE_ROWS_FROM_BOTTOM = 24;
+
 // Pause
 export const PAUSE_BOUNCE_SPEED = 0.005;
 export const PAUSE_BOUNCE_AMOUNT = 0.3;
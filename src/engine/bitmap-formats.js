@@ -0,0 +1,440 @@
+import { PixelFont } from './fonts.js';
+
+/**
+ * Loaders for standard bitmap formats, producing the pattern[row][col] arrays (1 = on, 0 = off) that
+ * drawPattern/blit draw and the PixelFont glyphs that drawText uses:
+ *
+ *   parseBDF(text)    BDF (Glyph Bitmap Distribution Format) font -> PixelFont
+ *   parsePSF(bytes)   PSF1/PSF2 (Linux console) font -> PixelFont
+ *   parsePBM(data)    PBM image, plain (P1) or raw (P4) -> pattern; black pixels are on
+ *   encodePBM(pat)    pattern -> PBM image (P4 bytes, or P1 text with { plain: true })
+ *   parseXBM(text)    XBM image (X11 char or X10 short arrays) -> pattern; set bits are on
+ *
+ * Parsers take strings, Uint8Arrays or ArrayBuffers (no file or network access), so they run in Node and the
+ * browser alike: readFileSync(path) or await (await fetch(url)).arrayBuffer(). Malformed input throws an Error
+ * naming the parser and, for text formats, the line.
+ */
+
+/**
+ * Parse a BDF font. Glyphs are placed in cells of the font bounding box height on a common baseline,
+ * each as wide as its advance (DWIDTH), so they can be drawn with letterSpacing 0.
+ * @param {string|Uint8Array|ArrayBuffer} input
+ * @param {Object} [options]
+ * @param {string} [options.name] - Font name (default: the FONT line)
+ * @returns {PixelFont}
+ */
+export function parseBDF(input, options = {}) {
+  const lines = bitmapText(input).split(/\r?\n/);
+  let n = 0;
+  const fail = (message) => {
+    throw new Error(`parseBDF: line ${n}: ${message}`);
+  };
+  const ints = (words, count, what) => {
+    const values = words.slice(1, 1 + count).map(Number);
+    if (values.length !== count || !values.every(Number.isInteger)) fail(`${what} needs ${count} integers`);
+    return values;
+  };
+
+  let fontName = null;
+  let box = null;
+  let defaultChar = null;
+  const glyphs = {};
+  let glyph = null;
+  let bitmapRows = null;
+  let started = false;
+  let ended = false;
+
+  for (const raw of lines) {
+    n++;
+    const line = raw.trim();
+    if (line === '') continue;
+    if (bitmapRows) {
+      if (line === 'ENDCHAR') {
+        if (bitmapRows.length !== glyph.h) fail(`glyph ${glyph.name} has ${bitmapRows.length} bitmap rows, BBX says ${glyph.h}`);
+        if (glyph.encoding >= 0) glyphs[String.fromCodePoint(glyph.encoding)] = bdfGlyphPattern(glyph, bitmapRows, box);
+        glyph = null;
+        bitmapRows = null;
+        continue;
+      }
+      if (!/^[0-9A-Fa-f]+$/.test(line) || line.length % 2 !== 0) fail(`bad bitmap row: ${line}`);
+      if (line.length * 4 < glyph.w) fail(`bitmap row ${line} is narrower than BBX width ${glyph.w}`);
+      bitmapRows.push(line);
+      continue;
+    }
+    const words = line.split(/\s+/);
+    const keyword = words[0];
+    if (!started) {
+      if (keyword !== 'STARTFONT') fail('not a BDF font (expected STARTFONT)');
+      started = true;
+      continue;
+    }
+    switch (keyword) {
+      case 'FONT':
+        fontName = line.slice(5).trim();
+        break;
+      case 'FONTBOUNDINGBOX': {
+        const [w, h, x, y] = ints(words, 4, 'FONTBOUNDINGBOX');
+        if (w <= 0 || h <= 0) fail('FONTBOUNDINGBOX width and height must be positive');
+        box = { w, h, x, y };
+        break;
+      }
+      case 'DEFAULT_CHAR':
+        defaultChar = Number(words[1]);
+        break;
+      case 'STARTCHAR':
+        if (glyph) fail(`STARTCHAR inside glyph ${glyph.name}`);
+        glyph = { name: words.slice(1).join(' '), encoding: -1, dwidth: null, w: 0, h: 0, x: 0, y: 0, bbx: false };
+        break;
+      case 'ENCODING':
+        if (!glyph) fail('ENCODING outside a glyph');
+        [glyph.encoding] = ints(words, 1, 'ENCODING');
+        break;
+      case 'DWIDTH':
+        if (!glyph) fail('DWIDTH outside a glyph');
+        [glyph.dwidth] = ints(words, 2, 'DWIDTH');
+        break;
+      case 'BBX':
+        if (!glyph) fail('BBX outside a glyph');
+        [glyph.w, glyph.h, glyph.x, glyph.y] = ints(words, 4, 'BBX');
+        if (glyph.w < 0 || glyph.h < 0) fail('BBX width and height must not be negative');
+        glyph.bbx = true;
+        break;
+      case 'BITMAP':
+        if (!glyph) fail('BITMAP outside a glyph');
+        if (!box) fail('BITMAP before FONTBOUNDINGBOX');
+        if (!glyph.bbx) fail(`glyph ${glyph.name} has no BBX`);
+        bitmapRows = [];
+        break;
+      case 'ENDCHAR':
+        fail(`ENDCHAR without BITMAP in glyph ${glyph ? glyph.name : '?'}`);
+        break;
+      case 'ENDFONT':
+        if (glyph) fail(`ENDFONT inside glyph ${glyph.name}`);
+        ended = true;
+        break;
+      default:
+        // Properties, SIZE, SWIDTH, CHARS, comments: not needed for drawing
+        break;
+    }
+    if (ended) break;
+  }
+  if (!started) throw new Error('parseBDF: empty input');
+  if (bitmapRows || glyph) throw new Error(`parseBDF: unexpected end of input inside glyph ${glyph.name}`);
+  if (!ended) throw new Error('parseBDF: missing ENDFONT');
+  if (Object.keys(glyphs).length === 0) throw new Error('parseBDF: font has no encoded glyphs');
+
+  const fallback = defaultChar !== null && glyphs[String.fromCodePoint(defaultChar)]
+    ? String.fromCodePoint(defaultChar)
+    : null;
+  return new PixelFont(options.name ?? fontName ?? 'bdf', glyphs, {
+    height: box.h,
+    letterSpacing: 0,
+    lineSpacing: 0,
+    fallback
+  });
+}
+
+/**
+ * Cell pattern for one BDF glyph: font-box height, advance width, bitmap placed on the baseline.
+ */
+function bdfGlyphPattern(glyph, rows, box) {
+  const width = Math.max(glyph.dwidth ?? glyph.w + glyph.x, 0);
+  const ascent = box.h + box.y;
+  const top = ascent - (glyph.y + glyph.h);
+  const pattern = [];
+  for (let r = 0; r < box.h; r++) pattern.push(new Array(width).fill(0));
+  for (let r = 0; r < glyph.h; r++) {
+    const py = top + r;
+    if (py < 0 || py >= box.h) continue;
+    const hex = rows[r];
+    for (let c = 0; c < glyph.w; c++) {
+      const px = glyph.x + c;
+      if (px < 0 || px >= width) continue;
+      const nibble = parseInt(hex[c >> 2], 16);
+      if (nibble & (8 >> (c & 3))) pattern[py][px] = 1;
+    }
+  }
+  return pattern;
+}
+
+/**
+ * Parse a PSF1 or PSF2 console font. Characters come from the font's Unicode table when it has one,
+ * otherwise glyph i is character code i.
+ * @param {Uint8Array|ArrayBuffer} input
+ * @param {Object} [options]
+ * @param {string} [options.name='psf']
+ * @returns {PixelFont}
+ */
+export function parsePSF(input, options = {}) {
+  const bytes = bitmapBytes(input, 'parsePSF');
+  let count, width, height, bytesPerGlyph, glyphStart, table;
+  if (bytes.length >= 4 && bytes[0] === 0x36 && bytes[1] === 0x04) {
+    const mode = bytes[2];
+    count = (mode & 0x01) ? 512 : 256;
+    width = 8;
+    height = bytes[3];
+    bytesPerGlyph = height;
+    glyphStart = 4;
+    table = (mode & 0x06) ? 'psf1' : null;
+  } else if (bytes.length >= 32 && bytes[0] === 0x72 && bytes[1] === 0xb5 && bytes[2] === 0x4a && bytes[3] === 0x86) {
+    const u32 = (o) => (bytes[o] | (bytes[o + 1] << 8) | (bytes[o + 2] << 16) | (bytes[o + 3] << 24)) >>> 0;
+    glyphStart = u32(8);
+    table = (u32(12) & 0x01) ? 'psf2' : null;
+    count = u32(16);
+    bytesPerGlyph = u32(20);
+    height = u32(24);
+    width = u32(28);
+    if (glyphStart < 32) throw new Error(`parsePSF: PSF2 header size ${glyphStart} is smaller than 32`);
+    if (bytesPerGlyph < height * Math.ceil(width / 8)) {
+      throw new Error(`parsePSF: PSF2 glyph size ${bytesPerGlyph} is too small for ${width}x${height}`);
+    }
+  } else {
+    throw new Error('parsePSF: not a PSF font (bad magic)');
+  }
+  if (height === 0 || width === 0 || count === 0) throw new Error('parsePSF: font has no glyphs or zero-size glyphs');
+  const tableStart = glyphStart + count * bytesPerGlyph;
+  if (bytes.length < tableStart) {
+    throw new Error(`parsePSF: truncated: ${count} glyphs of ${bytesPerGlyph} bytes need ${tableStart} bytes, got ${bytes.length}`);
+  }
+
+  const rowBytes = Math.ceil(width / 8);
+  const patterns = [];
+  for (let g = 0; g < count; g++) {
+    const base = glyphStart + g * bytesPerGlyph;
+    const pattern = [];
+    for (let r = 0; r < height; r++) {
+      const row = new Array(width);
+      for (let c = 0; c < width; c++) {
+        row[c] = (bytes[base + r * rowBytes + (c >> 3)] >> (7 - (c & 7))) & 1;
+      }
+      pattern.push(row);
+    }
+    patterns.push(pattern);
+  }
+
+  const glyphs = {};
+  if (table) {
+    const chars = table === 'psf1' ? psf1UnicodeTable(bytes, tableStart, count) : psf2UnicodeTable(bytes, tableStart, count);
+    chars.forEach((list, g) => {
+      for (const ch of list) if (!(ch in glyphs)) glyphs[ch] = patterns[g];
+    });
+  } else {
+    patterns.forEach((pattern, g) => { glyphs[String.fromCharCode(g)] = pattern; });
+  }
+  return new PixelFont(options.name ?? 'psf', glyphs, { height, letterSpacing: 0, lineSpacing: 0 });
+}
+
+/**
+ * PSF1 Unicode table: per glyph, little-endian uint16 code points ending in 0xFFFF; 0xFFFE starts
+ * combining sequences (skipped).
+ */
+function psf1UnicodeTable(bytes, start, count) {
+  const out = [];
+  let o = start;
+  for (let g = 0; g < count; g++) {
+    const list = [];
+    let inSequence = false;
+    for (;;) {
+      if (o + 1 >= bytes.length) throw new Error(`parsePSF: truncated Unicode table at glyph ${g}`);
+      const u = bytes[o] | (bytes[o + 1] << 8);
+      o += 2;
+      if (u === 0xffff) break;
+      if (u === 0xfffe) inSequence = true;
+      else if (!inSequence) list.push(String.fromCharCode(u));
+    }
+    out.push(list);
+  }
+  return out;
+}
+
+/**
+ * PSF2 Unicode table: per glyph, UTF-8 characters ending in 0xFF; 0xFE starts combining sequences (skipped).
+ */
+function psf2UnicodeTable(bytes, start, count) {
+  const decoder = new TextDecoder('utf-8');
+  const out = [];
+  let o = start;
+  for (let g = 0; g < count; g++) {
+    let end = o;
+    while (end < bytes.length && bytes[end] !== 0xff) end++;
+    if (end >= bytes.length) throw new Error(`parsePSF: truncated Unicode table at glyph ${g}`);
+    let singles = end;
+    for (let k = o; k < end; k++) {
+      if (bytes[k] === 0xfe) { singles = k; break; }
+    }
+    out.push(Array.from(decoder.decode(bytes.subarray(o, singles))));
+    o = end + 1;
+  }
+  return out;
+}
+
+/**
+ * Parse a PBM image (P1 plain text or P4 raw). Black (1) pixels are on.
+ * @param {string|Uint8Array|ArrayBuffer} input - P4 needs bytes (or a binary string, one char per byte)
+ * @returns {number[][]} pattern[row][col]
+ */
+export function parsePBM(input) {
+  const bytes = bitmapBytes(input, 'parsePBM');
+  let o = 0;
+  const isSpace = (b) => b === 0x20 || b === 0x09 || b === 0x0a || b === 0x0d || b === 0x0b || b === 0x0c;
+  // Next header token, skipping whitespace and # comments
+  const token = () => {
+    for (;;) {
+      while (o < bytes.length && isSpace(bytes[o])) o++;
+      if (bytes[o] !== 0x23) break;
+      while (o < bytes.length && bytes[o] !== 0x0a && bytes[o] !== 0x0d) o++;
+    }
+    const start = o;
+    while (o < bytes.length && !isSpace(bytes[o]) && bytes[o] !== 0x23) o++;
+    return String.fromCharCode(...bytes.subarray(start, o));
+  };
+  const magic = token();
+  if (magic !== 'P1' && magic !== 'P4') {
+    throw new Error(`parsePBM: not a PBM image (magic ${JSON.stringify(magic)}, expected P1 or P4)`);
+  }
+  const dimension = (what) => {
+    const t = token();
+    if (!/^\d+$/.test(t) || Number(t) === 0) throw new Error(`parsePBM: bad ${what}: ${JSON.stringify(t)}`);
+    return Number(t);
+  };
+  const width = dimension('width');
+  const height = dimension('height');
+  const pattern = [];
+
+  if (magic === 'P4') {
+    o++; // single whitespace after the height
+    const rowBytes = Math.ceil(width / 8);
+    if (bytes.length < o + rowBytes * height) {
+      throw new Error(`parsePBM: truncated: ${width}x${height} P4 needs ${rowBytes * height} data bytes, got ${Math.max(0, bytes.length - o)}`);
+    }
+    for (let r = 0; r < height; r++) {
+      const row = new Array(width);
+      for (let c = 0; c < width; c++) row[c] = (bytes[o + r * rowBytes + (c >> 3)] >> (7 - (c & 7))) & 1;
+      pattern.push(row);
+    }
+    return pattern;
+  }
+
+  let row = [];
+  while (pattern.length < height) {
+    if (o >= bytes.length) throw new Error(`parsePBM: truncated: expected ${width * height} pixels, got ${pattern.length * width + row.length}`);
+    const b = bytes[o++];
+    if (b === 0x23) {
+      while (o < bytes.length && bytes[o] !== 0x0a && bytes[o] !== 0x0d) o++;
+    } else if (b === 0x30 || b === 0x31) {
+      row.push(b - 0x30);
+      if (row.length === width) {
+        pattern.push(row);
+        row = [];
+      }
+    } else if (!isSpace(b)) {
+      throw new Error(`parsePBM: bad pixel ${JSON.stringify(String.fromCharCode(b))} at row ${pattern.length}, column ${row.length}`);
+    }
+  }
+  return pattern;
+}
+
+/**
+ * Encode a pattern as PBM. Cells > 0 (or true) are black (1).
+ * @param {Array<Array<number|boolean>>} pattern - pattern[row][col]; rows as long as the first
+ * @param {Object} [options]
+ * @param {boolean} [options.plain=false] - P1 text instead of P4 bytes
+ * @param {string} [options.comment] - Written as a # comment line after the magic
+ * @returns {Uint8Array|string} P4 bytes, or P1 text when plain
+ */
+export function encodePBM(pattern, options = {}) {
+  if (!Array.isArray(pattern) || pattern.length === 0 || !Array.isArray(pattern[0]) || pattern[0].length === 0) {
+    throw new Error('encodePBM: pattern must be a non-empty array of non-empty rows');
+  }
+  const height = pattern.length;
+  const width = pattern[0].length;
+  const on = (r, c) => {
+    const cell = pattern[r][c];
+    return cell === true || (typeof cell === 'number' && cell > 0);
+  };
+  const comment = options.comment ? options.comment.split(/\r?\n/).map((line) => `# ${line}\n`).join('') : '';
+  if (options.plain) {
+    const lines = [`P1\n${comment}${width} ${height}`];
+    for (let r = 0; r < height; r++) {
+      let line = '';
+      for (let c = 0; c < width; c++) line += on(r, c) ? '1' : '0';
+      // PBM asks for lines of at most 70 characters
+      for (let k = 0; k < line.length; k += 70) lines.push(line.slice(k, k + 70));
+    }
+    return lines.join('\n') + '\n';
+  }
+  const header = `P4\n${comment}${width} ${height}\n`;
+  const rowBytes = Math.ceil(width / 8);
+  const out = new Uint8Array(header.length + rowBytes * height);
+  for (let k = 0; k < header.length; k++) out[k] = header.charCodeAt(k) & 0xff;
+  for (let r = 0; r < height; r++) {
+    const base = header.length + r * rowBytes;
+    for (let c = 0; c < width; c++) {
+      if (on(r, c)) out[base + (c >> 3)] |= 0x80 >> (c & 7);
+    }
+  }
+  return out;
+}
+
+/**
+ * Parse an XBM image (C source: #define NAME_width/NAME_height and a NAME_bits array of char, or X10 short).
+ * Bits are least significant first within each byte (or short); set bits are on.
+ * @param {string|Uint8Array|ArrayBuffer} input
+ * @returns {number[][]} pattern[row][col]
+ */
+export function parseXBM(input) {
+  const text = bitmapText(input);
+  const define = (suffix) => {
+    const m = text.match(new RegExp(`#define\\s+\\S*?${suffix}\\s+(\\d+)`));
+    if (!m) throw new Error(`parseXBM: missing #define ..._${suffix}`);
+    const value = Number(m[1]);
+    if (value === 0) throw new Error(`parseXBM: ${suffix} must be positive`);
+    return value;
+  };
+  const width = define('width');
+  const height = define('height');
+  const decl = text.match(/\b(char|short)\s+\S*?bits\s*\[\s*\]\s*=\s*\{([^}]*)\}/);
+  if (!decl) throw new Error('parseXBM: missing ..._bits[] = { ... } array');
+  const bitsPerWord = decl[1] === 'short' ? 16 : 8;
+  const words = decl[2].split(',').map((w) => w.trim()).filter((w) => w !== '');
+  const values = words.map((w) => {
+    if (!/^(0[xX][0-9A-Fa-f]+|\d+)$/.test(w)) throw new Error(`parseXBM: bad value in bits array: ${w}`);
+    return Number(w);
+  });
+  const rowWords = Math.ceil(width / bitsPerWord);
+  if (values.length < rowWords * height) {
+    throw new Error(`parseXBM: truncated: ${width}x${height} needs ${rowWords * height} values, got ${values.length}`);
+  }
+  const pattern = [];
+  for (let r = 0; r < height; r++) {
+    const row = new Array(width);
+    for (let c = 0; c < width; c++) {
+      row[c] = (values[r * rowWords + Math.floor(c / bitsPerWord)] >> (c % bitsPerWord)) & 1;
+    }
+    pattern.push(row);
+  }
+  return pattern;
+}
+
+/**
+ * Bytes of a Uint8Array, ArrayBuffer (or typed array view) or binary string (one char per byte).
+ */
+function bitmapBytes(input, parser) {
+  if (input instanceof Uint8Array) return input;
+  if (input instanceof ArrayBuffer) return new Uint8Array(input);
+  if (ArrayBuffer.isView(input)) return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+  if (typeof input === 'string') {
+    const bytes = new Uint8Array(input.length);
+    for (let i = 0; i < input.length; i++) bytes[i] = input.charCodeAt(i) & 0xff;
+    return bytes;
+  }
+  throw new Error(`${parser}: expected a string, Uint8Array or ArrayBuffer, got ${input === null ? 'null' : typeof input}`);
+}
+
+/**
+ * Text of a string or UTF-8 bytes.
+ */
+function bitmapText(input) {
+  if (typeof input === 'string') return input;
+  return new TextDecoder('utf-8').decode(bitmapBytes(input, 'parse'));
+}
@@ -1,14 +1,47 @@
 /**
- * Engine constants for PixelDisplay: CRT and degauss tuning.
- * Used only by engine/pixel-display.js.
+ * Engine constants for PixelDisplay: CRT, palette, decay, post-processing and screen effect tuning, and
+ * GameLoop defaults.
+ * Used only by the engine modules.
  */
 
 // CRT
 export const CRT_ON_COLOR = '#39ff14';
 export const CRT_FADE_IN_MS = 50;
 export const CRT_FADE_OUT_MS = 200;
+export const CRT_FADE_OUT_EXPONENT = 6;
 
-// Degauss
+// Phosphor palettes: palette index -> '#rrggbb'. Index 0 is the default draw color.
+// Mono tubes have one entry; indices past the end fall back to entry 0.
+export const PALETTE_P1_GREEN = [CRT_ON_COLOR];
+export const PALETTE_P3_AMBER = ['#ffb000'];
+export const PALETTE_P4_WHITE = ['#e8f0ff'];
+export const PALETTE_MULTI = [CRT_ON_COLOR, '#ffb000', '#e8f0ff', '#ff3030', '#20e0ff', '#ff40ff', '#4060ff', '#ffff40'];
+export const PALETTES = {
+  green: PALETTE_P1_GREEN,
+  amber: PALETTE_P3_AMBER,
+  white: PALETTE_P4_WHITE,
+  multi: PALETTE_MULTI
+};
+
+// Phosphor decay models (see decay.js)
+export const DECAY_CUTOFF = 1 / 255; // level at which a never-ending curve counts as dark
+export const DECAY_EXP_HALF_LIFE_MS = 30;
+export const DECAY_POWER_TAU_MS = 20;
+export const DECAY_POWER_EXPONENT = 2;
+// Radar-style: fast bright flash plus a long dim afterglow
+export const DECAY_LONG_STAGES = [
+  { level: 0.75, halfLifeMs: 12 },
+  { level: 0.25, halfLifeMs: 350 }
+];
+
+// Post-processing (see postfx.js); values at strength 1
+export const POST_BLOOM_RADIUS_PX = 3;
+export const POST_CURVATURE_MAX = 0.25;      // edge pull-in as a fraction of the half-width
+export const POST_VIGNETTE_MAX_POWER = 0.5;
+export const POST_NOISE_MAX_LEVEL = 32;      // 0..255 added to each channel
+
+// Screen effects (see effects.js); values at strength 1, amplitudes in display pixels
+// Degauss: strength ramps back over the cooldown after each run
 export const DEGAUSS_COOLDOWN_MS = 30000;
 export const DEGAUSS_COOLDOWN_MIN_MS = 1000;
 export const DEGAUSS_DURATION_BASE_MS = 2000;
@@ -17,3 +50,37 @@ export const DEGAUSS_OVERLAY_ALPHA = 0.35;
 export const DEGAUSS_DECAY_ALPHA = 2.5;
 export const DEGAUSS_FREQ_HZ = 50;
 export const DEGAUSS_WAVE_K = 2.5;
+
+export const EFFECT_SHAKE_DURATION_MS = 350;
+export const EFFECT_SHAKE_AMP_PX = 10;
+export const EFFECT_SHAKE_FREQ_HZ = 30;       // new offset this many times a second
+export const EFFECT_SYNC_ROLL_DURATION_MS = 700;
+export const EFFECT_SYNC_ROLL_AMP_PX = 60;    // sideways shift just below the tear
+export const EFFECT_SYNC_ROLL_BAND = 0.3;     // skewed band as a fraction of the height
+export const EFFECT_SYNC_ROLL_SPEED = 1.5;    // tear passes per second
+export const EFFECT_STATIC_DURATION_MS = 400;
+export const EFFECT_STATIC_DENSITY = 0.35;    // fraction of cells showing snow
+export const EFFECT_STATIC_LEVEL = 0.8;
+export const EFFECT_STATIC_FPS = 30;
+export const EFFECT_FLICKER_DURATION_MS = 250;
+export const EFFECT_FLICKER_DEPTH = 0.6;      // deepest dip in brightness
+export const EFFECT_FLICKER_HZ = 24;
+export const EFFECT_TINT_DURATION_MS = 400;
+export const EFFECT_TINT_COLOR = '#ff3030';
+export const EFFECT_TINT_ALPHA = 0.3;
+
+// Power on/off (PixelDisplay.powerOn/powerOff); phases as fractions of the duration
+export const POWER_OFF_DURATION_MS = 700;
+export const POWER_OFF_COLLAPSE = 0.4;       // picture squeezed into a horizontal line
+export const POWER_OFF_SHRINK = 0.25;        // line shrinks to a center dot; the dot fades for the rest
+export const POWER_ON_DURATION_MS = 1200;
+export const POWER_ON_LINE = 0.1;            // bright horizontal line
+export const POWER_ON_EXPAND = 0.3;          // line opens up into the picture; warm-up for the rest
+export const POWER_ON_WARM_LEVEL = 0.45;     // picture brightness when warm-up starts
+export const POWER_ON_GLOW_COLOR = '#ffe8c0';
+export const POWER_ON_GLOW_ALPHA = 0.2;
+
+// GameLoop defaults (see game-loop.js)
+export const LOOP_HZ = 60;
+export const LOOP_MAX_FRAME_MS = 200;
+export const LOOP_MAX_UPDATES_PER_FRAME = 5;
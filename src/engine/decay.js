@@ -0,0 +1,192 @@
+import {
+  CRT_FADE_IN_MS, CRT_FADE_OUT_MS, CRT_FADE_OUT_EXPONENT, DECAY_CUTOFF,
+  DECAY_EXP_HALF_LIFE_MS, DECAY_POWER_TAU_MS, DECAY_POWER_EXPONENT, DECAY_LONG_STAGES
+} from './constants.js';
+
+/**
+ * Phosphor decay models for PixelDisplay. A model maps time since a pixel turned ON/OFF to a level 0..1:
+ *
+ *   fadeInMs, fadeOutMs   - durations; after fadeInMs an ON pixel is at 1, after fadeOutMs an OFF pixel is at 0
+ *   fadeIn(elapsedMs)     - level while turning ON (only asked for elapsedMs < fadeInMs)
+ *   fadeOut(elapsedMs)    - level while turning OFF (only asked for elapsedMs < fadeOutMs)
+ *   toJSON()              - { model, ...params }; createDecayModel(json) rebuilds it
+ *
+ * Curves that never reach 0 (exponential, power-law) end where they drop below DECAY_CUTOFF (one 8-bit step).
+ * All models fade in linearly over fadeInMs.
+ */
+export class DecayModel {
+  constructor(name, params) {
+    this.name = name;
+    this.params = params;
+    this.fadeInMs = checkDecayMs(name, 'fadeInMs', params.fadeInMs);
+    this.fadeOutMs = 0;
+  }
+
+  fadeIn(elapsedMs) {
+    return this.fadeInMs > 0 ? Math.min(1, elapsedMs / this.fadeInMs) : 1;
+  }
+
+  fadeOut() {
+    return 0;
+  }
+
+  toJSON() {
+    return { model: this.name, ...this.params };
+  }
+}
+
+/**
+ * The original look: linear fade-in, (1-t)^exponent fade-out over fadeOutMs (fast drop, faint tail).
+ * params: { fadeInMs=50, fadeOutMs=200, exponent=6 }
+ */
+export class CRTDecay extends DecayModel {
+  constructor(params = {}) {
+    const p = {
+      fadeInMs: params.fadeInMs ?? CRT_FADE_IN_MS,
+      fadeOutMs: params.fadeOutMs ?? CRT_FADE_OUT_MS,
+      exponent: params.exponent ?? CRT_FADE_OUT_EXPONENT
+    };
+    super('crt', p);
+    this.fadeOutMs = checkDecayMs('crt', 'fadeOutMs', p.fadeOutMs);
+    this.exponent = checkDecayPositive('crt', 'exponent', p.exponent);
+  }
+
+  fadeOut(elapsedMs) {
+    return Math.pow(1 - elapsedMs / this.fadeOutMs, this.exponent);
+  }
+}
+
+/**
+ * Exponential decay: level halves every halfLifeMs.
+ * params: { fadeInMs=50, halfLifeMs=30 }
+ */
+export class ExponentialDecay extends DecayModel {
+  constructor(params = {}) {
+    const p = {
+      fadeInMs: params.fadeInMs ?? CRT_FADE_IN_MS,
+      halfLifeMs: params.halfLifeMs ?? DECAY_EXP_HALF_LIFE_MS
+    };
+    super('exponential', p);
+    this.halfLifeMs = checkDecayPositive('exponential', 'halfLifeMs', p.halfLifeMs);
+    this.fadeOutMs = this.halfLifeMs * Math.log2(1 / DECAY_CUTOFF);
+  }
+
+  fadeOut(elapsedMs) {
+    return Math.pow(2, -elapsedMs / this.halfLifeMs);
+  }
+}
+
+/**
+ * Power-law (hyperbolic) decay: (1 + t/tauMs)^-exponent. Drops like exponential at first, with a much longer tail.
+ * params: { fadeInMs=50, tauMs=20, exponent=2 }
+ */
+export class PowerLawDecay extends DecayModel {
+  constructor(params = {}) {
+    const p = {
+      fadeInMs: params.fadeInMs ?? CRT_FADE_IN_MS,
+      tauMs: params.tauMs ?? DECAY_POWER_TAU_MS,
+      exponent: params.exponent ?? DECAY_POWER_EXPONENT
+    };
+    super('powerLaw', p);
+    this.tauMs = checkDecayPositive('powerLaw', 'tauMs', p.tauMs);
+    this.exponent = checkDecayPositive('powerLaw', 'exponent', p.exponent);
+    this.fadeOutMs = this.tauMs * (Math.pow(DECAY_CUTOFF, -1 / this.exponent) - 1);
+  }
+
+  fadeOut(elapsedMs) {
+    return Math.pow(1 + elapsedMs / this.tauMs, -this.exponent);
+  }
+}
+
+/**
+ * Multi-stage long persistence (radar/P7-style tubes): a sum of exponential stages, e.g. a bright flash that
+ * drops in milliseconds plus a dim afterglow lasting seconds. Stage levels are normalized to sum to 1.
+ * params: { fadeInMs=50, stages=[{ level, halfLifeMs }, ...] }
+ */
+export class LongPersistenceDecay extends DecayModel {
+  constructor(params = {}) {
+    const stages = params.stages ?? DECAY_LONG_STAGES;
+    if (!Array.isArray(stages) || stages.length === 0) {
+      throw new RangeError('longPersistence: stages must be a non-empty array of { level, halfLifeMs }');
+    }
+    const p = {
+      fadeInMs: params.fadeInMs ?? CRT_FADE_IN_MS,
+      stages: stages.map((s) => ({ level: s.level, halfLifeMs: s.halfLifeMs }))
+    };
+    super('longPersistence', p);
+    let total = 0;
+    for (const s of p.stages) {
+      checkDecayPositive('longPersistence', 'stage halfLifeMs', s.halfLifeMs);
+      total += checkDecayPositive('longPersistence', 'stage level', s.level);
+    }
+    this.stages = p.stages.map((s) => ({ level: s.level / total, halfLifeMs: s.halfLifeMs }));
+    // Over when every stage is below its share of the cutoff
+    const n = this.stages.length;
+    this.fadeOutMs = 0;
+    for (const s of this.stages) {
+      this.fadeOutMs = Math.max(this.fadeOutMs, s.halfLifeMs * Math.log2(Math.max(1, s.level * n / DECAY_CUTOFF)));
+    }
+  }
+
+  fadeOut(elapsedMs) {
+    let level = 0;
+    for (const s of this.stages) level += s.level * Math.pow(2, -elapsedMs / s.halfLifeMs);
+    return level;
+  }
+}
+
+/**
+ * No persistence (LCD-like): pixels switch fully ON and OFF on the next frame. The "no ghosting" option.
+ * params: none
+ */
+export class InstantDecay extends DecayModel {
+  constructor() {
+    super('instant', { fadeInMs: 0 });
+  }
+
+  toJSON() {
+    return { model: this.name };
+  }
+}
+
+/** Decay model classes by name (the `model` field of a spec). */
+export const DECAY_MODELS = {
+  crt: CRTDecay,
+  exponential: ExponentialDecay,
+  powerLaw: PowerLawDecay,
+  longPersistence: LongPersistenceDecay,
+  instant: InstantDecay
+};
+
+/**
+ * Build a decay model from a name ('exponential'), a spec ({ model: 'exponential', halfLifeMs: 40 }) or
+ * an existing model (returned as is; any object with fadeInMs, fadeOutMs, fadeIn and fadeOut works).
+ * @param {string|Object} spec
+ * @param {Object} [params] - Model parameters when spec is a name
+ */
+export function createDecayModel(spec, params = {}) {
+  if (spec && typeof spec === 'object' && typeof spec.fadeOut === 'function') return spec;
+  let name = spec;
+  if (spec && typeof spec === 'object') {
+    ({ model: name, ...params } = spec);
+  }
+  const Model = Object.prototype.hasOwnProperty.call(DECAY_MODELS, name) ? DECAY_MODELS[name] : null;
+  if (!Model) {
+    throw new Error(`createDecayModel: unknown decay model: ${JSON.stringify(name)} (expected one of ${Object.keys(DECAY_MODELS).join(', ')})`);
+  }
+  return new Model(params);
+}
+
+function checkDecayMs(model, name, value) {
+  if (typeof value !== 'number' || !(value >= 0) || !Number.isFinite(value)) {
+    throw new RangeError(`${model}: ${name} must be a non-negative number of ms, got ${value}`);
+  }
+  return value;
+}
+
+function checkDecayPositive(model, name, value) {
+  if (typeof value !== 'number' || !(value > 0) || !Number.isFinite(value)) {
+    throw new RangeError(`${model}: ${name} must be a positive number, got ${value}`);
+  }
+  return value;
+}
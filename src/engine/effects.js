@@ -0,0 +1,566 @@
+import {
+  DEGAUSS_COOLDOWN_MS, DEGAUSS_COOLDOWN_MIN_MS, DEGAUSS_DURATION_BASE_MS,
+  DEGAUSS_AMP_PX, DEGAUSS_OVERLAY_ALPHA, DEGAUSS_DECAY_ALPHA, DEGAUSS_FREQ_HZ, DEGAUSS_WAVE_K,
+  EFFECT_SHAKE_DURATION_MS, EFFECT_SHAKE_AMP_PX, EFFECT_SHAKE_FREQ_HZ,
+  EFFECT_SYNC_ROLL_DURATION_MS, EFFECT_SYNC_ROLL_AMP_PX, EFFECT_SYNC_ROLL_BAND, EFFECT_SYNC_ROLL_SPEED,
+  EFFECT_STATIC_DURATION_MS, EFFECT_STATIC_DENSITY, EFFECT_STATIC_LEVEL, EFFECT_STATIC_FPS,
+  EFFECT_FLICKER_DURATION_MS, EFFECT_FLICKER_DEPTH, EFFECT_FLICKER_HZ,
+  EFFECT_TINT_DURATION_MS, EFFECT_TINT_COLOR, EFFECT_TINT_ALPHA,
+  POWER_OFF_DURATION_MS, POWER_OFF_COLLAPSE, POWER_OFF_SHRINK,
+  POWER_ON_DURATION_MS, POWER_ON_LINE, POWER_ON_EXPAND, POWER_ON_WARM_LEVEL, POWER_ON_GLOW_COLOR, POWER_ON_GLOW_ALPHA
+} from './constants.js';
+
+/** How a new run treats a running effect of the same group (see ScreenEffect). */
+const EFFECT_STACKING = ['stack', 'exclusive', 'restart'];
+
+/** Ramp cooldowns below this strength skip the run (nothing would show). */
+const EFFECT_MIN_STRENGTH = 0.01;
+
+/**
+ * Timed screen effects for PixelDisplay (display.triggerEffect). While any effect runs, the display repaints
+ * every cell each frame and asks the running effects, in trigger order, for their hooks (all optional):
+ *
+ *   update(elapsedMs)    - once per frame, before the hooks below; precompute per-frame values
+ *   warp(pos, display)   - move pos { x, y } (display pixels of the cell's top-left) to where the cell samples from;
+ *                          warps chain. Samples off the picture are black, or the nearest edge cell if every
+ *                          running warp has clampEdges
+ *   brightness(x, y, display) - multiplier for cell (x, y)'s brightness
+ *   noise(x, y, display) - white level 0..1 added to cell (x, y) (levels of stacked effects add up)
+ *   overlay()            - { r, g, b, alpha } blended over the whole frame, or null
+ *
+ * Every effect has a durationMs, a strength 0..1, a stacking mode and a cooldown policy (params of the same names):
+ *
+ *   stacking: 'stack'      - runs alongside others of its group
+ *             'exclusive'  - ignored while one of its group runs
+ *             'restart'    - ends the running ones of its group and starts over
+ *   cooldown: 'none'                                  - always full strength
+ *             { type: 'block', ms }                   - ignored until ms after its group's last run ended
+ *             { type: 'ramp', minMs, fullMs, exponent=1.5 }
+ *                                                     - strength and duration scale with time since the last run
+ *                                                       ended: nothing before minMs, full at fullMs. A trigger too
+ *                                                       soon to show restarts the cooldown
+ *
+ * group (default: the effect name) ties stacking and cooldowns across effects. onEnd, when set, is called with
+ * (effect, endTime, completed) once the run ends; completed is false when it was stopped or restarted.
+ * Random-looking effects (shake, static, flicker) are repeatable for a given start time and seed, so headless
+ * renders are deterministic.
+ */
+export class ScreenEffect {
+  constructor(name, params, defaults) {
+    const p = { stacking: 'stack', cooldown: 'none', strength: 1, seed: 1, ...defaults, ...params };
+    this.name = name;
+    this.params = p;
+    this.group = p.group ?? name;
+    this.baseDurationMs = checkEffectPositive(name, 'durationMs', p.durationMs);
+    this.baseStrength = checkEffectUnit(name, 'strength', p.strength);
+    if (!EFFECT_STACKING.includes(p.stacking)) {
+      throw new Error(`${name}: unknown stacking: ${JSON.stringify(p.stacking)} (expected one of ${EFFECT_STACKING.join(', ')})`);
+    }
+    this.stacking = p.stacking;
+    this.cooldown = normalizeEffectCooldown(name, p.cooldown);
+    this.clampEdges = false;
+    this.onEnd = null;
+
+    // Set by start() and update()
+    this.startTime = 0;
+    this.durationMs = this.baseDurationMs;
+    this.strength = this.baseStrength;
+    this.seed = 0;
+    this.elapsedMs = 0;
+    this.progress = 0;
+  }
+
+  /**
+   * Start the run at now, scaled by the cooldown policy.
+   * @param {number} now - ms
+   * @param {number} sinceEndMs - ms since the last run of the group ended (Infinity: never ran)
+   * @returns {boolean} false when the cooldown suppresses this run
+   */
+  start(now, sinceEndMs) {
+    const scale = effectCooldownStrength(this.cooldown, sinceEndMs);
+    if (!(scale > 0)) return false;
+    this.startTime = now;
+    this.strength = this.baseStrength * scale;
+    this.durationMs = this.cooldown.type === 'ramp' ? this.baseDurationMs * scale : this.baseDurationMs;
+    this.seed = (this.params.seed ^ Math.floor(now)) >>> 0;
+    this.update(0);
+    return true;
+  }
+
+  /** Whether the run started and has not reached its duration at now. */
+  isRunning(now) {
+    return now - this.startTime < this.durationMs;
+  }
+
+  update(elapsedMs) {
+    this.elapsedMs = elapsedMs;
+    this.progress = Math.max(0, Math.min(1, elapsedMs / this.durationMs));
+  }
+
+  /** Called by the display when the run ends; calls onEnd. */
+  end(endTime, completed) {
+    if (this.onEnd) this.onEnd(this, endTime, completed);
+  }
+
+  toJSON() {
+    return { effect: this.name, ...this.params };
+  }
+}
+
+/**
+ * CRT degauss: the picture wobbles (more toward the edges) under a magenta cast, both dying away exponentially.
+ * Exclusive, with a ramp cooldown: right after a run there is nothing to degauss, after fullMs it is at full strength.
+ * params: { ampPx=12, freqHz=50, waveK=2.5, decayAlpha=2.5, overlayAlpha=0.35, color='#ff00ff' }
+ */
+export class DegaussEffect extends ScreenEffect {
+  constructor(params = {}) {
+    super('degauss', params, {
+      durationMs: DEGAUSS_DURATION_BASE_MS,
+      stacking: 'exclusive',
+      cooldown: { type: 'ramp', minMs: DEGAUSS_COOLDOWN_MIN_MS, fullMs: DEGAUSS_COOLDOWN_MS, exponent: 1.5 },
+      ampPx: DEGAUSS_AMP_PX,
+      freqHz: DEGAUSS_FREQ_HZ,
+      waveK: DEGAUSS_WAVE_K,
+      decayAlpha: DEGAUSS_DECAY_ALPHA,
+      overlayAlpha: DEGAUSS_OVERLAY_ALPHA,
+      color: '#ff00ff'
+    });
+    this.clampEdges = true;
+    this._color = parseEffectColor('degauss', this.params.color);
+    this._t = 0;
+    this._decay = 1;
+  }
+
+  update(elapsedMs) {
+    super.update(elapsedMs);
+    this._t = elapsedMs / 1000;
+    this._decay = Math.exp(-this.params.decayAlpha * this._t);
+  }
+
+  warp(pos, display) {
+    const f = this.params.freqHz;
+    const k = this.params.waveK;
+    const A = this.params.ampPx * this.strength;
+    const nx = pos.x / display.displayWidth;
+    const ny = pos.y / display.displayHeight;
+    const r = Math.sqrt((nx - 0.5) ** 2 + (ny - 0.5) ** 2) * 2;
+    const edge = 0.4 + 0.6 * Math.min(1, r);
+    const dx = A * edge * this._decay * Math.sin(2 * Math.PI * f * this._t + 2 * Math.PI * k * nx);
+    const dy = A * edge * this._decay * Math.sin(2 * Math.PI * f * this._t + Math.PI / 2 + 2 * Math.PI * k * ny);
+    pos.x -= dx;
+    pos.y -= dy;
+  }
+
+  overlay() {
+    const [r, g, b] = this._color;
+    return { r, g, b, alpha: this._decay * this.strength * this.params.overlayAlpha };
+  }
+}
+
+/**
+ * Screen shake: the whole picture jumps to a new random offset freqHz times a second, settling linearly.
+ * params: { ampPx=10, freqHz=30 }
+ */
+export class ShakeEffect extends ScreenEffect {
+  constructor(params = {}) {
+    super('shake', params, {
+      durationMs: EFFECT_SHAKE_DURATION_MS,
+      stacking: 'restart',
+      ampPx: EFFECT_SHAKE_AMP_PX,
+      freqHz: EFFECT_SHAKE_FREQ_HZ
+    });
+    this._dx = 0;
+    this._dy = 0;
+  }
+
+  update(elapsedMs) {
+    super.update(elapsedMs);
+    const step = Math.floor((elapsedMs * this.params.freqHz) / 1000);
+    const amp = this.params.ampPx * this.strength * (1 - this.progress);
+    this._dx = amp * (2 * effectNoise(this.seed, step, 0) - 1);
+    this._dy = amp * (2 * effectNoise(this.seed, step, 1) - 1);
+  }
+
+  warp(pos) {
+    pos.x -= this._dx;
+    pos.y -= this._dy;
+  }
+}
+
+/**
+ * Horizontal sync roll: the picture tears and the rows below the tear slide sideways, most right under it;
+ * the tear rolls down the screen (wrapping) speed times a second. Swells in and out over the run.
+ * params: { ampPx=60, band=0.3, speed=1.5 }
+ */
+export class SyncRollEffect extends ScreenEffect {
+  constructor(params = {}) {
+    super('syncRoll', params, {
+      durationMs: EFFECT_SYNC_ROLL_DURATION_MS,
+      stacking: 'exclusive',
+      ampPx: EFFECT_SYNC_ROLL_AMP_PX,
+      band: EFFECT_SYNC_ROLL_BAND,
+      speed: EFFECT_SYNC_ROLL_SPEED
+    });
+    checkEffectPositive('syncRoll', 'band', this.params.band);
+    this._tear = 0;
+    this._amp = 0;
+  }
+
+  update(elapsedMs) {
+    super.update(elapsedMs);
+    this._tear = ((elapsedMs / 1000) * this.params.speed) % 1;
+    this._amp = this.params.ampPx * this.strength * Math.sin(Math.PI * this.progress);
+  }
+
+  warp(pos, display) {
+    let d = pos.y / display.displayHeight - this._tear;
+    if (d < 0) d += 1;
+    if (d < this.params.band) pos.x -= this._amp * (1 - d / this.params.band);
+  }
+}
+
+/**
+ * Static / snow: random cells light up white, a new pattern fps times a second, fading out over the run.
+ * params: { density=0.35, level=0.8, fps=30 }
+ */
+export class StaticEffect extends ScreenEffect {
+  constructor(params = {}) {
+    super('static', params, {
+      durationMs: EFFECT_STATIC_DURATION_MS,
+      stacking: 'restart',
+      density: EFFECT_STATIC_DENSITY,
+      level: EFFECT_STATIC_LEVEL,
+      fps: EFFECT_STATIC_FPS
+    });
+    this._frame = 0;
+    this._level = 0;
+  }
+
+  update(elapsedMs) {
+    super.update(elapsedMs);
+    this._frame = Math.floor((elapsedMs * this.params.fps) / 1000);
+    this._level = this.params.level * this.strength * (1 - this.progress);
+  }
+
+  noise(x, y) {
+    const density = this.params.density;
+    const n = effectNoise(this.seed, this._frame, (y << 16) | x);
+    return n < density ? this._level * (1 - n / density) : 0;
+  }
+}
+
+/**
+ * Brightness flicker: the whole picture dips by a random amount up to depth, hz times a second, calming down
+ * over the run.
+ * params: { depth=0.6, hz=24 }
+ */
+export class FlickerEffect extends ScreenEffect {
+  constructor(params = {}) {
+    super('flicker', params, {
+      durationMs: EFFECT_FLICKER_DURATION_MS,
+      stacking: 'restart',
+      depth: EFFECT_FLICKER_DEPTH,
+      hz: EFFECT_FLICKER_HZ
+    });
+    checkEffectUnit('flicker', 'depth', this.params.depth);
+    this._level = 1;
+  }
+
+  update(elapsedMs) {
+    super.update(elapsedMs);
+    const step = Math.floor((elapsedMs * this.params.hz) / 1000);
+    this._level = 1 - this.params.depth * this.strength * (1 - this.progress) * effectNoise(this.seed, step, 0);
+  }
+
+  brightness() {
+    return this._level;
+  }
+}
+
+/**
+ * Chromatic tint: a color cast over the whole frame, fading out over the run.
+ * params: { color='#ff3030', alpha=0.3 }
+ */
+export class TintEffect extends ScreenEffect {
+  constructor(params = {}) {
+    super('tint', params, {
+      durationMs: EFFECT_TINT_DURATION_MS,
+      stacking: 'stack',
+      color: EFFECT_TINT_COLOR,
+      alpha: EFFECT_TINT_ALPHA
+    });
+    this._color = parseEffectColor('tint', this.params.color);
+  }
+
+  overlay() {
+    const [r, g, b] = this._color;
+    return { r, g, b, alpha: this.params.alpha * this.strength * (1 - this.progress) };
+  }
+}
+
+/**
+ * Base of the power effects: the picture shows through a centered aperture (scaleX, scaleY of the screen, never
+ * less than one cell), squeezed into it, with white glow added inside it. Both share the 'power' group, so
+ * powerOn cuts a running powerOff short and the other way round.
+ */
+export class PowerEffect extends ScreenEffect {
+  constructor(name, params, defaults) {
+    super(name, params, { group: 'power', stacking: 'restart', ...defaults });
+    this._sx = 1;
+    this._sy = 1;
+    this._glow = 0;
+    this._level = 1;
+  }
+
+  /** Whether display point (px, py) is inside the aperture. */
+  _inAperture(px, py, display) {
+    const halfW = Math.max((display.pixelWidth + display.gapWidth) / 2, (this._sx * display.displayWidth) / 2);
+    const halfH = Math.max((display.pixelHeight + display.gapHeight) / 2, (this._sy * display.displayHeight) / 2);
+    return Math.abs(px - display.displayWidth / 2) <= halfW && Math.abs(py - display.displayHeight / 2) <= halfH;
+  }
+
+  warp(pos, display) {
+    if (this._sx === 1 && this._sy === 1) return;
+    const inside = this._inAperture(pos.x + display.pixelWidth / 2, pos.y + display.pixelHeight / 2, display);
+    if (!inside || this._sx === 0 || this._sy === 0) {
+      pos.x = -display.displayWidth; // off the picture: only the glow shows
+      return;
+    }
+    const cx = display.displayWidth / 2;
+    const cy = display.displayHeight / 2;
+    pos.x = cx + (pos.x - cx) / this._sx;
+    pos.y = cy + (pos.y - cy) / this._sy;
+  }
+
+  brightness() {
+    return this._level;
+  }
+
+  noise(x, y, display) {
+    if (this._glow <= 0) return 0;
+    const px = x * (display.pixelWidth + display.gapWidth) + display.pixelWidth / 2;
+    const py = y * (display.pixelHeight + display.gapHeight) + display.pixelHeight / 2;
+    return this._inAperture(px, py, display) ? this._glow : 0;
+  }
+}
+
+/**
+ * CRT power-off: the picture is squeezed into a brightening horizontal line, the line shrinks to a center dot and
+ * the dot fades out. PixelDisplay.powerOff keeps the screen dark afterwards.
+ * params: { collapse=0.4, shrink=0.25 } - phase lengths as fractions of durationMs (the dot fades for the rest)
+ */
+export class PowerOffEffect extends PowerEffect {
+  constructor(params = {}) {
+    super('powerOff', params, {
+      durationMs: POWER_OFF_DURATION_MS,
+      collapse: POWER_OFF_COLLAPSE,
+      shrink: POWER_OFF_SHRINK
+    });
+    checkEffectPhases('powerOff', this.params.collapse, this.params.shrink);
+  }
+
+  update(elapsedMs) {
+    super.update(elapsedMs);
+    const { collapse, shrink } = this.params;
+    const p = this.progress;
+    if (p < collapse) {
+      const q = p / collapse;
+      this._sx = 1;
+      this._sy = 1 - q * q;
+      this._glow = 0.6 * q * this.strength;
+    } else if (p < collapse + shrink) {
+      const q = (p - collapse) / shrink;
+      this._sx = (1 - q) * (1 - q);
+      this._sy = 0;
+      this._glow = this.strength;
+    } else {
+      const rest = 1 - collapse - shrink;
+      this._sx = 0;
+      this._sy = 0;
+      this._glow = rest > 0 ? (1 - (p - collapse - shrink) / rest) * this.strength : 0;
+    }
+  }
+}
+
+/**
+ * CRT power-on: a bright horizontal line opens up into the picture, which then warms up from dim to full
+ * brightness under a fading warm glow.
+ * params: { line=0.1, expand=0.3, warmLevel=0.45, color='#ffe8c0', glowAlpha=0.2 } - line and expand are phase
+ *   lengths as fractions of durationMs (warm-up takes the rest); warmLevel is the brightness warm-up starts from
+ */
+export class PowerOnEffect extends PowerEffect {
+  constructor(params = {}) {
+    super('powerOn', params, {
+      durationMs: POWER_ON_DURATION_MS,
+      line: POWER_ON_LINE,
+      expand: POWER_ON_EXPAND,
+      warmLevel: POWER_ON_WARM_LEVEL,
+      color: POWER_ON_GLOW_COLOR,
+      glowAlpha: POWER_ON_GLOW_ALPHA
+    });
+    checkEffectPhases('powerOn', this.params.line, this.params.expand);
+    checkEffectUnit('powerOn', 'warmLevel', this.params.warmLevel);
+    this._color = parseEffectColor('powerOn', this.params.color);
+    this._warmth = 0;
+  }
+
+  update(elapsedMs) {
+    super.update(elapsedMs);
+    const { line, expand, warmLevel } = this.params;
+    const p = this.progress;
+    this._sx = 1;
+    if (p < line) {
+      this._sy = 0;
+      this._glow = this.strength;
+      this._level = warmLevel;
+      this._warmth = 1;
+    } else if (p < line + expand) {
+      const q = (p - line) / expand;
+      this._sy = 1 - (1 - q) * (1 - q);
+      this._glow = (1 - q) * this.strength;
+      this._level = warmLevel;
+      this._warmth = 1;
+    } else {
+      const rest = 1 - line - expand;
+      const q = rest > 0 ? (p - line - expand) / rest : 1;
+      this._sy = 1;
+      this._glow = 0;
+      this._level = warmLevel + (1 - warmLevel) * q;
+      this._warmth = 1 - q;
+    }
+  }
+
+  overlay() {
+    const [r, g, b] = this._color;
+    return { r, g, b, alpha: this.params.glowAlpha * this.strength * this._warmth };
+  }
+}
+
+/** Screen effect classes by name (the `effect` field of a spec); registerScreenEffect adds more. */
+export const SCREEN_EFFECTS = {
+  degauss: DegaussEffect,
+  shake: ShakeEffect,
+  syncRoll: SyncRollEffect,
+  static: StaticEffect,
+  flicker: FlickerEffect,
+  tint: TintEffect,
+  powerOff: PowerOffEffect,
+  powerOn: PowerOnEffect
+};
+
+/**
+ * Register (or replace) a screen effect class; it is constructed with the trigger's params.
+ * @param {string} name
+ * @param {Function} EffectClass - Usually a ScreenEffect subclass
+ */
+export function registerScreenEffect(name, EffectClass) {
+  if (typeof name !== 'string' || name === '') {
+    throw new Error(`registerScreenEffect: effect name must be a non-empty string, got ${name}`);
+  }
+  if (typeof EffectClass !== 'function') {
+    throw new Error(`registerScreenEffect: effect class for ${name} must be a constructor`);
+  }
+  SCREEN_EFFECTS[name] = EffectClass;
+}
+
+/**
+ * Build a screen effect from a name ('shake'), a spec ({ effect: 'shake', ampPx: 4 }) or an existing effect
+ * (returned as is).
+ * @param {string|Object} spec
+ * @param {Object} [params] - Effect parameters when spec is a name
+ */
+export function createScreenEffect(spec, params = {}) {
+  if (spec instanceof ScreenEffect) return spec;
+  let name = spec;
+  if (spec && typeof spec === 'object') {
+    ({ effect: name, ...params } = spec);
+  }
+  const Effect = Object.prototype.hasOwnProperty.call(SCREEN_EFFECTS, name) ? SCREEN_EFFECTS[name] : null;
+  if (!Effect) {
+    throw new Error(`createScreenEffect: unknown effect: ${JSON.stringify(name)} (expected one of ${Object.keys(SCREEN_EFFECTS).join(', ')})`);
+  }
+  return new Effect(params);
+}
+
+/**
+ * Strength multiplier 0..1 a cooldown policy allows sinceEndMs after the group's last run (0 = suppressed).
+ */
+export function effectCooldownStrength(cooldown, sinceEndMs) {
+  switch (cooldown.type) {
+    case 'block':
+      return sinceEndMs >= cooldown.ms ? 1 : 0;
+    case 'ramp': {
+      const x = Math.max(0, Math.min(1, (sinceEndMs - cooldown.minMs) / (cooldown.fullMs - cooldown.minMs)));
+      const strength = Math.pow(x, cooldown.exponent);
+      return strength < EFFECT_MIN_STRENGTH ? 0 : strength;
+    }
+    default:
+      return 1;
+  }
+}
+
+/**
+ * Cooldown param as { type, ..., restartOnSkip }: 'none', a number (block for that many ms) or a policy object.
+ */
+function normalizeEffectCooldown(name, cooldown) {
+  if (cooldown === undefined || cooldown === null || cooldown === 'none') return { type: 'none', restartOnSkip: false };
+  if (typeof cooldown === 'number') cooldown = { type: 'block', ms: cooldown };
+  if (cooldown.type === 'block') {
+    return { type: 'block', ms: checkEffectMs(name, 'cooldown ms', cooldown.ms), restartOnSkip: false };
+  }
+  if (cooldown.type === 'ramp') {
+    const minMs = checkEffectMs(name, 'cooldown minMs', cooldown.minMs);
+    const fullMs = checkEffectMs(name, 'cooldown fullMs', cooldown.fullMs);
+    if (!(fullMs > minMs)) throw new RangeError(`${name}: cooldown fullMs must be greater than minMs, got ${fullMs} <= ${minMs}`);
+    const exponent = checkEffectPositive(name, 'cooldown exponent', cooldown.exponent ?? 1.5);
+    return { type: 'ramp', minMs, fullMs, exponent, restartOnSkip: true };
+  }
+  throw new Error(`${name}: unknown cooldown: ${JSON.stringify(cooldown)} (expected 'none', ms, { type: 'block' } or { type: 'ramp' })`);
+}
+
+/** '#rrggbb' -> [r, g, b] */
+function parseEffectColor(name, color) {
+  if (typeof color !== 'string' || !/^#[0-9a-f]{6}$/i.test(color)) {
+    throw new Error(`${name}: color must be '#rrggbb', got ${JSON.stringify(color)}`);
+  }
+  return [1, 3, 5].map((k) => parseInt(color.substring(k, k + 2), 16));
+}
+
+/** Repeatable pseudo-random number in [0, 1) for (seed, a, b). */
+function effectNoise(seed, a, b) {
+  let h = Math.imul(seed ^ 0x9e3779b9, 0x85ebca6b) ^ Math.imul(a + 1, 0xc2b2ae35) ^ Math.imul(b + 1, 0x27d4eb2f);
+  h ^= h >>> 15;
+  h = Math.imul(h, 0x2c1b3c6d);
+  h ^= h >>> 12;
+  h = Math.imul(h, 0x297a2d39);
+  h ^= h >>> 15;
+  return (h >>> 0) / 4294967296;
+}
+
+function checkEffectMs(name, what, value) {
+  if (typeof value !== 'number' || !(value >= 0) || !Number.isFinite(value)) {
+    throw new RangeError(`${name}: ${what} must be a non-negative number of ms, got ${value}`);
+  }
+  return value;
+}
+
+function checkEffectPositive(name, what, value) {
+  if (typeof value !== 'number' || !(value > 0) || !Number.isFinite(value)) {
+    throw new RangeError(`${name}: ${what} must be a positive number, got ${value}`);
+  }
+  return value;
+}
+
+/** Two leading phase fractions of a sequence: each in [0, 1], together at most 1. */
+function checkEffectPhases(name, a, b) {
+  checkEffectUnit(name, 'phase', a);
+  checkEffectUnit(name, 'phase', b);
+  if (a + b > 1) throw new RangeError(`${name}: phases must add up to at most 1, got ${a} + ${b}`);
+}
+
+function checkEffectUnit(name, what, value) {
+  if (typeof value !== 'number' || !(value >= 0 && value <= 1)) {
+    throw new RangeError(`${name}: ${what} must be in [0, 1], got ${value}`);
+  }
+  return value;
+}
@@ -0,0 +1,88 @@
+/**
+ * Bitmap fonts for PixelDisplay.drawText. A font is a set of glyphs, each a pattern[row][col] as drawn by
+ * drawPattern/blit (1 = on, 0 = off, fractions = dimmer). Glyphs may differ in width (proportional fonts);
+ * rows past a glyph's own height are blank.
+ *
+ * Fonts are looked up by name in a shared registry: registerFont('big', glyphs) once, then
+ * display.drawText('HI', x, y, { font: 'big' }).
+ */
+export class PixelFont {
+  /**
+   * @param {string} name
+   * @param {Object<string, Array<Array<number>>>} glyphs - Pattern per character
+   * @param {Object} [options]
+   * @param {number} [options.height] - Line height in font pixels (default: tallest glyph)
+   * @param {number} [options.letterSpacing=1] - Font pixels between glyphs
+   * @param {number} [options.lineSpacing=1] - Font pixels between lines
+   * @param {number} [options.spaceWidth] - Width of ' ' when the font has no glyph for it (default: widest glyph)
+   * @param {string|null} [options.fallback=null] - Character drawn for characters the font lacks (null: blank, space-wide)
+   */
+  constructor(name, glyphs, options = {}) {
+    if (!glyphs || typeof glyphs !== 'object') {
+      throw new Error(`PixelFont: glyphs for font ${name} must be an object of patterns by character`);
+    }
+    this.name = name;
+    this.glyphs = glyphs;
+    let height = 0, widest = 0;
+    for (const pattern of Object.values(glyphs)) {
+      height = Math.max(height, pattern.length);
+      widest = Math.max(widest, pattern[0]?.length ?? 0);
+    }
+    this.height = options.height ?? height;
+    this.letterSpacing = options.letterSpacing ?? 1;
+    this.lineSpacing = options.lineSpacing ?? 1;
+    this.spaceWidth = options.spaceWidth ?? widest;
+    this.fallback = options.fallback ?? null;
+  }
+
+  /**
+   * Pattern for character ch; lowercase falls back to uppercase, then to the fallback glyph. null = blank.
+   */
+  getGlyph(ch) {
+    const glyphs = this.glyphs;
+    if (Object.prototype.hasOwnProperty.call(glyphs, ch)) return glyphs[ch];
+    const upper = ch.toUpperCase();
+    if (upper !== ch && Object.prototype.hasOwnProperty.call(glyphs, upper)) return glyphs[upper];
+    if (ch !== ' ' && this.fallback !== null && Object.prototype.hasOwnProperty.call(glyphs, this.fallback)) {
+      return glyphs[this.fallback];
+    }
+    return null;
+  }
+
+  /** Width of character ch in font pixels (blank characters are spaceWidth). */
+  glyphWidth(ch) {
+    const pattern = this.getGlyph(ch);
+    return pattern ? (pattern[0]?.length ?? 0) : this.spaceWidth;
+  }
+}
+
+/** Registered fonts by name. */
+export const FONTS = {};
+
+/**
+ * Register (or replace) a font under name.
+ * @param {string} name
+ * @param {Object|PixelFont} glyphs - Pattern per character, or a PixelFont (registered under name as is)
+ * @param {Object} [options] - PixelFont options
+ * @returns {PixelFont}
+ */
+export function registerFont(name, glyphs, options) {
+  if (typeof name !== 'string' || name === '') {
+    throw new Error(`registerFont: font name must be a non-empty string, got ${name}`);
+  }
+  const font = glyphs instanceof PixelFont ? glyphs : new PixelFont(name, glyphs, options);
+  FONTS[name] = font;
+  return font;
+}
+
+/**
+ * Font by name (a PixelFont is returned as is).
+ * @param {string|PixelFont} font
+ * @returns {PixelFont}
+ */
+export function getFont(font) {
+  if (font instanceof PixelFont) return font;
+  if (typeof font === 'string' && Object.prototype.hasOwnProperty.call(FONTS, font)) return FONTS[font];
+  const known = Object.keys(FONTS);
+  throw new Error(`getFont: unknown font: ${font} (registered: ${known.length > 0 ? known.join(', ') : 'none'})`);
+}
@@ -0,0 +1,163 @@
+import { LOOP_HZ, LOOP_MAX_FRAME_MS, LOOP_MAX_UPDATES_PER_FRAME } from './constants.js';
+
+/** Rounding slack: frame times summed from fractional steps (1000 / 60) still run whole steps. */
+const GAME_LOOP_EPSILON_MS = 1e-6;
+
+/**
+ * GameLoop - fixed-timestep scheduler for games on PixelDisplay. Each frame adds the (clamped, time-scaled)
+ * frame time to an accumulator and runs update(dtMs) in fixed steps of 1000 / hz ms, then calls render(alpha)
+ * once, where alpha 0..1 is how far the accumulator is into the next step (for interpolating positions).
+ *
+ *   const loop = new GameLoop({
+ *     update: (dtMs) => game.updateLogic(dtMs),
+ *     render: (alpha, frame) => { game.draw(alpha); display.render(alpha, frame); }
+ *   });
+ *   loop.start();
+ *
+ * The clock (now) and the frame source (frames) can be injected, so the loop also runs headless: in Node without
+ * requestAnimationFrame it falls back to setTimeout, and tests or scripts can skip start() and drive it with
+ * tick(now) on simulated time.
+ *
+ * A frame runs at most maxUpdatesPerFrame steps; time it could not catch up on is dropped (the game slows down
+ * instead of spiralling). While paused, render keeps being called (fades and UI animate) but update is not.
+ */
+export class GameLoop {
+  /**
+   * @param {Object} options
+   * @param {Function} options.update - (dtMs, loop) - one fixed logic step
+   * @param {Function} [options.render] - (alpha, frame, loop) - once per frame after the steps; frame is
+   *   { now, frameMs, dtSinceLastRender, updates } (now and dtSinceLastRender fit display.render's opts)
+   * @param {number} [options.hz=60] - Logic steps per second
+   * @param {number} [options.maxFrameMs=200] - Longest frame time counted (e.g. after a background tab)
+   * @param {number} [options.maxUpdatesPerFrame=5]
+   * @param {number} [options.timeScale=1] - Game time per real time (0.5 = slow motion); steps stay dtMs long
+   * @param {Function} [options.now] - Clock in ms (default performance.now)
+   * @param {{ request: Function, cancel: Function }} [options.frames] - Frame source: request(callback) schedules
+   *   callback for the next frame and returns a handle for cancel(handle). Default requestAnimationFrame,
+   *   else setTimeout at hz
+   */
+  constructor(options = {}) {
+    if (typeof options.update !== 'function') throw new Error('GameLoop: update must be a function');
+    this.update = options.update;
+    this.render = options.render ?? null;
+    this.hz = options.hz ?? LOOP_HZ;
+    this.maxFrameMs = options.maxFrameMs ?? LOOP_MAX_FRAME_MS;
+    this.maxUpdatesPerFrame = options.maxUpdatesPerFrame ?? LOOP_MAX_UPDATES_PER_FRAME;
+    if (!(this.hz > 0 && Number.isFinite(this.hz))) throw new RangeError(`GameLoop: hz must be a positive number, got ${this.hz}`);
+    if (!(this.maxFrameMs > 0)) throw new RangeError(`GameLoop: maxFrameMs must be positive, got ${this.maxFrameMs}`);
+    if (!(Number.isInteger(this.maxUpdatesPerFrame) && this.maxUpdatesPerFrame >= 1)) {
+      throw new RangeError(`GameLoop: maxUpdatesPerFrame must be a positive integer, got ${this.maxUpdatesPerFrame}`);
+    }
+    this.dtMs = 1000 / this.hz;
+    this.setTimeScale(options.timeScale ?? 1);
+    this.now = options.now ?? (() => performance.now());
+    this.frames = options.frames ?? defaultFrameSource(this.dtMs);
+
+    this.running = false;
+    this.paused = false;
+    this.accumulator = 0;
+    this.frameCount = 0;
+    this.stepCount = 0;       // fixed steps run since construction
+    this._lastTime = null;    // time of the previous tick (null: next tick starts fresh)
+    this._lastRender = null;
+    this._handle = null;
+    this._onFrame = () => {
+      this._handle = null;
+      if (!this.running) return;
+      this.tick(this.now());
+      if (this.running) this._handle = this.frames.request(this._onFrame);
+    };
+  }
+
+  /**
+   * Start requesting frames (no-op while running). The first frame runs no steps, only render.
+   */
+  start() {
+    if (this.running) return;
+    this.running = true;
+    this._lastTime = null;
+    this._handle = this.frames.request(this._onFrame);
+  }
+
+  /**
+   * Stop requesting frames; start() resumes with a fresh accumulator.
+   */
+  stop() {
+    if (!this.running) return;
+    this.running = false;
+    if (this._handle !== null) this.frames.cancel(this._handle);
+    this._handle = null;
+    this.accumulator = 0;
+  }
+
+  /** Stop running update steps; render is still called every frame. */
+  pause() {
+    this.paused = true;
+  }
+
+  /** Run update steps again, starting from an empty accumulator. */
+  resume() {
+    if (!this.paused) return;
+    this.paused = false;
+    this.accumulator = 0;
+  }
+
+  /**
+   * Game time per real time: 2 runs twice as many steps, 0.5 half as many, 0 freezes the game (like pause).
+   */
+  setTimeScale(scale) {
+    if (typeof scale !== 'number' || !(scale >= 0) || !Number.isFinite(scale)) {
+      throw new RangeError(`GameLoop.setTimeScale: scale must be a non-negative number, got ${scale}`);
+    }
+    this.timeScale = scale;
+  }
+
+  /** Drop the time waiting in the accumulator (e.g. after a state change that should not catch up). */
+  resetAccumulator() {
+    this.accumulator = 0;
+  }
+
+  /**
+   * Run one frame at now (ms): the due fixed steps, then render. The frame source calls this; call it directly to
+   * drive the loop by hand (headless, tests).
+   * @returns {number} Steps run this frame
+   */
+  tick(now) {
+    const frameMs = this._lastTime === null ? 0 : Math.max(0, Math.min(now - this._lastTime, this.maxFrameMs));
+    this._lastTime = now;
+    let updates = 0;
+    if (!this.paused) {
+      this.accumulator += frameMs * this.timeScale;
+      while (this.accumulator + GAME_LOOP_EPSILON_MS >= this.dtMs && updates < this.maxUpdatesPerFrame) {
+        this.update(this.dtMs, this);
+        this.accumulator -= this.dtMs;
+        updates++;
+      }
+      // Behind by more than a step: drop the backlog rather than catching up over the next frames
+      if (this.accumulator >= this.dtMs) this.accumulator = this.accumulator % this.dtMs;
+      if (this.accumulator < 0) this.accumulator = 0;
+    }
+    this.stepCount += updates;
+    this.frameCount++;
+    if (this.render) {
+      const dtSinceLastRender = this._lastRender === null ? 0 : now - this._lastRender;
+      this._lastRender = now;
+      this.render(this.accumulator / this.dtMs, { now, frameMs, dtSinceLastRender, updates }, this);
+    }
+    return updates;
+  }
+}
+
+/** requestAnimationFrame where there is one (browsers), else setTimeout one step apart (Node). */
+function defaultFrameSource(intervalMs) {
+  if (typeof requestAnimationFrame === 'function') {
+    return {
+      request: (fn) => requestAnimationFrame(fn),
+      cancel: (handle) => cancelAnimationFrame(handle)
+    };
+  }
+  return {
+    request: (fn) => setTimeout(fn, intervalMs),
+    cancel: (handle) => clearTimeout(handle)
+  };
+}
@@ -0,0 +1,134 @@
+import { concatBytes } from './png.js';
+
+/**
+ * Minimal animated GIF encoder for indexed frames. Pure JavaScript, so it runs in Node and the browser.
+ * Frames share one global palette (up to 256 colors) and are LZW-compressed as the format requires.
+ */
+
+const GIF_MAX_CODE = 4096;
+
+/**
+ * LZW-compress palette indices as GIF image data (the code stream, before splitting into sub-blocks).
+ * @param {Uint8Array} indices
+ * @param {number} minCodeSize - Bits per index, 2..8
+ * @returns {Uint8Array}
+ */
+export function gifLZW(indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const out = [];
+  let bitBuffer = 0;
+  let bitCount = 0;
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  // Dictionary of (prefix code, next index) -> code
+  const dict = new Map();
+
+  const emit = (code) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      out.push(bitBuffer & 0xff);
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  emit(clearCode);
+  if (indices.length > 0) {
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+      const k = indices[i];
+      const key = prefix * 256 + k;
+      const code = dict.get(key);
+      if (code !== undefined) {
+        prefix = code;
+        continue;
+      }
+      emit(prefix);
+      if (nextCode < GIF_MAX_CODE) {
+        dict.set(key, nextCode++);
+        if (nextCode > (1 << codeSize) && codeSize < 12) codeSize++;
+      } else {
+        // Table full: start over
+        emit(clearCode);
+        dict.clear();
+        nextCode = endCode + 1;
+        codeSize = minCodeSize + 1;
+      }
+      prefix = k;
+    }
+    emit(prefix);
+  }
+  emit(endCode);
+  if (bitCount > 0) out.push(bitBuffer & 0xff);
+  return Uint8Array.from(out);
+}
+
+/**
+ * Encode indexed frames as an animated GIF.
+ * @param {number} width
+ * @param {number} height
+ * @param {Array<{ indices: Uint8Array, delayMs: number }>} frames - width * height palette indices each, row-major
+ * @param {Object} options
+ * @param {Uint8Array|number[]} options.palette - r, g, b per color; at most 256 colors
+ * @param {number|null} [options.loop=0] - Times to repeat (0 = forever, null = play once)
+ * @returns {Uint8Array} GIF file bytes
+ */
+export function encodeGIF(width, height, frames, options) {
+  const palette = options?.palette;
+  if (!palette || palette.length < 3 || palette.length % 3 !== 0 || palette.length > 768) {
+    throw new RangeError(`encodeGIF: palette must hold 1 to 256 r, g, b triples, got ${palette ? palette.length : 0} values`);
+  }
+  if (!(width > 0 && width <= 0xffff && height > 0 && height <= 0xffff)) {
+    throw new RangeError(`encodeGIF: size must be 1..65535 on each side, got ${width}x${height}`);
+  }
+  if (frames.length === 0) throw new RangeError('encodeGIF: no frames');
+  const colors = palette.length / 3;
+  let tableBits = 1;
+  while ((1 << tableBits) < colors) tableBits++;
+  const minCodeSize = Math.max(2, tableBits);
+  const loop = options.loop === undefined ? 0 : options.loop;
+
+  const parts = [];
+  const u16 = (v) => [v & 0xff, (v >>> 8) & 0xff];
+  parts.push(Uint8Array.from([
+    0x47, 0x49, 0x46, 0x38, 0x39, 0x61, // GIF89a
+    ...u16(width), ...u16(height),
+    0xf0 | (tableBits - 1), // global color table, 8-bit color resolution
+    0, 0
+  ]));
+  const table = new Uint8Array(3 << tableBits);
+  table.set(palette);
+  parts.push(table);
+  if (loop !== null) {
+    parts.push(Uint8Array.from([
+      0x21, 0xff, 0x0b, ...Array.from('NETSCAPE2.0', (c) => c.charCodeAt(0)), 0x03, 0x01, ...u16(loop), 0x00
+    ]));
+  }
+
+  frames.forEach((frame, n) => {
+    if (frame.indices.length !== width * height) {
+      throw new RangeError(`encodeGIF: frame ${n} has ${frame.indices.length} indices, expected ${width * height}`);
+    }
+    const delay = Math.max(0, Math.min(0xffff, Math.round((frame.delayMs ?? 0) / 10)));
+    parts.push(Uint8Array.from([
+      0x21, 0xf9, 0x04, 0x04, ...u16(delay), 0x00, 0x00, // graphic control: keep frame, delay in 1/100 s
+      0x2c, 0, 0, 0, 0, ...u16(width), ...u16(height), 0x00, // image descriptor, full frame
+      minCodeSize
+    ]));
+    const data = gifLZW(frame.indices, minCodeSize);
+    const blocks = new Uint8Array(data.length + Math.ceil(data.length / 255) + 1);
+    let o = 0;
+    for (let k = 0; k < data.length; k += 255) {
+      const len = Math.min(255, data.length - k);
+      blocks[o++] = len;
+      blocks.set(data.subarray(k, k + len), o);
+      o += len;
+    }
+    blocks[o] = 0;
+    parts.push(blocks);
+  });
+  parts.push(Uint8Array.from([0x3b]));
+  return concatBytes(parts);
+}
@@ -0,0 +1,31 @@
+/**
+ * PixelLayer - one named drawing layer of a PixelDisplay (see PixelDisplay.addLayer).
+ * Same indexing as the display framebuffer (y * emulatedWidth + x):
+ *   cells[i]  1 when the layer lights pixel i, 0 when transparent
+ *   colors[i], levels[i]  palette index and intensity 0..255 of a lit cell
+ *   mask[i]   1 where the layer hides every layer below it (even where it is not lit). Survives clears.
+ */
+export class PixelLayer {
+  /**
+   * @param {string} name
+   * @param {number} pixelCount
+   * @param {number} z - Stacking order; higher is on top
+   * @param {boolean} visible
+   * @param {number} order - Creation sequence; breaks z ties (later on top)
+   */
+  constructor(name, pixelCount, z, visible, order) {
+    this.name = name;
+    this.z = z;
+    this.visible = visible;
+    this.order = order;
+    this.cells = new Uint8Array(pixelCount);
+    this.colors = new Uint8Array(pixelCount);
+    this.levels = new Uint8Array(pixelCount);
+    this.mask = new Uint8Array(pixelCount);
+  }
+
+  /** Whether pixel i could affect the composite (lit or masked). */
+  touches(i) {
+    return this.cells[i] === 1 || this.mask[i] === 1;
+  }
+}
@@ -1,19 +1,45 @@
-import {
-  CRT_ON_COLOR, CRT_FADE_IN_MS, CRT_FADE_OUT_MS,
-  DEGAUSS_COOLDOWN_MS, DEGAUSS_COOLDOWN_MIN_MS, DEGAUSS_DURATION_BASE_MS,
-  DEGAUSS_AMP_PX, DEGAUSS_OVERLAY_ALPHA, DEGAUSS_DECAY_ALPHA, DEGAUSS_FREQ_HZ, DEGAUSS_WAVE_K
-} from './constants.js';
+import { PALETTES } from './constants.js';
+import { Canvas2DRenderer } from './renderers.js';
+import { createDecayModel } from './decay.js';
+import { PostProcessChain } from './postfx.js';
+import { PixelLayer } from './layers.js';
+import { getFont } from './fonts.js';
+import { parsePBM, encodePBM } from './bitmap-formats.js';
+import { createScreenEffect } from './effects.js';
+
+/** Draw modes for PixelDisplay.blit. */
+const BLIT_MODES = ['transparent', 'opaque', 'xor', 'erase'];
 
 /**
  * PixelDisplay - A retro CRT-style pixel display renderer
  * 
- * Emulates a retro pixel display with CRT fade effects.
- * Pixels have two states: ON (retro green) or OFF (black).
+ * Emulates a retro pixel display with CRT fade effects; how pixels fade is a pluggable decay model (see decay.js).
+ * Pixels have two states: ON or OFF (black). Each pixel carries a palette index for its ON color
+ * (default palette: retro green P1 phosphor) and an intensity 0..1 that scales its brightness.
+ * The framebuffer is flat typed arrays; render() only repaints pixels that changed or are still fading.
+ * Drawing goes to named layers (z-ordered, each with its own clear and visibility) that are composited
+ * into the framebuffer; a display starts with one layer, 'default'.
+ * Output goes through a render backend (see renderers.js): Canvas2DRenderer by default, HeadlessRenderer for Node.
+ * An optional post-processing chain (scanlines, bloom, curvature, vignette, noise; see postfx.js) runs on the finished frame.
+ * Timed screen effects (degauss, shake, sync roll, static, flicker, tint, power on/off; see effects.js) warp, dim or
+ * tint frames while they run.
  */
 export class PixelDisplay {
-  constructor(canvas, emulatedWidth = 300, emulatedHeight = 200, displayWidth = 800, displayHeight = 600, refreshHz = 60) {
-    this.canvas = canvas;
-    this.ctx = canvas.getContext('2d');
+  /**
+   * @param {HTMLCanvasElement|null} canvas - Output canvas; may be null when options.renderer is given
+   * @param {Object} [options]
+   * @param {'fillRect'|'imageData'} [options.renderMode='fillRect'] - Canvas2DRenderer mode. 'fillRect': one ctx.fillRect per lit pixel.
+   *   'imageData': rasterize pixels, gaps and fades into an ImageData and blit it with one putImageData per frame.
+   * @param {Object} [options.renderer] - Render backend (e.g. new HeadlessRenderer()); overrides canvas and renderMode
+   * @param {string|string[]} [options.palette='green'] - Preset name (see PALETTES) or list of '#rrggbb' colors
+   * @param {string|Object} [options.decay='crt'] - Decay model name, spec ({ model, ...params }) or model; see setDecayModel
+   * @param {Array<string|Object>} [options.postProcess=[]] - Post-processing stages in order, e.g.
+   *   [{ type: 'scanlines', strength: 0.4 }, 'bloom', { type: 'vignette', strength: 0.3 }]; see setPostProcess
+   */
+  constructor(canvas, emulatedWidth = 300, emulatedHeight = 200, displayWidth = 800, displayHeight = 600, refreshHz = 60, options = {}) {
+    this.renderer = options.renderer ?? new Canvas2DRenderer(canvas, { mode: options.renderMode });
+    this.canvas = canvas ?? this.renderer.canvas ?? null;
+    this.ctx = this.renderer.ctx ?? null;
     this.emulatedWidth = emulatedWidth;
     this.emulatedHeight = emulatedHeight;
     this.displayWidth = displayWidth;
@@ -21,76 +47,135 @@ export class PixelDisplay {
     this.refreshHz = refreshHz;
     this.targetIntervalMs = 1000 / refreshHz;
 
-    // Set canvas size
-    this.canvas.width = displayWidth;
-    this.canvas.height = displayHeight;
-    
-    // Gap between pixels (1px as specified)
+    // Gap between pixels (1px as specified); device pixels per CSS pixel (see resize)
     this.gapWidth = 1;
     this.gapHeight = 1;
-    
+    this.devicePixelRatio = 1;
+
     // Calculate pixel dimensions accounting for gaps
-    this.pixelWidth = (displayWidth - (emulatedWidth - 1) * this.gapWidth) / emulatedWidth;
-    this.pixelHeight = (displayHeight - (emulatedHeight - 1) * this.gapHeight) / emulatedHeight;
-    
-    // CRT color (retro green)
-    this.onColor = CRT_ON_COLOR;
+    this._updatePixelSize();
+
+    // Where the output sits in the area last passed to resize(), in CSS pixels (non-zero x/y when letterboxed)
+    this.letterbox = { x: 0, y: 0, width: displayWidth, height: displayHeight };
+    this._stopAutoFit = null;
     
-    // Fade timing (in milliseconds)
-    this.fadeInTime = CRT_FADE_IN_MS;
-    this.fadeOutTime = CRT_FADE_OUT_MS;
+    // Phosphor palette (index -> '#rrggbb'); see setPalette. Entry 0 is onColor.
+    this.setPalette(options.palette ?? 'green');
     
-    // Pixel state: 2D array storing { state: boolean, onTimestamp: number, offTimestamp: number }
-    this.pixels = [];
-    for (let y = 0; y < emulatedHeight; y++) {
-      this.pixels[y] = [];
-      for (let x = 0; x < emulatedWidth; x++) {
-        this.pixels[y][x] = {
-          state: false,
-          onTimestamp: 0,
-          offTimestamp: 0
-        };
-      }
-    }
+    // Framebuffer: flat typed arrays indexed by y * emulatedWidth + x.
+    // state[i] is 1 (ON) or 0 (OFF); colors[i] is the palette index it lights (and fades) in;
+    // intensities[i] is its lit level 0..255 (kept after OFF for the fade-out);
+    // onTimestamps/offTimestamps hold the last transition times in ms.
+    const pixelCount = emulatedWidth * emulatedHeight;
+    this.state = new Uint8Array(pixelCount);
+    this.colors = new Uint8Array(pixelCount);
+    this.intensities = new Uint8Array(pixelCount);
+    this.onTimestamps = new Float64Array(pixelCount);
+    this.offTimestamps = new Float64Array(pixelCount);
+
+    // Dirty tracking: indices whose brightness may differ from what is on the canvas
+    // (changed since last render, or still fading). render() only revisits these.
+    this._dirtyFlags = new Uint8Array(pixelCount);
+    this._dirtyList = new Int32Array(pixelCount);
+    this._dirtyCount = 0;
+    this._needsFullRedraw = true;
+
+    // Layers, bottom to top. Drawing goes to the active layer; see addLayer.
+    this._layers = [];
+    this._layerSeq = 0;
+    this._activeLayer = null;
+    this.addLayer('default', { z: 0 });
+    this._activeLayer = this._layers[0];
+
+    // Phosphor decay: fade-in/fade-out curves and timing
+    this.decay = null;
+    this.setDecayModel(options.decay ?? 'crt');
+
+    // Post-processing chain, run by the backend at the end of each frame
+    this.postProcess = new PostProcessChain(options.postProcess ?? []);
+    this.frameTime = 0; // ms of the frame being rendered (set by render())
+
+    // Called after each render() with (display, frameTime); see addFrameListener
+    this._frameListeners = [];
+
+    // Backend sizes its output from the geometry above
+    this.renderer.attach(this);
     
     // Deterministic time for tests: when set, getTime() returns this instead of performance.now()
     this._now = undefined;
 
-    // Degauss (CRT-style) effect: no stacking, 30s cooldown
-    this.lastDegaussEndTime = 0;   // ms; 0 = never
-    this.degaussStartTime = 0;     // 0 = not running
-    this.degaussDuration = 0;      // ms for current run
-    this.degaussStrength = 0;      // 0..1 for current run
-
-    // Full-strength tuning (from constants)
-    this.DEGAUSS_COOLDOWN_MS = DEGAUSS_COOLDOWN_MS;
-    this.DEGAUSS_COOLDOWN_MIN_MS = DEGAUSS_COOLDOWN_MIN_MS;
-    this.DEGAUSS_DURATION_BASE_MS = DEGAUSS_DURATION_BASE_MS;
-    this.DEGAUSS_AMP_PX = DEGAUSS_AMP_PX;
-    this.DEGAUSS_OVERLAY_ALPHA = DEGAUSS_OVERLAY_ALPHA;
-    this.DEGAUSS_DECAY_ALPHA = DEGAUSS_DECAY_ALPHA;
-    this.DEGAUSS_FREQ_HZ = DEGAUSS_FREQ_HZ;
-    this.DEGAUSS_WAVE_K = DEGAUSS_WAVE_K;
+    // Screen effects (see effects.js): running effects in trigger order, and when each group's last run ended
+    this.effects = [];
+    this._effectEnds = new Map();
+    this._warpPos = { x: 0, y: 0 };
+    // false after powerOff() until powerOn(): the screen stays dark while drawing goes on in the framebuffer
+    this.powered = true;
+    this._darkFrame = false;
   }
   
   /**
    * Set a pixel's state (ON or OFF)
    * @param {number} x - X coordinate (0 to emulatedWidth - 1)
    * @param {number} y - Y coordinate (0 to emulatedHeight - 1)
-   * @param {boolean} state - true for ON, false for OFF
+   * @param {boolean|number} state - true for ON, false for OFF, or an intensity 0..1 (0 = OFF, >0 = ON at that level)
+   * @param {number} [color=0] - Palette index when turning ON (ignored for OFF: the pixel fades out in its last color)
    */
-  setPixel(x, y, state) {
+  setPixel(x, y, state, color = 0) {
     if (x >= 0 && x < this.emulatedWidth && y >= 0 && y < this.emulatedHeight) {
-      const pixel = this.pixels[y][x];
-      const now = this.getTime();
-      if (pixel.state !== state) {
-        pixel.state = state;
-        if (state) {
-          pixel.onTimestamp = now;
-        } else {
-          pixel.offTimestamp = now;
-        }
+      const i = y * this.emulatedWidth + x;
+      const level = typeof state === 'number'
+        ? Math.round(Math.max(0, Math.min(1, state)) * 255)
+        : (state ? 255 : 0);
+      const layer = this._activeLayer;
+      if (level > 0) {
+        layer.cells[i] = 1;
+        layer.colors[i] = color;
+        layer.levels[i] = level;
+      } else {
+        layer.cells[i] = 0;
       }
+      this._compositePixel(i);
+    }
+  }
+
+  /**
+   * Recompute framebuffer pixel i from the layers: the topmost visible layer lighting it wins;
+   * a visible layer's mask hides everything below it.
+   */
+  _compositePixel(i) {
+    const layers = this._layers;
+    for (let k = layers.length - 1; k >= 0; k--) {
+      const layer = layers[k];
+      if (!layer.visible) continue;
+      if (layer.cells[i]) {
+        this._applyPixel(i, layer.levels[i], layer.colors[i]);
+        return;
+      }
+      if (layer.mask[i]) break;
+    }
+    this._applyPixel(i, 0, 0);
+  }
+
+  /**
+   * Set framebuffer pixel i to level 0..255 (0 = OFF) in palette index color, stamping ON/OFF transitions for fades.
+   */
+  _applyPixel(i, level, color) {
+    const next = level > 0 ? 1 : 0;
+    if (this.state[i] !== next) {
+      this.state[i] = next;
+      if (next) {
+        this.onTimestamps[i] = this.getTime();
+        this.colors[i] = color;
+        this.intensities[i] = level;
+      } else {
+        this.offTimestamps[i] = this.getTime();
+      }
+      this._markDirty(i);
+    } else if (next && (this.colors[i] !== color || this.intensities[i] !== level)) {
+      // Recolor / re-level a lit pixel in place (no new fade-in)
+      this.colors[i] = color;
+      this.intensities[i] = level;
+      this._markDirty(i);
     }
   }
   
@@ -102,17 +187,552 @@ export class PixelDisplay {
    */
   getPixel(x, y) {
     if (x >= 0 && x < this.emulatedWidth && y >= 0 && y < this.emulatedHeight) {
-      return this.pixels[y][x].state;
+      return this.state[y * this.emulatedWidth + x] === 1;
     }
     return false;
   }
 
+  /**
+   * Get a pixel's intensity: its lit level 0..1 while ON, 0 while OFF (even mid fade-out).
+   * getPixel/toASCII report any intensity > 0 as ON.
+   */
+  getPixelIntensity(x, y) {
+    if (x >= 0 && x < this.emulatedWidth && y >= 0 && y < this.emulatedHeight) {
+      const i = y * this.emulatedWidth + x;
+      return this.state[i] ? this.intensities[i] / 255 : 0;
+    }
+    return 0;
+  }
+
+  /**
+   * Get a pixel's palette index (the color it is lit in, or fading out in). 0 when out of bounds.
+   */
+  getPixelColor(x, y) {
+    if (x >= 0 && x < this.emulatedWidth && y >= 0 && y < this.emulatedHeight) {
+      return this.colors[y * this.emulatedWidth + x];
+    }
+    return 0;
+  }
+
+  /**
+   * Replace the phosphor palette. Lit pixels keep their indices and are repainted in the new colors.
+   * @param {string|string[]} palette - Preset name ('green' P1, 'amber' P3, 'white' P4, 'multi') or '#rrggbb' list (max 256)
+   */
+  setPalette(palette) {
+    const colors = typeof palette === 'string' ? PALETTES[palette] : palette;
+    if (!Array.isArray(colors) || colors.length === 0 || colors.length > 256) {
+      throw new Error(`PixelDisplay.setPalette: unknown preset or invalid color list: ${palette}`);
+    }
+    const rgb = new Uint8Array(colors.length * 3);
+    colors.forEach((hex, c) => {
+      if (!/^#[0-9a-fA-F]{6}$/.test(hex)) {
+        throw new Error(`PixelDisplay.setPalette: color ${c} is not '#rrggbb': ${hex}`);
+      }
+      rgb[c * 3] = parseInt(hex.substring(1, 3), 16);
+      rgb[c * 3 + 1] = parseInt(hex.substring(3, 5), 16);
+      rgb[c * 3 + 2] = parseInt(hex.substring(5, 7), 16);
+    });
+    this.palette = colors.slice();
+    this._paletteRGB = rgb;
+    this._needsFullRedraw = true;
+  }
+
+  /**
+   * Current palette as a copy of the '#rrggbb' list.
+   */
+  getPalette() {
+    return this.palette.slice();
+  }
+
+  /**
+   * Palette entry 0 (the default ON color). Setting it replaces that entry only.
+   */
+  get onColor() {
+    return this.palette[0];
+  }
+
+  set onColor(hex) {
+    const colors = this.palette.slice();
+    colors[0] = hex;
+    this.setPalette(colors);
+  }
+
+  /**
+   * Switch the phosphor decay model; takes effect from the next render, including for pixels mid-fade.
+   * Pixels that had already faded out under the old model stay dark.
+   * @param {string|Object} model - 'crt' (default), 'exponential', 'powerLaw', 'longPersistence', 'instant',
+   *   a spec like { model: 'exponential', halfLifeMs: 40 }, or a model object (see decay.js)
+   * @param {Object} [params] - Model parameters when model is a name
+   */
+  setDecayModel(model, params) {
+    const next = createDecayModel(model, params);
+    const prev = this.decay;
+    if (prev) {
+      const now = this.getTime();
+      const n = this.state.length;
+      for (let i = 0; i < n; i++) {
+        if (!this.state[i] && !this._isFading(i, now)) this.intensities[i] = 0;
+      }
+    }
+    this.decay = next;
+    if (prev) this.invalidate();
+  }
+
+  /**
+   * The current decay model (its toJSON() is a spec setDecayModel accepts).
+   */
+  getDecayModel() {
+    return this.decay;
+  }
+
+  /** Fade-in duration in ms of the current decay model. */
+  get fadeInTime() {
+    return this.decay.fadeInMs;
+  }
+
+  /** Fade-out duration in ms of the current decay model. */
+  get fadeOutTime() {
+    return this.decay.fadeOutMs;
+  }
+
+  /**
+   * Add a named layer. Layers composite by z (higher on top; equal z: later added on top).
+   * @param {string} name
+   * @param {{ z?: number, visible?: boolean }} [options] - z defaults to just above the current top layer
+   */
+  addLayer(name, options = {}) {
+    if (this._layers.some((l) => l.name === name)) {
+      throw new Error(`PixelDisplay.addLayer: layer already exists: ${name}`);
+    }
+    const top = this._layers.length > 0 ? this._layers[this._layers.length - 1].z : -1;
+    const layer = new PixelLayer(name, this.state.length, options.z ?? top + 1, options.visible ?? true, this._layerSeq++);
+    this._layers.push(layer);
+    this._sortLayers();
+  }
+
+  /**
+   * Remove a layer (its pixels and mask stop contributing). 'default' cannot be removed.
+   * If it was the active layer, drawing goes to 'default' again.
+   */
+  removeLayer(name) {
+    const layer = this._getLayer(name, 'removeLayer');
+    if (layer.name === 'default') throw new Error('PixelDisplay.removeLayer: cannot remove the default layer');
+    this._layers = this._layers.filter((l) => l !== layer);
+    if (this._activeLayer === layer) this._activeLayer = this._layers.find((l) => l.name === 'default');
+    this._recompositeLayer(layer);
+  }
+
+  /**
+   * Layers bottom to top as { name, z, visible }.
+   */
+  getLayers() {
+    return this._layers.map((l) => ({ name: l.name, z: l.z, visible: l.visible }));
+  }
+
+  /**
+   * Make name the active layer: setPixel and every draw/clearRect helper write to it.
+   * @returns {string} The previously active layer's name
+   */
+  setLayer(name) {
+    const prev = this._activeLayer.name;
+    this._activeLayer = this._getLayer(name, 'setLayer');
+    return prev;
+  }
+
+  /** Name of the active layer. */
+  getActiveLayer() {
+    return this._activeLayer.name;
+  }
+
+  /**
+   * Run fn with name as the active layer, then restore the previous one.
+   * @returns {*} fn's return value
+   */
+  withLayer(name, fn) {
+    const prev = this.setLayer(name);
+    try {
+      return fn();
+    } finally {
+      this.setLayer(prev);
+    }
+  }
+
+  /**
+   * Show or hide a layer. Hidden layers keep their pixels; their mask hides nothing while hidden.
+   */
+  setLayerVisible(name, visible) {
+    const layer = this._getLayer(name, 'setLayerVisible');
+    if (layer.visible === !!visible) return;
+    layer.visible = !!visible;
+    this._recompositeLayer(layer);
+  }
+
+  /**
+   * Move a layer in the stack.
+   */
+  setLayerZ(name, z) {
+    const layer = this._getLayer(name, 'setLayerZ');
+    layer.z = z;
+    this._sortLayers();
+    this._recompositeLayer(layer);
+  }
+
+  /**
+   * Turn off every pixel of one layer (lower layers show through again). The layer's mask is kept.
+   */
+  clearLayer(name) {
+    const layer = this._getLayer(name, 'clearLayer');
+    const cells = layer.cells;
+    for (let i = 0; i < cells.length; i++) {
+      if (cells[i]) {
+        cells[i] = 0;
+        this._compositePixel(i);
+      }
+    }
+  }
+
+  /**
+   * Mask (or unmask) rectangle [x..x+w)[y..y+h) of a layer: where masked and the layer is visible, layers
+   * below never show, lit or not. Use it to keep regions such as a court line free of lower-layer drawing.
+   * Masks are layer setup: clear() and clearLayer() keep them.
+   */
+  setLayerMask(name, x, y, w, h, masked = true) {
+    const layer = this._getLayer(name, 'setLayerMask');
+    const x0 = Math.max(0, Math.floor(x));
+    const y0 = Math.max(0, Math.floor(y));
+    const x1 = Math.min(this.emulatedWidth, x0 + Math.max(0, Math.floor(w)));
+    const y1 = Math.min(this.emulatedHeight, y0 + Math.max(0, Math.floor(h)));
+    const value = masked ? 1 : 0;
+    for (let py = y0; py < y1; py++) {
+      for (let px = x0; px < x1; px++) {
+        const i = py * this.emulatedWidth + px;
+        if (layer.mask[i] === value) continue;
+        layer.mask[i] = value;
+        this._compositePixel(i);
+      }
+    }
+  }
+
+  /**
+   * Remove a layer's whole mask.
+   */
+  clearLayerMask(name) {
+    const layer = this._getLayer(name, 'clearLayerMask');
+    const mask = layer.mask;
+    for (let i = 0; i < mask.length; i++) {
+      if (mask[i]) {
+        mask[i] = 0;
+        this._compositePixel(i);
+      }
+    }
+  }
+
+  /**
+   * Whether a layer lights pixel (x, y) itself (regardless of visibility or what covers it).
+   */
+  getLayerPixel(name, x, y) {
+    const layer = this._getLayer(name, 'getLayerPixel');
+    if (x >= 0 && x < this.emulatedWidth && y >= 0 && y < this.emulatedHeight) {
+      return layer.cells[y * this.emulatedWidth + x] === 1;
+    }
+    return false;
+  }
+
+  _getLayer(name, method) {
+    const layer = this._layers.find((l) => l.name === name);
+    if (!layer) throw new Error(`PixelDisplay.${method}: unknown layer: ${name}`);
+    return layer;
+  }
+
+  _sortLayers() {
+    this._layers.sort((a, b) => (a.z - b.z) || (a.order - b.order));
+  }
+
+  /** Recomposite every pixel a layer lights or masks (after it moved, changed visibility or was removed). */
+  _recompositeLayer(layer) {
+    for (let i = 0; i < layer.cells.length; i++) {
+      if (layer.touches(i)) this._compositePixel(i);
+    }
+  }
+
+  /**
+   * Replace the post-processing chain. Stages run in the given order; [] turns post-processing off.
+   * @param {Array<string|Object>} stages - Stage types ('scanlines', 'bloom', 'curvature', 'vignette', 'noise'),
+   *   specs like { type: 'bloom', strength: 0.4, radius: 2 }, or stages (see postfx.js)
+   */
+  setPostProcess(stages) {
+    const wasOn = this.postProcess.length > 0;
+    this.postProcess = new PostProcessChain(stages);
+    this._postProcessChanged(wasOn);
+  }
+
+  /**
+   * Configure one stage: update the existing stage of this type (e.g. its strength) or append it to the chain.
+   * @param {string} type - Stage type
+   * @param {Object} [params] - { strength, enabled, ...stage params }
+   * @returns {Object} The stage
+   */
+  setPostStage(type, params) {
+    const wasOn = this.postProcess.length > 0;
+    const stage = this.postProcess.set(type, params);
+    this._postProcessChanged(wasOn);
+    return stage;
+  }
+
+  /**
+   * The post-processing chain (stages can also be tuned directly, e.g. getPostProcess().get('bloom').strength = 0.2).
+   */
+  getPostProcess() {
+    return this.postProcess;
+  }
+
+  /**
+   * Backends pick their raster path from whether post-processing is on; re-attach when that flips.
+   */
+  _postProcessChanged(wasOn) {
+    if (wasOn !== (this.postProcess.length > 0)) this.renderer.attach(this);
+    this.invalidate();
+  }
+
+  /**
+   * Resize the output to width × height CSS pixels, recomputing pixel and gap sizes. The canvas gets
+   * width × height × devicePixelRatio device pixels (displayWidth × displayHeight) and a CSS size of width × height;
+   * gaps are whole device pixels so they stay crisp on high-DPI screens, and at least one: the renderers paint each
+   * cell over its own device pixels, which touching cells would share.
+   * @param {number} width - CSS pixels
+   * @param {number} height - CSS pixels
+   * @param {Object} [options]
+   * @param {number} [options.devicePixelRatio=1] - Device pixels per CSS pixel (window.devicePixelRatio)
+   * @param {boolean} [options.letterbox=false] - Use the largest size with square pixels (the emulated aspect ratio)
+   *   that fits, centered in width × height by the canvas margins
+   * @param {number} [options.gap=1] - Gap between pixels in CSS pixels (rounded to whole device pixels, at least one)
+   * @returns {{ x: number, y: number, width: number, height: number }} The output's rect in width × height (CSS pixels)
+   */
+  resize(width, height, options = {}) {
+    const dpr = options.devicePixelRatio ?? 1;
+    const gapCss = options.gap ?? 1;
+    if (!(width > 0 && height > 0 && Number.isFinite(width) && Number.isFinite(height))) {
+      throw new RangeError(`PixelDisplay.resize: size must be positive, got ${width}x${height}`);
+    }
+    if (!(dpr > 0 && Number.isFinite(dpr))) {
+      throw new RangeError(`PixelDisplay.resize: devicePixelRatio must be positive, got ${dpr}`);
+    }
+    if (!(gapCss > 0)) throw new RangeError(`PixelDisplay.resize: gap must be positive, got ${gapCss}`);
+    const gap = Math.max(1, Math.round(gapCss * dpr));
+    const ew = this.emulatedWidth;
+    const eh = this.emulatedHeight;
+    let w = Math.round(width * dpr);
+    let h = Math.round(height * dpr);
+    if (options.letterbox) {
+      const size = Math.min((w - (ew - 1) * gap) / ew, (h - (eh - 1) * gap) / eh);
+      w = Math.round(ew * size + (ew - 1) * gap);
+      h = Math.round(eh * size + (eh - 1) * gap);
+    }
+    if (w - (ew - 1) * gap <= 0 || h - (eh - 1) * gap <= 0) {
+      throw new RangeError(`PixelDisplay.resize: ${width}x${height} is too small for ${ew}x${eh} pixels with ${gap}px gaps`);
+    }
+
+    this.displayWidth = w;
+    this.displayHeight = h;
+    this.devicePixelRatio = dpr;
+    this.gapWidth = gap;
+    this.gapHeight = gap;
+    this._updatePixelSize();
+    const cssWidth = w / dpr;
+    const cssHeight = h / dpr;
+    this.letterbox = { x: (width - cssWidth) / 2, y: (height - cssHeight) / 2, width: cssWidth, height: cssHeight };
+
+    // Backend resizes the canvas and its buffers
+    this.renderer.attach(this);
+    const style = this.canvas && this.canvas.style;
+    if (style) {
+      style.width = `${cssWidth}px`;
+      style.height = `${cssHeight}px`;
+      if (options.letterbox) style.margin = `${Math.floor(this.letterbox.y)}px ${Math.floor(this.letterbox.x)}px`;
+    }
+    this.invalidate();
+    return { ...this.letterbox };
+  }
+
+  /**
+   * Keep the output letterboxed to fill an element (or the window) at the screen's devicePixelRatio:
+   * resize now, then again whenever the window resizes (or zooms) or a ResizeObserver sees the element change.
+   * Sizes too small for the emulated pixels are skipped.
+   * @param {HTMLElement|Window|false} [target=window] - false stops following
+   * @param {Object} [options] - resize() options (gap)
+   * @returns {Function} Stops following
+   */
+  autoFit(target = globalThis.window, options = {}) {
+    if (this._stopAutoFit) this._stopAutoFit();
+    if (!target) return () => {};
+    const win = globalThis.window;
+    const fit = () => {
+      const isWindow = target === win;
+      const width = isWindow ? target.innerWidth : target.clientWidth;
+      const height = isWindow ? target.innerHeight : target.clientHeight;
+      try {
+        this.resize(width, height, { ...options, devicePixelRatio: win?.devicePixelRatio ?? 1, letterbox: true });
+      } catch (e) {
+        if (!(e instanceof RangeError)) throw e;
+      }
+    };
+    fit();
+    if (win) win.addEventListener('resize', fit);
+    let observer = null;
+    if (target !== win && typeof ResizeObserver === 'function') {
+      observer = new ResizeObserver(fit);
+      observer.observe(target);
+    }
+    const stop = () => {
+      if (win) win.removeEventListener('resize', fit);
+      if (observer) observer.disconnect();
+      if (this._stopAutoFit === stop) this._stopAutoFit = null;
+    };
+    this._stopAutoFit = stop;
+    return stop;
+  }
+
+  /**
+   * Whether the page is in fullscreen.
+   */
+  isFullscreen() {
+    return typeof document !== 'undefined' && !!document.fullscreenElement;
+  }
+
+  /**
+   * Enter or leave fullscreen with the canvas's parent element (or the given element); with autoFit on,
+   * the output refits to the screen.
+   * @param {boolean} [on] - Default: toggle
+   * @param {HTMLElement} [element] - Element to show fullscreen (default: the canvas's parent)
+   * @returns {Promise<boolean>} Whether fullscreen is on afterwards
+   */
+  toggleFullscreen(on = !this.isFullscreen(), element = this.canvas && (this.canvas.parentElement ?? this.canvas)) {
+    if (typeof document === 'undefined' || !element || typeof element.requestFullscreen !== 'function') {
+      return Promise.resolve(false);
+    }
+    if (on === this.isFullscreen()) return Promise.resolve(on);
+    const request = on ? element.requestFullscreen() : document.exitFullscreen();
+    return Promise.resolve(request).then(() => this.isFullscreen(), () => this.isFullscreen());
+  }
+
+  /**
+   * Emulated pixel under a client (viewport) point, e.g. a mouse or touch event's clientX/clientY.
+   * Uses the canvas's on-screen rect, so CSS scaling and object-fit: contain letterboxing are accounted for;
+   * points in a gap count for the nearer pixel. While effects warp the picture (degauss, shake...), returns the pixel
+   * shown there in the last rendered frame; hit-testing leaves the effects as they are.
+   * @param {number} clientX
+   * @param {number} clientY
+   * @returns {{ x: number, y: number } | null} null when the point is outside the screen or shows no pixel
+   */
+  clientToPixel(clientX, clientY) {
+    const view = this._screenRect();
+    const dx = ((clientX - view.left) / view.width) * this.displayWidth;
+    const dy = ((clientY - view.top) / view.height) * this.displayHeight;
+    if (!(dx >= 0 && dx < this.displayWidth && dy >= 0 && dy < this.displayHeight)) return null;
+    const stepX = this.pixelWidth + this.gapWidth;
+    const stepY = this.pixelHeight + this.gapHeight;
+    let x = Math.max(0, Math.min(this.emulatedWidth - 1, Math.floor((dx + this.gapWidth / 2) / stepX)));
+    let y = Math.max(0, Math.min(this.emulatedHeight - 1, Math.floor((dy + this.gapHeight / 2) / stepY)));
+    const fx = this._effectFrame(this.frameTime, false);
+    if (fx && fx.warps.length > 0) {
+      const src = this._effectSource(x, y, fx);
+      if (src < 0) return null;
+      x = src % this.emulatedWidth;
+      y = (src - x) / this.emulatedWidth;
+    }
+    return { x, y };
+  }
+
+  /**
+   * Client (viewport) coordinates of the center of emulated pixel (x, y); the inverse of clientToPixel
+   * (ignoring effects).
+   * @returns {{ x: number, y: number } | null} null when (x, y) is off the display
+   */
+  pixelToClient(x, y) {
+    const px = Math.floor(x);
+    const py = Math.floor(y);
+    if (px < 0 || px >= this.emulatedWidth || py < 0 || py >= this.emulatedHeight) return null;
+    const view = this._screenRect();
+    const dx = px * (this.pixelWidth + this.gapWidth) + this.pixelWidth / 2;
+    const dy = py * (this.pixelHeight + this.gapHeight) + this.pixelHeight / 2;
+    return {
+      x: view.left + (dx / this.displayWidth) * view.width,
+      y: view.top + (dy / this.displayHeight) * view.height
+    };
+  }
+
+  /**
+   * Client rect the output is drawn in: the canvas's bounding rect, narrowed to the letterboxed picture when
+   * the canvas uses object-fit: contain. Without a DOM canvas, the CSS size at the origin.
+   */
+  _screenRect() {
+    const canvas = this.canvas;
+    if (!canvas || typeof canvas.getBoundingClientRect !== 'function') {
+      return { left: 0, top: 0, width: this.displayWidth / this.devicePixelRatio, height: this.displayHeight / this.devicePixelRatio };
+    }
+    const rect = canvas.getBoundingClientRect();
+    const view = { left: rect.left, top: rect.top, width: rect.width, height: rect.height };
+    const fit = typeof getComputedStyle === 'function' ? getComputedStyle(canvas).objectFit : canvas.style?.objectFit;
+    if (fit === 'contain') {
+      const scale = Math.min(rect.width / this.displayWidth, rect.height / this.displayHeight);
+      view.width = this.displayWidth * scale;
+      view.height = this.displayHeight * scale;
+      view.left += (rect.width - view.width) / 2;
+      view.top += (rect.height - view.height) / 2;
+    }
+    return view;
+  }
+
+  /** Recompute pixel size from the output size, emulated size and gaps. */
+  _updatePixelSize() {
+    this.pixelWidth = (this.displayWidth - (this.emulatedWidth - 1) * this.gapWidth) / this.emulatedWidth;
+    this.pixelHeight = (this.displayHeight - (this.emulatedHeight - 1) * this.gapHeight) / this.emulatedHeight;
+  }
+
+  /**
+   * Get a snapshot of a pixel's state and fade timestamps (for calculateBrightness, tests, tooling).
+   * @returns {{ state: boolean, color: number, intensity: number, onTimestamp: number, offTimestamp: number } | null}
+   *   null when out of bounds; intensity is the lit (or fading-from) level 0..1
+   */
+  getPixelInfo(x, y) {
+    if (x >= 0 && x < this.emulatedWidth && y >= 0 && y < this.emulatedHeight) {
+      const i = y * this.emulatedWidth + x;
+      return {
+        state: this.state[i] === 1,
+        color: this.colors[i],
+        intensity: this.intensities[i] / 255,
+        onTimestamp: this.onTimestamps[i],
+        offTimestamp: this.offTimestamps[i]
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Queue pixel index i for the next render (no-op if already queued).
+   */
+  _markDirty(i) {
+    if (this._dirtyFlags[i] === 0) {
+      this._dirtyFlags[i] = 1;
+      this._dirtyList[this._dirtyCount++] = i;
+    }
+  }
+
+  /**
+   * Force the next render() to repaint every pixel (e.g. after the canvas was resized or drawn over).
+   */
+  invalidate() {
+    this._needsFullRedraw = true;
+  }
+
   /**
    * Set deterministic time for tests. When set, getTime() returns this instead of performance.now().
    * @param {number} nowMs - Time in milliseconds, or undefined to use real time again
    */
   setTime(nowMs) {
     this._now = nowMs;
+    // Effects that ran out by then end now, even without a render() (e.g. powerOff's promise settles)
+    if (nowMs !== undefined) this._endFinishedEffects(nowMs);
   }
 
   /**
@@ -135,7 +755,7 @@ export class PixelDisplay {
     for (let py = y0; py < y1; py++) {
       let row = '';
       for (let px = x0; px < x1; px++) {
-        row += this.pixels[py][px].state ? '#' : '.';
+        row += this.state[py * this.emulatedWidth + px] ? '#' : '.';
       }
       rows.push(row);
     }
@@ -144,7 +764,7 @@ export class PixelDisplay {
 
   /**
    * Return 2D array of pixel state (boolean) for region [x..x+w)[y..y+h). Clamps to bounds.
-   * @returns {boolean[][]} [py][px] = pixels[y0+py][x0+px].state
+   * @returns {boolean[][]} [py][px] = getPixel(x0+px, y0+py)
    */
   getPixelRegion(x, y, w, h) {
     const x0 = Math.max(0, Math.min(x, this.emulatedWidth));
@@ -155,163 +775,857 @@ export class PixelDisplay {
     for (let py = y0; py < y1; py++) {
       const row = [];
       for (let px = x0; px < x1; px++) {
-        row.push(this.pixels[py][px].state);
+        row.push(this.state[py * this.emulatedWidth + px] === 1);
       }
       out.push(row);
     }
     return out;
   }
 
+  /**
+   * Write ASCII art (the toASCII format) at (x, y) on the active layer: '#' turns a pixel ON, '.' turns it OFF.
+   * Rows are newline-separated and may differ in length; pixels past the display are skipped.
+   * @param {string} str
+   * @param {number} [x=0]
+   * @param {number} [y=0]
+   * @param {Object} [options] - { color, intensity } for the ON pixels
+   * @returns {{ width: number, height: number }} Size of the art
+   */
+  fromASCII(str, x = 0, y = 0, options = {}) {
+    if (typeof str !== 'string') throw new Error(`PixelDisplay.fromASCII: expected a string, got ${typeof str}`);
+    const lines = str.split(/\r?\n/);
+    if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+    let width = 0;
+    lines.forEach((line, r) => {
+      const bad = line.search(/[^#.]/);
+      if (bad !== -1) {
+        throw new Error(`PixelDisplay.fromASCII: bad character ${JSON.stringify(line[bad])} at row ${r}, column ${bad} (expected '#' or '.')`);
+      }
+      width = Math.max(width, line.length);
+      for (let c = 0; c < line.length; c++) {
+        this.setPixel(x + c, y + r, line[c] === '#' ? (options.intensity ?? 1) : false, options.color ?? 0);
+      }
+    });
+    return { width, height: width === 0 ? 0 : lines.length };
+  }
+
+  /**
+   * Export region [x..x+w)[y..y+h) (default: the whole display) as a PBM image; ON pixels are black.
+   * @param {Object} [options]
+   * @param {number} [options.x=0]
+   * @param {number} [options.y=0]
+   * @param {number} [options.width] - Defaults to the rest of the display
+   * @param {number} [options.height]
+   * @param {boolean} [options.plain=false] - P1 text instead of P4 bytes
+   * @returns {Uint8Array|string}
+   */
+  toPBM(options = {}) {
+    const x = options.x ?? 0;
+    const y = options.y ?? 0;
+    const w = options.width ?? this.emulatedWidth - x;
+    const h = options.height ?? this.emulatedHeight - y;
+    const region = this.getPixelRegion(x, y, w, h);
+    if (region.length === 0 || region[0].length === 0) {
+      throw new RangeError(`PixelDisplay.toPBM: region ${w}x${h} at ${x},${y} is empty or outside the display`);
+    }
+    return encodePBM(region, { plain: options.plain });
+  }
+
+  /**
+   * Write a PBM image (P1 or P4) at (x, y) on the active layer: black pixels ON, white pixels OFF.
+   * @param {string|Uint8Array|ArrayBuffer} data
+   * @param {number} [x=0]
+   * @param {number} [y=0]
+   * @param {Object} [options] - { color, intensity } for the ON pixels
+   * @returns {{ width: number, height: number }} Size of the image
+   */
+  fromPBM(data, x = 0, y = 0, options = {}) {
+    const pattern = parsePBM(data);
+    this.blit(pattern, x, y, { mode: 'opaque', color: options.color, intensity: options.intensity });
+    return { width: pattern[0].length, height: pattern.length };
+  }
+
+  /**
+   * Copy of the framebuffer (state, colors, intensities, ON/OFF timestamps) and every layer, for restore().
+   * The copy is independent of later drawing; palette, decay model and effects are not included.
+   * @returns {Object}
+   */
+  snapshot() {
+    return {
+      width: this.emulatedWidth,
+      height: this.emulatedHeight,
+      time: this.getTime(),
+      state: this.state.slice(),
+      colors: this.colors.slice(),
+      intensities: this.intensities.slice(),
+      onTimestamps: this.onTimestamps.slice(),
+      offTimestamps: this.offTimestamps.slice(),
+      layers: this._layers.map((l) => ({
+        name: l.name,
+        z: l.z,
+        visible: l.visible,
+        order: l.order,
+        cells: l.cells.slice(),
+        colors: l.colors.slice(),
+        levels: l.levels.slice(),
+        mask: l.mask.slice()
+      })),
+      activeLayer: this._activeLayer.name
+    };
+  }
+
+  /**
+   * Put back a snapshot() of a display the same size. Timestamps are shifted by the time elapsed since the
+   * snapshot, so fades resume exactly where they were; pass { rebase: false } to keep them as recorded.
+   * @param {Object} snapshot
+   * @param {Object} [options]
+   * @param {boolean} [options.rebase=true]
+   */
+  restore(snapshot, options = {}) {
+    if (!snapshot || !snapshot.state || !Array.isArray(snapshot.layers)) {
+      throw new Error('PixelDisplay.restore: not a snapshot (expected the object returned by snapshot())');
+    }
+    if (snapshot.width !== this.emulatedWidth || snapshot.height !== this.emulatedHeight) {
+      throw new Error(`PixelDisplay.restore: snapshot is ${snapshot.width}x${snapshot.height}, display is ${this.emulatedWidth}x${this.emulatedHeight}`);
+    }
+    const n = this.state.length;
+    this.state.set(snapshot.state);
+    this.colors.set(snapshot.colors);
+    this.intensities.set(snapshot.intensities);
+    const delta = options.rebase === false ? 0 : this.getTime() - snapshot.time;
+    for (let i = 0; i < n; i++) {
+      // 0 means "never"; keep it, and keep shifted times positive so they still count as set
+      const on = snapshot.onTimestamps[i];
+      const off = snapshot.offTimestamps[i];
+      this.onTimestamps[i] = on > 0 ? Math.max(Number.MIN_VALUE, on + delta) : on;
+      this.offTimestamps[i] = off > 0 ? Math.max(Number.MIN_VALUE, off + delta) : off;
+    }
+    this._layers = snapshot.layers.map((saved) => {
+      const layer = new PixelLayer(saved.name, n, saved.z, saved.visible, saved.order);
+      layer.cells.set(saved.cells);
+      layer.colors.set(saved.colors);
+      layer.levels.set(saved.levels);
+      layer.mask.set(saved.mask);
+      return layer;
+    });
+    this._sortLayers();
+    this._layerSeq = Math.max(this._layerSeq, ...this._layers.map((l) => l.order + 1));
+    this._activeLayer = this._layers.find((l) => l.name === snapshot.activeLayer) ??
+      this._layers.find((l) => l.name === 'default');
+    // The full redraw repaints everything and re-queues whatever is still fading
+    this.invalidate();
+  }
+
+  /**
+   * Start a screen effect (see effects.js): degauss, shake, syncRoll, static, flicker, tint, powerOff, powerOn or a
+   * registered one.
+   * Its stacking mode and cooldown policy decide whether and how strongly it runs.
+   * @param {string|Object|ScreenEffect} effect - Name, spec ({ effect: 'shake', ampPx: 4 }) or an effect instance
+   * @param {Object} [params] - Effect parameters when effect is a name
+   * @returns {ScreenEffect|null} The running effect, or null when stacking or the cooldown suppressed it
+   */
+  triggerEffect(effect, params) {
+    const now = this.getTime();
+    const e = createScreenEffect(effect, params);
+    this._endFinishedEffects(now);
+    const running = this.effects.filter((r) => r.group === e.group && r.isRunning(now));
+    if (running.length > 0 && e.stacking === 'exclusive') return null;
+    const lastEnd = this._effectEnds.get(e.group);
+    if (running.length > 0 && e.stacking === 'restart') this._endEffects(running, now, false);
+    if (!e.start(now, lastEnd === undefined ? Infinity : now - lastEnd)) {
+      if (e.cooldown.restartOnSkip) this._effectEnds.set(e.group, now);
+      return null;
+    }
+    this.effects.push(e);
+    return e;
+  }
+
+  /**
+   * End running effects now (their cooldowns start now).
+   * @param {string} [name] - Effect name or group; all effects when omitted
+   * @returns {number} How many were stopped
+   */
+  stopEffect(name) {
+    const matching = this.effects.filter((e) => name === undefined || e.name === name || e.group === name);
+    this._endEffects(matching, this.getTime(), false);
+    return matching.length;
+  }
+
   /**
    * Trigger CRT-style degauss: wobble and color distortion.
    * No stacking (ignored while running). 30s cooldown scales effect:
    * at 1s after last end: no visible; at 30s: full. Exponential curve.
    */
   degauss() {
-    const now = this.getTime();
+    this.triggerEffect('degauss');
+  }
 
-    // No stacking: ignore if animation still running
-    if (this.degaussStartTime !== 0 && (now - this.degaussStartTime) < this.degaussDuration) {
-      return;
+  /**
+   * CRT power-off: the picture collapses into a horizontal line, then a center dot that fades out. The screen stays
+   * dark until powerOn(); drawing still goes to the framebuffer meanwhile.
+   * The sequence ends on time whether or not render() keeps running: a timer ends it on the real clock, setTime()
+   * past its end on a fixed one. Only render() shows it, though.
+   * @param {Object} [options] - powerOff effect params (durationMs, collapse, shrink; see effects.js) and
+   *   onDone(completed), called when the sequence ends
+   * @returns {Promise<boolean>} Resolves when the sequence ends: true when it played out, false when it was cut
+   *   short (by powerOn or stopEffect)
+   */
+  powerOff(options = {}) {
+    const { onDone, ...params } = options;
+    if (!this.powered) {
+      if (onDone) onDone(true);
+      return Promise.resolve(true);
     }
+    return this._playPowerEffect('powerOff', params, onDone, () => { this.powered = false; });
+  }
 
-    // Cooldown strength: elapsed since last end; treat "never" as full cooldown
-    const elapsed = this.lastDegaussEndTime === 0
-      ? this.DEGAUSS_COOLDOWN_MS
-      : now - this.lastDegaussEndTime;
-    const x = Math.max(0, Math.min(1,
-      (elapsed - this.DEGAUSS_COOLDOWN_MIN_MS) /
-      (this.DEGAUSS_COOLDOWN_MS - this.DEGAUSS_COOLDOWN_MIN_MS)
-    ));
-    const strength = Math.pow(x, 1.5);
+  /**
+   * CRT power-on: a bright line opens up into the picture, which warms up to full brightness. Turns the screen on
+   * (cutting a running powerOff short); also works as a transition on a screen that is already on. Ends on time
+   * without render() as powerOff() does.
+   * @param {Object} [options] - powerOn effect params (durationMs, line, expand, warmLevel, color, glowAlpha) and
+   *   onDone(completed)
+   * @returns {Promise<boolean>} Resolves when the sequence ends: true when it played out, false when it was cut short
+   */
+  powerOn(options = {}) {
+    const { onDone, ...params } = options;
+    const done = this._playPowerEffect('powerOn', params, onDone, null);
+    this.powered = true;
+    return done;
+  }
 
-    // No visible run: advance cooldown and return
-    if (strength < 0.01) {
-      this.lastDegaussEndTime = now;
-      return;
-    }
+  _playPowerEffect(name, params, onDone, onComplete) {
+    const effect = this.triggerEffect(name, params);
+    return new Promise((resolve) => {
+      const finish = (completed) => {
+        if (completed && onComplete) onComplete();
+        if (onDone) onDone(completed);
+        resolve(completed);
+      };
+      if (effect) {
+        effect.onEnd = (e, endTime, completed) => finish(completed);
+        this._endEffectOnTime(effect);
+      } else {
+        finish(false);
+      }
+    });
+  }
+
+  /**
+   * On the real clock, end a running effect at its end time even when no render() comes (loop stopped, page
+   * hidden, headless); a fixed clock (setTime) ends it when set past the end.
+   */
+  _endEffectOnTime(effect) {
+    if (this._now !== undefined || typeof setTimeout !== 'function') return;
+    const check = () => {
+      if (!this.effects.includes(effect)) return;
+      const now = this.getTime();
+      if (effect.isRunning(now)) setTimeout(check, effect.startTime + effect.durationMs - now + 1);
+      else this._endFinishedEffects(now);
+    };
+    setTimeout(check, effect.durationMs + 1);
+  }
 
-    this.degaussStartTime = now;
-    this.degaussDuration = this.DEGAUSS_DURATION_BASE_MS * strength;
-    this.degaussStrength = strength;
+  /** Start time (ms) of the degauss run, or 0 when none is running. */
+  get degaussStartTime() {
+    const e = this.effects.find((r) => r.name === 'degauss');
+    return e ? e.startTime : 0;
+  }
+
+  /** Duration (ms) of the degauss run (shorter after a recent one), or 0. */
+  get degaussDuration() {
+    const e = this.effects.find((r) => r.name === 'degauss');
+    return e ? e.durationMs : 0;
+  }
+
+  /** Strength 0..1 of the degauss run, or 0. */
+  get degaussStrength() {
+    const e = this.effects.find((r) => r.name === 'degauss');
+    return e ? e.strength : 0;
+  }
+
+  /** When the last degauss run ended (ms); 0 = never. */
+  get lastDegaussEndTime() {
+    return this._effectEnds.get('degauss') ?? 0;
+  }
+
+  /** End the effects that ran out by now, each at its own end time (no render() saw them end). */
+  _endFinishedEffects(now) {
+    for (const r of this.effects.filter((r) => !r.isRunning(now))) this._endEffects([r], r.startTime + r.durationMs, true);
+  }
+
+  _endEffects(list, now, completed) {
+    if (list.length === 0) return;
+    for (const e of list) this._effectEnds.set(e.group, now);
+    this.effects = this.effects.filter((e) => !list.includes(e));
+    for (const e of list) e.end(now, completed);
+  }
+
+  /**
+   * Draw a 2D pattern. pattern[py][px]: 1=on, 0=skip, fraction in (0,1) = on at that intensity (shaded sprites).
+   * Scale: output size cols*scale × rows*scale. Supports fractional scale for smooth zoom (e.g. countdown).
+   * color: palette index for lit pixels; intensity scales every lit pixel. For clipping, flips, rotation
+   * and the other draw modes, use blit().
+   */
+  drawPattern(pattern, x, y, scale = 1, color = 0, intensity = 1) {
+    this.blit(pattern, x, y, { scale: Math.max(1, scale), color, intensity });
   }
 
   /**
-   * Draw a 2D pattern. pattern[py][px]: 1=on, 0=skip. Scale: output size cols*scale × rows*scale.
-   * Supports fractional scale for smooth zoom (e.g. countdown).
+   * Draw a sprite (a pattern as in drawPattern) on the active layer at (x, y), its top-left after transforms.
+   * The pattern is flipped first, then rotated clockwise, then scaled (nearest neighbour; scale may be < 1).
+   * Modes (what a sprite cell does to the active layer):
+   *   'transparent' (default)  lit cells set pixels ON; 0 cells leave them alone
+   *   'opaque'                 lit cells set pixels ON; 0 cells set them OFF
+   *   'xor'                    lit cells invert pixels (OFF -> ON at the cell's intensity, ON -> OFF)
+   *   'erase'                  lit cells set pixels OFF
+   * @param {Array<Array<number|boolean>>} pattern
+   * @param {number} x
+   * @param {number} y
+   * @param {Object} [options]
+   * @param {number} [options.scale=1] - Output size is ceil(cols*scale) × ceil(rows*scale) (after rotation)
+   * @param {boolean} [options.blocks=false] - Draw each cell as a ceil(scale) square at its scaled position instead
+   *   of sampling; at fractional scales neighbouring blocks overlap, giving evenly bold strokes
+   * @param {{x:number, y:number, width:number, height:number}} [options.clip] - Only draw inside this rect
+   * @param {boolean} [options.flipH=false] - Mirror left-right
+   * @param {boolean} [options.flipV=false] - Mirror top-bottom
+   * @param {0|90|180|270} [options.rotate=0] - Clockwise rotation in degrees
+   * @param {'transparent'|'opaque'|'xor'|'erase'} [options.mode='transparent']
+   * @param {number} [options.color=0] - Palette index for lit pixels
+   * @param {number} [options.intensity=1] - Scales every lit pixel
    */
-  drawPattern(pattern, x, y, scale = 1) {
-    const s = Math.max(1, scale);
+  blit(pattern, x, y, options = {}) {
+    const scale = options.scale ?? 1;
+    const rotate = options.rotate ?? 0;
+    const mode = options.mode ?? 'transparent';
+    const color = options.color ?? 0;
+    const intensity = options.intensity ?? 1;
+    if (!(scale > 0) || !Number.isFinite(scale)) {
+      throw new RangeError(`PixelDisplay.blit: scale must be a positive number, got ${scale}`);
+    }
+    if (rotate !== 0 && rotate !== 90 && rotate !== 180 && rotate !== 270) {
+      throw new RangeError(`PixelDisplay.blit: rotate must be 0, 90, 180 or 270, got ${rotate}`);
+    }
+    if (!BLIT_MODES.includes(mode)) {
+      throw new Error(`PixelDisplay.blit: unknown mode: ${mode} (expected one of ${BLIT_MODES.join(', ')})`);
+    }
     const rows = pattern.length;
     if (rows === 0) return;
     const cols = pattern[0]?.length ?? 0;
     if (cols === 0) return;
-    const outW = Math.max(1, Math.ceil(cols * s));
-    const outH = Math.max(1, Math.ceil(rows * s));
+
+    const [cx0, cy0, cx1, cy1] = this._clipBounds(options.clip);
+    if (cx0 >= cx1 || cy0 >= cy1) return;
+
+    const turned = rotate === 90 || rotate === 270;
+    const w = turned ? rows : cols;
+    const h = turned ? cols : rows;
+    // Level 0..1 of cell (u, v) of the flipped and rotated sprite
+    const levelAt = (u, v) => {
+      let r, c;
+      if (rotate === 0) { r = v; c = u; }
+      else if (rotate === 90) { r = rows - 1 - u; c = v; }
+      else if (rotate === 180) { r = rows - 1 - v; c = cols - 1 - u; }
+      else { r = u; c = cols - 1 - v; }
+      if (options.flipV) r = rows - 1 - r;
+      if (options.flipH) c = cols - 1 - c;
+      const row = pattern[r];
+      if (!Array.isArray(row)) return 0;
+      const cell = row[c];
+      return cell === true ? 1 : (typeof cell === 'number' && cell > 0 ? Math.min(1, cell) : 0);
+    };
+    const cells = this._activeLayer.cells;
+    const plot = (px, py, level) => {
+      if (px < cx0 || px >= cx1 || py < cy0 || py >= cy1) return;
+      if (level === 0) {
+        if (mode === 'opaque') this.setPixel(px, py, false);
+      } else if (mode === 'erase' || (mode === 'xor' && cells[py * this.emulatedWidth + px])) {
+        this.setPixel(px, py, false);
+      } else {
+        this.setPixel(px, py, level * intensity, color);
+      }
+    };
+
+    if (options.blocks) {
+      const n = Math.ceil(scale);
+      for (let v = 0; v < h; v++) {
+        for (let u = 0; u < w; u++) {
+          const level = levelAt(u, v);
+          if (level === 0 && mode !== 'opaque') continue;
+          for (let by = 0; by < n; by++) {
+            for (let bx = 0; bx < n; bx++) {
+              plot(Math.floor(x + u * scale + bx), Math.floor(y + v * scale + by), level);
+            }
+          }
+        }
+      }
+      return;
+    }
+    const outW = Math.max(1, Math.ceil(w * scale));
+    const outH = Math.max(1, Math.ceil(h * scale));
     for (let oy = 0; oy < outH; oy++) {
-      const srcRow = Math.min(rows - 1, Math.floor(oy / s));
-      const r = pattern[srcRow];
-      if (!r || !Array.isArray(r)) continue;
+      const v = Math.min(h - 1, Math.floor(oy / scale));
       for (let ox = 0; ox < outW; ox++) {
-        const srcCol = Math.min(cols - 1, Math.floor(ox / s));
-        if (r[srcCol] === 1 || r[srcCol] === true) {
-          this.setPixel(Math.floor(x + ox), Math.floor(y + oy), true);
-        }
+        plot(Math.floor(x + ox), Math.floor(y + oy), levelAt(Math.min(w - 1, Math.floor(ox / scale)), v));
       }
     }
   }
 
   /**
    * Draw 1px outline of rectangle (x,y,w,h): top, bottom, left, right edges.
-   * options.preserve(px, py) => true to skip that pixel (e.g. court).
+   * options.preserve(px, py) => true to skip that pixel (e.g. court). options.color: palette index (default 0).
+   * options.intensity: 0..1 (default 1).
    */
   drawRectOutline(x, y, w, h, options = {}) {
     const x0 = Math.floor(x), y0 = Math.floor(y);
     const x1 = Math.floor(x + w) - 1, y1 = Math.floor(y + h) - 1;
     const preserve = options.preserve;
+    const color = options.color ?? 0;
+    const on = options.intensity ?? 1;
     const skip = (px, py) => preserve && typeof preserve === 'function' && preserve(px, py);
-    for (let px = x0; px <= x1; px++) { if (!skip(px, y0)) this.setPixel(px, y0, true); }
-    for (let px = x0; px <= x1; px++) { if (!skip(px, y1)) this.setPixel(px, y1, true); }
-    for (let py = y0; py <= y1; py++) { if (!skip(x0, py)) this.setPixel(x0, py, true); }
-    for (let py = y0; py <= y1; py++) { if (!skip(x1, py)) this.setPixel(x1, py, true); }
+    for (let px = x0; px <= x1; px++) { if (!skip(px, y0)) this.setPixel(px, y0, on, color); }
+    for (let px = x0; px <= x1; px++) { if (!skip(px, y1)) this.setPixel(px, y1, on, color); }
+    for (let py = y0; py <= y1; py++) { if (!skip(x0, py)) this.setPixel(x0, py, on, color); }
+    for (let py = y0; py <= y1; py++) { if (!skip(x1, py)) this.setPixel(x1, py, on, color); }
   }
 
   /**
-   * Draw filled rectangle [x..x+w)[y..y+h). Uses setPixel for each pixel.
+   * Draw filled rectangle [x..x+w)[y..y+h) in palette index color at intensity. Uses setPixel for each pixel.
    */
-  drawRectFilled(x, y, w, h) {
+  drawRectFilled(x, y, w, h, color = 0, intensity = 1) {
     const x0 = Math.max(0, Math.floor(x));
     const y0 = Math.max(0, Math.floor(y));
     const x1 = Math.min(this.emulatedWidth, x0 + Math.max(0, Math.floor(w)));
     const y1 = Math.min(this.emulatedHeight, y0 + Math.max(0, Math.floor(h)));
     for (let py = y0; py < y1; py++) {
       for (let px = x0; px < x1; px++) {
-        this.setPixel(px, py, true);
+        this.setPixel(px, py, intensity, color);
       }
     }
   }
 
   /**
-   * Horizontal line at y from x0 to x1 (inclusive). x0,x1 can be in any order.
+   * Horizontal line at y from x0 to x1 (inclusive). x0,x1 can be in any order. color: palette index, intensity 0..1.
    */
-  drawLineH(y, x0, x1) {
+  drawLineH(y, x0, x1, color = 0, intensity = 1) {
     const py = Math.floor(y);
     if (py < 0 || py >= this.emulatedHeight) return;
     const a = Math.min(Math.floor(x0), Math.floor(x1));
     const b = Math.max(Math.floor(x0), Math.floor(x1));
     for (let px = Math.max(0, a); px <= Math.min(this.emulatedWidth - 1, b); px++) {
-      this.setPixel(px, py, true);
+      this.setPixel(px, py, intensity, color);
     }
   }
 
   /**
-   * Vertical line at x from y0 to y1 (inclusive). y0,y1 can be in any order.
+   * Vertical line at x from y0 to y1 (inclusive). y0,y1 can be in any order. color: palette index, intensity 0..1.
    */
-  drawLineV(x, y0, y1) {
+  drawLineV(x, y0, y1, color = 0, intensity = 1) {
     const px = Math.floor(x);
     if (px < 0 || px >= this.emulatedWidth) return;
     const a = Math.min(Math.floor(y0), Math.floor(y1));
     const b = Math.max(Math.floor(y0), Math.floor(y1));
     for (let py = Math.max(0, a); py <= Math.min(this.emulatedHeight - 1, b); py++) {
-      this.setPixel(px, py, true);
+      this.setPixel(px, py, intensity, color);
     }
   }
 
   /**
    * Dashed vertical line at x from y0 to y1: pixels every `stride` rows (y0, y0+stride, y0+2*stride, ...).
+   * color: palette index, intensity 0..1.
    */
-  drawLineVDashed(x, y0, y1, stride = 2) {
+  drawLineVDashed(x, y0, y1, stride = 2, color = 0, intensity = 1) {
     const px = Math.floor(x);
     if (px < 0 || px >= this.emulatedWidth) return;
     const s = Math.max(1, Math.floor(stride));
     const a = Math.min(Math.floor(y0), Math.floor(y1));
     const b = Math.max(Math.floor(y0), Math.floor(y1));
     for (let py = a; py <= b; py += s) {
-      if (py >= 0 && py < this.emulatedHeight) this.setPixel(px, py, true);
+      if (py >= 0 && py < this.emulatedHeight) this.setPixel(px, py, intensity, color);
+    }
+  }
+
+  /**
+   * Anti-aliased point at fractional (x, y): spreads intensity over the (up to) 4 cells it overlaps,
+   * weighted by overlap area. A point on whole coordinates lights one cell at full intensity.
+   * Cells that are already brighter are left alone.
+   */
+  drawPixelAA(x, y, color = 0, intensity = 1) {
+    const x0 = Math.floor(x), y0 = Math.floor(y);
+    const fx = x - x0, fy = y - y0;
+    const weights = [
+      [x0, y0, (1 - fx) * (1 - fy)],
+      [x0 + 1, y0, fx * (1 - fy)],
+      [x0, y0 + 1, (1 - fx) * fy],
+      [x0 + 1, y0 + 1, fx * fy]
+    ];
+    for (const [px, py, w] of weights) {
+      if (w > 0 && w * intensity > this.getPixelIntensity(px, py)) this.setPixel(px, py, w * intensity, color);
+    }
+  }
+
+  /**
+   * Line from (x0, y0) to (x1, y1), both ends included (Bresenham; coordinates are floored).
+   * options.dash: on/off run lengths in pixels starting with on, e.g. [3, 2]; options.dashOffset shifts it
+   * along the line (animated dashes). Also takes the shape options: color, intensity, clip, brush.
+   */
+  drawLine(x0, y0, x1, y1, options = {}) {
+    const plot = this._shapePlotter(options);
+    const dashOn = this._dashTest(options, 'drawLine');
+    let x = Math.floor(x0), y = Math.floor(y0);
+    const xe = Math.floor(x1), ye = Math.floor(y1);
+    const dx = Math.abs(xe - x), dy = -Math.abs(ye - y);
+    const sx = x < xe ? 1 : -1, sy = y < ye ? 1 : -1;
+    let err = dx + dy;
+    for (let step = 0; ; step++) {
+      if (!dashOn || dashOn(step)) plot(x, y);
+      if (x === xe && y === ye) break;
+      const e2 = 2 * err;
+      if (e2 >= dy) { err += dy; x += sx; }
+      if (e2 <= dx) { err += dx; y += sy; }
+    }
+  }
+
+  /**
+   * Circle of radius r (floored) around (cx, cy) by the midpoint algorithm; options.filled fills it.
+   * Also takes the shape options: color, intensity, clip, brush.
+   */
+  drawCircle(cx, cy, r, options = {}) {
+    this._drawCircleOrArc(cx, cy, r, null, options);
+  }
+
+  /**
+   * Part of the midpoint circle: the cells whose angle from the center lies between startAngle and endAngle
+   * (radians; 0 = +x, increasing clockwise on screen as y points down; end < start wraps past 0).
+   * options.filled draws the pie slice instead. Also takes the shape options: color, intensity, clip, brush.
+   */
+  drawArc(cx, cy, r, startAngle, endAngle, options = {}) {
+    const TAU = Math.PI * 2;
+    const full = endAngle - startAngle >= TAU;
+    const sweep = ((endAngle - startAngle) % TAU + TAU) % TAU;
+    const inArc = (dx, dy) => {
+      if (full || (dx === 0 && dy === 0)) return true;
+      const a = ((Math.atan2(dy, dx) - startAngle) % TAU + TAU) % TAU;
+      return a <= sweep + 1e-9;
+    };
+    this._drawCircleOrArc(cx, cy, r, inArc, options);
+  }
+
+  _drawCircleOrArc(cx, cy, r, inArc, options) {
+    const radius = Math.floor(r);
+    if (radius < 0) return;
+    const plot = this._shapePlotter(options);
+    const x0 = Math.floor(cx), y0 = Math.floor(cy);
+    const put = (dx, dy) => { if (!inArc || inArc(dx, dy)) plot(x0 + dx, y0 + dy); };
+    const span = (dy, half) => {
+      const py = y0 + dy;
+      if (py < 0 || py >= this.emulatedHeight) return;
+      const a = Math.max(-half, -x0), b = Math.min(half, this.emulatedWidth - 1 - x0);
+      for (let dx = a; dx <= b; dx++) put(dx, dy);
+    };
+    forEachCircleOctantPoint(radius, (a, b) => {
+      if (options.filled) {
+        span(b, a); span(-b, a); span(a, b); span(-a, b);
+      } else {
+        put(a, b); put(-a, b); put(a, -b); put(-a, -b);
+        put(b, a); put(-b, a); put(b, -a); put(-b, -a);
+      }
+    });
+  }
+
+  /**
+   * Closed polygon through points [[x, y], ...] (floored); edges are drawLine lines.
+   * options.filled also fills the inside (even-odd rule, cells whose top-left corner is inside).
+   * Also takes the shape options: color, intensity, clip, brush; options.dash applies to each edge of an outline.
+   */
+  drawPolygon(points, options = {}) {
+    const pts = points.map(([px, py]) => [Math.floor(px), Math.floor(py)]);
+    const n = pts.length;
+    if (n === 0) return;
+    const edgeOptions = options.filled ? { ...options, dash: undefined } : options;
+    if (n === 1) {
+      this.drawLine(pts[0][0], pts[0][1], pts[0][0], pts[0][1], edgeOptions);
+      return;
+    }
+    if (options.filled) {
+      const plot = this._shapePlotter(options);
+      let minY = Infinity, maxY = -Infinity;
+      for (const [, py] of pts) { minY = Math.min(minY, py); maxY = Math.max(maxY, py); }
+      minY = Math.max(0, minY);
+      maxY = Math.min(this.emulatedHeight - 1, maxY);
+      for (let y = minY; y <= maxY; y++) {
+        const xs = [];
+        for (let i = 0; i < n; i++) {
+          const [ax, ay] = pts[i];
+          const [bx, by] = pts[(i + 1) % n];
+          if ((ay <= y) !== (by <= y)) xs.push(ax + (y - ay) * (bx - ax) / (by - ay));
+        }
+        xs.sort((a, b) => a - b);
+        for (let k = 0; k + 1 < xs.length; k += 2) {
+          const a = Math.max(0, Math.ceil(xs[k]));
+          const b = Math.min(this.emulatedWidth, Math.ceil(xs[k + 1]));
+          for (let x = a; x < b; x++) plot(x, y);
+        }
+      }
+    }
+    for (let i = 0; i < n; i++) {
+      const [ax, ay] = pts[i];
+      const [bx, by] = pts[(i + 1) % n];
+      this.drawLine(ax, ay, bx, by, edgeOptions);
+    }
+  }
+
+  /**
+   * Triangle with corners (x0, y0), (x1, y1), (x2, y2); same options as drawPolygon.
+   */
+  drawTriangle(x0, y0, x1, y1, x2, y2, options = {}) {
+    this.drawPolygon([[x0, y0], [x1, y1], [x2, y2]], options);
+  }
+
+  /**
+   * Flood fill from (x, y): every pixel connected to it that is in the same ON/OFF state (as displayed,
+   * across all layers) is set ON on the active layer. Boundaries are pixels in the other state, the screen
+   * edge and options.clip. options.connectivity: 4 (default) or 8. options.color, options.intensity as usual.
+   * @returns {number} Number of pixels filled
+   */
+  floodFill(x, y, options = {}) {
+    const connectivity = options.connectivity ?? 4;
+    if (connectivity !== 4 && connectivity !== 8) {
+      throw new RangeError(`PixelDisplay.floodFill: connectivity must be 4 or 8, got ${connectivity}`);
+    }
+    const [cx0, cy0, cx1, cy1] = this._clipBounds(options.clip);
+    const sx = Math.floor(x), sy = Math.floor(y);
+    if (sx < cx0 || sx >= cx1 || sy < cy0 || sy >= cy1) return 0;
+    const color = options.color ?? 0;
+    const on = options.intensity ?? 1;
+    const w = this.emulatedWidth;
+    const start = sy * w + sx;
+    const seed = this.state[start];
+    const seen = new Uint8Array(this.state.length);
+    const steps = connectivity === 4
+      ? [[1, 0], [-1, 0], [0, 1], [0, -1]]
+      : [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]];
+    const stack = [start];
+    seen[start] = 1;
+    let count = 0;
+    while (stack.length > 0) {
+      const i = stack.pop();
+      const px = i % w, py = (i - px) / w;
+      for (const [dx, dy] of steps) {
+        const nx = px + dx, ny = py + dy;
+        if (nx < cx0 || nx >= cx1 || ny < cy0 || ny >= cy1) continue;
+        const j = ny * w + nx;
+        if (seen[j] || this.state[j] !== seed) continue;
+        seen[j] = 1;
+        stack.push(j);
+      }
+      this.setPixel(px, py, on, color);
+      count++;
+    }
+    return count;
+  }
+
+  /**
+   * Point plotter for the shape methods. Shape options:
+   *   color, intensity   palette index and level of drawn pixels
+   *   clip               { x, y, width, height }: only draw inside this rect
+   *   brush              pattern stamped (via blit, centered) at every point instead of a single pixel, for thick shapes
+   */
+  _shapePlotter(options) {
+    const color = options.color ?? 0;
+    const on = options.intensity ?? 1;
+    const clip = options.clip;
+    const brush = options.brush;
+    if (brush) {
+      const ox = Math.floor((brush[0]?.length ?? 0) / 2);
+      const oy = Math.floor(brush.length / 2);
+      return (px, py) => this.blit(brush, px - ox, py - oy, { clip, color, intensity: on });
+    }
+    const [cx0, cy0, cx1, cy1] = this._clipBounds(clip);
+    return (px, py) => {
+      if (px >= cx0 && px < cx1 && py >= cy0 && py < cy1) this.setPixel(px, py, on, color);
+    };
+  }
+
+  /** [x0, y0, x1, y1) of a { x, y, width, height } clip rect intersected with the screen (the screen when absent). */
+  _clipBounds(clip) {
+    if (!clip) return [0, 0, this.emulatedWidth, this.emulatedHeight];
+    return [
+      Math.max(0, Math.floor(clip.x)),
+      Math.max(0, Math.floor(clip.y)),
+      Math.min(this.emulatedWidth, Math.floor(clip.x + clip.width)),
+      Math.min(this.emulatedHeight, Math.floor(clip.y + clip.height))
+    ];
+  }
+
+  /**
+   * For options.dash, a function step => whether the step-th pixel of a line is drawn; null for solid lines.
+   */
+  _dashTest(options, method) {
+    const dash = options.dash;
+    if (!dash) return null;
+    let period = 0;
+    for (const run of dash) {
+      if (!Number.isInteger(run) || run < 0) {
+        throw new RangeError(`PixelDisplay.${method}: dash runs must be non-negative integers, got ${dash.join(', ')}`);
+      }
+      period += run;
+    }
+    if (period === 0) throw new RangeError(`PixelDisplay.${method}: dash pattern has zero length`);
+    const offset = Math.floor(options.dashOffset ?? 0);
+    return (step) => {
+      let pos = ((step + offset) % period + period) % period;
+      for (let k = 0; k < dash.length; k++) {
+        if (pos < dash[k]) return k % 2 === 0;
+        pos -= dash[k];
+      }
+      return false;
+    };
+  }
+
+  /**
+   * Draw text in a font from the font registry (see fonts.js), top edge at y, on the active layer.
+   * Lines break at '\n' and, with maxWidth, between words (a word wider than maxWidth is split).
+   * align places each line against x: 'left' starts it at x, 'center' centers it on x, 'right' ends it at x.
+   * @param {string} str
+   * @param {number} x
+   * @param {number} y
+   * @param {Object} options
+   * @param {string|PixelFont} options.font - Registered font name or a PixelFont
+   * @param {number} [options.scale=1] - Glyph scale (as in blit)
+   * @param {'left'|'center'|'right'} [options.align='left']
+   * @param {number} [options.letterSpacing] - Display pixels between glyphs (default: the font's, scaled)
+   * @param {number} [options.lineSpacing] - Display pixels between lines (default: the font's, scaled)
+   * @param {number} [options.maxWidth] - Wrap lines to at most this many display pixels
+   * @param {number} [options.color=0] - Palette index; intensity, blocks, clip and mode are passed to blit too
+   * @returns {{width: number, height: number, lines: Array<{text: string, width: number}>}} As measureText
+   */
+  drawText(str, x, y, options = {}) {
+    const layout = this._layoutText(str, options, 'drawText');
+    const { font, scale, letterSpacing, lineHeight } = layout;
+    const glyphOptions = {
+      scale,
+      color: options.color,
+      intensity: options.intensity,
+      blocks: options.blocks,
+      clip: options.clip,
+      mode: options.mode
+    };
+    layout.lines.forEach((line, k) => {
+      let cx = x;
+      if (layout.align === 'center') cx = x - Math.floor(line.width / 2);
+      else if (layout.align === 'right') cx = x - line.width;
+      const cy = y + k * lineHeight;
+      for (const ch of line.text) {
+        const glyph = font.getGlyph(ch);
+        if (glyph) this.blit(glyph, cx, cy, glyphOptions);
+        cx += layout.glyphWidth(ch) + letterSpacing;
+      }
+    });
+    return { width: layout.width, height: layout.height, lines: layout.lines };
+  }
+
+  /**
+   * Size of text as drawText would draw it (same options; position and color ones are ignored).
+   * @returns {{width: number, height: number, lines: Array<{text: string, width: number}>}} Size of the block
+   *   in display pixels and its lines after wrapping
+   */
+  measureText(str, options = {}) {
+    const layout = this._layoutText(str, options, 'measureText');
+    return { width: layout.width, height: layout.height, lines: layout.lines };
+  }
+
+  /**
+   * Font, metrics and wrapped lines for drawText/measureText.
+   */
+  _layoutText(str, options, method) {
+    const font = getFont(options.font);
+    const scale = options.scale ?? 1;
+    if (!(scale > 0) || !Number.isFinite(scale)) {
+      throw new RangeError(`PixelDisplay.${method}: scale must be a positive number, got ${scale}`);
     }
+    const align = options.align ?? 'left';
+    if (align !== 'left' && align !== 'center' && align !== 'right') {
+      throw new Error(`PixelDisplay.${method}: align must be 'left', 'center' or 'right', got ${align}`);
+    }
+    const maxWidth = options.maxWidth ?? Infinity;
+    if (!(maxWidth > 0)) {
+      throw new RangeError(`PixelDisplay.${method}: maxWidth must be a positive number, got ${maxWidth}`);
+    }
+    const letterSpacing = options.letterSpacing ?? Math.round(font.letterSpacing * scale);
+    const lineSpacing = options.lineSpacing ?? Math.round(font.lineSpacing * scale);
+    const glyphWidth = (ch) => Math.ceil(font.glyphWidth(ch) * scale);
+    const widthOf = (text) => {
+      let w = 0;
+      for (const ch of text) w += glyphWidth(ch) + letterSpacing;
+      return text.length > 0 ? w - letterSpacing : 0;
+    };
+
+    const lines = [];
+    for (const paragraph of String(str).split('\n')) {
+      if (maxWidth === Infinity) {
+        lines.push(paragraph);
+        continue;
+      }
+      let line = '';
+      for (const word of paragraph.split(' ')) {
+        const candidate = line === '' ? word : `${line} ${word}`;
+        if (widthOf(candidate) <= maxWidth) {
+          line = candidate;
+          continue;
+        }
+        if (line !== '') lines.push(line);
+        // Split a word that does not fit on a line of its own
+        line = '';
+        for (const ch of word) {
+          if (line !== '' && widthOf(line + ch) > maxWidth) {
+            lines.push(line);
+            line = '';
+          }
+          line += ch;
+        }
+      }
+      lines.push(line);
+    }
+
+    const lineHeight = Math.ceil(font.height * scale) + lineSpacing;
+    const measured = lines.map((text) => ({ text, width: widthOf(text) }));
+    return {
+      font,
+      scale,
+      align,
+      letterSpacing,
+      lineHeight,
+      glyphWidth,
+      lines: measured,
+      width: measured.reduce((w, line) => Math.max(w, line.width), 0),
+      height: lines.length * lineHeight - lineSpacing
+    };
   }
 
   /**
-   * Clear rectangle [x..x+w)[y..y+h). options.preserve(px, py) => true to keep pixel.
+   * Clear rectangle [x..x+w)[y..y+h) of the active layer. options.preserve(px, py) => true to keep pixel.
    */
   clearRect(x, y, w, h, options = {}) {
-    const now = this.getTime();
     const x0 = Math.max(0, Math.floor(x));
     const y0 = Math.max(0, Math.floor(y));
     const x1 = Math.min(this.emulatedWidth, x0 + Math.max(0, Math.floor(w)));
     const y1 = Math.min(this.emulatedHeight, y0 + Math.max(0, Math.floor(h)));
     const preserve = options.preserve;
+    const cells = this._activeLayer.cells;
     for (let py = y0; py < y1; py++) {
       for (let px = x0; px < x1; px++) {
         if (preserve && typeof preserve === 'function' && preserve(px, py)) continue;
-        this.pixels[py][px].state = false;
-        this.pixels[py][px].offTimestamp = now;
+        const i = py * this.emulatedWidth + px;
+        if (!cells[i]) continue;
+        cells[i] = 0;
+        this._compositePixel(i);
       }
     }
   }
 
   /**
-   * Clear all pixels (set all to OFF).
+   * Clear all pixels (set all to OFF) on every layer; layer masks are kept.
    * Pixels that were ON get offTimestamp=now so they fade out. Pixels already OFF get
    * offTimestamp in the past so they render fully dark; using now would make them glow
    * as if just turned off (offElapsed=0 → full fade-out brightness).
@@ -319,36 +1633,54 @@ export class PixelDisplay {
   clear() {
     const now = this.getTime();
     const alreadyFaded = now - this.fadeOutTime - 1;
-    for (let y = 0; y < this.emulatedHeight; y++) {
-      for (let x = 0; x < this.emulatedWidth; x++) {
-        const p = this.pixels[y][x];
-        if (p.state) {
-          p.offTimestamp = now;
-        } else {
-          p.offTimestamp = alreadyFaded;
-        }
-        p.state = false;
+    for (const layer of this._layers) layer.cells.fill(0);
+    const n = this.state.length;
+    for (let i = 0; i < n; i++) {
+      if (this.state[i]) {
+        this.offTimestamps[i] = now;
+        this.state[i] = 0;
+        this._markDirty(i);
+      } else {
+        // Fading pixels are already queued; fully dark ones stay dark.
+        this.offTimestamps[i] = alreadyFaded;
       }
     }
   }
   
   /**
    * Calculate the brightness/alpha for a pixel based on its state and fade timing
-   * @param {Object} pixel - Pixel object with state, onTimestamp, and offTimestamp
+   * @param {Object} pixel - Pixel object with state, onTimestamp, offTimestamp and optional intensity (see getPixelInfo)
    * @param {number} currentTime - Current time in milliseconds
-   * @returns {number} Brightness value between 0 and 1
+   * @returns {number} Brightness value between 0 and 1 (at most the pixel's intensity)
    */
   calculateBrightness(pixel, currentTime) {
+    const intensity = pixel.intensity ?? 1;
+    return intensity * this._fadeBrightness(pixel.state, pixel.onTimestamp, pixel.offTimestamp, currentTime);
+  }
+
+  /**
+   * Brightness of framebuffer index i at currentTime (same rules as calculateBrightness).
+   */
+  _pixelBrightness(i, currentTime) {
+    return (this.intensities[i] / 255) *
+      this._fadeBrightness(this.state[i] === 1, this.onTimestamps[i], this.offTimestamps[i], currentTime);
+  }
+
+  /**
+   * Fade rules shared by calculateBrightness and render, using the decay model's curves. Scaled by intensity by the callers.
+   */
+  _fadeBrightness(state, onTimestamp, offTimestamp, currentTime) {
+    const decay = this.decay;
     let fadeInBrightness = 0;
     let fadeOutBrightness = 0;
     
     // Calculate fade-in brightness (if pixel is ON or recently turned ON)
-    if (pixel.onTimestamp > 0) {
-      const onElapsed = currentTime - pixel.onTimestamp;
-      if (pixel.state) {
+    if (onTimestamp > 0) {
+      const onElapsed = currentTime - onTimestamp;
+      if (state) {
         // Currently ON - calculate fade-in
-        if (onElapsed < this.fadeInTime) {
-          fadeInBrightness = onElapsed / this.fadeInTime;
+        if (onElapsed < decay.fadeInMs) {
+          fadeInBrightness = decay.fadeIn(onElapsed);
         } else {
           fadeInBrightness = 1.0; // Fully on
         }
@@ -356,21 +1688,19 @@ export class PixelDisplay {
     }
     
     // Calculate fade-out brightness (if pixel is OFF or recently turned OFF)
-    if (pixel.offTimestamp > 0) {
-      const offElapsed = currentTime - pixel.offTimestamp;
-      if (!pixel.state) {
+    if (offTimestamp > 0) {
+      const offElapsed = currentTime - offTimestamp;
+      if (!state) {
         // Currently OFF - calculate fade-out
-        if (offElapsed < this.fadeOutTime) {
-          const t = offElapsed / this.fadeOutTime;
-          fadeOutBrightness = Math.pow(1 - t, 6);
+        if (offElapsed < decay.fadeOutMs) {
+          fadeOutBrightness = decay.fadeOut(offElapsed);
         } else {
           fadeOutBrightness = 0.0; // Fully off
         }
       } else {
         // Currently ON but was recently OFF - still calculate fade-out
-        if (offElapsed < this.fadeOutTime) {
-          const t = offElapsed / this.fadeOutTime;
-          fadeOutBrightness = Math.pow(1 - t, 6);
+        if (offElapsed < decay.fadeOutMs) {
+          fadeOutBrightness = decay.fadeOut(offElapsed);
         }
       }
     }
@@ -378,6 +1708,16 @@ export class PixelDisplay {
     // Return the maximum of fade-in and fade-out (never exceed 1.0)
     return Math.min(1.0, Math.max(fadeInBrightness, fadeOutBrightness));
   }
+
+  /**
+   * Whether framebuffer index i is still mid-fade at currentTime (its brightness will change without a setPixel).
+   */
+  _isFading(i, currentTime) {
+    const offTimestamp = this.offTimestamps[i];
+    if (offTimestamp > 0 && currentTime - offTimestamp < this.decay.fadeOutMs) return true;
+    const onTimestamp = this.onTimestamps[i];
+    return this.state[i] === 1 && onTimestamp > 0 && currentTime - onTimestamp < this.decay.fadeInMs;
+  }
   
   /**
    * Render a single frame.
@@ -392,76 +1732,193 @@ export class PixelDisplay {
     this.driftMs = dtSinceLastRender - this.targetIntervalMs;
     this.effectiveDt = Math.min(dtSinceLastRender, 2 * this.targetIntervalMs);
     const currentTime = now;
+    this.frameTime = currentTime;
 
-    // Degauss: end check
-    if (this.degaussStartTime !== 0 && (currentTime - this.degaussStartTime) >= this.degaussDuration) {
-      this.degaussStartTime = 0;
-      this.lastDegaussEndTime = currentTime;
-    }
-    const degaussActive = this.degaussStartTime !== 0;
-    let overlayAlpha = 0, t_sec = 0, decay = 0, f = 0, k = 0, A = 0;
-    if (degaussActive) {
-      t_sec = (currentTime - this.degaussStartTime) / 1000;
-      decay = Math.exp(-this.DEGAUSS_DECAY_ALPHA * t_sec);
-      overlayAlpha = decay * this.degaussStrength * this.DEGAUSS_OVERLAY_ALPHA;
-      f = this.DEGAUSS_FREQ_HZ;
-      k = this.DEGAUSS_WAVE_K;
-      A = this.DEGAUSS_AMP_PX * this.degaussStrength;
-    }
-
-    const onR = parseInt(this.onColor.substring(1, 3), 16);
-    const onG = parseInt(this.onColor.substring(3, 5), 16);
-    const onB = parseInt(this.onColor.substring(5, 7), 16);
+    // Screen effects: drop finished runs (their cooldowns start now)
+    this._endEffects(this.effects.filter((e) => !e.isRunning(currentTime)), currentTime, true);
+    const fx = this._effectFrame(currentTime);
+    this.renderer.beginFrame();
 
-    // Clear canvas with black background
-    this.ctx.fillStyle = '#000000';
-    this.ctx.fillRect(0, 0, this.displayWidth, this.displayHeight);
-
-    if (!degaussActive) {
-      // Neutral state: original logic only (pixels[y][x], no sampling)
-      for (let y = 0; y < this.emulatedHeight; y++) {
-        for (let x = 0; x < this.emulatedWidth; x++) {
-          const pixel = this.pixels[y][x];
-          const brightness = this.calculateBrightness(pixel, currentTime);
-          if (brightness > 0) {
-            const pixelX = x * (this.pixelWidth + this.gapWidth);
-            const pixelY = y * (this.pixelHeight + this.gapHeight);
-            this.ctx.fillStyle = `rgba(${onR}, ${onG}, ${onB}, ${brightness})`;
-            this.ctx.fillRect(pixelX, pixelY, this.pixelWidth, this.pixelHeight);
-          }
-        }
+    if (!fx && !this.powered) {
+      // Powered off: paint the dark screen once
+      if (!this._darkFrame) this.renderer.fillBackground();
+      this._darkFrame = true;
+      this._needsFullRedraw = true;
+    } else if (!fx) {
+      this._darkFrame = false;
+      if (this._needsFullRedraw) {
+        this._renderFull(currentTime);
+      } else {
+        this._renderDirty(currentTime);
       }
     } else {
-      // Degauss: fixed grid, sample from warped (x_src,y_src)
-      const stepX = this.pixelWidth + this.gapWidth;
-      const stepY = this.pixelHeight + this.gapHeight;
+      // Effects: fixed grid, each cell samples the (warped) framebuffer. Every cell may change, so repaint all.
+      this._darkFrame = false;
+      this.renderer.fillBackground();
       for (let y = 0; y < this.emulatedHeight; y++) {
         for (let x = 0; x < this.emulatedWidth; x++) {
-          const pixelX = x * stepX;
-          const pixelY = y * stepY;
-          const nx = pixelX / this.displayWidth;
-          const ny = pixelY / this.displayHeight;
-          const r = Math.sqrt((nx - 0.5) ** 2 + (ny - 0.5) ** 2) * 2;
-          const edge = 0.4 + 0.6 * Math.min(1, r);
-          const dx = A * edge * decay * Math.sin(2 * Math.PI * f * t_sec + 2 * Math.PI * k * nx);
-          const dy = A * edge * decay * Math.sin(2 * Math.PI * f * t_sec + Math.PI / 2 + 2 * Math.PI * k * ny);
-          const x_src = (pixelX - dx) / stepX;
-          const y_src = (pixelY - dy) / stepY;
-          const ix = Math.max(0, Math.min(this.emulatedWidth - 1, Math.floor(x_src)));
-          const iy = Math.max(0, Math.min(this.emulatedHeight - 1, Math.floor(y_src)));
-          const pixel = this.pixels[iy][ix];
-          const brightness = this.calculateBrightness(pixel, currentTime);
+          const src = fx.warps.length > 0 ? this._effectSource(x, y, fx) : y * this.emulatedWidth + x;
+          let brightness = src < 0 ? 0 : this._pixelBrightness(src, currentTime);
           if (brightness > 0) {
-            this.ctx.fillStyle = `rgba(${onR}, ${onG}, ${onB}, ${brightness})`;
-            this.ctx.fillRect(pixelX, pixelY, this.pixelWidth, this.pixelHeight);
+            for (const e of fx.brightness) brightness *= e.brightness(x, y, this);
+          }
+          let snow = 0;
+          for (const e of fx.noise) snow += e.noise(x, y, this);
+          if (snow > 0) {
+            this._paintSnow(x, y, src, brightness, Math.min(1, snow));
+          } else if (brightness > 0) {
+            this._paintPixel(x, y, src, brightness, false);
           }
         }
       }
+      for (const e of fx.overlays) {
+        const o = e.overlay();
+        if (o && o.alpha > 0) this.renderer.paintOverlay(o.r, o.g, o.b, o.alpha);
+      }
+      // The canvas no longer matches the framebuffer
+      this._needsFullRedraw = true;
+    }
+
+    this.renderer.endFrame();
+    for (const fn of this._frameListeners.slice()) fn(this, currentTime);
+  }
+
+  /**
+   * Effects running at currentTime, updated to it and sorted by hook ({ warps, brightness, noise, overlays,
+   * clampEdges }), or null when none is running. With advance false nothing is updated: the effects that were in
+   * the frame rendered at currentTime, as they were drawn (read-only, for hit-testing).
+   */
+  _effectFrame(currentTime, advance = true) {
+    const running = this.effects.filter((e) => e.isRunning(currentTime) && (advance || e.startTime <= currentTime));
+    if (running.length === 0) return null;
+    const fx = { warps: [], brightness: [], noise: [], overlays: [], clampEdges: true };
+    for (const e of running) {
+      if (advance) e.update(currentTime - e.startTime);
+      if (typeof e.warp === 'function') {
+        fx.warps.push(e);
+        if (!e.clampEdges) fx.clampEdges = false;
+      }
+      if (typeof e.brightness === 'function') fx.brightness.push(e);
+      if (typeof e.noise === 'function') fx.noise.push(e);
+      if (typeof e.overlay === 'function') fx.overlays.push(e);
+    }
+    return fx;
+  }
+
+  /**
+   * Framebuffer index shown in cell (x, y) under the frame's warps (the fixed grid samples from the warped
+   * position), or -1 when that is off the picture.
+   */
+  _effectSource(x, y, fx) {
+    const stepX = this.pixelWidth + this.gapWidth;
+    const stepY = this.pixelHeight + this.gapHeight;
+    const pos = this._warpPos;
+    pos.x = x * stepX;
+    pos.y = y * stepY;
+    for (const e of fx.warps) e.warp(pos, this);
+    let ix = Math.floor(pos.x / stepX);
+    let iy = Math.floor(pos.y / stepY);
+    if (fx.clampEdges) {
+      ix = Math.max(0, Math.min(this.emulatedWidth - 1, ix));
+      iy = Math.max(0, Math.min(this.emulatedHeight - 1, iy));
+    } else if (!(ix >= 0 && ix < this.emulatedWidth && iy >= 0 && iy < this.emulatedHeight)) {
+      return -1;
+    }
+    return iy * this.emulatedWidth + ix;
+  }
+
+  /**
+   * Call fn(display, frameTime) after every render(), once the frame is finished (read it with renderer.readFrame()).
+   * @returns {Function} Removes the listener
+   */
+  addFrameListener(fn) {
+    if (typeof fn !== 'function') throw new Error('PixelDisplay.addFrameListener: listener must be a function');
+    this._frameListeners.push(fn);
+    return () => this.removeFrameListener(fn);
+  }
+
+  removeFrameListener(fn) {
+    this._frameListeners = this._frameListeners.filter((l) => l !== fn);
+  }
+
+  /**
+   * Repaint the whole canvas and rebuild the dirty list from pixels that are still fading.
+   */
+  _renderFull(currentTime) {
+    for (let k = 0; k < this._dirtyCount; k++) this._dirtyFlags[this._dirtyList[k]] = 0;
+    this._dirtyCount = 0;
+
+    this.renderer.fillBackground();
+    for (let y = 0; y < this.emulatedHeight; y++) {
+      for (let x = 0; x < this.emulatedWidth; x++) {
+        const i = y * this.emulatedWidth + x;
+        const brightness = this._pixelBrightness(i, currentTime);
+        if (brightness > 0) this._paintPixel(x, y, i, brightness, false);
+        if (this._isFading(i, currentTime)) this._markDirty(i);
+      }
     }
+    this._needsFullRedraw = false;
+  }
 
-    if (degaussActive) {
-      this.ctx.fillStyle = `rgba(255, 0, 255, ${overlayAlpha})`;
-      this.ctx.fillRect(0, 0, this.displayWidth, this.displayHeight);
+  /**
+   * Repaint only queued pixels (cell blacked out, then redrawn at current brightness);
+   * keep each one queued while it is still fading.
+   */
+  _renderDirty(currentTime) {
+    let kept = 0;
+    for (let k = 0; k < this._dirtyCount; k++) {
+      const i = this._dirtyList[k];
+      const x = i % this.emulatedWidth;
+      const y = (i - x) / this.emulatedWidth;
+      this._paintPixel(x, y, i, this._pixelBrightness(i, currentTime), true);
+      if (this._isFading(i, currentTime)) {
+        this._dirtyList[kept++] = i;
+      } else {
+        this._dirtyFlags[i] = 0;
+      }
+    }
+    this._dirtyCount = kept;
+  }
+
+  /**
+   * Paint cell (x, y) in the palette color of framebuffer index src (src differs from the cell under an effect warp).
+   */
+  _paintPixel(x, y, src, brightness, clearFirst) {
+    const c = this.colors[src];
+    const o = (c * 3 < this._paletteRGB.length ? c : 0) * 3;
+    const rgb = this._paletteRGB;
+    this.renderer.paintCell(x, y, brightness, rgb[o], rgb[o + 1], rgb[o + 2], clearFirst);
+  }
+
+  /**
+   * Paint cell (x, y) with white snow at level over framebuffer index src at brightness (src -1: black).
+   */
+  _paintSnow(x, y, src, brightness, level) {
+    const c = src < 0 ? 0 : this.colors[src];
+    const o = (c * 3 < this._paletteRGB.length ? c : 0) * 3;
+    const rgb = this._paletteRGB;
+    const white = 255 * level;
+    this.renderer.paintCell(x, y, 1,
+      Math.min(255, Math.round(rgb[o] * brightness + white)),
+      Math.min(255, Math.round(rgb[o + 1] * brightness + white)),
+      Math.min(255, Math.round(rgb[o + 2] * brightness + white)), false);
+  }
+}
+
+/**
+ * Midpoint circle: calls fn(x, y) for each point of one octant (x >= y >= 0) of a circle of integer radius;
+ * the other seven are its reflections.
+ */
+function forEachCircleOctantPoint(radius, fn) {
+  let x = radius, y = 0, err = 1 - radius;
+  while (x >= y) {
+    fn(x, y);
+    y++;
+    if (err < 0) {
+      err += 2 * y + 1;
+    } else {
+      x--;
+      err += 2 * (y - x) + 1;
     }
   }
 }
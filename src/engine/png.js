@@ -0,0 +1,187 @@
+/**
+ * Minimal PNG (and animated PNG) encoder for RGBA buffers. Pure JavaScript (no zlib), so it runs in Node and the browser.
+ * Image data is stored with uncompressed deflate blocks; files are larger than zlib output but always valid.
+ */
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const DEFLATE_STORED_MAX = 65535;
+
+let crcTable = null;
+
+/**
+ * CRC-32 (ISO-HDLC, as used by PNG chunks) over bytes[start..end).
+ */
+export function crc32(bytes, start = 0, end = bytes.length) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = start; i < end; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Adler-32 checksum (zlib stream trailer).
+ */
+export function adler32(bytes) {
+  let a = 1, b = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    a = (a + bytes[i]) % 65521;
+    b = (b + a) % 65521;
+  }
+  return ((b << 16) | a) >>> 0;
+}
+
+/**
+ * Wrap bytes in a zlib stream made of stored (uncompressed) deflate blocks.
+ */
+export function zlibStore(bytes) {
+  const blocks = Math.max(1, Math.ceil(bytes.length / DEFLATE_STORED_MAX));
+  const out = new Uint8Array(2 + blocks * 5 + bytes.length + 4);
+  out[0] = 0x78; // CM=8 (deflate), 32K window
+  out[1] = 0x01; // no preset dictionary, fastest; (0x78 << 8 | 0x01) % 31 === 0
+  let o = 2;
+  for (let k = 0; k < blocks; k++) {
+    const start = k * DEFLATE_STORED_MAX;
+    const len = Math.min(DEFLATE_STORED_MAX, bytes.length - start);
+    out[o++] = k === blocks - 1 ? 1 : 0; // BFINAL, BTYPE=00
+    out[o++] = len & 0xff;
+    out[o++] = len >>> 8;
+    out[o++] = ~len & 0xff;
+    out[o++] = (~len >>> 8) & 0xff;
+    out.set(bytes.subarray(start, start + len), o);
+    o += len;
+  }
+  const adler = adler32(bytes);
+  out[o++] = adler >>> 24;
+  out[o++] = (adler >>> 16) & 0xff;
+  out[o++] = (adler >>> 8) & 0xff;
+  out[o++] = adler & 0xff;
+  return out;
+}
+
+/**
+ * Build one PNG chunk: length, type, data, CRC over type+data.
+ * @param {string} type - Four-letter chunk type (e.g. 'IHDR')
+ * @param {Uint8Array} data
+ */
+export function pngChunk(type, data) {
+  const out = new Uint8Array(12 + data.length);
+  const len = data.length;
+  out[0] = len >>> 24; out[1] = (len >>> 16) & 0xff; out[2] = (len >>> 8) & 0xff; out[3] = len & 0xff;
+  for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+  out.set(data, 8);
+  const crc = crc32(out, 4, 8 + len);
+  out[8 + len] = crc >>> 24;
+  out[9 + len] = (crc >>> 16) & 0xff;
+  out[10 + len] = (crc >>> 8) & 0xff;
+  out[11 + len] = crc & 0xff;
+  return out;
+}
+
+/**
+ * IHDR payload for an 8-bit RGBA image.
+ */
+export function pngHeader(width, height) {
+  const ihdr = new Uint8Array(13);
+  ihdr[0] = width >>> 24; ihdr[1] = (width >>> 16) & 0xff; ihdr[2] = (width >>> 8) & 0xff; ihdr[3] = width & 0xff;
+  ihdr[4] = height >>> 24; ihdr[5] = (height >>> 16) & 0xff; ihdr[6] = (height >>> 8) & 0xff; ihdr[7] = height & 0xff;
+  ihdr[8] = 8;  // bit depth
+  ihdr[9] = 6;  // color type RGBA
+  return ihdr; // compression, filter, interlace: 0
+}
+
+/**
+ * Scanlines with filter byte 0 (None), zlib-wrapped: the IDAT/fdAT payload for an RGBA frame.
+ */
+export function pngImageData(width, height, rgba) {
+  const rowBytes = width * 4;
+  const raw = new Uint8Array((rowBytes + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (rowBytes + 1)] = 0;
+    raw.set(rgba.subarray(y * rowBytes, (y + 1) * rowBytes), y * (rowBytes + 1) + 1);
+  }
+  return zlibStore(raw);
+}
+
+/**
+ * Concatenate byte arrays (PNG signature + chunks) into one Uint8Array.
+ */
+export function concatBytes(parts) {
+  let total = 0;
+  for (const p of parts) total += p.length;
+  const out = new Uint8Array(total);
+  let o = 0;
+  for (const p of parts) { out.set(p, o); o += p.length; }
+  return out;
+}
+
+/**
+ * Encode an RGBA buffer (width * height * 4 bytes, row-major) as a PNG file.
+ * @param {number} width
+ * @param {number} height
+ * @param {Uint8Array|Uint8ClampedArray} rgba
+ * @returns {Uint8Array} PNG file bytes
+ */
+export function encodePNG(width, height, rgba) {
+  if (rgba.length !== width * height * 4) {
+    throw new RangeError(`encodePNG: expected ${width * height * 4} bytes for ${width}x${height} RGBA, got ${rgba.length}`);
+  }
+  return concatBytes([
+    new Uint8Array(PNG_SIGNATURE),
+    pngChunk('IHDR', pngHeader(width, height)),
+    pngChunk('IDAT', pngImageData(width, height, rgba)),
+    pngChunk('IEND', new Uint8Array(0))
+  ]);
+}
+
+/**
+ * Encode RGBA frames as an animated PNG (APNG). Viewers without APNG support show the first frame.
+ * @param {number} width
+ * @param {number} height
+ * @param {Array<{ rgba: Uint8Array|Uint8ClampedArray, delayMs: number }>} frames - width * height * 4 bytes each
+ * @param {Object} [options]
+ * @param {number} [options.loop=0] - Times to play (0 = forever)
+ * @returns {Uint8Array} PNG file bytes
+ */
+export function encodeAPNG(width, height, frames, options = {}) {
+  if (frames.length === 0) throw new RangeError('encodeAPNG: no frames');
+  const u32 = (out, o, v) => {
+    out[o] = v >>> 24; out[o + 1] = (v >>> 16) & 0xff; out[o + 2] = (v >>> 8) & 0xff; out[o + 3] = v & 0xff;
+  };
+  const actl = new Uint8Array(8);
+  u32(actl, 0, frames.length);
+  u32(actl, 4, options.loop ?? 0);
+  const parts = [new Uint8Array(PNG_SIGNATURE), pngChunk('IHDR', pngHeader(width, height)), pngChunk('acTL', actl)];
+  let seq = 0;
+  frames.forEach((frame, n) => {
+    if (frame.rgba.length !== width * height * 4) {
+      throw new RangeError(`encodeAPNG: frame ${n} has ${frame.rgba.length} bytes, expected ${width * height * 4} for ${width}x${height} RGBA`);
+    }
+    // Frame control: full-size frame at 0,0, delay in ms, no dispose, replace (APNG_DISPOSE_OP_NONE, APNG_BLEND_OP_SOURCE)
+    const fctl = new Uint8Array(26);
+    u32(fctl, 0, seq++);
+    u32(fctl, 4, width);
+    u32(fctl, 8, height);
+    const delay = Math.max(0, Math.min(0xffff, Math.round(frame.delayMs ?? 0)));
+    fctl[20] = delay >>> 8; fctl[21] = delay & 0xff;
+    fctl[22] = 1000 >>> 8; fctl[23] = 1000 & 0xff;
+    parts.push(pngChunk('fcTL', fctl));
+    const data = pngImageData(width, height, frame.rgba);
+    if (n === 0) {
+      parts.push(pngChunk('IDAT', data));
+    } else {
+      const fdat = new Uint8Array(4 + data.length);
+      u32(fdat, 0, seq++);
+      fdat.set(data, 4);
+      parts.push(pngChunk('fdAT', fdat));
+    }
+  });
+  parts.push(pngChunk('IEND', new Uint8Array(0)));
+  return concatBytes(parts);
+}
@@ -0,0 +1,380 @@
+import {
+  POST_BLOOM_RADIUS_PX, POST_CURVATURE_MAX, POST_VIGNETTE_MAX_POWER, POST_NOISE_MAX_LEVEL
+} from './constants.js';
+
+/**
+ * CRT post-processing for PixelDisplay: an ordered chain of stages run on the finished RGBA frame
+ * (ImageData-shaped { width, height, data }), on the CPU. RasterRenderer runs display.postProcess in endFrame.
+ *
+ * Every stage has a type, a strength 0..1 (0 = no effect) and enabled; strength and params can be changed
+ * between frames. Stage types: scanlines, bloom, curvature, vignette, noise (see POST_STAGES).
+ */
+export class PostStage {
+  constructor(type, params = {}) {
+    this.type = type;
+    this.strength = checkPostStrength(type, params.strength ?? 0.5);
+    this.enabled = params.enabled ?? true;
+    this._width = 0;
+    this._height = 0;
+    this._display = null;
+  }
+
+  /**
+   * Run the stage over img in place. (Re)computes size-dependent tables when the frame size changes.
+   * @param {{ width: number, height: number, data: Uint8ClampedArray }} img
+   * @param {number} frameTime - ms of the frame being rendered
+   * @param {Object} [display] - PixelDisplay, for cell geometry
+   */
+  apply(img, frameTime, display) {
+    if (img.width !== this._width || img.height !== this._height || display !== this._display) {
+      this._width = img.width;
+      this._height = img.height;
+      this._display = display;
+      this.prepare(img.width, img.height, display);
+    }
+    this.process(img, frameTime);
+  }
+
+  prepare() {}
+
+  process() {}
+
+  toJSON() {
+    return { type: this.type, strength: this.strength, enabled: this.enabled };
+  }
+}
+
+/**
+ * Scanlines: darken each emulated row toward its edges, brightest through the middle of the cell.
+ * params: { strength }
+ */
+export class ScanlineStage extends PostStage {
+  constructor(params = {}) {
+    super('scanlines', params);
+    this._profile = null;
+  }
+
+  prepare(width, height, display) {
+    const pitch = display ? display.pixelHeight + display.gapHeight : 2;
+    const center = display ? display.pixelHeight / 2 : 0.5;
+    this._profile = new Float32Array(height);
+    for (let py = 0; py < height; py++) {
+      const d = Math.min(1, Math.abs(((py + 0.5) % pitch) - center) / (pitch / 2));
+      this._profile[py] = d * d;
+    }
+  }
+
+  process(img) {
+    const data = img.data;
+    const rowBytes = img.width * 4;
+    for (let py = 0; py < img.height; py++) {
+      const f = 1 - this.strength * this._profile[py];
+      if (f === 1) continue;
+      const end = (py + 1) * rowBytes;
+      for (let o = py * rowBytes; o < end; o += 4) {
+        data[o] *= f;
+        data[o + 1] *= f;
+        data[o + 2] *= f;
+      }
+    }
+  }
+}
+
+/**
+ * Bloom: phosphor glow around lit pixels. Adds a blurred copy of the frame (a box blur at half resolution, one
+ * horizontal and one vertical pass, to keep it cheap on the CPU) scaled by strength.
+ * params: { strength, radius=3 } - radius in output pixels
+ */
+export class BloomStage extends PostStage {
+  constructor(params = {}) {
+    super('bloom', params);
+    this.radius = Math.max(1, Math.round(params.radius ?? POST_BLOOM_RADIUS_PX));
+    this._a = null;
+    this._b = null;
+  }
+
+  prepare(width, height) {
+    const hw = Math.ceil(width / 2);
+    const hh = Math.ceil(height / 2);
+    this._a = new Float32Array(hw * hh * 3);
+    this._b = new Float32Array(hw * hh * 3);
+  }
+
+  process(img) {
+    const { width, height, data } = img;
+    const hw = Math.ceil(width / 2);
+    const hh = Math.ceil(height / 2);
+    const a = this._a;
+    const b = this._b;
+    // Downsample: each half-res sample is the mean of its 2x2 block
+    a.fill(0);
+    for (let py = 0; py < height; py++) {
+      const row = (py >> 1) * hw;
+      for (let px = 0, o = py * width * 4; px < width; px++, o += 4) {
+        const i = (row + (px >> 1)) * 3;
+        a[i] += data[o] * 0.25;
+        a[i + 1] += data[o + 1] * 0.25;
+        a[i + 2] += data[o + 2] * 0.25;
+      }
+    }
+    const r = Math.max(1, Math.round(this.radius / 2));
+    boxBlur3(a, b, hw, hh, r, 1, hw);
+    boxBlur3(b, a, hh, hw, r, hw, 1);
+    const s = this.strength;
+    for (let py = 0; py < height; py++) {
+      const row = (py >> 1) * hw;
+      for (let px = 0, o = py * width * 4; px < width; px++, o += 4) {
+        const i = (row + (px >> 1)) * 3;
+        data[o] += a[i] * s;
+        data[o + 1] += a[i + 1] * s;
+        data[o + 2] += a[i + 2] * s;
+      }
+    }
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), radius: this.radius };
+  }
+}
+
+/**
+ * Barrel curvature: bulge the picture like a curved tube face; areas pulled in from past the edge are black.
+ * params: { strength }
+ */
+export class CurvatureStage extends PostStage {
+  constructor(params = {}) {
+    super('curvature', params);
+    this._map = null;
+    this._mapStrength = -1;
+    this._copy = null;
+  }
+
+  prepare(width, height) {
+    this._map = new Int32Array(width * height);
+    this._mapStrength = -1;
+    this._copy = new Uint8ClampedArray(width * height * 4);
+  }
+
+  /** Source pixel (or -1 for black) for every output pixel at the current strength. */
+  _buildMap(width, height) {
+    const k = this.strength * POST_CURVATURE_MAX;
+    for (let py = 0; py < height; py++) {
+      const v = ((py + 0.5) / height) * 2 - 1;
+      for (let px = 0; px < width; px++) {
+        const u = ((px + 0.5) / width) * 2 - 1;
+        const scale = 1 + k * (u * u + v * v);
+        const sx = Math.floor(((u * scale + 1) / 2) * width);
+        const sy = Math.floor(((v * scale + 1) / 2) * height);
+        this._map[py * width + px] = (sx < 0 || sy < 0 || sx >= width || sy >= height) ? -1 : sy * width + sx;
+      }
+    }
+    this._mapStrength = this.strength;
+  }
+
+  process(img) {
+    const { width, height, data } = img;
+    if (this._mapStrength !== this.strength) this._buildMap(width, height);
+    const copy = this._copy;
+    copy.set(data);
+    const map = this._map;
+    for (let i = 0, o = 0; i < map.length; i++, o += 4) {
+      const s = map[i];
+      if (s < 0) {
+        data[o] = 0; data[o + 1] = 0; data[o + 2] = 0;
+      } else {
+        const so = s * 4;
+        data[o] = copy[so]; data[o + 1] = copy[so + 1]; data[o + 2] = copy[so + 2];
+      }
+      data[o + 3] = 255;
+    }
+  }
+}
+
+/**
+ * Vignette: darken toward the edges, most in the corners.
+ * params: { strength }
+ */
+export class VignetteStage extends PostStage {
+  constructor(params = {}) {
+    super('vignette', params);
+    this._baseCols = null;
+    this._baseRows = null;
+    this._cols = null;
+    this._rows = null;
+    this._power = null; // power _cols and _rows were raised to
+  }
+
+  prepare(width, height) {
+    // 4u(1-u): 1 at the center line, 0 at the edge
+    this._baseCols = new Float32Array(width);
+    this._baseRows = new Float32Array(height);
+    for (let px = 0; px < width; px++) {
+      const u = (px + 0.5) / width;
+      this._baseCols[px] = 4 * u * (1 - u);
+    }
+    for (let py = 0; py < height; py++) {
+      const v = (py + 0.5) / height;
+      this._baseRows[py] = 4 * v * (1 - v);
+    }
+    this._cols = new Float32Array(width);
+    this._rows = new Float32Array(height);
+    this._power = null;
+  }
+
+  process(img) {
+    const { width, height, data } = img;
+    const power = this.strength * POST_VIGNETTE_MAX_POWER;
+    if (power !== this._power) {
+      for (let px = 0; px < width; px++) this._cols[px] = Math.pow(this._baseCols[px], power);
+      for (let py = 0; py < height; py++) this._rows[py] = Math.pow(this._baseRows[py], power);
+      this._power = power;
+    }
+    const cols = this._cols;
+    for (let py = 0; py < height; py++) {
+      const rowF = this._rows[py];
+      let o = py * width * 4;
+      for (let px = 0; px < width; px++, o += 4) {
+        const f = rowF * cols[px];
+        data[o] *= f;
+        data[o + 1] *= f;
+        data[o + 2] *= f;
+      }
+    }
+  }
+}
+
+/**
+ * Noise floor: faint grey static lifting the blacks, different every frame but repeatable for a given
+ * frameTime and seed (so headless renders are deterministic).
+ * params: { strength, seed=1 }
+ */
+export class NoiseStage extends PostStage {
+  constructor(params = {}) {
+    super('noise', params);
+    this.seed = (params.seed ?? 1) >>> 0;
+  }
+
+  process(img, frameTime) {
+    const data = img.data;
+    const level = this.strength * POST_NOISE_MAX_LEVEL;
+    let s = (this.seed ^ Math.imul(Math.floor(frameTime) + 1, 0x9e3779b1)) >>> 0 || 1;
+    for (let o = 0; o < data.length; o += 4) {
+      // xorshift32
+      s ^= s << 13; s ^= s >>> 17; s ^= s << 5;
+      const n = ((s >>> 0) / 4294967296) * level;
+      data[o] += n;
+      data[o + 1] += n;
+      data[o + 2] += n;
+    }
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), seed: this.seed };
+  }
+}
+
+/** Post-processing stage classes by type (the `type` field of a spec). */
+export const POST_STAGES = {
+  scanlines: ScanlineStage,
+  bloom: BloomStage,
+  curvature: CurvatureStage,
+  vignette: VignetteStage,
+  noise: NoiseStage
+};
+
+/**
+ * Build a stage from a type name ('bloom'), a spec ({ type: 'bloom', strength: 0.4, radius: 2 }) or
+ * an existing stage (returned as is).
+ */
+export function createPostStage(spec, params = {}) {
+  if (spec instanceof PostStage) return spec;
+  let type = spec;
+  if (spec && typeof spec === 'object') {
+    ({ type, ...params } = spec);
+  }
+  const Stage = Object.prototype.hasOwnProperty.call(POST_STAGES, type) ? POST_STAGES[type] : null;
+  if (!Stage) {
+    throw new Error(`createPostStage: unknown stage type: ${JSON.stringify(type)} (expected one of ${Object.keys(POST_STAGES).join(', ')})`);
+  }
+  return new Stage(params);
+}
+
+/**
+ * PostProcessChain - ordered list of stages, run first to last.
+ */
+export class PostProcessChain {
+  /**
+   * @param {Array<string|Object>} [stages] - Stage types, specs or stages, in order
+   */
+  constructor(stages = []) {
+    this.stages = stages.map((s) => createPostStage(s));
+  }
+
+  get length() {
+    return this.stages.length;
+  }
+
+  /** First stage of the given type, or null. */
+  get(type) {
+    return this.stages.find((s) => s.type === type) ?? null;
+  }
+
+  /**
+   * Update the first stage of this type with params (strength, enabled, stage params), or append a new one.
+   * @returns {PostStage}
+   */
+  set(type, params = {}) {
+    const i = this.stages.findIndex((s) => s.type === type);
+    const stage = createPostStage(type, { ...(i >= 0 ? this.stages[i].toJSON() : {}), ...params });
+    if (i >= 0) this.stages[i] = stage;
+    else this.stages.push(stage);
+    return stage;
+  }
+
+  /** Remove every stage of this type. */
+  remove(type) {
+    this.stages = this.stages.filter((s) => s.type !== type);
+  }
+
+  apply(img, frameTime, display) {
+    for (const stage of this.stages) {
+      if (stage.enabled && stage.strength > 0) stage.apply(img, frameTime, display);
+    }
+  }
+
+  toJSON() {
+    return this.stages.map((s) => s.toJSON());
+  }
+}
+
+/**
+ * One box-blur pass over interleaved RGB floats: `lines` lines of `len` samples, sample step `step`
+ * and line step `lineStep` (in pixels). Edges clamp.
+ */
+function boxBlur3(src, dst, len, lines, r, step, lineStep) {
+  const inv = 1 / (2 * r + 1);
+  for (let line = 0; line < lines; line++) {
+    const base = line * lineStep;
+    let sr = 0, sg = 0, sb = 0;
+    for (let k = -r; k <= r; k++) {
+      const j = (base + Math.min(len - 1, Math.max(0, k)) * step) * 3;
+      sr += src[j]; sg += src[j + 1]; sb += src[j + 2];
+    }
+    for (let n = 0; n < len; n++) {
+      const o = (base + n * step) * 3;
+      dst[o] = sr * inv; dst[o + 1] = sg * inv; dst[o + 2] = sb * inv;
+      const add = (base + Math.min(len - 1, n + r + 1) * step) * 3;
+      const sub = (base + Math.max(0, n - r) * step) * 3;
+      sr += src[add] - src[sub];
+      sg += src[add + 1] - src[sub + 1];
+      sb += src[add + 2] - src[sub + 2];
+    }
+  }
+}
+
+function checkPostStrength(type, value) {
+  if (typeof value !== 'number' || !(value >= 0 && value <= 1)) {
+    throw new RangeError(`${type}: strength must be a number in 0..1, got ${value}`);
+  }
+  return value;
+}
@@ -0,0 +1,237 @@
+import { encodeAPNG } from './png.js';
+import { encodeGIF } from './gif.js';
+
+/** Color blended over the frame while degauss runs (see PixelDisplay.render); kept in the GIF palette. */
+const RECORDER_DEGAUSS_TINT = [255, 0, 255];
+
+/**
+ * FrameRecorder - captures what a PixelDisplay renders (fades, degauss and post-processing included) as an
+ * animated GIF or APNG. Frames are sampled after render() at up to fps, from renderer.readFrame(), so any backend
+ * works and clips run at the rate the display actually rendered. Encoding is pure JavaScript (gif.js, png.js).
+ *
+ *   const recorder = new FrameRecorder(display, { format: 'gif', fps: 15, maxDurationMs: 10000 });
+ *   recorder.start();
+ *   ...render frames...
+ *   const bytes = recorder.stop();   // Uint8Array, or null if nothing was rendered
+ *
+ * GIF frames use a palette built from the display's phosphor colors, each as a ramp from black to full
+ * brightness. APNG frames are exact RGBA but stored uncompressed, so keep them short or scaled down.
+ */
+export class FrameRecorder {
+  /**
+   * @param {PixelDisplay} display
+   * @param {Object} [options]
+   * @param {'gif'|'apng'} [options.format='gif']
+   * @param {number} [options.fps=15] - Most frames sampled per second (1..100)
+   * @param {number} [options.maxDurationMs=10000] - Stop on its own after this long (Infinity: only on stop())
+   * @param {number} [options.scale=1] - Output size relative to the display output, 0..1 (box-filtered)
+   * @param {number} [options.loop=0] - Times to play (0 = forever)
+   * @param {Function} [options.onStop] - Called with (bytes, recorder) whenever recording stops, including at maxDurationMs
+   */
+  constructor(display, options = {}) {
+    this.display = display;
+    this.format = options.format ?? 'gif';
+    this.fps = options.fps ?? 15;
+    this.maxDurationMs = options.maxDurationMs ?? 10000;
+    this.scale = options.scale ?? 1;
+    this.loop = options.loop ?? 0;
+    this.onStop = options.onStop ?? null;
+    if (this.format !== 'gif' && this.format !== 'apng') {
+      throw new Error(`FrameRecorder: unknown format: ${this.format} (expected gif or apng)`);
+    }
+    if (!(this.fps > 0 && this.fps <= 100)) throw new RangeError(`FrameRecorder: fps must be in (0, 100], got ${this.fps}`);
+    if (!(this.maxDurationMs > 0)) throw new RangeError(`FrameRecorder: maxDurationMs must be positive, got ${this.maxDurationMs}`);
+    if (!(this.scale > 0 && this.scale <= 1)) throw new RangeError(`FrameRecorder: scale must be in (0, 1], got ${this.scale}`);
+
+    this.recording = false;
+    this.width = 0;
+    this.height = 0;
+    this._frames = [];      // { data: Uint8Array (indices or RGBA), time: ms }
+    this._startTime = null;
+    this._nextSampleTime = 0;
+    this._endTime = 0;
+    this._unsubscribe = null;
+    this._palette = null;
+    this._quantize = null;
+  }
+
+  /** Frames kept so far (identical consecutive frames are merged into one longer frame). */
+  get frameCount() {
+    return this._frames.length;
+  }
+
+  /** Length of the clip so far in ms. */
+  get durationMs() {
+    return this._startTime === null ? 0 : this._endTime - this._startTime;
+  }
+
+  /**
+   * Start a new recording (discarding any previous frames). No-op while already recording.
+   */
+  start() {
+    if (this.recording) return;
+    this.recording = true;
+    this._frames = [];
+    this._startTime = null;
+    this._endTime = 0;
+    this.width = 0;
+    this.height = 0;
+    if (this.format === 'gif') this._buildPalette();
+    this._unsubscribe = this.display.addFrameListener((display, frameTime) => this._capture(frameTime));
+  }
+
+  /**
+   * Stop recording and encode the clip (also calls onStop).
+   * @returns {Uint8Array|null} GIF or APNG file bytes; null when no frame was captured or not recording
+   */
+  stop() {
+    if (!this.recording) return null;
+    this.recording = false;
+    this._unsubscribe();
+    this._unsubscribe = null;
+    const bytes = this._frames.length > 0 ? this.encode() : null;
+    if (this.onStop) this.onStop(bytes, this);
+    return bytes;
+  }
+
+  /**
+   * Encode the frames captured so far.
+   * @returns {Uint8Array}
+   */
+  encode() {
+    if (this._frames.length === 0) throw new Error('FrameRecorder.encode: no frames captured');
+    // Delays from frame times, rounded on the clip's timeline so rounding errors do not add up
+    const tick = this.format === 'gif' ? 10 : 1;
+    const at = (t) => Math.round((t - this._startTime) / tick) * tick;
+    const frames = this._frames.map((f, n) => {
+      const next = n + 1 < this._frames.length ? this._frames[n + 1].time : this._endTime;
+      return { data: f.data, delayMs: at(next) - at(f.time) };
+    });
+    if (this.format === 'gif') {
+      return encodeGIF(this.width, this.height, frames.map((f) => ({ indices: f.data, delayMs: f.delayMs })), {
+        palette: this._palette,
+        loop: this.loop
+      });
+    }
+    return encodeAPNG(this.width, this.height, frames.map((f) => ({ rgba: f.data, delayMs: f.delayMs })), { loop: this.loop });
+  }
+
+  /**
+   * Frame listener: keep the frame if a sample is due; stop at maxDurationMs.
+   */
+  _capture(frameTime) {
+    const interval = 1000 / this.fps;
+    if (this._startTime === null) {
+      this._startTime = frameTime;
+      this._nextSampleTime = frameTime;
+    }
+    if (frameTime - this._startTime >= this.maxDurationMs) {
+      this._endTime = this._startTime + this.maxDurationMs;
+      this.stop();
+      return;
+    }
+    if (frameTime < this._nextSampleTime) return;
+    while (this._nextSampleTime <= frameTime) this._nextSampleTime += interval;
+    this._endTime = Math.min(frameTime + interval, this._startTime + this.maxDurationMs);
+
+    const data = this._grab();
+    const last = this._frames[this._frames.length - 1];
+    if (last && last.data.length === data.length) {
+      let k = 0;
+      while (k < data.length && last.data[k] === data[k]) k++;
+      if (k === data.length) return; // unchanged: the previous frame just lasts longer
+    }
+    this._frames.push({ data, time: frameTime });
+  }
+
+  /**
+   * The renderer's current frame, box-filtered to scale: palette indices (gif) or RGBA (apng).
+   * The clip keeps the size of its first frame; if the display is resized mid-clip, frames are fitted to it.
+   */
+  _grab() {
+    const image = this.display.renderer.readFrame();
+    const src = image.data;
+    const sw = image.width;
+    const sh = image.height;
+    if (this.width === 0) {
+      this.width = Math.max(1, Math.round(sw * this.scale));
+      this.height = Math.max(1, Math.round(sh * this.scale));
+    }
+    const w = this.width;
+    const h = this.height;
+    const edges = (out, size) => {
+      const e = new Int32Array(out + 1);
+      for (let k = 0; k <= out; k++) e[k] = Math.min(size, Math.floor((k * size) / out));
+      return e;
+    };
+    const xs = edges(w, sw);
+    const ys = edges(h, sh);
+    const gif = this.format === 'gif';
+    const out = new Uint8Array(gif ? w * h : w * h * 4);
+    for (let oy = 0; oy < h; oy++) {
+      const y0 = ys[oy], y1 = Math.max(ys[oy + 1], y0 + 1);
+      for (let ox = 0; ox < w; ox++) {
+        const x0 = xs[ox], x1 = Math.max(xs[ox + 1], x0 + 1);
+        let r = 0, g = 0, b = 0;
+        for (let y = y0; y < y1; y++) {
+          for (let x = x0, o = (y * sw + x0) * 4; x < x1; x++, o += 4) {
+            r += src[o]; g += src[o + 1]; b += src[o + 2];
+          }
+        }
+        const n = (y1 - y0) * (x1 - x0);
+        r = Math.round(r / n); g = Math.round(g / n); b = Math.round(b / n);
+        const o = oy * w + ox;
+        if (gif) {
+          out[o] = this._quantize(r, g, b);
+        } else {
+          out[o * 4] = r; out[o * 4 + 1] = g; out[o * 4 + 2] = b; out[o * 4 + 3] = 255;
+        }
+      }
+    }
+    return out;
+  }
+
+  /**
+   * GIF palette: black, then for each phosphor color (and the degauss tint) an even ramp up to full brightness.
+   * Any frame color maps to the nearest ramp entry.
+   */
+  _buildPalette() {
+    const hex = this.display.getPalette();
+    const ramps = hex.map((c) => [1, 3, 5].map((k) => parseInt(c.substring(k, k + 2), 16)));
+    ramps.push(RECORDER_DEGAUSS_TINT);
+    const levels = Math.floor(255 / ramps.length);
+    const palette = new Uint8Array((1 + ramps.length * levels) * 3);
+    ramps.forEach((rgb, c) => {
+      for (let l = 1; l <= levels; l++) {
+        const o = (1 + c * levels + l - 1) * 3;
+        for (let k = 0; k < 3; k++) palette[o + k] = Math.round((rgb[k] * l) / levels);
+      }
+    });
+    this._palette = palette;
+
+    const cache = new Map();
+    this._quantize = (r, g, b) => {
+      const key = (r << 16) | (g << 8) | b;
+      let index = cache.get(key);
+      if (index !== undefined) return index;
+      index = 0;
+      let best = r * r + g * g + b * b;
+      ramps.forEach((rgb, c) => {
+        const norm = rgb[0] * rgb[0] + rgb[1] * rgb[1] + rgb[2] * rgb[2];
+        if (norm === 0) return;
+        const t = Math.max(0, Math.min(1, (r * rgb[0] + g * rgb[1] + b * rgb[2]) / norm));
+        const l = Math.round(t * levels);
+        if (l === 0) return;
+        const o = (1 + c * levels + l - 1) * 3;
+        const dr = r - palette[o], dg = g - palette[o + 1], db = b - palette[o + 2];
+        const err = dr * dr + dg * dg + db * db;
+        if (err < best) {
+          best = err;
+          index = 1 + c * levels + l - 1;
+        }
+      });
+      cache.set(key, index);
+      return index;
+    };
+  }
+}
@@ -0,0 +1,278 @@
+import { encodePNG } from './png.js';
+
+/**
+ * Render backends for PixelDisplay. A backend turns framebuffer brightness into output;
+ * PixelDisplay owns pixel state, fades and screen effect sampling and calls the backend per frame:
+ *
+ *   attach(display)                       - called once (and after geometry changes); read display geometry
+ *   beginFrame()                          - start of render()
+ *   fillBackground()                      - paint the whole output black
+ *   paintCell(x, y, brightness, r, g, b, clearFirst)
+ *                                         - paint emulated cell (x, y) over black; clearFirst = repaint over last frame
+ *   paintOverlay(r, g, b, alpha)          - blend a full-screen color over the output
+ *   endFrame()                            - end of render(); run display.postProcess (if any) and flush to the device
+ *   readFrame()                           - the last finished frame as ImageData-shaped { width, height, data } (RGBA)
+ *
+ * Cell (x, y) covers [x*(pixelWidth+gapWidth), +pixelWidth) horizontally, likewise vertically.
+ */
+
+/**
+ * Canvas2DRenderer - draws to a canvas 2d context.
+ * mode 'fillRect': one ctx.fillRect per lit pixel. mode 'imageData': rasterize into an ImageData
+ * (see RasterRenderer) and blit the touched region with one putImageData per frame.
+ * Post-processing needs the frame's pixels, so with a non-empty display.postProcess 'fillRect' also rasterizes.
+ */
+export class Canvas2DRenderer {
+  /**
+   * @param {HTMLCanvasElement} canvas
+   * @param {{ mode?: 'fillRect'|'imageData' }} [options]
+   */
+  constructor(canvas, options = {}) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.mode = options.mode ?? 'fillRect';
+    this.display = null;
+    this._raster = null;
+  }
+
+  attach(display) {
+    this.display = display;
+    this.canvas.width = display.displayWidth;
+    this.canvas.height = display.displayHeight;
+    if (this.mode === 'imageData' || (display.postProcess && display.postProcess.length > 0)) {
+      const ctx = this.ctx;
+      this._raster = new RasterRenderer({
+        createImageData: typeof ctx.createImageData === 'function' ? (w, h) => ctx.createImageData(w, h) : undefined
+      });
+      this._raster.attach(display);
+    } else {
+      this._raster = null;
+    }
+  }
+
+  beginFrame() {
+    if (this._raster) this._raster.beginFrame();
+  }
+
+  fillBackground() {
+    if (this._raster) { this._raster.fillBackground(); return; }
+    this.ctx.fillStyle = '#000000';
+    this.ctx.fillRect(0, 0, this.display.displayWidth, this.display.displayHeight);
+  }
+
+  paintCell(x, y, brightness, r, g, b, clearFirst) {
+    if (this._raster) { this._raster.paintCell(x, y, brightness, r, g, b, clearFirst); return; }
+    const d = this.display;
+    const pixelX = x * (d.pixelWidth + d.gapWidth);
+    const pixelY = y * (d.pixelHeight + d.gapHeight);
+    if (clearFirst) {
+      // Cell bounds rounded outward to whole canvas pixels; never reaches the neighbour (gap >= 1px)
+      const cellX = Math.floor(pixelX);
+      const cellY = Math.floor(pixelY);
+      this.ctx.fillStyle = '#000000';
+      this.ctx.fillRect(cellX, cellY, Math.ceil(pixelX + d.pixelWidth) - cellX, Math.ceil(pixelY + d.pixelHeight) - cellY);
+    }
+    if (brightness > 0) {
+      this.ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${brightness})`;
+      this.ctx.fillRect(pixelX, pixelY, d.pixelWidth, d.pixelHeight);
+    }
+  }
+
+  paintOverlay(r, g, b, alpha) {
+    if (this._raster) { this._raster.paintOverlay(r, g, b, alpha); return; }
+    this.ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${alpha})`;
+    this.ctx.fillRect(0, 0, this.display.displayWidth, this.display.displayHeight);
+  }
+
+  endFrame() {
+    if (!this._raster) return;
+    this._raster.endFrame();
+    // One putImageData for the region touched this frame (skipped when nothing changed)
+    const bb = this._raster.frameBounds;
+    if (!bb) return;
+    this.ctx.putImageData(this._raster.outputImageData, 0, 0, bb.x0, bb.y0, bb.x1 - bb.x0, bb.y1 - bb.y0);
+  }
+
+  readFrame() {
+    if (this._raster) return this._raster.outputImageData;
+    return this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
+  }
+}
+
+/**
+ * RasterRenderer - rasterizes cells, gaps and fades into an RGBA buffer (ImageData-shaped:
+ * { width, height, data }). Edge coverage reproduces fillRect's anti-aliasing, so output
+ * matches the fillRect path. frameBounds is the region touched since beginFrame (or null).
+ * imageData holds the bare cells and is kept between frames; with post-processing, endFrame writes the
+ * processed frame to a second buffer (outputImageData) and the whole frame counts as touched.
+ */
+export class RasterRenderer {
+  /**
+   * @param {{ createImageData?: (w: number, h: number) => ImageData }} [options]
+   */
+  constructor(options = {}) {
+    this._createImageData = options.createImageData;
+    this.display = null;
+    this.imageData = null;
+    this.frameBounds = null;
+    this._post = null;
+    this._cols = null;
+    this._rows = null;
+  }
+
+  attach(display) {
+    this.display = display;
+    const w = display.displayWidth;
+    const h = display.displayHeight;
+    this.imageData = this._newImageData(w, h);
+    this._post = null;
+    this._cols = buildCellCoverage(display.emulatedWidth, display.pixelWidth + display.gapWidth, display.pixelWidth, w);
+    this._rows = buildCellCoverage(display.emulatedHeight, display.pixelHeight + display.gapHeight, display.pixelHeight, h);
+  }
+
+  beginFrame() {
+    this.frameBounds = null;
+  }
+
+  fillBackground() {
+    // Opaque black in one pass (RGBA bytes 0,0,0,255 as a little-endian uint32)
+    new Uint32Array(this.imageData.data.buffer).fill(0xff000000);
+    this._grow(0, 0, this.imageData.width, this.imageData.height);
+  }
+
+  /**
+   * Overwrite every output pixel owned by cell (x, y); brightness 0 writes black, so clearFirst is implicit.
+   */
+  paintCell(x, y, brightness, r, g, b) {
+    const data = this.imageData.data;
+    const width = this.imageData.width;
+    const cols = this._cols;
+    const rows = this._rows;
+    const x0 = cols.start[x], nx = cols.len[x], cx = x * cols.stride;
+    const y0 = rows.start[y], ny = rows.len[y], cy = y * rows.stride;
+    for (let j = 0; j < ny; j++) {
+      const rowAlpha = rows.cov[cy + j] * brightness;
+      let o = ((y0 + j) * width + x0) * 4;
+      for (let i = 0; i < nx; i++, o += 4) {
+        const a = cols.cov[cx + i] * rowAlpha;
+        data[o] = r * a;
+        data[o + 1] = g * a;
+        data[o + 2] = b * a;
+        data[o + 3] = 255;
+      }
+    }
+    this._grow(x0, y0, nx, ny);
+  }
+
+  paintOverlay(r, g, b, alpha) {
+    const data = this.imageData.data;
+    const keep = 1 - alpha;
+    const addR = r * alpha, addG = g * alpha, addB = b * alpha;
+    for (let o = 0; o < data.length; o += 4) {
+      data[o] = data[o] * keep + addR;
+      data[o + 1] = data[o + 1] * keep + addG;
+      data[o + 2] = data[o + 2] * keep + addB;
+    }
+    this._grow(0, 0, this.imageData.width, this.imageData.height);
+  }
+
+  endFrame() {
+    const chain = this.display.postProcess;
+    if (!chain || chain.length === 0) {
+      this._post = null;
+      return;
+    }
+    if (!this._post) this._post = this._newImageData(this.imageData.width, this.imageData.height);
+    this._post.data.set(this.imageData.data);
+    chain.apply(this._post, this.display.frameTime, this.display);
+    this._grow(0, 0, this._post.width, this._post.height);
+  }
+
+  /**
+   * The finished frame: post-processed when display.postProcess has stages, else imageData.
+   */
+  get outputImageData() {
+    return this._post ?? this.imageData;
+  }
+
+  readFrame() {
+    return this.outputImageData;
+  }
+
+  _newImageData(w, h) {
+    return this._createImageData
+      ? this._createImageData(w, h)
+      : { width: w, height: h, data: new Uint8ClampedArray(w * h * 4) };
+  }
+
+  _grow(x, y, w, h) {
+    const bb = this.frameBounds;
+    if (!bb) {
+      this.frameBounds = { x0: x, y0: y, x1: x + w, y1: y + h };
+      return;
+    }
+    bb.x0 = Math.min(bb.x0, x);
+    bb.y0 = Math.min(bb.y0, y);
+    bb.x1 = Math.max(bb.x1, x + w);
+    bb.y1 = Math.max(bb.y1, y + h);
+  }
+}
+
+/**
+ * HeadlessRenderer - RasterRenderer with no canvas, for Node, CI and offline tooling.
+ * Render with display.render(), then read pixels or encode the frame as PNG.
+ */
+export class HeadlessRenderer extends RasterRenderer {
+  get width() { return this.imageData.width; }
+  get height() { return this.imageData.height; }
+
+  /**
+   * The current frame's RGBA bytes (row-major, 4 bytes per output pixel), after post-processing. Live view, not a copy.
+   * @returns {Uint8ClampedArray}
+   */
+  getRGBA() {
+    return this.outputImageData.data;
+  }
+
+  /**
+   * [r, g, b, a] of output pixel (px, py), or null when out of bounds.
+   */
+  getPixelRGBA(px, py) {
+    if (px < 0 || py < 0 || px >= this.width || py >= this.height) return null;
+    const o = (py * this.width + px) * 4;
+    const d = this.outputImageData.data;
+    return [d[o], d[o + 1], d[o + 2], d[o + 3]];
+  }
+
+  /**
+   * Encode the current frame as a PNG file.
+   * @returns {Uint8Array}
+   */
+  toPNG() {
+    return encodePNG(this.width, this.height, this.outputImageData.data);
+  }
+}
+
+/**
+ * For each of count cells along one axis (cell c spans [c*step, c*step+size)), list the output
+ * pixels it touches and the fraction of each it covers.
+ * @returns {{ start: Int32Array, len: Uint16Array, cov: Float32Array, stride: number }}
+ */
+function buildCellCoverage(count, step, size, limit) {
+  const stride = Math.ceil(size) + 1;
+  const start = new Int32Array(count);
+  const len = new Uint16Array(count);
+  const cov = new Float32Array(count * stride);
+  for (let c = 0; c < count; c++) {
+    const x0 = c * step;
+    const x1 = x0 + size;
+    const d0 = Math.max(0, Math.floor(x0));
+    const d1 = Math.min(limit, Math.ceil(x1));
+    start[c] = d0;
+    len[c] = Math.max(0, d1 - d0);
+    for (let d = d0; d < d1; d++) {
+      cov[c * stride + (d - d0)] = Math.min(x1, d + 1) - Math.max(x0, d);
+    }
+  }
+  return { start, len, cov, stride };
+}
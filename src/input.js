@@ -5,8 +5,22 @@
 export const KEY_DEGAUSS = ' ';
 export const KEY_ENTER = 'Enter';
 export const KEY_PAUSE = ['p', 'P'];
+export const KEY_GHOSTING = ['g', 'G'];
+export const KEY_RECORD = ['r', 'R'];
+export const KEY_FULLSCREEN = ['f', 'F'];
 export const KEY_MENU_UP = ['ArrowUp', 'w', 'W'];
 export const KEY_MENU_DOWN = ['ArrowDown', 's', 'S'];
+export const KEY_MENU_LEFT = ['ArrowLeft', 'a', 'A'];
+export const KEY_MENU_RIGHT = ['ArrowRight', 'd', 'D'];
+export const KEY_SERVE_RULE = ['e', 'E'];
+/** Manual serve: E for the left player, Enter for the right (2P); in 1P either key serves for the player */
+export const KEY_SERVE_LEFT = ['e', 'E'];
+export const KEY_SERVE_RIGHT = ['Enter'];
+export const KEY_REPLAY = ['v', 'V'];
+export const KEY_REPLAY_EXPORT = ['x', 'X'];
+export const KEY_REPLAY_EXIT = 'Escape';
+export const KEY_SEEK_BACK = ['ArrowLeft', 'a', 'A'];
+export const KEY_SEEK_FORWARD = ['ArrowRight', 'd', 'D'];
 export const KEY_DEBUG_WIN = ['o', 'O'];
 export const KEY_DEBUG_LOSE = ['l', 'L'];
 export const KEY_DEBUG_1 = '1';
@@ -0,0 +1,64 @@
+/**
+ * Match rules: how a match is won and how the ball is served. A rules object is plain data, kept in the match
+ * state (pong-sim.js) and in replays:
+ *
+ *   { targetScore: 11, winByTwo: true, timeLimitMs: 0, serve: 'alternate', serveStart: 'countdown' }
+ *
+ * - targetScore: goals to win (null: no target, for timed matches)
+ * - winByTwo: at the target, play on until one side leads by two (deuce)
+ * - timeLimitMs: match clock (ball in play only); when it runs out the leader wins, and a tie goes to sudden death,
+ *   where the next goal wins. 0: untimed
+ * - serve: who serves after a goal: 'random', 'alternate' (the other player from last time) or 'conceder'
+ *   (whoever was scored on); the first serve is always random
+ * - serveStart: 'countdown' serves by itself (after the start countdown, and straight after each goal);
+ *   'manual' waits for the server to press serve (the AI serves after a short wait)
+ */
+import { GOALS_TO_WIN } from './constants.js';
+
+export const SERVE_POLICIES = ['random', 'alternate', 'conceder'];
+export const SERVE_STARTS = ['countdown', 'manual'];
+
+export const DEFAULT_MATCH_RULES = Object.freeze({
+  targetScore: GOALS_TO_WIN,
+  winByTwo: false,
+  timeLimitMs: 0,
+  serve: 'random',
+  serveStart: 'countdown'
+});
+
+/** Match formats for the menu, in cycling order; serve and serveStart are picked separately */
+export const MATCH_FORMATS = [
+  { label: 'FIRST TO 5', rules: { targetScore: 5 } },
+  { label: 'FIRST TO 11', rules: { targetScore: 11 } },
+  { label: '11 WIN BY 2', rules: { targetScore: 11, winByTwo: true } },
+  { label: '21 WIN BY 2', rules: { targetScore: 21, winByTwo: true } },
+  { label: 'TIMED 2:00', rules: { targetScore: null, timeLimitMs: 120000 } },
+  { label: 'TIMED 5:00', rules: { targetScore: null, timeLimitMs: 300000 } }
+];
+
+/**
+ * Complete and check a rules object: missing fields come from DEFAULT_MATCH_RULES.
+ * @param {Object} [options] - Any of the rules fields
+ * @returns {Object} New rules object
+ * @throws {RangeError} When a field is out of range, or the match could never end
+ */
+export function createMatchRules(options = {}) {
+  const rules = { ...DEFAULT_MATCH_RULES, ...options };
+  if (rules.targetScore !== null && !(Number.isInteger(rules.targetScore) && rules.targetScore > 0)) {
+    throw new RangeError(`createMatchRules: targetScore must be a positive integer or null, got ${rules.targetScore}`);
+  }
+  if (!(Number.isFinite(rules.timeLimitMs) && rules.timeLimitMs >= 0)) {
+    throw new RangeError(`createMatchRules: timeLimitMs must be 0 or more, got ${rules.timeLimitMs}`);
+  }
+  if (rules.targetScore === null && rules.timeLimitMs === 0) {
+    throw new RangeError('createMatchRules: a match needs a targetScore, a timeLimitMs or both');
+  }
+  if (!SERVE_POLICIES.includes(rules.serve)) {
+    throw new RangeError(`createMatchRules: serve must be one of ${SERVE_POLICIES.join(', ')}, got ${rules.serve}`);
+  }
+  if (!SERVE_STARTS.includes(rules.serveStart)) {
+    throw new RangeError(`createMatchRules: serveStart must be one of ${SERVE_STARTS.join(', ')}, got ${rules.serveStart}`);
+  }
+  rules.winByTwo = Boolean(rules.winByTwo);
+  return rules;
+}
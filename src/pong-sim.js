@@ -0,0 +1,532 @@
+/**
+ * Pong simulation: ball, paddles, AI, scoring and match end as plain data, without DOM, display or wall clock.
+ *
+ * stepPong(state, inputs, dtMs) returns the next state; all randomness (serve angle and speed, AI reaction jitter)
+ * comes from a seeded PRNG whose state lives in the match state, and time is the simulation clock (timeMs,
+ * advanced by dtMs per step). The same seed and the same inputs always play out the same match. How the match is
+ * won and served follows its rules (state.rules, see match-rules.js).
+ *
+ *   let state = createPongState({ width: 160, height: 120, seed: 42, rightPlayer: 2, rules: { targetScore: 11 } });
+ *   state = stepPong(state, { left: 'up', right: null }, DT_MS);
+ *   for (const event of state.events) ...   // { type: 'hit' | 'goal' | 'serve' | 'suddenDeath' | 'gameOver', ... }
+ *
+ * The in-place helpers (servePongBall, movePongBall, ...) are what stepPong runs on its copy; Pong also calls
+ * them on its live state. State is JSON-safe, so it can be saved and restored.
+ */
+import {
+  PADDLE_WIDTH, PADDLE_HEIGHT, PADDLE_SPEED, BALL_SPEED, PADDLE_EDGE_OFFSET,
+  SPEED_INCREASE_PER_VOLLEY, MAX_SPEED_MULTIPLIER,
+  SPIN_PADDLE_TRANSFER_LEVEL, SPIN_PADDLE_TRANSFER_2P, SPIN_MAGNUS_FACTOR_LEVEL, SPIN_MAGNUS_FACTOR_2P,
+  SPIN_DAMPING_PER_TICK, SPIN_WALL_RETENTION_LEVEL, SPIN_WALL_RETENTION_2P, SPIN_MAX, LEVEL_SPEED_FACTOR_3
+} from './constants.js';
+import { createMatchRules } from './match-rules.js';
+
+// AI tuning
+const AI_MAX_REACTION_MS = 500;      // reaction delay at skill 0
+const AI_MIN_REACTION_MS = 150;      // reaction delay at skill 1; nothing is instant
+const AI_SMOOTHING = 0.15;           // velocity interpolation per step (0-1, lower = smoother)
+const AI_SPEED_FRACTION = 0.71;      // AI paddle top speed relative to a human's
+const AI_SHAKEN_OFF_CHANCE = [0.75, 0.5, 0];  // chance by level that a degauss throws the AI off
+const AI_SERVE_DELAY_MS = 1000;      // manual serve: how long the AI waits before serving
+
+// Most wall and paddle contacts resolved in one step; the rest of a step past that is dropped
+const BALL_MAX_BOUNCES_PER_STEP = 4;
+
+/**
+ * Create a match in its serving state: scores 0, paddles centered, ball at rest in the center, first server drawn
+ * from the PRNG. The first step (or servePongBall) serves; with manual serve (see match-rules.js), the first step
+ * whose inputs have serve set.
+ * @param {Object} [options]
+ * @param {number} [options.width=160]
+ * @param {number} [options.height=120]
+ * @param {number} [options.seed=1] - PRNG seed (unsigned 32-bit; other numbers are truncated to one)
+ * @param {'2P'|1|2|3} [options.rightPlayer=2] - '2P' for a human on the right, else the AI level
+ * @param {Object} [options.rules] - Match rules (see createMatchRules); default first to GOALS_TO_WIN
+ * @param {number} [options.goalsToWin] - Shorthand for rules.targetScore
+ * @param {Object} [options.spin] - Spin config to play with instead of the level's (see pongSpinConfig); replays
+ *   pass the recorded one so they play back the same after the constants are retuned
+ * @returns {Object} state
+ */
+export function createPongState(options = {}) {
+  const width = options.width ?? 160;
+  const height = options.height ?? 120;
+  const rightPlayer = options.rightPlayer ?? 2;
+  if (rightPlayer !== '2P' && ![1, 2, 3].includes(rightPlayer)) {
+    throw new RangeError(`createPongState: rightPlayer must be '2P', 1, 2 or 3, got ${rightPlayer}`);
+  }
+  const seed = (options.seed ?? 1) >>> 0;
+  const paddleY = Math.floor(height / 2 - PADDLE_HEIGHT / 2);
+  const paddle = (x) => ({ x, y: paddleY, width: PADDLE_WIDTH, height: PADDLE_HEIGHT, speed: PADDLE_SPEED, vy: 0 });
+  const state = {
+    width,
+    height,
+    seed,
+    rng: seed,
+    timeMs: 0,
+    step: 0,
+    rightPlayer,
+    rules: createMatchRules({ ...(options.goalsToWin != null && { targetScore: options.goalsToWin }), ...options.rules }),
+    spin: options.spin ? { ...options.spin } : null,
+    leftPaddle: paddle(PADDLE_EDGE_OFFSET),
+    rightPaddle: paddle(width - PADDLE_EDGE_OFFSET - PADDLE_WIDTH),
+    ball: { x: Math.floor(width / 2), y: Math.floor(height / 2), vx: 0, vy: 0, spin: 0, radius: 1 },
+    score: { left: 0, right: 0 },
+    volleyCount: 0,
+    speedMultiplier: 1.0,
+    serving: true,
+    server: 'left',         // who serves next (the ball goes to the other side)
+    serveWaitMs: 0,         // time spent waiting for a manual serve
+    matchMs: 0,             // match clock: time with the ball in play (timeLimitMs)
+    suddenDeath: false,
+    winner: null,
+    ai: rightPlayer === '2P' ? null : {
+      skill: 0.5,
+      targetY: 0,
+      currentVelocity: 0,
+      lastDirection: 0,       // -1 up, 0 neutral, 1 down (ball vy sign)
+      directionChangeTime: 0,
+      reactionDelay: 0,
+      reacting: false,
+      lastDegaussId: null,
+      shakenOffActive: false
+    },
+    events: []
+  };
+  if (state.ai) state.ai.skill = pongAISkill(state);
+  state.server = pongRandom(state) > 0.5 ? 'left' : 'right';
+  return state;
+}
+
+/**
+ * Copy a state (all plain data) so it can be stepped without touching the original.
+ */
+export function clonePongState(state) {
+  return {
+    ...state,
+    leftPaddle: { ...state.leftPaddle },
+    rightPaddle: { ...state.rightPaddle },
+    ball: { ...state.ball },
+    score: { ...state.score },
+    rules: { ...state.rules },
+    spin: state.spin ? { ...state.spin } : null,
+    ai: state.ai ? { ...state.ai } : null,
+    events: state.events.map((e) => ({ ...e }))
+  };
+}
+
+/**
+ * Advance a match by one fixed step. Serves first when the match is waiting to serve (with manual serve, only
+ * when the server presses serve); does nothing once it has a winner. Movement is per step (the physics are tuned
+ * for 60 Hz); dtMs advances the simulation clock, and the match clock while the ball is in play.
+ * @param {Object} state
+ * @param {Object} [inputs]
+ * @param {'up'|'down'|null} [inputs.left] - Left paddle direction
+ * @param {'up'|'down'|null} [inputs.right] - Right paddle direction (ignored when the AI plays the right side)
+ * @param {{ id: *, progress: number }|null} [inputs.degauss] - Running degauss (id changes per run, progress 0..1)
+ *   for the AI to be thrown off by; null when none is running
+ * @param {{ left: boolean, right: boolean }|null} [inputs.serve] - Serve pressed, per side (manual serve; only the
+ *   server's press counts, and none when it is the AI's serve)
+ * @param {number} dtMs
+ * @returns {Object} Next state; its events list what happened during the step
+ */
+export function stepPong(state, inputs = {}, dtMs) {
+  checkPongServeInput(inputs.serve, 'stepPong');
+  const next = clonePongState(state);
+  next.events = [];
+  if (next.winner) return next;
+  next.step++;
+  next.timeMs += dtMs;
+  if (next.serving) {
+    if (pongServeDue(next, inputs.serve ?? null)) servePongBall(next);
+    else next.serveWaitMs += dtMs;
+  }
+  if (!next.serving) next.matchMs += dtMs;
+  movePongPaddle(next, next.leftPaddle, inputs.left ?? null);
+  if (next.ai) {
+    updatePongAI(next, inputs.degauss ?? null);
+  } else {
+    movePongPaddle(next, next.rightPaddle, inputs.right ?? null);
+  }
+  movePongBall(next);
+  checkPongMatchEnd(next);
+  return next;
+}
+
+/**
+ * Check a step's serve input: { left, right } or nothing. A bare true (who pressed?) would drop the serve unseen.
+ * @throws {TypeError} When serve is anything else
+ */
+export function checkPongServeInput(serve, caller) {
+  if (serve != null && typeof serve !== 'object') {
+    throw new TypeError(`${caller}: inputs.serve must be { left, right } or null, got ${serve}`);
+  }
+}
+
+/**
+ * Whether a waiting serve goes now: always with countdown serve; when manual, on the server's own serve press, or
+ * after the AI's wait.
+ */
+function pongServeDue(state, servePressed) {
+  if (state.rules.serveStart === 'countdown') return true;
+  if (state.ai && state.server === 'right') return state.serveWaitMs >= AI_SERVE_DELAY_MS;
+  return Boolean(servePressed?.[state.server]);
+}
+
+/**
+ * Next number in [0, 1) from the state's PRNG (mulberry32), advancing it.
+ */
+export function pongRandom(state) {
+  let t = (state.rng = (state.rng + 0x6D2B79F5) >>> 0);
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * Spin config for the match: its own (state.spin) when it has one, else by level (1P: AI level 1-3; 2P: dedicated
+ * 2P constants).
+ */
+export function pongSpinConfig(state) {
+  if (state.spin) return state.spin;
+  if (state.rightPlayer === '2P') {
+    return {
+      paddleTransfer: SPIN_PADDLE_TRANSFER_2P,
+      magnusFactor: SPIN_MAGNUS_FACTOR_2P,
+      dampingPerTick: SPIN_DAMPING_PER_TICK,
+      wallRetention: SPIN_WALL_RETENTION_2P,
+      maxSpin: SPIN_MAX,
+      speedFactor: 1.0
+    };
+  }
+  const i = state.rightPlayer - 1; // 0, 1, 2 for levels 1, 2, 3
+  return {
+    paddleTransfer: SPIN_PADDLE_TRANSFER_LEVEL[i],
+    magnusFactor: SPIN_MAGNUS_FACTOR_LEVEL[i],
+    dampingPerTick: SPIN_DAMPING_PER_TICK,
+    wallRetention: SPIN_WALL_RETENTION_LEVEL[i],
+    maxSpin: SPIN_MAX,
+    speedFactor: state.rightPlayer === 3 ? LEVEL_SPEED_FACTOR_3 : 1.0
+  };
+}
+
+/**
+ * AI skill (0-1) from the level and, at level 3, the current speed multiplier (0.8 up to 0.95 as the ball speeds up).
+ */
+export function pongAISkill(state) {
+  if (state.rightPlayer === 1) return 0.2;
+  if (state.rightPlayer !== 3) return 0.5;
+  const maxIncrease = 0.15; // 0.95 - 0.8
+  const scaleFactor = maxIncrease / (MAX_SPEED_MULTIPLIER - 1.0);
+  const speedIncrease = Math.min(state.speedMultiplier - 1.0, MAX_SPEED_MULTIPLIER - 1.0);
+  return Math.min(0.8 + speedIncrease * scaleFactor, 0.95);
+}
+
+/**
+ * Serve: ball to the center, volley count and speed reset, random speed (±5%) and angle (±10° around ~35°)
+ * away from state.server. In place.
+ */
+export function servePongBall(state) {
+  const ball = state.ball;
+  centerPongBall(state);
+
+  // Randomize speed: ±5% from base BALL_SPEED. Level 3: +10%.
+  const speedVariation = 1.0 + (pongRandom(state) - 0.5) * 0.1;
+  const baseSpeed = BALL_SPEED * speedVariation * pongSpinConfig(state).speedFactor;
+  // Base angle where vy = 0.7 * vx (~35 degrees), ±10 degrees
+  const angle = Math.atan2(0.7, 1.0) + (pongRandom(state) - 0.5) * (10 * Math.PI / 180);
+  const horizontalDir = state.server === 'left' ? 1 : -1;
+  ball.vx = horizontalDir * baseSpeed * Math.cos(angle);
+  ball.vy = baseSpeed * Math.sin(angle);
+  state.serving = false;
+  state.serveWaitMs = 0;
+  state.events.push({ type: 'serve', direction: horizontalDir > 0 ? 'right' : 'left', server: state.server });
+}
+
+/** Ball at rest in the center, volley count and speed reset. */
+function centerPongBall(state) {
+  const ball = state.ball;
+  ball.x = Math.floor(state.width / 2);
+  ball.y = Math.floor(state.height / 2);
+  ball.vx = 0;
+  ball.vy = 0;
+  ball.spin = 0;
+  state.volleyCount = 0;
+  state.speedMultiplier = 1.0;
+}
+
+/**
+ * After a goal: pick the next server by the serve rule and serve, or with manual serve, wait for it with the ball
+ * at rest in the center. In place.
+ * @param {Object} state
+ * @param {'left'|'right'} scorer - Side that scored
+ */
+export function nextPongServe(state, scorer) {
+  const { serve, serveStart } = state.rules;
+  if (serve === 'alternate') state.server = state.server === 'left' ? 'right' : 'left';
+  else if (serve === 'conceder') state.server = scorer === 'left' ? 'right' : 'left';
+  else state.server = pongRandom(state) > 0.5 ? 'left' : 'right';
+  if (serveStart === 'countdown') {
+    servePongBall(state);
+  } else {
+    centerPongBall(state);
+    state.serving = true;
+    state.serveWaitMs = 0;
+  }
+}
+
+/**
+ * Move a paddle one step in a direction ('up', 'down' or null) and keep it between the walls. In place.
+ */
+export function movePongPaddle(state, paddle, direction) {
+  const prevY = paddle.y;
+  if (direction === 'up') {
+    paddle.y -= paddle.speed;
+  } else if (direction === 'down') {
+    paddle.y += paddle.speed;
+  }
+  constrainPongPaddle(state, paddle, prevY);
+}
+
+/** Keep a paddle off the walls and set its vy (movement this step, for spin). */
+function constrainPongPaddle(state, paddle, prevY) {
+  if (paddle.y < 1) paddle.y = 1; // top wall
+  if (paddle.y + paddle.height > state.height - 1) paddle.y = state.height - 1 - paddle.height; // bottom wall
+  paddle.vy = paddle.y - prevY;
+}
+
+/**
+ * Move the right paddle for the AI: track the ball with a skill-based reaction delay (random jitter from the
+ * state's PRNG) and smoothed acceleration; a degauss may throw it off for a while (levels 1 and 2). In place.
+ * @param {Object} state
+ * @param {{ id: *, progress: number }|null} degauss
+ */
+export function updatePongAI(state, degauss) {
+  const ai = state.ai;
+  const paddle = state.rightPaddle;
+  const ball = state.ball;
+  const prevY = paddle.y;
+  const aiMaxSpeed = paddle.speed * AI_SPEED_FRACTION;
+  ai.skill = pongAISkill(state);
+
+  // Degauss "shaken off": roll once per degauss run, recover at 80% of it
+  if (!degauss) ai.lastDegaussId = null;
+  let shaken = false;
+  if (degauss) {
+    if (degauss.id !== ai.lastDegaussId) {
+      ai.lastDegaussId = degauss.id;
+      const chance = AI_SHAKEN_OFF_CHANCE[state.rightPlayer - 1];
+      ai.shakenOffActive = chance > 0 && pongRandom(state) < chance;
+    }
+    if (ai.shakenOffActive && degauss.progress >= 0.8) {
+      ai.shakenOffActive = false;
+      ai.reacting = false;
+      ai.lastDirection = Math.sign(ball.vy);
+    } else if (ai.shakenOffActive) {
+      // Lurch away from where it was heading, then coast to a stop
+      if (degauss.progress < 0.4) {
+        const targetVelocity = ai.currentVelocity >= 0 ? -aiMaxSpeed : aiMaxSpeed;
+        ai.currentVelocity += (targetVelocity - ai.currentVelocity) * AI_SMOOTHING;
+      } else {
+        ai.currentVelocity += (0 - ai.currentVelocity) * (AI_SMOOTHING * 0.5);
+      }
+      ai.currentVelocity = Math.max(-aiMaxSpeed, Math.min(aiMaxSpeed, ai.currentVelocity));
+      shaken = true;
+    }
+  }
+
+  if (!shaken) trackPongBall(state, ai, paddle, ball, aiMaxSpeed);
+  paddle.y += ai.currentVelocity;
+  constrainPongPaddle(state, paddle, prevY);
+}
+
+/** Normal AI: react to the ball's vertical direction changes after a delay, then steer toward it. */
+function trackPongBall(state, ai, paddle, ball, aiMaxSpeed) {
+  ai.targetY = ball.y;
+
+  // Ball changed vertical direction: wait a reaction delay (longer at low skill, ±80% jitter)
+  const currentDir = Math.sign(ball.vy);
+  if (currentDir !== ai.lastDirection && currentDir !== 0) {
+    ai.reacting = true;
+    ai.directionChangeTime = state.timeMs;
+    const baseDelay = AI_MIN_REACTION_MS + (1.0 - ai.skill) * (AI_MAX_REACTION_MS - AI_MIN_REACTION_MS);
+    ai.reactionDelay = Math.max(0, baseDelay + (pongRandom(state) - 0.5) * 1.6 * baseDelay);
+  }
+  ai.lastDirection = currentDir;
+
+  // Still reacting: keep the current velocity
+  if (ai.reacting) {
+    if (state.timeMs - ai.directionChangeTime < ai.reactionDelay) return;
+    ai.reacting = false;
+  }
+
+  // Target velocity toward the ball, slower when close; accelerate toward it smoothly
+  const distance = ai.targetY - (paddle.y + paddle.height / 2);
+  let targetVelocity = 0;
+  if (Math.abs(distance) >= 2) {
+    const distanceFactor = Math.min(1.0, Math.abs(distance) / 20);
+    targetVelocity = Math.sign(distance) * paddle.speed * distanceFactor;
+  }
+  ai.currentVelocity += (targetVelocity - ai.currentVelocity) * AI_SMOOTHING;
+  ai.currentVelocity = Math.max(-aiMaxSpeed, Math.min(aiMaxSpeed, ai.currentVelocity));
+}
+
+/**
+ * Bounce the ball off a paddle it is inside: reverse vx, speed up with the volley count, aim by hit position
+ * and pick up spin from the paddle's movement. In place.
+ * @returns {boolean} Whether the ball hit the paddle
+ */
+export function collidePongPaddle(state, paddle) {
+  const ball = state.ball;
+  if (ball.x < paddle.x || ball.x >= paddle.x + paddle.width) return false;
+  if (ball.y < paddle.y || ball.y >= paddle.y + paddle.height) return false;
+  returnPongBall(state, paddle);
+  return true;
+}
+
+/** Return the ball off a paddle's face at its current position (see collidePongPaddle). */
+function returnPongBall(state, paddle) {
+  const ball = state.ball;
+  // Hit position on the paddle (0 to 1)
+  const hitPos = (ball.y - paddle.y) / paddle.height;
+  state.volleyCount++;
+  const speedMultiplier = Math.min(1.0 + (state.volleyCount * SPEED_INCREASE_PER_VOLLEY), MAX_SPEED_MULTIPLIER);
+  state.speedMultiplier = speedMultiplier;
+
+  // Spin from paddle vertical velocity (before vx/vy rewrite)
+  const cfg = pongSpinConfig(state);
+  ball.spin = Math.max(-cfg.maxSpin, Math.min(cfg.maxSpin, ball.spin + cfg.paddleTransfer * paddle.vy));
+
+  // Reverse x velocity and apply speed multiplier and level speed factor (level 3: +10%)
+  ball.vx = -ball.vx * speedMultiplier * cfg.speedFactor;
+  // Hit near top = upward angle, hit near bottom = downward angle
+  const angle = (hitPos - 0.5) * 2; // -1 to 1
+  const baseVyMagnitude = Math.abs(angle * BALL_SPEED * 0.8);
+  ball.vy = (angle >= 0 ? 1 : -1) * baseVyMagnitude * speedMultiplier * cfg.speedFactor;
+  // Ensure minimum speed
+  if (Math.abs(ball.vx) < 0.5) ball.vx = ball.vx > 0 ? 0.5 : -0.5;
+
+  state.events.push({ type: 'hit', side: paddleSide(state, paddle), volley: state.volleyCount });
+}
+
+function paddleSide(state, paddle) {
+  return paddle === state.leftPaddle ? 'left' : 'right';
+}
+
+/**
+ * Earliest contact of the ball moving by (dx, dy) with a paddle: its face toward the court (x = right edge for
+ * the left paddle, left edge for the right one) or its top or bottom edge. The ball is a point; the paddle
+ * covers [x, x + width) by [y, y + height), as in collidePongPaddle.
+ * @returns {{ t: number, edge: 'face'|'top'|'bottom' }|null} Fraction of the move (0..1) and what it hits
+ */
+function sweepPongPaddle(state, paddle, dx, dy) {
+  const ball = state.ball;
+  const left = paddle === state.leftPaddle;
+  const right = paddle.x + paddle.width;
+  const bottom = paddle.y + paddle.height;
+  let hit = null;
+  const faceX = left ? right : paddle.x;
+  if (left ? dx < 0 : dx > 0) {
+    const t = (faceX - ball.x) / dx;
+    const y = ball.y + dy * t;
+    if (t >= 0 && t <= 1 && y >= paddle.y && y < bottom) hit = { t, edge: 'face' };
+  }
+  if (dy !== 0) {
+    const edge = dy > 0 ? 'top' : 'bottom';
+    const t = ((dy > 0 ? paddle.y : bottom) - ball.y) / dy;
+    const x = ball.x + dx * t;
+    // A corner counts as the face: ties go to the return
+    if (t >= 0 && t <= 1 && x >= paddle.x && x < right && (!hit || t < hit.t)) hit = { t, edge };
+  }
+  return hit;
+}
+
+/**
+ * Move the ball one step: spin (Magnus deflection, damping), then a swept move that finds the exact moment it
+ * meets a wall or a paddle (face, top or bottom edge), bounces there and carries the rest of the step on with
+ * the new velocity, so a fast ball cannot pass through a paddle between steps; then goals (score and serve).
+ * In place.
+ */
+export function movePongBall(state) {
+  const ball = state.ball;
+  const cfg = pongSpinConfig(state);
+  // 1. Magnus (flight): spin deflects vy
+  ball.vy += ball.spin * cfg.magnusFactor;
+  // 2. Damping (flight)
+  ball.spin *= cfg.dampingPerTick;
+  // 3. A paddle moved onto a ball heading for its goal: return it from where it is
+  if (ball.vx < 0) collidePongPaddle(state, state.leftPaddle);
+  else if (ball.vx > 0) collidePongPaddle(state, state.rightPaddle);
+  // 4. Move, bouncing off walls (flip vy, reduce spin) and paddles until the step is used up
+  const top = 1;
+  const bottom = state.height - 2;
+  let remaining = 1;
+  for (let bounces = 0; remaining > 0 && bounces <= BALL_MAX_BOUNCES_PER_STEP; bounces++) {
+    const dx = ball.vx * remaining;
+    const dy = ball.vy * remaining;
+    let hit = null;
+    if (dy < 0 && ball.y + dy <= top) hit = { t: (top - ball.y) / dy, wall: 'top' };
+    if (dy > 0 && ball.y + dy >= bottom) hit = { t: (bottom - ball.y) / dy, wall: 'bottom' };
+    for (const paddle of [state.leftPaddle, state.rightPaddle]) {
+      const contact = sweepPongPaddle(state, paddle, dx, dy);
+      if (contact && (!hit || contact.t < hit.t)) hit = { ...contact, paddle };
+    }
+    if (!hit || bounces === BALL_MAX_BOUNCES_PER_STEP) {
+      ball.x += dx;
+      ball.y += dy;
+      break;
+    }
+    ball.x += dx * hit.t;
+    ball.y = hit.wall ? (hit.wall === 'top' ? top : bottom) : ball.y + dy * hit.t;
+    remaining *= 1 - hit.t;
+    if (hit.wall) {
+      ball.vy = -ball.vy;
+      ball.spin *= cfg.wallRetention;
+    } else if (hit.edge === 'face') {
+      returnPongBall(state, hit.paddle);
+    } else {
+      // Glancing off the top or bottom edge: bounce away vertically and keep going toward the goal
+      ball.vy = hit.edge === 'top' ? -Math.abs(ball.vy) : Math.abs(ball.vy);
+      ball.spin *= cfg.wallRetention;
+      state.events.push({ type: 'hit', side: paddleSide(state, hit.paddle), volley: state.volleyCount, edge: hit.edge });
+    }
+  }
+  // 5. Goals
+  const scorer = ball.x < 0 ? 'right' : (ball.x >= state.width ? 'left' : null);
+  if (scorer) {
+    state.score[scorer]++;
+    state.events.push({ type: 'goal', side: scorer, score: { ...state.score } });
+    nextPongServe(state, scorer);
+  }
+}
+
+/**
+ * End the match when the rules say it is over: a side reaches targetScore (two clear with winByTwo), or the
+ * time limit runs out with a side ahead; at the time limit with the scores level, sudden death starts (the next
+ * goal wins). Sets the winner and stops the ball. In place.
+ * @returns {'left'|'right'|null} Winner
+ */
+export function checkPongMatchEnd(state) {
+  if (state.winner) return state.winner;
+  const { targetScore, winByTwo, timeLimitMs } = state.rules;
+  const { left, right } = state.score;
+  const leader = left > right ? 'left' : (right > left ? 'right' : null);
+  let winner = null;
+  if (leader && targetScore !== null && Math.max(left, right) >= targetScore && (!winByTwo || Math.abs(left - right) >= 2)) {
+    winner = leader;
+  }
+  if (timeLimitMs > 0 && state.matchMs >= timeLimitMs) {
+    if (leader) {
+      winner = leader;
+    } else if (!state.suddenDeath) {
+      state.suddenDeath = true;
+      state.events.push({ type: 'suddenDeath' });
+    }
+  }
+  if (winner) {
+    state.winner = winner;
+    state.ball.vx = 0;
+    state.ball.vy = 0;
+    state.events.push({ type: 'gameOver', winner });
+  }
+  return winner;
+}
@@ -1,23 +1,36 @@
 import { PixelDisplay } from './engine/pixel-display.js';
-import { PIXEL_FONT, LARGE_LETTER_PATTERNS } from './sprites.js';
+import { registerFont } from './engine/fonts.js';
+import { FrameRecorder } from './engine/recorder.js';
+import { GameLoop } from './engine/game-loop.js';
+import { PIXEL_FONT, LARGE_LETTER_PATTERNS, PIXEL_FONT_PROPORTIONAL, DOT_1X1, DOT_3X3 } from './sprites.js';
 import {
-  GOALS_TO_WIN, COUNTDOWN_MS, BUTTON_SIZE, BUTTON_PADDING, BUTTON_PADDING_V,
+  COUNTDOWN_MS, BUTTON_SIZE, BUTTON_PADDING, BUTTON_PADDING_V,
   BLINK_SPEED, BLINK_CACHE_MS, BLINK_ON_THRESHOLD, TRIANGLE_OFFSET, TRIANGLE_EXTRA,
-  SMALL_TRIANGLE_LONG_SIDE, SMALL_TRIANGLE_HEIGHT, PADDLE_WIDTH, PADDLE_HEIGHT, PADDLE_SPEED, BALL_SPEED, PADDLE_EDGE_OFFSET,
-  SPEED_INCREASE_PER_VOLLEY, MAX_SPEED_MULTIPLIER, SCALE_1P, SCALE_2P_DIGIT,
-  GAME_OVER_TEXT_SCALE, GAME_OVER_CHAR_WIDTH, GAME_OVER_BOUNCE_SPEED, GAME_OVER_BOUNCE_AMOUNT,
-  GAME_OVER_BASE_Y_OFFSET, GAME_OVER_WINNER_X_OFFSET, GAME_OVER_LOSE_X_OFFSET,
-  LABEL_SCALE, LABEL_GLYPH_COLS, LABEL_GAP_W, LABEL_BOUNCE_SPEED, LABEL_BOUNCE_AMOUNT,
+  SMALL_TRIANGLE_LONG_SIDE, SMALL_TRIANGLE_HEIGHT, PADDLE_WIDTH, PADDLE_HEIGHT, PADDLE_EDGE_OFFSET,
+  PADDLE_LEFT_COLOR, PADDLE_RIGHT_COLOR, PONG_LAYERS, PONG_FRAME_LAYERS, SCALE_1P, SCALE_2P_DIGIT,
+  FONT_SMALL, FONT_LARGE, FONT_PROPORTIONAL, GAME_OVER_TEXT_SCALE, GAME_OVER_LETTER_SPACING, GAME_OVER_BOUNCE_SPEED, GAME_OVER_BOUNCE_AMOUNT,
+  GAME_OVER_BASE_Y_OFFSET, LABEL_SCALE, LABEL_GAP_W, LABEL_BOUNCE_SPEED, LABEL_BOUNCE_AMOUNT,
   PAUSE_BOUNCE_SPEED, PAUSE_BOUNCE_AMOUNT, PAUSE_BAR_WIDTH, PAUSE_BAR_HEIGHT, PAUSE_BAR_SPACING,
   RESTART_ARROW_RADIUS, RESTART_ARROW_SPEED, LOGIC_HZ, DT_MS, MAX_FRAME_MS, MAX_UPDATES_PER_FRAME,
-  SPIN_PADDLE_TRANSFER_LEVEL, SPIN_PADDLE_TRANSFER_2P, SPIN_MAGNUS_FACTOR_LEVEL, SPIN_MAGNUS_FACTOR_2P,
-  SPIN_DAMPING_PER_TICK, SPIN_WALL_RETENTION_LEVEL, SPIN_WALL_RETENTION_2P, SPIN_MAX,
-  LEVEL_SPEED_FACTOR_3
+  RECORD_FPS, RECORD_MAX_MS, RECORD_SCALE, PONG_EFFECTS, REPLAY_SPEEDS, REPLAY_SEEK_MS, REPLAY_BAR_HIT_ROWS,
+  NOTICE_MS, NOTICE_ROWS_FROM_BOTTOM, SERVE_POLICY_LABELS, SERVE_START_LABELS, MENU_RULES_ROWS
 } from './constants.js';
 import {
   UP_KEYS_1P, DOWN_KEYS_1P, UP_KEYS_LEFT_2P, DOWN_KEYS_LEFT_2P, UP_KEYS_RIGHT_2P, DOWN_KEYS_RIGHT_2P,
-  KEY_DEGAUSS, KEY_ENTER, KEY_PAUSE, KEY_MENU_UP, KEY_MENU_DOWN, KEY_DEBUG_WIN, KEY_DEBUG_LOSE, KEY_DEBUG_1, KEY_DEBUG_2
+  KEY_DEGAUSS, KEY_ENTER, KEY_PAUSE, KEY_GHOSTING, KEY_RECORD, KEY_FULLSCREEN, KEY_MENU_UP, KEY_MENU_DOWN, KEY_DEBUG_WIN, KEY_DEBUG_LOSE, KEY_DEBUG_1, KEY_DEBUG_2,
+  KEY_REPLAY, KEY_REPLAY_EXPORT, KEY_REPLAY_EXIT, KEY_SEEK_BACK, KEY_SEEK_FORWARD,
+  KEY_MENU_LEFT, KEY_MENU_RIGHT, KEY_SERVE_RULE, KEY_SERVE_LEFT, KEY_SERVE_RIGHT
 } from './input.js';
+import {
+  createPongState, stepPong, servePongBall, movePongBall, collidePongPaddle, checkPongMatchEnd, pongSpinConfig, pongAISkill
+} from './pong-sim.js';
+import { MATCH_FORMATS, SERVE_POLICIES, SERVE_STARTS, createMatchRules } from './match-rules.js';
+import { Scoreboard } from './scoreboard.js';
+import { ReplayRecorder, ReplayPlayer, encodeReplay, replayToFragment, replayFromFragment } from './replay.js';
+
+registerFont(FONT_SMALL, PIXEL_FONT);
+registerFont(FONT_LARGE, LARGE_LETTER_PATTERNS);
+registerFont(FONT_PROPORTIONAL, PIXEL_FONT_PROPORTIONAL);
 
 /**
  * PlayerController - Base class for paddle control
@@ -70,170 +83,33 @@ class KeyboardController extends PlayerController {
 }
 
 /**
- * AIController - AI counterplayer with skill-based behavior
- */
-class AIController extends PlayerController {
-  constructor(skill = 0.5) {
-    super();
-    this.skill = skill; // 0.0-1.0, where 0.5 is normal
-    this.targetY = 0;
-    this.currentVelocity = 0;
-    this.lastDirection = 0; // -1 down, 0 neutral, 1 up
-    this.directionChangeTime = 0;
-    this.reactionDelay = 0;
-    this.reacting = false;
-    this.lastDegaussStartTime = 0;
-    this.shakenOffActive = false;
-    
-    // Skill-based parameters
-    this.maxReactionTime = 500; // ms - increased for slower reactions
-    this.minReactionTime = 150; // ms - increased so nothing is instant
-    this.maxAccelRate = 0.016875; // Reduced by another 25% (0.0225 * 0.75)
-    this.minAccelRate = 0.005625; // Reduced by another 25% (0.0075 * 0.75)
-    this.smoothingFactor = 0.15; // Smoothing factor for velocity interpolation (0-1, lower = smoother)
-  }
-  
-  update(paddle, ball, gameState) {
-    // Degauss "shaken off" (levels 1 & 2): clear when degauss not running
-    if (gameState.degaussStartTime === 0) {
-      this.lastDegaussStartTime = 0;
-    }
-
-    if (gameState.degaussStartTime > 0 && gameState.degaussDuration > 0) {
-      const elapsed = gameState.currentTime - gameState.degaussStartTime;
-      const pct = elapsed / gameState.degaussDuration;
-
-      if (gameState.degaussStartTime !== this.lastDegaussStartTime) {
-        this.lastDegaussStartTime = gameState.degaussStartTime;
-        if (gameState.aiDifficultyLevel === 1) {
-          this.shakenOffActive = Math.random() < 0.75;
-        } else if (gameState.aiDifficultyLevel === 2) {
-          this.shakenOffActive = Math.random() < 0.5;
-        } else {
-          this.shakenOffActive = false;
-        }
-      }
-
-      if (this.shakenOffActive) {
-        if (pct >= 0.8) {
-          this.shakenOffActive = false;
-          this.reacting = false;
-          this.lastDirection = ball.vy > 0 ? 1 : (ball.vy < 0 ? -1 : 0);
-          // fall through to normal AI
-        } else {
-          const aiMaxSpeed = paddle.speed * 0.71;
-          if (pct < 0.4) {
-            const targetVelocity = this.currentVelocity >= 0 ? -aiMaxSpeed : aiMaxSpeed;
-            this.currentVelocity += (targetVelocity - this.currentVelocity) * this.smoothingFactor;
-          } else {
-            this.currentVelocity += (0 - this.currentVelocity) * (this.smoothingFactor * 0.5);
-          }
-          this.currentVelocity = Math.max(-aiMaxSpeed, Math.min(aiMaxSpeed, this.currentVelocity));
-          paddle.y += this.currentVelocity;
-          return this.getDirectionFromVelocity();
-        }
-      }
-    }
-
-    // Update target - track ball's vertical position
-    this.targetY = ball.y;
-    
-    // Detect direction change (ball's vertical velocity)
-    const currentDir = ball.vy > 0 ? 1 : (ball.vy < 0 ? -1 : 0);
-    if (currentDir !== this.lastDirection && currentDir !== 0) {
-      // Direction changed - trigger reaction delay
-      this.reacting = true;
-      this.directionChangeTime = performance.now();
-      
-      // Calculate reaction delay based on skill
-      // Lower skill = longer base delay
-      const baseDelay = this.minReactionTime + 
-                       (1.0 - this.skill) * (this.maxReactionTime - this.minReactionTime);
-      // Add random variation: ±80% of base delay (more erratic)
-      const randomVariation = (Math.random() - 0.5) * 1.6 * baseDelay;
-      this.reactionDelay = Math.max(0, baseDelay + randomVariation);
-    }
-    this.lastDirection = currentDir;
-    
-    // Check if reaction delay has passed
-    if (this.reacting) {
-      const elapsed = performance.now() - this.directionChangeTime;
-      if (elapsed < this.reactionDelay) {
-        // Still reacting - continue current velocity (don't accelerate)
-        // Apply current velocity to paddle
-        paddle.y += this.currentVelocity;
-        return this.getDirectionFromVelocity();
-      }
-      this.reacting = false;
-    }
-    
-    // Calculate acceleration rate from skill
-    // Higher skill = faster acceleration
-    const accelRate = this.minAccelRate + 
-                     this.skill * (this.maxAccelRate - this.minAccelRate);
-    
-    // Calculate desired direction based on target position
-    const paddleCenterY = paddle.y + paddle.height / 2;
-    const distance = this.targetY - paddleCenterY;
-    const threshold = 2; // Small threshold to prevent jitter
-    
-    // Calculate target velocity (where we want to go)
-    const maxSpeed = paddle.speed; // PADDLE_SPEED
-    let targetVelocity = 0;
-    if (Math.abs(distance) < threshold) {
-      // Close enough - target is to stop
-      targetVelocity = 0;
-    } else {
-      // Calculate target velocity based on distance and max speed
-      const direction = distance > 0 ? 1 : -1;
-      // Scale target velocity based on distance (closer = slower approach)
-      const distanceFactor = Math.min(1.0, Math.abs(distance) / 20); // Normalize distance
-      targetVelocity = direction * maxSpeed * distanceFactor;
-    }
-    
-    // Smoothly interpolate current velocity towards target velocity
-    // This creates smooth, natural motion
-    this.currentVelocity += (targetVelocity - this.currentVelocity) * this.smoothingFactor;
-    
-    // Limit velocity to ~71% of max paddle speed (reduced by another 25% from 95%)
-    // 95% * 0.75 = 71.25%, rounded to 71%
-    const aiMaxSpeed = maxSpeed * 0.71; // 71% of human speed (25% slower)
-    this.currentVelocity = Math.max(-aiMaxSpeed, Math.min(aiMaxSpeed, this.currentVelocity));
-    
-    // Update paddle position directly
-    paddle.y += this.currentVelocity;
-    
-    // Return direction for consistency (not used by AI, but kept for interface)
-    return this.getDirectionFromVelocity();
-  }
-  
-  getDirectionFromVelocity() {
-    if (Math.abs(this.currentVelocity) < 0.1) return null;
-    return this.currentVelocity > 0 ? 'down' : 'up';
-  }
-}
-
-/**
- * Pong Game
+ * Pong Game. The match itself (ball, paddles, AI, score) is the pong-sim state in this.state, stepped by
+ * updateLogic; this class adds the menu, countdown, pause, drawing and input around it.
+ * @param {PixelDisplay} display
+ * @param {Object} [options]
+ * @param {number} [options.seed] - PRNG seed for every match; default a new random seed per match
+ * @param {Function} [options.now] - Clock in ms for countdown, pause and game-over animations (default performance.now)
+ * @param {{ left: string, right: string }} [options.playerNames] - Names for the scoreboard (default P1 and P2 or CPU)
  */
 class Pong {
-  constructor(display) {
+  constructor(display, options = {}) {
     this.display = display;
+    this.now = options.now ?? (() => performance.now());
+    this.seed = options.seed ?? null;
+    this.playerNames = options.playerNames ?? null;
     this.width = display.emulatedWidth;
     this.height = display.emulatedHeight;
     
     // Game constants
     this.PADDLE_WIDTH = PADDLE_WIDTH;
     this.PADDLE_HEIGHT = PADDLE_HEIGHT;
-    this.PADDLE_SPEED = PADDLE_SPEED;
-    this.BALL_SPEED = BALL_SPEED;
     
     // Paddle positions
     this.PADDLE_LEFT_X = PADDLE_EDGE_OFFSET;
     this.PADDLE_RIGHT_X = this.width - 4;
     
     // Game state
-    this.gameState = 'MENU'; // 'MENU', 'COUNTDOWN', 'PLAYING', 'PAUSED', 'GAME_OVER'
+    this.gameState = 'MENU'; // 'MENU', 'COUNTDOWN', 'PLAYING', 'PAUSED', 'GAME_OVER', 'REPLAY'
     this.countdownNumber = 3;
     this.countdownStartTime = 0;
     this.winner = null; // 'left' or 'right'
@@ -249,16 +125,33 @@ class Pong {
     this.savedState = null;
     this.resumingFromPause = false; // Flag to track if we're resuming from pause
     
-    // Volley counter for speed increase
-    this.volleyCount = 0;
-    
-    // Current speed multiplier for AI skill scaling
-    this.currentSpeedMultiplier = 1.0;
+    // "No ghosting": instant (LCD-like) decay instead of phosphor trails; G toggles
+    this.noGhosting = false;
+    this.savedDecayModel = null;
+
+    // Clip recorder while R recording is on (see toggleRecording)
+    this.recorder = null;
+
+    // Replays: the current (or last) match's recorder, and the player while watching one (REPLAY state)
+    this.replayRecorder = null;
+    this.replayPlayer = null;
+    this._beforeReplay = null; // { state, gameState } to return to after watching
+    this.notice = null; // { left, right, until } shown on the menu (showNotice)
     
     // Right-side selector: '2P' (human) or 1, 2, 3 (AI difficulty)
     this.rightPlayerOption = 2;
     this.aiDifficultyLevel = 2; // Kept in sync with rightPlayerOption when not 2P
 
+    // Match rules picked on the menu: a MATCH_FORMATS entry and the serve rule (see match-rules.js)
+    this.matchFormatIndex = 0;
+    this.servePolicy = 'random';
+    this.serveStart = 'countdown';
+    this._servePressed = { left: false, right: false }; // serve key or click per side since the last step (manual serve)
+
+    // Sets won in series play: matches in a row with the same players and rules (see startNewGame)
+    this.series = { left: 0, right: 0 };
+    this._seriesKey = null;
+
     // Menu frame positions
     this.player1FrameX = 0;
     this.player1FrameY = 0;
@@ -273,48 +166,15 @@ class Pong {
     this.pongTitleVx = (Math.random() > 0.5 ? 1 : -1) * 0.5;
     this.pongTitleVy = (Math.random() > 0.5 ? 1 : -1) * 0.5;
     
-    // Initialize game objects
-    this.leftPaddle = {
-      x: this.PADDLE_LEFT_X,
-      y: Math.floor(this.height / 2 - this.PADDLE_HEIGHT / 2),
-      width: this.PADDLE_WIDTH,
-      height: this.PADDLE_HEIGHT,
-      speed: this.PADDLE_SPEED,
-      _prevY: Math.floor(this.height / 2 - this.PADDLE_HEIGHT / 2),
-      vy: 0
-    };
-    
-    this.rightPaddle = {
-      x: this.PADDLE_RIGHT_X,
-      y: Math.floor(this.height / 2 - this.PADDLE_HEIGHT / 2),
-      width: this.PADDLE_WIDTH,
-      height: this.PADDLE_HEIGHT,
-      speed: this.PADDLE_SPEED,
-      _prevY: Math.floor(this.height / 2 - this.PADDLE_HEIGHT / 2),
-      vy: 0
-    };
-    
-    this.ball = {
-      x: Math.floor(this.width / 2),
-      y: Math.floor(this.height / 2),
-      vx: 0,
-      vy: 0,
-      spin: 0,
-      radius: 1
-    };
-    
-    this.score = {
-      left: 0,
-      right: 0
-    };
+    // Match state (pong-sim); replaced by startNewGame
+    this.state = this.createMatchState();
     
     // Pre-created controllers; leftController/rightController set in startNewGame
     this._keyboard1P = new KeyboardController({ upKeys: UP_KEYS_1P, downKeys: DOWN_KEYS_1P });
     this._keyboardLeft2P = new KeyboardController({ upKeys: UP_KEYS_LEFT_2P, downKeys: DOWN_KEYS_LEFT_2P });
     this._keyboardRight2P = new KeyboardController({ upKeys: UP_KEYS_RIGHT_2P, downKeys: DOWN_KEYS_RIGHT_2P });
-    this._aiController = new AIController(0.5);
     this.leftController = this._keyboard1P;
-    this.rightController = this._aiController;
+    this.rightController = null; // null: the simulation's AI plays the right side
     
     // Button bounds for click detection
     this.startButtonBounds = null;
@@ -323,6 +183,12 @@ class Pong {
     // Calculate menu frame positions (evenly spaced on left half, mirrored on right)
     this.calculateMenuFramePositions();
     
+    // Display layers; the court and scoreboard are drawn once and redrawn only when they change
+    this.setupLayers();
+    this.scoreboard = new Scoreboard(display, { layer: 'hud' });
+    this.drawCourt();
+    this.updateScores();
+    
     // Setup mouse click handler
     this.setupClickHandler();
     
@@ -335,10 +201,70 @@ class Pong {
       'COUNTDOWN': function() { this.drawCountdown(); },
       'PAUSED': function() { this.drawPauseButton(); this.drawCurrentFrame(); },
       'GAME_OVER': function() { this.drawGameOver(); this.drawCurrentFrame(); },
-      'PLAYING': function() { }
+      'PLAYING': function() { },
+      'REPLAY': function() { this.drawCurrentFrame(); this.drawReplayBar(); if (this.replayPlayer.paused) this.drawPauseButton(); }
     };
   }
   
+  /** Match state views: the objects live in this.state, which every logic step replaces */
+  get ball() { return this.state.ball; }
+  get leftPaddle() { return this.state.leftPaddle; }
+  get rightPaddle() { return this.state.rightPaddle; }
+  get score() { return this.state.score; }
+  get volleyCount() { return this.state.volleyCount; }
+  get currentSpeedMultiplier() { return this.state.speedMultiplier; }
+
+  /**
+   * A new match for the menu selection, seeded with options.seed or a fresh random seed.
+   */
+  createMatchState() {
+    return createPongState({
+      width: this.width,
+      height: this.height,
+      seed: this.seed ?? Math.floor(Math.random() * 0x100000000),
+      rightPlayer: this.rightPlayerOption,
+      rules: this.getMatchRules()
+    });
+  }
+
+  /**
+   * Match rules for the menu selection (format and serve rule).
+   */
+  getMatchRules() {
+    return createMatchRules({
+      ...MATCH_FORMATS[this.matchFormatIndex].rules,
+      serve: this.servePolicy,
+      serveStart: this.serveStart
+    });
+  }
+
+  /**
+   * Step the menu's match format forward (1) or back (-1) through MATCH_FORMATS, wrapping.
+   */
+  changeMatchFormat(direction) {
+    const n = MATCH_FORMATS.length;
+    this.matchFormatIndex = (this.matchFormatIndex + direction + n) % n;
+  }
+
+  /**
+   * Step the menu's serve rule: through SERVE_POLICIES, then the same with the next of SERVE_STARTS, wrapping.
+   */
+  changeServeRule() {
+    const i = SERVE_POLICIES.indexOf(this.servePolicy) + 1;
+    this.servePolicy = SERVE_POLICIES[i % SERVE_POLICIES.length];
+    if (i === SERVE_POLICIES.length) {
+      this.serveStart = SERVE_STARTS[(SERVE_STARTS.indexOf(this.serveStart) + 1) % SERVE_STARTS.length];
+    }
+  }
+
+  /**
+   * Serve press from a side, for the next step (manual serve); in 1P every press is the left player's.
+   */
+  pressServe(side) {
+    if (!this.state.serving) return;
+    this._servePressed[this.state.rightPlayer === '2P' ? side : 'left'] = true;
+  }
+
   /**
    * Calculate menu frame positions (evenly spaced on left half, mirrored on right)
    */
@@ -368,15 +294,38 @@ class Pong {
   }
   
   /**
-   * Maintain court layer - redraws court pixels every frame
-   * Ensures court pixels are always ON regardless of other elements
+   * Create the Pong layers (PONG_LAYERS, bottom to top) and their masks: the court hides the ui and message
+   * layers under the midline and walls; the ui layer keeps the game-over text off the restart button.
    */
-  maintainCourt() {
+  setupLayers() {
+    PONG_LAYERS.forEach((name, i) => this.display.addLayer(name, { z: i + 1 }));
     const midX = Math.floor(this.width / 2);
-    this.display.drawLineVDashed(midX, 0, this.height - 1, 2);
-    this.display.drawLineH(0, 0, this.width - 1);
-    this.display.drawLineH(this.height - 1, 0, this.width - 1);
-    this.updateScores();
+    this.display.setLayerMask('court', midX, 0, 1, this.height);
+    this.display.setLayerMask('court', 0, 0, this.width, 1);
+    this.display.setLayerMask('court', 0, this.height - 1, this.width, 1);
+    const centerY = Math.floor(this.height / 2);
+    this.display.setLayerMask('ui', this.width - BUTTON_PADDING + 1, centerY - BUTTON_PADDING_V + 1,
+      BUTTON_PADDING - 1, BUTTON_PADDING_V * 2 - 1);
+  }
+
+  /**
+   * Draw the court layer: dashed midline, top and bottom walls
+   */
+  drawCourt() {
+    const midX = Math.floor(this.width / 2);
+    this.display.withLayer('court', () => {
+      this.display.clearLayer('court');
+      this.display.drawLineVDashed(midX, 0, this.height - 1, 2);
+      this.display.drawLineH(0, 0, this.width - 1);
+      this.display.drawLineH(this.height - 1, 0, this.width - 1);
+    });
+  }
+
+  /**
+   * Clear the layers redrawn every frame (PONG_FRAME_LAYERS); court and HUD stay.
+   */
+  clearFrame() {
+    for (const name of PONG_FRAME_LAYERS) this.display.clearLayer(name);
   }
   
   /**
@@ -389,65 +338,93 @@ class Pong {
   }
   
   /**
-   * Update score displays
+   * Redraw the scoreboard (HUD layer).
    */
   updateScores() {
-    this.drawNumber(2, 2, this.score.left);
-    this.drawNumber(this.width - 7, 2, this.score.right);
+    this.scoreboard.invalidate();
+    this.refreshScoreboard();
+  }
+
+  /**
+   * Redraw the scoreboard if anything on it changed (clock, rally counter, ...); cheap enough for every step.
+   */
+  refreshScoreboard() {
+    this.scoreboard.draw(this.getScoreboardInfo());
+  }
+
+  /**
+   * What the scoreboard shows: scores on the menu; in a match also the names, the clock (time left in a timed
+   * match, else time played), the rally counter and, in series play, the sets.
+   */
+  getScoreboardInfo() {
+    if (this.gameState === 'MENU') return { score: this.score };
+    const { rules, matchMs, rightPlayer } = this.state;
+    const timed = rules.timeLimitMs > 0;
+    const watching = this.gameState === 'REPLAY';
+    return {
+      score: this.score,
+      names: this.playerNames ?? { left: 'P1', right: rightPlayer === '2P' ? 'P2' : `CPU ${rightPlayer}` },
+      timerMs: timed ? rules.timeLimitMs - matchMs : matchMs,
+      timerDown: timed,
+      volley: this.volleyCount,
+      sets: !watching && this.series.left + this.series.right > 0 ? { ...this.series } : null
+    };
   }
   
   /**
    * Draw countdown with zoom bounce animation
    */
   drawCountdown() {
-    const currentTime = (this.display.getTime && this.display.getTime()) || performance.now();
-    const elapsed = currentTime - this.countdownStartTime;
-    const countdownDuration = 750; // 750ms per number
-    
-    if (elapsed >= countdownDuration) {
-      // Move to next number
-      this.countdownNumber--;
-      this.countdownStartTime = currentTime;
+    this.display.withLayer('sprites', () => {
+      const currentTime = (this.display.getTime && this.display.getTime()) || this.now();
+      const elapsed = currentTime - this.countdownStartTime;
+      const countdownDuration = 750; // 750ms per number
+    
+      if (elapsed >= countdownDuration) {
+        // Move to next number
+        this.countdownNumber--;
+        this.countdownStartTime = currentTime;
       
-      if (this.countdownNumber < 1) {
-        // Countdown complete
-        this.gameState = 'PLAYING';
+        if (this.countdownNumber < 1) {
+          // Countdown complete
+          this.gameState = 'PLAYING';
         
-        // Only reset ball if we're not resuming from pause
-        if (!this.resumingFromPause) {
-          this.resetBall();
+          // Serve now unless resuming from pause or the match waits for a manual serve
+          if (!this.resumingFromPause && this.state.rules.serveStart === 'countdown') {
+            this.resetBall();
+          }
+          this.resumingFromPause = false; // Reset flag
+          return;
         }
-        this.resumingFromPause = false; // Reset flag
-        return;
       }
-    }
     
-    // Calculate bounce scale (starts at 2.0, bounces to 1.0)
-    const progress = elapsed / countdownDuration;
-    // Bounce easing: overshoot then settle
-    let scale = 1.0;
-    if (progress < 0.5) {
-      // First half: scale down from 2.0 to 1.0
-      scale = 2.0 - (progress * 2.0);
-    } else {
-      // Second half: slight bounce back
-      const bounce = (progress - 0.5) * 2.0;
-      scale = 1.0 - (bounce * bounce * 0.2); // Slight overshoot then settle
-    }
+      // Calculate bounce scale (starts at 2.0, bounces to 1.0)
+      const progress = elapsed / countdownDuration;
+      // Bounce easing: overshoot then settle
+      let scale = 1.0;
+      if (progress < 0.5) {
+        // First half: scale down from 2.0 to 1.0
+        scale = 2.0 - (progress * 2.0);
+      } else {
+        // Second half: slight bounce back
+        const bounce = (progress - 0.5) * 2.0;
+        scale = 1.0 - (bounce * bounce * 0.2); // Slight overshoot then settle
+      }
     
-    // Draw number centered: use actual drawn size so it zooms in place at screen center
-    const w = Math.ceil(5 * scale);
-    const h = Math.ceil(7 * scale);
-    const centerX = Math.floor(this.width / 2) - Math.floor(w / 2);
-    const centerY = Math.floor(this.height / 2) - Math.floor(h / 2);
-    this.drawNumber(centerX, centerY, this.countdownNumber, scale);
+      // Draw number centered: use actual drawn size so it zooms in place at screen center
+      const w = Math.ceil(5 * scale);
+      const h = Math.ceil(7 * scale);
+      const centerX = Math.floor(this.width / 2) - Math.floor(w / 2);
+      const centerY = Math.floor(this.height / 2) - Math.floor(h / 2);
+      this.drawNumber(centerX, centerY, this.countdownNumber, scale);
+    });
   }
   
   /**
    * Cached blink state so all blinking=true frames on screen are in sync. Uses 2P rates: speed 0.0025, on when cycle < 0.7. Recomputes once per ~16ms.
    */
   _getBlinkOn() {
-    const now = performance.now();
+    const now = this.now();
     if (!this._blinkSnapshot || (now - this._blinkSnapshot.at) > BLINK_CACHE_MS) {
       const cycle = (now * BLINK_SPEED) % 1.0;
       this._blinkSnapshot = { at: now, on: cycle < BLINK_ON_THRESHOLD };
@@ -456,31 +433,12 @@ class Pong {
   }
 
   /**
-   * Whether pixel (px, py) can be drawn: not on court midline/top/bottom; optionally exclude restart button area.
-   * @param {number} px
-   * @param {number} py
-   * @param {{ excludeButton?: boolean }} [opts]
-   */
-  _canDrawPixel(px, py, opts = {}) {
-    const midX = Math.floor(this.width / 2);
-    if (px === midX || py === 0 || py === this.height - 1) return false;
-    if (opts.excludeButton) {
-      const centerY = Math.floor(this.height / 2);
-      if (px > this.width - BUTTON_PADDING && (py > centerY - BUTTON_PADDING_V && py < centerY + BUTTON_PADDING_V)) return false;
-    }
-    return true;
-  }
-
-  /**
-   * Draw frame (1px outline). Court preserve. Square: size×size at (x, y).
+   * Draw frame (1px outline). Square: size×size at (x, y).
    * @param {boolean} [blinking=false] - If false, always draw. If true, draw only when blink is on (2P timing); all blinking frames stay in sync.
    */
   drawFrame(x, y, size, blinking = false) {
     if (blinking && !this._getBlinkOn()) return;
-    const midX = Math.floor(this.width / 2);
-    this.display.drawRectOutline(x, y, size, size, {
-      preserve: (px, py) => px === midX || py === 0 || py === this.height - 1
-    });
+    this.display.drawRectOutline(x, y, size, size);
   }
 
   /**
@@ -491,197 +449,171 @@ class Pong {
   }
   
   drawPlayer1Frame() {
-    const buttonSize = BUTTON_SIZE;
-    const buttonX = this.player1FrameX;
-    const buttonY = this.player1FrameY;
-    this.drawFrame(buttonX, buttonY, buttonSize, true);
-    const scale = SCALE_1P;
-    const edgeGap = 1;
-    const textStartX = buttonX + edgeGap - 1; // 1px left
-    const textStartY = buttonY + edgeGap + 2;
-    const digit1W = Math.ceil(5 * scale);
-    this.display.drawPattern(PIXEL_FONT[1], textStartX, textStartY, scale);
-    this.display.drawPattern(LARGE_LETTER_PATTERNS['P'], textStartX + digit1W + 1, textStartY, scale);
+    this.display.withLayer('ui', () => {
+      const buttonSize = BUTTON_SIZE;
+      const buttonX = this.player1FrameX;
+      const buttonY = this.player1FrameY;
+      this.drawFrame(buttonX, buttonY, buttonSize, true);
+      const scale = SCALE_1P;
+      const edgeGap = 1;
+      const textStartX = buttonX + edgeGap - 1; // 1px left
+      const textStartY = buttonY + edgeGap + 2;
+      const digit1W = Math.ceil(5 * scale);
+      this.display.drawPattern(PIXEL_FONT[1], textStartX, textStartY, scale);
+      this.display.drawPattern(LARGE_LETTER_PATTERNS['P'], textStartX + digit1W + 1, textStartY, scale);
+    });
   }
 
   /**
    * Draw VCR Play icon (triangle) for start button (20x20)
    */
   drawStartArrow() {
-    const midX = Math.floor(this.width / 2);
-    const centerY = Math.floor(this.height / 2);
-    const buttonSize = BUTTON_SIZE;
-    
-    // Use calculated position from calculateMenuFramePositions
-    const buttonX = this.startButtonFrameX;
-    const buttonY = this.startButtonFrameY;
-    
-    // Draw VCR Play icon (right triangle with vertical left edge pointing right)
-    const triangleLeftX = buttonX + 5; // Left vertical edge
-    const triangleTopY = buttonY + 5; // Top point
-    const triangleBottomY = buttonY + buttonSize - 5; // Bottom point
-    const triangleRightX = buttonX + buttonSize - 5; // Right point (tip)
-    const triangleCenterY = triangleTopY + Math.floor((triangleBottomY - triangleTopY) / 2);
-    const triangleHeight = triangleBottomY - triangleTopY;
-    
-    // Draw filled right triangle
-    // Triangle has vertical left edge, tapers to point on right
-    for (let y = triangleTopY; y <= triangleBottomY; y++) {
-      // Calculate distance from center (0 at center, max at top/bottom)
-      const distFromCenter = Math.abs(y - triangleCenterY);
-      // Width decreases as we move away from center
-      // At center: full width, at top/bottom: narrows to point
+    this.display.withLayer('ui', () => {
+      const midX = Math.floor(this.width / 2);
+      const centerY = Math.floor(this.height / 2);
+      const buttonSize = BUTTON_SIZE;
+    
+      // Use calculated position from calculateMenuFramePositions
+      const buttonX = this.startButtonFrameX;
+      const buttonY = this.startButtonFrameY;
+    
+      // Draw VCR Play icon (right triangle with vertical left edge pointing right)
+      const triangleLeftX = buttonX + 5; // Left vertical edge
+      const triangleTopY = buttonY + 5; // Top point
+      const triangleBottomY = buttonY + buttonSize - 5; // Bottom point
+      const triangleRightX = buttonX + buttonSize - 5; // Right point (tip)
+      const triangleCenterY = triangleTopY + Math.floor((triangleBottomY - triangleTopY) / 2);
+      const triangleHeight = triangleBottomY - triangleTopY;
+    
+      // Draw filled right triangle
+      // Triangle has vertical left edge, tapers to point on right
       const maxWidth = triangleRightX - triangleLeftX;
-      const width = Math.max(1, Math.floor(maxWidth * (1 - (distFromCenter / (triangleHeight / 2)))));
-      
-      // Draw horizontal line from left edge, width determined by position
-      for (let x = triangleLeftX; x < triangleLeftX + width; x++) {
-        if (x >= buttonX && x < buttonX + buttonSize && y >= buttonY && y < buttonY + buttonSize) {
-          if (x >= 0 && x < this.width && y >= 0 && y < this.height && this._canDrawPixel(x, y)) {
-            this.display.setPixel(x, y, true);
-          }
-        }
+      const triangle = [];
+      for (let y = triangleTopY; y <= triangleBottomY; y++) {
+        // Calculate distance from center (0 at center, max at top/bottom)
+        const distFromCenter = Math.abs(y - triangleCenterY);
+        // Width decreases as we move away from center
+        // At center: full width, at top/bottom: narrows to point
+        const width = Math.max(1, Math.floor(maxWidth * (1 - (distFromCenter / (triangleHeight / 2)))));
+        const row = new Array(Math.max(maxWidth, width)).fill(0);
+        row.fill(1, 0, width);
+        triangle.push(row);
       }
-    }
+      this.display.blit(triangle, triangleLeftX, triangleTopY, {
+        clip: { x: buttonX, y: buttonY, width: buttonSize, height: buttonSize }
+      });
     
-    // Draw blinking frame
-    this.drawButtonFrame(buttonX, buttonY, buttonSize);
+      // Draw blinking frame
+      this.drawButtonFrame(buttonX, buttonY, buttonSize);
     
-    // Store button bounds for click detection (20x20)
-    this.startButtonBounds = {
-      x: buttonX,
-      y: buttonY,
-      width: buttonSize,
-      height: buttonSize
-    };
+      // Store button bounds for click detection (20x20)
+      this.startButtonBounds = {
+        x: buttonX,
+        y: buttonY,
+        width: buttonSize,
+        height: buttonSize
+      };
+    });
   }
   
   /**
    * Draw curved arrow that twists clockwise for restart button (20x20)
    */
   drawRestartArrow() {
-    const midX = Math.floor(this.width / 2);
-    const centerY = Math.floor(this.height / 2);
-    const buttonSize = BUTTON_SIZE;
-    
-    // Center on right side of screen
-    const rightSideCenterX = midX + Math.floor((this.width - midX) / 2);
-    const buttonX = rightSideCenterX - Math.floor(buttonSize / 2);
-    const buttonY = centerY - Math.floor(buttonSize / 2);
-    
-    // Update rotation for twisting effect
-    this.restartArrowRotation += this.restartArrowRotationSpeed;
-    if (this.restartArrowRotation >= Math.PI * 2) {
-      this.restartArrowRotation -= Math.PI * 2;
-    }
+    this.display.withLayer('ui', () => {
+      const midX = Math.floor(this.width / 2);
+      const centerY = Math.floor(this.height / 2);
+      const buttonSize = BUTTON_SIZE;
     
-    // Draw curved arrow that twists clockwise (circular arrow pattern)
-    const arrowCenterX = buttonX + Math.floor(buttonSize / 2);
-    const arrowCenterY = buttonY + Math.floor(buttonSize / 2);
-    const radius = RESTART_ARROW_RADIUS;
+      // Center on right side of screen
+      const rightSideCenterX = midX + Math.floor((this.width - midX) / 2);
+      const buttonX = rightSideCenterX - Math.floor(buttonSize / 2);
+      const buttonY = centerY - Math.floor(buttonSize / 2);
     
-    // Draw circular arrow arc (curved arrow body)
-    // Start from 0 and go around circle with twist based on rotation
-    for (let angle = 0; angle < Math.PI * 1.5; angle += 0.15) {
-      // Apply twist - the arrow rotates clockwise around the circle
-      const twistedAngle = angle + this.restartArrowRotation;
-      const x = Math.round(arrowCenterX + Math.cos(twistedAngle) * radius);
-      const y = Math.round(arrowCenterY + Math.sin(twistedAngle) * radius);
-      
-      if (x >= buttonX && x < buttonX + buttonSize && y >= buttonY && y < buttonY + buttonSize) {
-        if (x >= 0 && x < this.width && y >= 0 && y < this.height) {
-          if (x !== midX && y !== 0 && y !== this.height - 1) {
-            // Draw thicker line (2-3 pixels wide)
-            for (let dx = -1; dx <= 1; dx++) {
-              for (let dy = -1; dy <= 1; dy++) {
-                const px = x + dx;
-                const py = y + dy;
-                if (px >= buttonX && px < buttonX + buttonSize && py >= buttonY && py < buttonY + buttonSize) {
-                  if (px >= 0 && px < this.width && py >= 0 && py < this.height && this._canDrawPixel(px, py)) {
-                    this.display.setPixel(px, py, true);
-                  }
-                }
-              }
-            }
-          }
-        }
+      // Update rotation for twisting effect
+      this.restartArrowRotation += this.restartArrowRotationSpeed;
+      if (this.restartArrowRotation >= Math.PI * 2) {
+        this.restartArrowRotation -= Math.PI * 2;
       }
-    }
-    
-    // Draw arrow head at the end of the curve
-    const headAngle = Math.PI * 1.5 + this.restartArrowRotation;
-    const headX = Math.round(arrowCenterX + Math.cos(headAngle) * (radius + 2));
-    const headY = Math.round(arrowCenterY + Math.sin(headAngle) * (radius + 2));
     
-    // Draw arrow head pointing in direction of curve
-    const headDirection = headAngle + Math.PI / 6; // Point along curve
-    for (let i = 0; i < 3; i++) {
-      const offsetAngle1 = headDirection + (i * Math.PI / 3);
-      const offsetAngle2 = headDirection - (i * Math.PI / 3);
-      const px1 = Math.round(headX + Math.cos(offsetAngle1) * i);
-      const py1 = Math.round(headY + Math.sin(offsetAngle1) * i);
-      const px2 = Math.round(headX + Math.cos(offsetAngle2) * i);
-      const py2 = Math.round(headY + Math.sin(offsetAngle2) * i);
+      // Draw curved arrow that twists clockwise (circular arrow pattern)
+      const arrowCenterX = buttonX + Math.floor(buttonSize / 2);
+      const arrowCenterY = buttonY + Math.floor(buttonSize / 2);
+      const radius = RESTART_ARROW_RADIUS;
+      const clip = { x: buttonX, y: buttonY, width: buttonSize, height: buttonSize };
+    
+      // Draw circular arrow arc (curved arrow body), 3px thick
+      // Three quarters of the circle, twisted clockwise by the rotation
+      const arcStart = this.restartArrowRotation;
+      this.display.drawArc(arrowCenterX, arrowCenterY, radius, arcStart, arcStart + Math.PI * 1.5, { brush: DOT_3X3, clip });
+    
+      // Draw arrow head at the end of the curve
+      const headAngle = Math.PI * 1.5 + this.restartArrowRotation;
+      const headX = Math.round(arrowCenterX + Math.cos(headAngle) * (radius + 2));
+      const headY = Math.round(arrowCenterY + Math.sin(headAngle) * (radius + 2));
+    
+      // Draw arrow head pointing in direction of curve
+      const headDirection = headAngle + Math.PI / 6; // Point along curve
+      for (let i = 0; i < 3; i++) {
+        const offsetAngle1 = headDirection + (i * Math.PI / 3);
+        const offsetAngle2 = headDirection - (i * Math.PI / 3);
+        const px1 = Math.round(headX + Math.cos(offsetAngle1) * i);
+        const py1 = Math.round(headY + Math.sin(offsetAngle1) * i);
+        const px2 = Math.round(headX + Math.cos(offsetAngle2) * i);
+        const py2 = Math.round(headY + Math.sin(offsetAngle2) * i);
       
-      for (const [px, py] of [[px1, py1], [px2, py2], [headX, headY]]) {
-        if (px >= buttonX && px < buttonX + buttonSize && py >= buttonY && py < buttonY + buttonSize) {
-          if (px >= 0 && px < this.width && py >= 0 && py < this.height && this._canDrawPixel(px, py)) {
-            this.display.setPixel(px, py, true);
-          }
+        for (const [px, py] of [[px1, py1], [px2, py2], [headX, headY]]) {
+          this.display.blit(DOT_1X1, px, py, { clip });
         }
       }
-    }
     
-    // Draw blinking frame
-    this.drawButtonFrame(buttonX, buttonY, buttonSize);
+      // Draw blinking frame
+      this.drawButtonFrame(buttonX, buttonY, buttonSize);
     
-    // Store button bounds for click detection (20x20)
-    this.restartButtonBounds = {
-      x: buttonX,
-      y: buttonY,
-      width: buttonSize,
-      height: buttonSize
-    };
+      // Store button bounds for click detection (20x20)
+      this.restartButtonBounds = {
+        x: buttonX,
+        y: buttonY,
+        width: buttonSize,
+        height: buttonSize
+      };
+    });
   }
   
   /**
    * Draw bouncing PONG title
    */
   drawBouncingPongTitle() {
-    // Update position
-    this.pongTitleX += this.pongTitleVx;
-    this.pongTitleY += this.pongTitleVy;
-    
-    // Bounce off walls
-    const titleWidth = 28; // Approximate width of "PONG" at scale 2
-    const titleHeight = 14; // Approximate height at scale 2
-    
-    if (this.pongTitleX < titleWidth / 2) {
-      this.pongTitleX = titleWidth / 2;
-      this.pongTitleVx = -this.pongTitleVx;
-    } else if (this.pongTitleX > this.width - titleWidth / 2) {
-      this.pongTitleX = this.width - titleWidth / 2;
-      this.pongTitleVx = -this.pongTitleVx;
-    }
+    this.display.withLayer('sprites', () => {
+      // Update position
+      this.pongTitleX += this.pongTitleVx;
+      this.pongTitleY += this.pongTitleVy;
+    
+      // Bounce off walls
+      const titleWidth = 28; // Approximate width of "PONG" at scale 2
+      const titleHeight = 14; // Approximate height at scale 2
+    
+      if (this.pongTitleX < titleWidth / 2) {
+        this.pongTitleX = titleWidth / 2;
+        this.pongTitleVx = -this.pongTitleVx;
+      } else if (this.pongTitleX > this.width - titleWidth / 2) {
+        this.pongTitleX = this.width - titleWidth / 2;
+        this.pongTitleVx = -this.pongTitleVx;
+      }
     
-    if (this.pongTitleY < titleHeight / 2 + 1) { // +1 for top wall
-      this.pongTitleY = titleHeight / 2 + 1;
-      this.pongTitleVy = -this.pongTitleVy;
-    } else if (this.pongTitleY > this.height - titleHeight / 2 - 1) { // -1 for bottom wall
-      this.pongTitleY = this.height - titleHeight / 2 - 1;
-      this.pongTitleVy = -this.pongTitleVy;
-    }
+      if (this.pongTitleY < titleHeight / 2 + 1) { // +1 for top wall
+        this.pongTitleY = titleHeight / 2 + 1;
+        this.pongTitleVy = -this.pongTitleVy;
+      } else if (this.pongTitleY > this.height - titleHeight / 2 - 1) { // -1 for bottom wall
+        this.pongTitleY = this.height - titleHeight / 2 - 1;
+        this.pongTitleVy = -this.pongTitleVy;
+      }
     
-    // Draw "PONG" text at position (large scale). drawPattern has no court preserve; PONG stays in center and rarely hits walls.
-    const letters = ['P', 'O', 'N', 'G'];
-    const charWidth = 7;
-    const scale = 2;
-    const startX = Math.floor(this.pongTitleX - (letters.length * charWidth * scale) / 2);
-    const startY = Math.floor(this.pongTitleY - (9 * scale) / 2);
-    for (let i = 0; i < letters.length; i++) {
-      const pattern = LARGE_LETTER_PATTERNS[letters[i]];
-      if (pattern) this.display.drawPattern(pattern, startX + i * charWidth * scale, startY, scale);
-    }
+      // Draw "PONG" text at position (large scale). The court layer masks it off the midline and walls.
+      const scale = 2;
+      const startY = Math.floor(this.pongTitleY - (9 * scale) / 2);
+      this.display.drawText('PONG', this.pongTitleX, startY, { font: FONT_LARGE, scale, align: 'center', letterSpacing: 0 });
+    });
   }
   
   /**
@@ -693,45 +625,24 @@ class Pong {
   drawSmallTriangle(centerX, centerY, direction, filled) {
     const longSideLength = SMALL_TRIANGLE_LONG_SIDE;
     const height = SMALL_TRIANGLE_HEIGHT;
-    
-    if (direction === 'up') {
-      // Up triangle FLIPPED: long horizontal side at bottom, point at top (right angle)
-      // Draw from bottom (long side) to top (point)
-      for (let row = 0; row < height; row++) {
-        const width = longSideLength - (height - 1 - row) * 2; // Increases from top to bottom
-        if (width > 0) {
-          const startX = centerX - Math.floor(width / 2);
-          for (let col = 0; col < width; col++) {
-            const px = startX + col;
-            const py = centerY - height + row; // Start from top (point)
-            if (px >= 0 && px < this.width && py >= 0 && py < this.height && this._canDrawPixel(px, py)) {
-              const isBorder = row === 0 || row === height - 1 || col === 0 || col === width - 1;
-              if (filled || isBorder) {
-                this.display.setPixel(px, py, true);
-              }
-            }
-          }
-        }
+
+    // Up triangle: point at top, long side at bottom; the down triangle is its vertical flip
+    const pattern = [];
+    for (let row = 0; row < height; row++) {
+      const inset = height - 1 - row;
+      const width = longSideLength - inset * 2; // Increases from top to bottom
+      const cells = new Array(longSideLength).fill(0);
+      for (let col = 0; col < width; col++) {
+        const isBorder = row === 0 || row === height - 1 || col === 0 || col === width - 1;
+        if (filled || isBorder) cells[inset + col] = 1;
       }
+      pattern.push(cells);
+    }
+    const x = centerX - Math.floor(longSideLength / 2);
+    if (direction === 'up') {
+      this.display.blit(pattern, x, centerY - height);
     } else {
-      // Down triangle FLIPPED: long horizontal side at top, point at bottom (right angle)
-      // Draw from top (long side) to bottom (point)
-      for (let row = 0; row < height; row++) {
-        const width = longSideLength - row * 2; // Decreases from top to bottom
-        if (width > 0) {
-          const startX = centerX - Math.floor(width / 2);
-          for (let col = 0; col < width; col++) {
-            const px = startX + col;
-            const py = centerY + row; // Start from top (long side)
-            if (px >= 0 && px < this.width && py >= 0 && py < this.height && this._canDrawPixel(px, py)) {
-              const isBorder = row === 0 || row === height - 1 || col === 0 || col === width - 1;
-              if (filled || isBorder) {
-                this.display.setPixel(px, py, true);
-              }
-            }
-          }
-        }
-      }
+      this.display.blit(pattern, x, centerY, { flipV: true });
     }
   }
   
@@ -739,42 +650,44 @@ class Pong {
    * Draw Player 2 frame: 2P (human) or AI level 1/2/3. Cycle: 2P <-> 1 <-> 2 <-> 3.
    */
   drawPlayer2Frame() {
-    const buttonSize = BUTTON_SIZE;
-    const buttonX = this.player2FrameX;
-    const buttonY = this.player2FrameY;
+    this.display.withLayer('ui', () => {
+      const buttonSize = BUTTON_SIZE;
+      const buttonX = this.player2FrameX;
+      const buttonY = this.player2FrameY;
 
-    this.drawFrame(buttonX, buttonY, buttonSize, true);
+      this.drawFrame(buttonX, buttonY, buttonSize, true);
 
-    const centerX = buttonX + Math.floor(buttonSize / 2);
-    const upTriangleY = buttonY - TRIANGLE_OFFSET - TRIANGLE_EXTRA;
-    const downTriangleY = buttonY + buttonSize + TRIANGLE_OFFSET + TRIANGLE_EXTRA;
+      const centerX = buttonX + Math.floor(buttonSize / 2);
+      const upTriangleY = buttonY - TRIANGLE_OFFSET - TRIANGLE_EXTRA;
+      const downTriangleY = buttonY + buttonSize + TRIANGLE_OFFSET + TRIANGLE_EXTRA;
 
-    // Cycle 2P, 1, 2, 3 (wrap). Triangles: solid when that move is possible, hollow at limits.
-    const order = ['2P', 1, 2, 3];
-    const i = Math.max(0, order.indexOf(this.rightPlayerOption));
-    const upFilled = i < 3;   // hollow at 3 (up would wrap to 2P; we treat 3 as top for "AI level")
-    const downFilled = i > 0; // hollow at 2P (down would wrap to 3; we treat 2P as bottom for "human")
-    this.drawSmallTriangle(centerX, upTriangleY, 'up', upFilled);
-    this.drawSmallTriangle(centerX, downTriangleY, 'down', downFilled);
+      // Cycle 2P, 1, 2, 3 (wrap). Triangles: solid when that move is possible, hollow at limits.
+      const order = ['2P', 1, 2, 3];
+      const i = Math.max(0, order.indexOf(this.rightPlayerOption));
+      const upFilled = i < 3;   // hollow at 3 (up would wrap to 2P; we treat 3 as top for "AI level")
+      const downFilled = i > 0; // hollow at 2P (down would wrap to 3; we treat 2P as bottom for "human")
+      this.drawSmallTriangle(centerX, upTriangleY, 'up', upFilled);
+      this.drawSmallTriangle(centerX, downTriangleY, 'down', downFilled);
 
-    if (this.rightPlayerOption === '2P') {
-      // Draw "2P": "2" 2px narrower than 1P digit; P matches 1P style; +2px right
-      const scaleP = SCALE_1P;
-      const edgeGap = 1;
-      const textStartX = buttonX + edgeGap - 1 + 2;
-      const textStartY = buttonY + edgeGap + 2;
-      const scale2 = SCALE_2P_DIGIT;
-      const digit2W = Math.ceil(5 * scale2);
-      this.display.drawPattern(PIXEL_FONT[2], textStartX, textStartY, scale2);
-      this.display.drawPattern(LARGE_LETTER_PATTERNS['P'], textStartX + digit2W + 1, textStartY, scaleP);
-    } else {
-      const digit = this.aiDifficultyLevel;
-      const digitWidth = 5;
-      const scale = 2;
-      const digitX = buttonX + Math.floor((buttonSize - digitWidth * scale) / 2);
-      const digitY = buttonY + Math.floor((buttonSize - 7 * scale) / 2);
-      this.display.drawPattern(PIXEL_FONT[digit], digitX, digitY, scale);
-    }
+      if (this.rightPlayerOption === '2P') {
+        // Draw "2P": "2" 2px narrower than 1P digit; P matches 1P style; +2px right
+        const scaleP = SCALE_1P;
+        const edgeGap = 1;
+        const textStartX = buttonX + edgeGap - 1 + 2;
+        const textStartY = buttonY + edgeGap + 2;
+        const scale2 = SCALE_2P_DIGIT;
+        const digit2W = Math.ceil(5 * scale2);
+        this.display.drawPattern(PIXEL_FONT[2], textStartX, textStartY, scale2);
+        this.display.drawPattern(LARGE_LETTER_PATTERNS['P'], textStartX + digit2W + 1, textStartY, scaleP);
+      } else {
+        const digit = this.aiDifficultyLevel;
+        const digitWidth = 5;
+        const scale = 2;
+        const digitX = buttonX + Math.floor((buttonSize - digitWidth * scale) / 2);
+        const digitY = buttonY + Math.floor((buttonSize - 7 * scale) / 2);
+        this.display.drawPattern(PIXEL_FONT[digit], digitX, digitY, scale);
+      }
+    });
   }
   
   drawMenu() {
@@ -782,6 +695,46 @@ class Pong {
     this.drawPlayer1Frame();
     this.drawStartArrow();
     this.drawPlayer2Frame();
+    this.drawMatchRules();
+    this.drawNotice();
+  }
+
+  /**
+   * Draw the match rules along the bottom of the menu: format in the left half (left/right change it), serve
+   * rule in the right half (E changes it). Each half centered on its own side, clear of the midline.
+   */
+  drawMatchRules() {
+    this.display.withLayer('ui', () => {
+      const y = this.height - MENU_RULES_ROWS + 2;
+      const quarter = Math.floor(this.width / 4);
+      const serve = `${SERVE_POLICY_LABELS[this.servePolicy]} ${SERVE_START_LABELS[this.serveStart]}`;
+      this.display.drawText(MATCH_FORMATS[this.matchFormatIndex].label, quarter, y, { font: FONT_PROPORTIONAL, align: 'center' });
+      this.display.drawText(serve, this.width - quarter, y, { font: FONT_PROPORTIONAL, align: 'center' });
+    });
+  }
+
+  /**
+   * Show a short notice on the menu for NOTICE_MS: left and right parts on either side of the midline.
+   */
+  showNotice(left, right) {
+    this.notice = { left, right, until: this.now() + NOTICE_MS };
+  }
+
+  /**
+   * Draw the menu notice while it lasts, each part centered on its own half.
+   */
+  drawNotice() {
+    if (!this.notice) return;
+    if (this.now() >= this.notice.until) {
+      this.notice = null;
+      return;
+    }
+    this.display.withLayer('message', () => {
+      const y = this.height - NOTICE_ROWS_FROM_BOTTOM;
+      const quarter = Math.floor(this.width / 4);
+      this.display.drawText(this.notice.left, quarter, y, { font: FONT_PROPORTIONAL, align: 'center' });
+      this.display.drawText(this.notice.right, this.width - quarter, y, { font: FONT_PROPORTIONAL, align: 'center' });
+    });
   }
   
   /**
@@ -840,17 +793,7 @@ class Pong {
     const pattern = patterns[type];
     if (!pattern) return;
     
-    for (let row = 0; row < pattern.length; row++) {
-      for (let col = 0; col < pattern[row].length; col++) {
-        if (pattern[row][col] === 1) {
-          const px = x + col;
-          const py = y + row;
-          if (px >= 0 && px < this.width && py >= 0 && py < this.height && this._canDrawPixel(px, py)) {
-            this.display.setPixel(px, py, true);
-          }
-        }
-      }
-    }
+    this.display.blit(pattern, x, y);
   }
   
   /**
@@ -864,26 +807,11 @@ class Pong {
     for (let i = 0; i < numRays; i++) {
       const angle = (i / numRays) * Math.PI * 2 + (time * 0.002);
       const rayLength = burstRadius;
-      
-      for (let r = 0; r < rayLength; r += 0.5) {
-        const px = Math.round(x + Math.cos(angle) * r);
-        const py = Math.round(y + Math.sin(angle) * r);
-        if (px >= 0 && px < this.width && py >= 0 && py < this.height && this._canDrawPixel(px, py)) {
-          this.display.setPixel(px, py, true);
-        }
-      }
+      this.display.drawLine(x, y, Math.round(x + Math.cos(angle) * rayLength), Math.round(y + Math.sin(angle) * rayLength));
     }
     
     // Draw center sparkle
-    for (let dx = -1; dx <= 1; dx++) {
-      for (let dy = -1; dy <= 1; dy++) {
-        const px = x + dx;
-        const py = y + dy;
-        if (px >= 0 && px < this.width && py >= 0 && py < this.height && this._canDrawPixel(px, py)) {
-          this.display.setPixel(px, py, true);
-        }
-      }
-    }
+    this.display.blit(DOT_3X3, x - 1, y - 1);
   }
   
   /**
@@ -911,80 +839,37 @@ class Pong {
    * Draw large pixel text for WINNER or YOU LOSE (simple bouncing text)
    */
   drawGameOverMessage() {
-    const currentTime = performance.now();
-    const elapsed = currentTime - this.gameOverStartTime;
-    const centerX = Math.floor(this.width / 2);
-    const centerY = Math.floor(this.height / 2);
-    const message = this._getGameOverMessage();
+    this.display.withLayer('message', () => {
+      const currentTime = this.now();
+      const elapsed = currentTime - this.gameOverStartTime;
+      const centerX = Math.floor(this.width / 2);
+      const centerY = Math.floor(this.height / 2);
+      const message = this._getGameOverMessage();
 
-    const charWidth = GAME_OVER_CHAR_WIDTH;
-    const messageWidth = message.length * charWidth;
-    const bounceY = Math.sin(elapsed * GAME_OVER_BOUNCE_SPEED) * GAME_OVER_BOUNCE_AMOUNT;
-    const baseY = centerY - GAME_OVER_BASE_Y_OFFSET;
-    const startY = baseY + bounceY;
-    const startX = centerX - Math.floor(messageWidth / 2) + (message === 'WINNER!' ? GAME_OVER_WINNER_X_OFFSET : GAME_OVER_LOSE_X_OFFSET);
+      const bounceY = Math.sin(elapsed * GAME_OVER_BOUNCE_SPEED) * GAME_OVER_BOUNCE_AMOUNT;
+      const baseY = centerY - GAME_OVER_BASE_Y_OFFSET;
+      this.display.drawText(message, centerX, baseY + bounceY, {
+        font: FONT_LARGE,
+        scale: GAME_OVER_TEXT_SCALE,
+        blocks: true,
+        align: 'center',
+        letterSpacing: GAME_OVER_LETTER_SPACING
+      });
 
-    const letterPatterns = LARGE_LETTER_PATTERNS;
-    let charIndex = 0;
-    for (const char of message) {
-      if (char === ' ') { charIndex++; continue; }
-      const pattern = letterPatterns[char.toUpperCase()];
-      if (pattern) {
-        const charX = startX + (charIndex * charWidth);
-        const textScale = GAME_OVER_TEXT_SCALE;
-        for (let row = 0; row < 9; row++) {
-          for (let col = 0; col < 7; col++) {
-            if (pattern[row] && pattern[row][col] === 1) {
-              for (let sy = 0; sy < textScale; sy++) {
-                for (let sx = 0; sx < textScale; sx++) {
-                  const px = Math.floor(charX + col * textScale + sx);
-                  const py = Math.floor(startY + row * textScale + sy);
-                  if (px >= 0 && px < this.width && py >= 0 && py < this.height && this._canDrawPixel(px, py, { excludeButton: true })) {
-                    this.display.setPixel(px, py, true);
-                  }
-                }
-              }
-            }
-          }
-        }
+      // 2P or debug 2P-style: draw "1P" or "2P" big and bouncing in the center of the lower half
+      if (this._shouldShow2PLabel()) {
+        const label = this.debugGameOverVariant || (this.winner === 'left' ? '1P' : '2P');
+        const lowerMidY = Math.floor(this.height / 2) + Math.floor((this.height / 2) / 2);
+        const labelBounceY = Math.sin(elapsed * LABEL_BOUNCE_SPEED) * LABEL_BOUNCE_AMOUNT;
+        this.display.drawText(label, centerX, lowerMidY + labelBounceY, {
+          font: FONT_LARGE,
+          scale: LABEL_SCALE,
+          blocks: true,
+          align: 'center',
+          letterSpacing: LABEL_GAP_W
+        });
       }
-      charIndex++;
-    }
-
-    // 2P or debug 2P-style: draw "1P" or "2P" big and bouncing in the center of the lower half
-    if (this._shouldShow2PLabel()) {
-      const label = this.debugGameOverVariant || (this.winner === 'left' ? '1P' : '2P');
-      const digit = label[0];
-      const lowerMidY = Math.floor(this.height / 2) + Math.floor((this.height / 2) / 2);
-      const labelBounceY = Math.sin(elapsed * LABEL_BOUNCE_SPEED) * LABEL_BOUNCE_AMOUNT;
-      const labelY = lowerMidY + labelBounceY;
-      const labelScale = LABEL_SCALE;
-      const glyphW = Math.ceil(LABEL_GLYPH_COLS * labelScale);
-      const gapW = LABEL_GAP_W;
-      const totalW = glyphW + gapW + glyphW;
-      let labelX = centerX - Math.floor(totalW / 2);
-
-      const drawGlyph = (pat, x) => {
-        if (!pat) return;
-        for (let r = 0; r < 9; r++) {
-          for (let c = 0; c < 7; c++) {
-            if (pat[r] && pat[r][c] === 1) {
-              for (let sy = 0; sy < labelScale; sy++) {
-                for (let sx = 0; sx < labelScale; sx++) {
-                  const px = Math.floor(x + c * labelScale + sx);
-                  const py = Math.floor(labelY + r * labelScale + sy);
-                  if (px >= 0 && px < this.width && py >= 0 && py < this.height && this._canDrawPixel(px, py, { excludeButton: true })) {
-                    this.display.setPixel(px, py, true);
-                  }
-                }
-              }
-            }
-          }
-        }
-      };
-      drawGlyph(letterPatterns[digit], labelX);
-      drawGlyph(letterPatterns['P'], labelX + glyphW + gapW);
-    }
+    });
   }
   
   /**
@@ -1002,7 +887,16 @@ class Pong {
    * Check if a click is within button bounds
    */
   checkButtonClick(pixelX, pixelY) {
-    if (this.gameState === 'MENU' && this.startButtonBounds) {
+    if (this.gameState === 'MENU' && pixelY >= this.height - MENU_RULES_ROWS) {
+      // Rules row: left half changes the format, right half the serve rule
+      if (pixelX < Math.floor(this.width / 2)) this.changeMatchFormat(1);
+      else this.changeServeRule();
+      return true;
+    } else if (this.gameState === 'PLAYING' && this.state.serving) {
+      // 2P: each player clicks their own half
+      this.pressServe(pixelX < Math.floor(this.width / 2) ? 'left' : 'right');
+      return true;
+    } else if (this.gameState === 'MENU' && this.startButtonBounds) {
       if (pixelX >= this.startButtonBounds.x && 
           pixelX < this.startButtonBounds.x + this.startButtonBounds.width &&
           pixelY >= this.startButtonBounds.y && 
@@ -1018,6 +912,14 @@ class Pong {
         this.goToMenu();
         return true;
       }
+    } else if (this.gameState === 'REPLAY') {
+      // Bottom rows scrub to the clicked point; elsewhere pause/resume
+      if (pixelY >= this.height - REPLAY_BAR_HIT_ROWS) {
+        this.seekReplayTo(pixelX / (this.width - 1));
+      } else {
+        this.toggleReplayPause();
+      }
+      return true;
     }
     return false;
   }
@@ -1039,105 +941,256 @@ class Pong {
     this.pongTitleY = Math.floor(this.height / 2);
     this.pongTitleVx = (Math.random() > 0.5 ? 1 : -1) * 0.5;
     this.pongTitleVy = (Math.random() > 0.5 ? 1 : -1) * 0.5;
+    this.updateScores();
   }
   
   /**
-   * Calculate AI skill from difficulty level and speed multiplier
+   * AI skill for the current match (from its level and, at level 3, the ball speed)
    */
   calculateAISkill() {
-    let baseSkill;
-    if (this.aiDifficultyLevel === 1) {
-      baseSkill = 0.2;
-    } else if (this.aiDifficultyLevel === 2) {
-      baseSkill = 0.5;
-    } else { // Level 3
-      baseSkill = 0.8;
-      // For level 3, scale from 0.8 to 0.95 as speed increases
-      const maxSpeedMultiplier = 2.0;
-      const maxIncrease = 0.15; // 0.95 - 0.8
-      const scaleFactor = maxIncrease / (maxSpeedMultiplier - 1.0);
-      const speedIncrease = Math.min(this.currentSpeedMultiplier - 1.0, maxSpeedMultiplier - 1.0);
-      baseSkill = 0.8 + speedIncrease * scaleFactor;
-      // Cap at 0.95 maximum
-      baseSkill = Math.min(baseSkill, 0.95);
-    }
-    return baseSkill;
-  }
-  
-  /**
-   * Update AI controller skill based on current difficulty and speed
-   */
-  updateAIControllerSkill() {
-    const skill = this.calculateAISkill();
-    this.rightController.skill = skill;
+    return pongAISkill(this.state);
   }
   
   /**
    * Start a new game
    */
   startNewGame() {
-    // Reset scores
-    this.score.left = 0;
-    this.score.right = 0;
-    
-    // Reset volley count and speed multiplier
-    this.volleyCount = 0;
-    this.currentSpeedMultiplier = 1.0;
-    
-    // Reset paddles
-    this.leftPaddle.y = Math.floor(this.height / 2 - this.PADDLE_HEIGHT / 2);
-    this.rightPaddle.y = Math.floor(this.height / 2 - this.PADDLE_HEIGHT / 2);
-    
-    // Reset ball (will be started after countdown)
-    this.ball.x = Math.floor(this.width / 2);
-    this.ball.y = Math.floor(this.height / 2);
-    this.ball.vx = 0;
-    this.ball.vy = 0;
-    this.ball.spin = 0;
-    
-    // Update scores display
-    this.updateScores();
+    // Fresh match: scores, volleys and paddles reset, ball at rest until the countdown serves
+    this.state = this.createMatchState();
+    this.replayRecorder = new ReplayRecorder(this.state, { aiDifficultyLevel: this.aiDifficultyLevel });
+
+    // Series play: a change of players or rules starts a new series
+    const seriesKey = JSON.stringify([this.rightPlayerOption, this.state.rules, this.playerNames]);
+    if (seriesKey !== this._seriesKey) {
+      this.series = { left: 0, right: 0 };
+      this._seriesKey = seriesKey;
+    }
 
-    // Apply controllers from rightPlayerOption (2P vs 1P)
+    // Apply controllers from rightPlayerOption (2P vs 1P; the simulation's AI plays the right side in 1P)
     if (this.rightPlayerOption === '2P') {
       this.leftController = this._keyboardLeft2P;
       this.rightController = this._keyboardRight2P;
     } else {
       this.leftController = this._keyboard1P;
-      this.rightController = this._aiController;
-      this.updateAIControllerSkill();
+      this.rightController = null;
     }
 
-    // Start countdown
-    this.gameState = 'COUNTDOWN';
+    // Start countdown; with manual serve, play starts at once and waits for the serve
+    this.gameState = this.state.rules.serveStart === 'manual' ? 'PLAYING' : 'COUNTDOWN';
     this.countdownNumber = 3;
-    this.countdownStartTime = performance.now();
+    this.countdownStartTime = this.now();
+    this._servePressed = { left: false, right: false };
     this.winner = null;
     this.winning = false;
     this.gameOverViaDebugKey = false;
     this.debugGameOverVariant = null;
     this.gameOverStartTime = 0;
+    this.updateScores();
   }
   
   /**
    * Check if game should end
    */
   checkGameEnd() {
-    if (this.score.left >= GOALS_TO_WIN) {
-      this.winner = 'left';
-      this.gameState = 'GAME_OVER';
-      this.gameOverStartTime = performance.now();
-      this.ball.vx = 0;
-      this.ball.vy = 0;
-    } else if (this.score.right >= GOALS_TO_WIN) {
-      this.winner = 'right';
-      this.gameState = 'GAME_OVER';
-      this.gameOverStartTime = performance.now();
-      this.ball.vx = 0;
-      this.ball.vy = 0;
-    }
+    checkPongMatchEnd(this.state);
+    this._handleSimEvents();
+  }
+  
+  /**
+   * Trigger the screen effects for a game event ('hit', 'goal', 'gameOver'; see PONG_EFFECTS).
+   */
+  triggerEffects(event) {
+    if (!this.display || typeof this.display.triggerEffect !== 'function') return;
+    for (const spec of PONG_EFFECTS[event] ?? []) this.display.triggerEffect(spec);
   }
   
+  /**
+   * Toggle "no ghosting": switch the display to instant decay (no phosphor trails) and back to its previous model.
+   */
+  toggleGhosting() {
+    if (!this.display || typeof this.display.setDecayModel !== 'function') return;
+    this.noGhosting = !this.noGhosting;
+    if (this.noGhosting) {
+      this.savedDecayModel = this.display.getDecayModel();
+      this.display.setDecayModel('instant');
+    } else {
+      this.display.setDecayModel(this.savedDecayModel ?? 'crt');
+      this.savedDecayModel = null;
+    }
+  }
+
+  /**
+   * Start recording the display as an animated GIF, or stop and save the clip. Recording also stops (and saves)
+   * on its own after RECORD_MAX_MS.
+   */
+  toggleRecording() {
+    if (!this.display || typeof this.display.addFrameListener !== 'function') return;
+    if (this.recorder && this.recorder.recording) {
+      this.recorder.stop();
+      return;
+    }
+    this.recorder = new FrameRecorder(this.display, {
+      format: 'gif',
+      fps: RECORD_FPS,
+      maxDurationMs: RECORD_MAX_MS,
+      scale: RECORD_SCALE,
+      onStop: (bytes) => this.saveRecording(bytes)
+    });
+    this.recorder.start();
+  }
+
+  /**
+   * Offer a finished clip as a download (browser only).
+   * @param {Uint8Array|null} bytes - GIF file bytes
+   */
+  saveRecording(bytes) {
+    if (bytes) this._download(bytes, 'image/gif', 'gif');
+  }
+
+  /**
+   * Offer data as a download named pong-<date>.<extension> (browser only).
+   */
+  _download(data, type, extension) {
+    if (typeof document === 'undefined' || typeof Blob === 'undefined') return;
+    const url = URL.createObjectURL(new Blob([data], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `pong-${new Date().toISOString().replace(/[:.]/g, '-')}.${extension}`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Watch a replay (REPLAY state) from its start; exitReplay returns to the screen it was started from.
+   * @param {Object} replay - Replay JSON (see src/replay.js)
+   * @throws {Error} When the replay cannot be played
+   */
+  startReplay(replay) {
+    const player = new ReplayPlayer(replay);
+    if (!this._beforeReplay) this._beforeReplay = { state: this.state, gameState: this.gameState };
+    this.replayPlayer = player;
+    this.state = player.state;
+    this.gameState = 'REPLAY';
+    this.updateScores();
+  }
+
+  /**
+   * Watch the replay of the current or last match, if there is one.
+   * @returns {boolean} Whether playback started
+   */
+  watchLastReplay() {
+    if (!this.replayRecorder || this.replayRecorder.steps === 0) return false;
+    this.startReplay(this.replayRecorder.toJSON());
+    return true;
+  }
+
+  /**
+   * Leave playback and go back to the screen and match from before it.
+   */
+  exitReplay() {
+    if (this.gameState !== 'REPLAY') return;
+    const before = this._beforeReplay;
+    this.replayPlayer = null;
+    this._beforeReplay = null;
+    this.state = before.state;
+    this.gameState = before.gameState;
+    this.updateScores();
+  }
+
+  /**
+   * Run the replay steps due for dtMs (called from the main loop at 60Hz in REPLAY).
+   */
+  updateReplay(dtMs) {
+    const events = this.replayPlayer.update(dtMs);
+    this.state = this.replayPlayer.state;
+    this._handleSimEvents(events);
+    this.refreshScoreboard();
+  }
+
+  /** Pause or resume playback. */
+  toggleReplayPause() {
+    if (this.replayPlayer.paused) this.replayPlayer.resume();
+    else this.replayPlayer.pause();
+  }
+
+  /**
+   * Step the playback speed up (1) or down (-1) through REPLAY_SPEEDS.
+   */
+  changeReplaySpeed(direction) {
+    const i = REPLAY_SPEEDS.indexOf(this.replayPlayer.speed) + direction;
+    this.replayPlayer.setSpeed(REPLAY_SPEEDS[Math.max(0, Math.min(REPLAY_SPEEDS.length - 1, i))]);
+  }
+
+  /**
+   * Jump the playback by ms of match time (negative: back).
+   */
+  seekReplay(ms) {
+    const player = this.replayPlayer;
+    this.seekReplayTo((player.step + ms / player.replay.dtMs) / Math.max(1, player.length));
+  }
+
+  /**
+   * Jump the playback to a fraction (0..1) of the match.
+   */
+  seekReplayTo(fraction) {
+    const player = this.replayPlayer;
+    player.seek(fraction * player.length);
+    this.state = player.state;
+    this.updateScores();
+  }
+
+  /**
+   * Share the replay being watched, or else the last match's: put it in the page URL (#replay=...) and offer it as
+   * a JSON download (browser only).
+   * @returns {string|null} URL fragment, or null when there is no replay yet
+   */
+  exportReplay() {
+    let replay = null;
+    if (this.replayPlayer) replay = this.replayPlayer.replay;
+    else if (this.replayRecorder && this.replayRecorder.steps > 0) replay = this.replayRecorder.toJSON();
+    if (!replay) return null;
+    const fragment = replayToFragment(replay);
+    if (typeof history !== 'undefined' && typeof location !== 'undefined') {
+      history.replaceState(null, '', `${location.pathname}${location.search}#${fragment}`);
+    }
+    this._download(encodeReplay(replay), 'application/json', 'json');
+    return fragment;
+  }
+
+  /**
+   * Replay HUD: progress bar above the bottom wall (dim track, lit up to the current step) and the speed.
+   */
+  drawReplayBar() {
+    this.display.withLayer('ui', () => {
+      const player = this.replayPlayer;
+      const y = this.height - 3;
+      const end = Math.round(1 + (this.width - 3) * (player.length > 0 ? player.step / player.length : 0));
+      this.display.drawLineH(y, 1, this.width - 2, 0, 0.3);
+      this.display.drawLineH(y, 1, end);
+      this.display.drawText(`${player.speed}X`, 3, this.height - 12, { font: FONT_PROPORTIONAL });
+    });
+  }
+
+  /**
+   * Keys while watching a replay: up/down speed, left/right seek, P pause, Enter/Escape leave.
+   * @returns {boolean} Whether the key was handled
+   */
+  handleReplayKey(e) {
+    if (e.key === KEY_ENTER || e.key === KEY_REPLAY_EXIT) {
+      this.exitReplay();
+    } else if (KEY_PAUSE.includes(e.key)) {
+      this.toggleReplayPause();
+    } else if (KEY_MENU_UP.includes(e.key) || KEY_MENU_DOWN.includes(e.key)) {
+      this.changeReplaySpeed(KEY_MENU_UP.includes(e.key) ? 1 : -1);
+    } else if (KEY_SEEK_BACK.includes(e.key) || KEY_SEEK_FORWARD.includes(e.key)) {
+      this.seekReplay(KEY_SEEK_BACK.includes(e.key) ? -REPLAY_SEEK_MS : REPLAY_SEEK_MS);
+    } else {
+      return false;
+    }
+    e.preventDefault();
+    return true;
+  }
+
   /**
    * Setup pause key handler (P key)
    */
@@ -1208,7 +1261,7 @@ class Pong {
     // Start countdown
     this.gameState = 'COUNTDOWN';
     this.countdownNumber = 3;
-    this.countdownStartTime = performance.now();
+    this.countdownStartTime = this.now();
     this.savedState = null;
   }
   
@@ -1216,45 +1269,28 @@ class Pong {
    * Draw VCR Pause button (two vertical bars) with bounce animation
    */
   drawPauseButton() {
-    const currentTime = performance.now();
-    this.pauseButtonScale = 1.0 + Math.sin(currentTime * PAUSE_BOUNCE_SPEED) * PAUSE_BOUNCE_AMOUNT;
-    
-    const centerX = Math.floor(this.width / 2);
-    const centerY = Math.floor(this.height / 2);
-    const barWidth = PAUSE_BAR_WIDTH;
-    const barHeight = PAUSE_BAR_HEIGHT;
-    const barSpacing = PAUSE_BAR_SPACING;
+    this.display.withLayer('ui', () => {
+      const currentTime = this.now();
+      this.pauseButtonScale = 1.0 + Math.sin(currentTime * PAUSE_BOUNCE_SPEED) * PAUSE_BOUNCE_AMOUNT;
     
-    // Draw two vertical bars (pause icon)
-    const scaledBarWidth = Math.floor(barWidth * this.pauseButtonScale);
-    const scaledBarHeight = Math.floor(barHeight * this.pauseButtonScale);
-    const totalWidth = scaledBarWidth * 2 + barSpacing;
+      const centerX = Math.floor(this.width / 2);
+      const centerY = Math.floor(this.height / 2);
+      const barWidth = PAUSE_BAR_WIDTH;
+      const barHeight = PAUSE_BAR_HEIGHT;
+      const barSpacing = PAUSE_BAR_SPACING;
     
-    const leftBarX = centerX - Math.floor(totalWidth / 2);
-    const rightBarX = leftBarX + scaledBarWidth + barSpacing;
-    const barY = centerY - Math.floor(scaledBarHeight / 2);
+      // Draw two vertical bars (pause icon)
+      const scaledBarWidth = Math.floor(barWidth * this.pauseButtonScale);
+      const scaledBarHeight = Math.floor(barHeight * this.pauseButtonScale);
+      const totalWidth = scaledBarWidth * 2 + barSpacing;
     
-    // Draw left bar
-    for (let y = 0; y < scaledBarHeight; y++) {
-      for (let x = 0; x < scaledBarWidth; x++) {
-        const px = leftBarX + x;
-        const py = barY + y;
-        if (px >= 0 && px < this.width && py >= 0 && py < this.height && this._canDrawPixel(px, py)) {
-          this.display.setPixel(px, py, true);
-        }
-      }
-    }
+      const leftBarX = centerX - Math.floor(totalWidth / 2);
+      const rightBarX = leftBarX + scaledBarWidth + barSpacing;
+      const barY = centerY - Math.floor(scaledBarHeight / 2);
     
-    // Draw right bar
-    for (let y = 0; y < scaledBarHeight; y++) {
-      for (let x = 0; x < scaledBarWidth; x++) {
-        const px = rightBarX + x;
-        const py = barY + y;
-        if (px >= 0 && px < this.width && py >= 0 && py < this.height && this._canDrawPixel(px, py)) {
-          this.display.setPixel(px, py, true);
-        }
-      }
-    }
+      this.display.drawRectFilled(leftBarX, barY, scaledBarWidth, scaledBarHeight);
+      this.display.drawRectFilled(rightBarX, barY, scaledBarWidth, scaledBarHeight);
+    });
   }
   
   /**
@@ -1266,15 +1302,8 @@ class Pong {
 
     // Mouse click handler
     canvas.addEventListener('click', (e) => {
-      const rect = canvas.getBoundingClientRect();
-      const canvasX = e.clientX - rect.left;
-      const canvasY = e.clientY - rect.top;
-      
-      // Convert to pixel coordinates
-      const pixelX = Math.floor((canvasX / canvas.width) * this.width);
-      const pixelY = Math.floor((canvasY / canvas.height) * this.height);
-      
-      this.checkButtonClick(pixelX, pixelY);
+      const pixel = this.display.clientToPixel(e.clientX, e.clientY);
+      if (pixel) this.checkButtonClick(pixel.x, pixel.y);
     });
     
     // Keyboard handler for Enter key and arrow keys
@@ -1284,13 +1313,46 @@ class Pong {
         if (this.display && typeof this.display.degauss === 'function') this.display.degauss();
         return;
       }
-      if (e.key === KEY_ENTER || e.keyCode === 13) {
+      if (KEY_GHOSTING.includes(e.key)) {
+        this.toggleGhosting();
+        return;
+      }
+      if (KEY_RECORD.includes(e.key)) {
+        this.toggleRecording();
+        return;
+      }
+      if (KEY_FULLSCREEN.includes(e.key)) {
+        this.display.toggleFullscreen();
+        return;
+      }
+      if (this.gameState === 'REPLAY') {
+        this.handleReplayKey(e);
+        return;
+      }
+      if (KEY_REPLAY.includes(e.key) && (this.gameState === 'MENU' || this.gameState === 'GAME_OVER')) {
+        this.watchLastReplay();
+        return;
+      }
+      if (KEY_REPLAY_EXPORT.includes(e.key) && (this.gameState === 'MENU' || this.gameState === 'GAME_OVER')) {
+        this.exportReplay();
+        return;
+      }
+      const serveSide = KEY_SERVE_LEFT.includes(e.key) ? 'left' : (KEY_SERVE_RIGHT.includes(e.key) ? 'right' : null);
+      if (this.gameState === 'PLAYING' && serveSide) {
+        e.preventDefault();
+        this.pressServe(serveSide);
+      } else if (e.key === KEY_ENTER || e.keyCode === 13) {
         e.preventDefault();
         if (this.gameState === 'MENU') {
           this.startNewGame();
         } else if (this.gameState === 'GAME_OVER') {
           this.goToMenu();
         }
+      } else if (this.gameState === 'MENU' && (KEY_MENU_LEFT.includes(e.key) || KEY_MENU_RIGHT.includes(e.key))) {
+        e.preventDefault();
+        this.changeMatchFormat(KEY_MENU_RIGHT.includes(e.key) ? 1 : -1);
+      } else if (this.gameState === 'MENU' && KEY_SERVE_RULE.includes(e.key)) {
+        this.changeServeRule();
       } else if (this.gameState === 'MENU' && (KEY_MENU_UP.includes(e.key) || KEY_MENU_DOWN.includes(e.key))) {
         // Cycle right-side selector: 2P, 1, 2, 3 (no wrap: stop at 3 going up, at 2P going down)
         e.preventDefault();
@@ -1303,7 +1365,6 @@ class Pong {
         else if (isDown && i > 0) i--;
         this.rightPlayerOption = order[i];
         this.aiDifficultyLevel = this.rightPlayerOption === '2P' ? 1 : this.rightPlayerOption;
-        if (this.rightPlayerOption !== '2P') this.updateAIControllerSkill();
       } else if (__DEBUG_SCREENS_ENABLED__ && KEY_DEBUG_WIN.includes(e.key) && this.gameState === 'MENU') {
         // Debug: show win screen (1P-style); on screen, 1/2 switch to 2P-style "1P"/"2P" view
         e.preventDefault();
@@ -1311,7 +1372,7 @@ class Pong {
         this.winning = true;
         this.gameOverViaDebugKey = true;
         this.debugGameOverVariant = null;
-        this.gameOverStartTime = performance.now();
+        this.gameOverStartTime = this.now();
       } else if (__DEBUG_SCREENS_ENABLED__ && KEY_DEBUG_LOSE.includes(e.key) && this.gameState === 'MENU') {
         // Debug: show lose screen
         e.preventDefault();
@@ -1320,7 +1381,7 @@ class Pong {
         this.winning = false;
         this.gameOverViaDebugKey = true;
         this.debugGameOverVariant = null;
-        this.gameOverStartTime = performance.now();
+        this.gameOverStartTime = this.now();
       } else if (__DEBUG_SCREENS_ENABLED__ && this.gameState === 'GAME_OVER' && this.gameOverViaDebugKey && (e.key === KEY_DEBUG_1 || e.key === KEY_DEBUG_2)) {
         // Debug win screen only: switch to "1P won" or "2P won" 2P-style view
         e.preventDefault();
@@ -1335,235 +1396,125 @@ class Pong {
    * @param {Object} [prevState] - { ball: {x,y}, leftPaddle: {y}, rightPaddle: {y} } at start of last logic tick.
    */
   drawCurrentFrame(alpha, prevState) {
-    const a = alpha != null ? alpha : 1;
-    const leftY = prevState ? prevState.leftPaddle.y + (this.leftPaddle.y - prevState.leftPaddle.y) * a : this.leftPaddle.y;
-    const rightY = prevState ? prevState.rightPaddle.y + (this.rightPaddle.y - prevState.rightPaddle.y) * a : this.rightPaddle.y;
-    const ballX = prevState ? prevState.ball.x + (this.ball.x - prevState.ball.x) * a : this.ball.x;
-    const ballY = prevState ? prevState.ball.y + (this.ball.y - prevState.ball.y) * a : this.ball.y;
+    this.display.withLayer('sprites', () => {
+      const a = alpha != null ? alpha : 1;
+      const leftY = prevState ? prevState.leftPaddle.y + (this.leftPaddle.y - prevState.leftPaddle.y) * a : this.leftPaddle.y;
+      const rightY = prevState ? prevState.rightPaddle.y + (this.rightPaddle.y - prevState.rightPaddle.y) * a : this.rightPaddle.y;
+      const ballX = prevState ? prevState.ball.x + (this.ball.x - prevState.ball.x) * a : this.ball.x;
+      const ballY = prevState ? prevState.ball.y + (this.ball.y - prevState.ball.y) * a : this.ball.y;
 
-    this.display.drawRectFilled(this.PADDLE_LEFT_X, Math.floor(leftY), this.PADDLE_WIDTH, this.PADDLE_HEIGHT);
-    this.display.drawRectFilled(this.PADDLE_RIGHT_X, Math.floor(rightY), this.PADDLE_WIDTH, this.PADDLE_HEIGHT);
-    const bx = Math.floor(ballX);
-    const by = Math.floor(ballY);
-    if (bx >= 0 && bx < this.width && by >= 0 && by < this.height) {
-      this.display.drawRectFilled(bx, by, 1, 1);
-    }
+      this.display.drawRectFilled(this.PADDLE_LEFT_X, Math.floor(leftY), this.PADDLE_WIDTH, this.PADDLE_HEIGHT, PADDLE_LEFT_COLOR);
+      this.display.drawRectFilled(this.PADDLE_RIGHT_X, Math.floor(rightY), this.PADDLE_WIDTH, this.PADDLE_HEIGHT, PADDLE_RIGHT_COLOR);
+      const bx = Math.floor(ballX);
+      const by = Math.floor(ballY);
+      if (bx >= 0 && bx < this.width && by >= 0 && by < this.height) {
+        this.display.drawRectFilled(bx, by, 1, 1);
+      }
+    });
   }
   
   /**
-   * Return spin config for the current level (1P: aiDifficultyLevel 1–3; 2P: dedicated 2P constants).
+   * Return spin config for the current match (1P: AI level 1–3; 2P: dedicated 2P constants).
    */
   getSpinConfig() {
-    const speedFactor = (this.rightPlayerOption !== '2P' && this.aiDifficultyLevel === 3) ? LEVEL_SPEED_FACTOR_3 : 1.0;
-    if (this.rightPlayerOption === '2P') {
-      return {
-        paddleTransfer: SPIN_PADDLE_TRANSFER_2P,
-        magnusFactor: SPIN_MAGNUS_FACTOR_2P,
-        dampingPerTick: SPIN_DAMPING_PER_TICK,
-        wallRetention: SPIN_WALL_RETENTION_2P,
-        maxSpin: SPIN_MAX,
-        speedFactor: 1.0
-      };
-    }
-    const i = this.aiDifficultyLevel - 1; // 0, 1, 2 for levels 1, 2, 3
-    return {
-      paddleTransfer: SPIN_PADDLE_TRANSFER_LEVEL[i],
-      magnusFactor: SPIN_MAGNUS_FACTOR_LEVEL[i],
-      dampingPerTick: SPIN_DAMPING_PER_TICK,
-      wallRetention: SPIN_WALL_RETENTION_LEVEL[i],
-      maxSpin: SPIN_MAX,
-      speedFactor
-    };
+    return pongSpinConfig(this.state);
   }
 
   /**
-   * Update paddle position based on controller input
+   * Inputs for the next logic step: the human sides' controller directions ('up'/'down'/null), the display's
+   * running degauss, which can throw the AI off, and which sides pressed serve since the last step.
+   * @returns {{ left: string|null, right: string|null, degauss: { id: number, progress: number }|null,
+   *   serve: { left: boolean, right: boolean } }}
    */
-  updatePaddle(paddle, controller) {
-    paddle._prevY = paddle.y;
-    // AI controllers directly modify paddle.y in their update() method
-    // Human controllers return direction ('up'/'down'/'null')
-    if (controller instanceof AIController) {
-      // Update AI skill dynamically (especially for level 3 with speed scaling)
-      this.updateAIControllerSkill();
-      
-      // AI controller handles movement internally
-      controller.update(paddle, this.ball, {
-        score: this.score,
-        width: this.width,
-        height: this.height,
-        speedMultiplier: this.currentSpeedMultiplier,
-        degaussStartTime: this.display.degaussStartTime,
-        degaussDuration: this.display.degaussDuration,
-        currentTime: performance.now(),
-        aiDifficultyLevel: this.aiDifficultyLevel
-      });
-    } else {
-      // Human controller returns direction
-      const direction = controller.update(paddle, this.ball, {
-        score: this.score,
-        width: this.width,
-        height: this.height
-      });
-      
-      if (direction === 'up') {
-        paddle.y -= paddle.speed;
-      } else if (direction === 'down') {
-        paddle.y += paddle.speed;
-      }
-    }
-    
-    // Constrain paddle to screen (can't move off back line) - applies to both AI and human
-    if (paddle.y < 1) {
-      paddle.y = 1; // 1 to account for top wall
-    }
-    if (paddle.y + paddle.height > this.height - 1) {
-      paddle.y = this.height - 1 - paddle.height; // Account for bottom wall
+  readInputs() {
+    const context = { score: this.score, width: this.width, height: this.height };
+    const serve = this._servePressed;
+    this._servePressed = { left: false, right: false };
+    let degauss = null;
+    const start = this.display.degaussStartTime;
+    const duration = this.display.degaussDuration;
+    if (start > 0 && duration > 0) {
+      const now = (this.display.getTime && this.display.getTime()) || this.now();
+      degauss = { id: start, progress: (now - start) / duration };
     }
-    paddle.vy = paddle.y - paddle._prevY;
-    paddle._prevY = paddle.y;
+    return {
+      left: this.leftController ? this.leftController.update(this.leftPaddle, this.ball, context) : null,
+      right: this.rightController ? this.rightController.update(this.rightPaddle, this.ball, context) : null,
+      degauss,
+      serve
+    };
   }
   
   /**
    * Check collision between ball and paddle
    */
   checkPaddleCollision(paddle) {
-    const ballX = this.ball.x;
-    const ballY = this.ball.y;
-    
-    // Check if ball is within paddle's x range
-    if (ballX >= paddle.x && ballX < paddle.x + paddle.width) {
-      // Check if ball is within paddle's y range
-      if (ballY >= paddle.y && ballY < paddle.y + paddle.height) {
-        // Calculate hit position on paddle (0 to 1)
-        const hitPos = (ballY - paddle.y) / paddle.height;
-        
-        // Increment volley count (ball hit a paddle)
-        this.volleyCount++;
-        
-        // Calculate speed multiplier based on volley count
-        const speedMultiplier = Math.min(1.0 + (this.volleyCount * SPEED_INCREASE_PER_VOLLEY), MAX_SPEED_MULTIPLIER);
-        
-        // Store current speed multiplier for AI skill scaling
-        this.currentSpeedMultiplier = speedMultiplier;
-        
-        // Spin from paddle vertical velocity (before vx/vy rewrite)
-        const cfg = this.getSpinConfig();
-        const deltaSpin = cfg.paddleTransfer * paddle.vy;
-        this.ball.spin = Math.max(-cfg.maxSpin, Math.min(cfg.maxSpin, this.ball.spin + deltaSpin));
-        
-        // Reverse x velocity and apply speed multiplier and level speed factor (level 3: +10%)
-        this.ball.vx = -this.ball.vx * speedMultiplier * cfg.speedFactor;
-        
-        // Adjust y velocity based on hit position, maintaining speed multiplier
-        // Hit near top = upward angle, hit near bottom = downward angle
-        const angle = (hitPos - 0.5) * 2; // -1 to 1
-        // Maintain proportional speed increase
-        const baseVyMagnitude = Math.abs(angle * this.BALL_SPEED * 0.8);
-        this.ball.vy = (angle >= 0 ? 1 : -1) * baseVyMagnitude * speedMultiplier * cfg.speedFactor;
-        
-        // Ensure minimum speed
-        if (Math.abs(this.ball.vx) < 0.5) {
-          this.ball.vx = this.ball.vx > 0 ? 0.5 : -0.5;
-        }
-        
-        return true;
-      }
-    }
-    return false;
+    const hit = collidePongPaddle(this.state, paddle);
+    this._handleSimEvents();
+    return hit;
   }
   
   /**
    * Update ball position and check collisions
    */
   updateBall() {
-    const cfg = this.getSpinConfig();
-    // 1. Magnus (flight): spin deflects vy
-    this.ball.vy += this.ball.spin * cfg.magnusFactor;
-    // 2. Damping (flight)
-    this.ball.spin *= cfg.dampingPerTick;
-    // 3. Move
-    this.ball.x += this.ball.vx;
-    this.ball.y += this.ball.vy;
-    // 4. Walls (top/bottom): flip vy, reduce spin
-    if (this.ball.y <= 1) {
-      this.ball.y = 1;
-      this.ball.vy = -this.ball.vy;
-      this.ball.spin *= cfg.wallRetention;
-    }
-    if (this.ball.y >= this.height - 2) {
-      this.ball.y = this.height - 2;
-      this.ball.vy = -this.ball.vy;
-      this.ball.spin *= cfg.wallRetention;
-    }
-    // 5. Paddle collisions
-    this.checkPaddleCollision(this.leftPaddle);
-    this.checkPaddleCollision(this.rightPaddle);
-    // 6. Goals
-    if (this.ball.x < 0) {
-      // Right player scores
-      this.score.right++;
-      this.updateScores();
-      this.volleyCount = 0; // Reset volley count on score
-      this.currentSpeedMultiplier = 1.0; // Reset speed multiplier
-      this.resetBall();
-    } else if (this.ball.x >= this.width) {
-      // Left player scores
-      this.score.left++;
-      this.updateScores();
-      this.volleyCount = 0; // Reset volley count on score
-      this.currentSpeedMultiplier = 1.0; // Reset speed multiplier
-      this.resetBall();
-    }
+    movePongBall(this.state);
+    this._handleSimEvents();
   }
   
   /**
    * Reset ball to center with random direction
    */
   resetBall() {
-    this.ball.x = Math.floor(this.width / 2);
-    this.ball.y = Math.floor(this.height / 2);
-    this.ball.spin = 0;
-    
-    // Reset volley count and speed multiplier when ball is reset
-    this.volleyCount = 0;
-    this.currentSpeedMultiplier = 1.0;
-    
-    // Randomize speed: ±5% from base BALL_SPEED. Level 3: +10%.
-    const speedVariation = 1.0 + (Math.random() - 0.5) * 0.1; // ±5%
-    const baseSpeed = this.BALL_SPEED * speedVariation * this.getSpinConfig().speedFactor;
-    
-    // Randomize direction: ±10 degrees from base angle
-    // Base angle is approximately 45 degrees (when vy = 0.7 * vx)
-    const baseAngle = Math.atan2(0.7, 1.0); // ~35 degrees
-    const angleVariation = (Math.random() - 0.5) * (10 * Math.PI / 180); // ±10 degrees in radians
-    const angle = baseAngle + angleVariation;
-    
-    // Randomize horizontal direction (left or right)
-    const horizontalDir = Math.random() > 0.5 ? 1 : -1;
-    
-    // Calculate velocity components
-    this.ball.vx = horizontalDir * baseSpeed * Math.cos(angle);
-    this.ball.vy = baseSpeed * Math.sin(angle);
+    servePongBall(this.state);
+    this._handleSimEvents();
+  }
+
+  /**
+   * React to what the simulation reported (by default state.events, since the last call): redraw the scores,
+   * trigger screen effects and enter GAME_OVER (not while watching a replay).
+   */
+  _handleSimEvents(events = this.state.events) {
+    this.state.events = [];
+    for (const event of events) {
+      if (event.type === 'hit') {
+        this.triggerEffects('hit');
+      } else if (event.type === 'goal') {
+        this.updateScores();
+        this.triggerEffects('goal');
+      } else if (event.type === 'suddenDeath') {
+        this.triggerEffects('suddenDeath');
+      } else if (event.type === 'gameOver' && this.gameState === 'REPLAY') {
+        this.triggerEffects('gameOver');
+      } else if (event.type === 'gameOver' && this.gameState !== 'GAME_OVER') {
+        this.winner = event.winner;
+        this.series[event.winner]++;
+        this.gameState = 'GAME_OVER';
+        this.gameOverStartTime = this.now();
+        this.updateScores();
+        this.triggerEffects('gameOver');
+      }
+    }
   }
   
   /**
    * Update game state (called each frame). Dispatches to _runStateUpdate[gameState].
    */
   update() {
-    this.maintainCourt();
     const fn = this._runStateUpdate[this.gameState];
     if (fn) { fn.call(this); return; }
   }
 
   /**
-   * Logic-only update for PLAYING (called from main loop at 60Hz).
+   * Logic-only update for PLAYING (called from main loop at 60Hz): one simulation step, recorded for the replay.
+   * @param {number} dtMs
+   * @param {Object} [inputs] - Step inputs (see stepPong); default readInputs()
    */
-  updateLogic(dtMs) {
-    this.updatePaddle(this.leftPaddle, this.leftController);
-    this.updatePaddle(this.rightPaddle, this.rightController);
-    this.updateBall();
-    this.checkGameEnd();
+  updateLogic(dtMs, inputs = this.readInputs()) {
+    if (this.replayRecorder) this.replayRecorder.record(inputs);
+    this.state = stepPong(this.state, inputs, dtMs);
+    this._handleSimEvents();
+    this.refreshScoreboard();
   }
 }
 
@@ -1572,54 +1523,46 @@ export { Pong };
 // Initialize game (skip in test when #display is missing)
 if (typeof document !== 'undefined' && document.getElementById('display')) {
 const canvas = document.getElementById('display');
-const display = new PixelDisplay(canvas, 160, 120, 800, 600);
+const display = new PixelDisplay(canvas, 160, 120, 800, 600, 60, { renderMode: 'imageData' });
+// Fill the window (letterboxed, crisp at the screen's devicePixelRatio) and follow resizes and fullscreen
+display.autoFit(window);
 const game = new Pong(display);
+// Switch the tube on at load
+display.powerOn();
+// A shared replay in the URL (#replay=..., see exportReplay) plays on load; one that cannot be read is dropped
+// from the URL, with a notice on the menu
+try {
+  const shared = replayFromFragment(location.hash);
+  if (shared) game.startReplay(shared);
+} catch {
+  game.showNotice('REPLAY', 'UNREADABLE');
+  history.replaceState(null, '', `${location.pathname}${location.search}`);
+}
 
-let lastTs = 0;
-let accumulator = 0;
-let lastRenderTime;
-let prevGameState = null;
-
-function gameLoop(ts) {
-  if (!lastTs) lastTs = ts;
-  let frameMs = Math.min(ts - lastTs, MAX_FRAME_MS);
-  lastTs = ts;
-  accumulator += frameMs;
-
-  // On transition into PLAYING (e.g. from COUNTDOWN), reset accumulator so we don't
-  // run a burst of logic updates that glitches paddles to edges and can corrupt score.
-  if (game.gameState === 'PLAYING' && prevGameState !== 'PLAYING') {
-    accumulator = 0;
-  }
-  prevGameState = game.gameState;
-
-  display.clear();
-
-  let prevState = null;
-  if (game.gameState === 'PLAYING') {
-    game.maintainCourt();
-    let n = 0;
-    while (accumulator >= DT_MS && n < MAX_UPDATES_PER_FRAME) {
-      prevState = { ball: { x: game.ball.x, y: game.ball.y }, leftPaddle: { y: game.leftPaddle.y }, rightPaddle: { y: game.rightPaddle.y } };
-      game.updateLogic(DT_MS);
-      accumulator -= DT_MS;
-      n++;
+// Fixed-step logic while PLAYING; other states update once per frame. prevState holds positions before the
+// last step, for interpolating the drawing by alpha.
+let prevState = null;
+const snapshotPositions = () => ({ ball: { x: game.ball.x, y: game.ball.y }, leftPaddle: { y: game.leftPaddle.y }, rightPaddle: { y: game.rightPaddle.y } });
+const loop = new GameLoop({
+  hz: LOGIC_HZ,
+  maxFrameMs: MAX_FRAME_MS,
+  maxUpdatesPerFrame: MAX_UPDATES_PER_FRAME,
+  update(dtMs) {
+    if (game.gameState === 'REPLAY') game.updateReplay(dtMs);
+    if (game.gameState !== 'PLAYING') return;
+    prevState = snapshotPositions();
+    game.updateLogic(dtMs);
+  },
+  render(alpha, frame) {
+    game.clearFrame();
+    if (game.gameState === 'PLAYING') {
+      if (frame.updates === 0 || prevState == null) prevState = snapshotPositions();
+      game.drawCurrentFrame(alpha, prevState);
+    } else {
+      game.update(DT_MS);
     }
-    if (prevState == null) prevState = { ball: { x: game.ball.x, y: game.ball.y }, leftPaddle: { y: game.leftPaddle.y }, rightPaddle: { y: game.rightPaddle.y } };
-  } else {
-    game.update(DT_MS);
+    display.render(alpha, frame);
   }
-
-  const alpha = accumulator / DT_MS;
-  const now = performance.now();
-  const dtSinceLastRender = lastRenderTime != null ? now - lastRenderTime : 0;
-  if (game.gameState === 'PLAYING') {
-    game.drawCurrentFrame(alpha, prevState);
-  }
-  display.render(alpha, { now, dtSinceLastRender });
-  lastRenderTime = now;
-
-  requestAnimationFrame(gameLoop);
-}
-requestAnimationFrame(gameLoop);
+});
+loop.start();
 }
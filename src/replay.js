@@ -0,0 +1,279 @@
+/**
+ * Match replays: the seed, the match settings and every logic step's inputs, which is all the deterministic
+ * simulation (pong-sim.js) needs to play a match again exactly.
+ *
+ * A replay is plain JSON:
+ *   { version: 1, seed, dtMs, steps, settings: { rightPlayerOption, aiDifficultyLevel, spin, rules, width, height },
+ *     inputs: 'a120e30i', degauss: [[step, id, progress], ...], serves: [[step, side], ...] }
+ * inputs holds one letter per step for the two paddle directions ('a' none/none .. 'i' down/down), run-length
+ * encoded ('a120' = 120 steps of 'a'); degauss lists the steps that ran during a degauss, which the AI reacts to;
+ * serves the steps and sides where serve was pressed (manual serve). rules are the match rules (see match-rules.js).
+ *
+ *   const recorder = new ReplayRecorder(state, { aiDifficultyLevel });
+ *   recorder.record(inputs);                    // per step, with the inputs passed to stepPong
+ *   const url = '#' + replayToFragment(recorder.toJSON());
+ *   const player = new ReplayPlayer(replayFromFragment(location.hash));
+ *   player.setSpeed(2); player.update(dtMs);    // player.state is the match at player.step
+ */
+import { createPongState, stepPong, clonePongState, pongSpinConfig, checkPongServeInput } from './pong-sim.js';
+import { DT_MS, REPLAY_SPEEDS, REPLAY_KEYFRAME_STEPS } from './constants.js';
+
+export const REPLAY_VERSION = 1;
+
+/** Paddle directions in input code order: code = left * 3 + right */
+const REPLAY_DIRECTIONS = [null, 'up', 'down'];
+const REPLAY_FRAGMENT_KEY = 'replay=';
+
+/**
+ * ReplayRecorder - collects a match's inputs step by step.
+ * @param {Object} state - Match state at the start (createPongState), before any step
+ * @param {Object} [settings] - Extra settings to keep (e.g. aiDifficultyLevel); rightPlayerOption, spin,
+ *   rules and the court size come from the state
+ */
+export class ReplayRecorder {
+  constructor(state, settings = {}) {
+    this.seed = state.seed;
+    this.dtMs = DT_MS;
+    this.settings = {
+      rightPlayerOption: state.rightPlayer,
+      aiDifficultyLevel: state.rightPlayer === '2P' ? 1 : state.rightPlayer,
+      ...settings,
+      spin: { ...pongSpinConfig(state) },
+      rules: { ...state.rules },
+      width: state.width,
+      height: state.height
+    };
+    this.steps = 0;
+    this.degauss = [];
+    this.serves = [];
+    this._runs = []; // [code, count]
+  }
+
+  /**
+   * Add one step's inputs ({ left, right, degauss, serve }, as passed to stepPong).
+   */
+  record(inputs = {}) {
+    const code = REPLAY_DIRECTIONS.indexOf(inputs.left ?? null) * 3 + REPLAY_DIRECTIONS.indexOf(inputs.right ?? null);
+    if (code < 0) throw new RangeError(`ReplayRecorder.record: unknown direction in ${JSON.stringify(inputs)}`);
+    checkPongServeInput(inputs.serve, 'ReplayRecorder.record');
+    const last = this._runs[this._runs.length - 1];
+    if (last && last[0] === code) last[1]++;
+    else this._runs.push([code, 1]);
+    if (inputs.degauss) this.degauss.push([this.steps, inputs.degauss.id, inputs.degauss.progress]);
+    for (const side of ['left', 'right']) {
+      if (inputs.serve?.[side]) this.serves.push([this.steps, side]);
+    }
+    this.steps++;
+  }
+
+  /**
+   * The replay so far (plain JSON).
+   */
+  toJSON() {
+    return {
+      version: REPLAY_VERSION,
+      seed: this.seed,
+      dtMs: this.dtMs,
+      steps: this.steps,
+      settings: { ...this.settings, spin: { ...this.settings.spin }, rules: { ...this.settings.rules } },
+      inputs: this._runs.map(([code, count]) => String.fromCharCode(97 + code) + (count > 1 ? count : '')).join(''),
+      degauss: this.degauss.map((entry) => [...entry]),
+      serves: this.serves.map((entry) => [...entry])
+    };
+  }
+}
+
+/**
+ * ReplayPlayer - plays a replay back through the simulation at a chosen speed, with pause and seeking.
+ * update(dtMs) runs the steps due for dtMs of real time (more at 2x and 4x, fewer at 0.5x); seek(step) jumps
+ * anywhere, replaying from the nearest kept state before it.
+ * @param {Object} replay - Replay JSON (checked as by decodeReplay)
+ */
+export class ReplayPlayer {
+  constructor(replay) {
+    this.replay = validateReplay(replay, 'ReplayPlayer');
+    const { settings } = replay;
+    this._codes = expandReplayInputs(replay.inputs, replay.steps, 'ReplayPlayer');
+    this._degauss = new Map(replay.degauss.map(([step, id, progress]) => [step, { id, progress }]));
+    this._serves = new Map();
+    for (const [step, side] of replay.serves) {
+      this._serves.set(step, { left: false, right: false, ...this._serves.get(step), [side]: true });
+    }
+    this.state = createPongState({
+      width: settings.width,
+      height: settings.height,
+      seed: replay.seed,
+      rightPlayer: settings.rightPlayerOption,
+      rules: settings.rules,
+      spin: settings.spin
+    });
+    this.step = 0;
+    this.speed = 1;
+    this.paused = false;
+    this._accumulator = 0;
+    this._keyframes = [clonePongState(this.state)]; // state at step i * REPLAY_KEYFRAME_STEPS
+  }
+
+  /** Number of steps in the replay */
+  get length() {
+    return this.replay.steps;
+  }
+
+  /** Whether playback reached the end */
+  get finished() {
+    return this.step >= this.replay.steps;
+  }
+
+  /**
+   * Inputs recorded for a step, as passed to stepPong.
+   */
+  inputsAt(step) {
+    const code = this._codes[step];
+    return {
+      left: REPLAY_DIRECTIONS[Math.floor(code / 3)],
+      right: REPLAY_DIRECTIONS[code % 3],
+      degauss: this._degauss.get(step) ?? null,
+      serve: this._serves.get(step) ?? null
+    };
+  }
+
+  /**
+   * Playback speed, one of REPLAY_SPEEDS (0.5, 1, 2, 4).
+   */
+  setSpeed(speed) {
+    if (!REPLAY_SPEEDS.includes(speed)) {
+      throw new RangeError(`ReplayPlayer.setSpeed: speed must be one of ${REPLAY_SPEEDS.join(', ')}, got ${speed}`);
+    }
+    this.speed = speed;
+  }
+
+  pause() {
+    this.paused = true;
+  }
+
+  resume() {
+    this.paused = false;
+    this._accumulator = 0;
+  }
+
+  /**
+   * Run the steps due for dtMs of real time at the current speed (none while paused or finished).
+   * @returns {Object[]} Events of the steps run (see stepPong)
+   */
+  update(dtMs) {
+    const events = [];
+    if (this.paused || this.finished) return events;
+    this._accumulator += dtMs * this.speed;
+    const stepMs = this.replay.dtMs;
+    while (this._accumulator + 1e-6 >= stepMs && !this.finished) {
+      this._accumulator -= stepMs;
+      this.stepForward();
+      events.push(...this.state.events);
+    }
+    return events;
+  }
+
+  /**
+   * Run the next step.
+   */
+  stepForward() {
+    if (this.finished) return;
+    this.state = stepPong(this.state, this.inputsAt(this.step), this.replay.dtMs);
+    this.step++;
+    if (this.step % REPLAY_KEYFRAME_STEPS === 0 && this._keyframes.length === this.step / REPLAY_KEYFRAME_STEPS) {
+      this._keyframes.push(clonePongState(this.state));
+    }
+  }
+
+  /**
+   * Jump to a step (clamped to 0..length): restart from the last kept state at or before it and step forward.
+   */
+  seek(step) {
+    const target = Math.max(0, Math.min(this.replay.steps, Math.round(step)));
+    const k = Math.min(Math.floor(target / REPLAY_KEYFRAME_STEPS), this._keyframes.length - 1);
+    if (target < this.step || k * REPLAY_KEYFRAME_STEPS > this.step) {
+      this.state = clonePongState(this._keyframes[k]);
+      this.step = k * REPLAY_KEYFRAME_STEPS;
+    }
+    while (this.step < target) this.stepForward();
+    this.state.events = [];
+    this._accumulator = 0;
+  }
+}
+
+/**
+ * Replay as a JSON string.
+ */
+export function encodeReplay(replay) {
+  return JSON.stringify(replay);
+}
+
+/**
+ * Parse and check a replay JSON string.
+ * @throws {Error} When it is not a replay this version can play
+ */
+export function decodeReplay(json) {
+  let replay;
+  try {
+    replay = JSON.parse(json);
+  } catch (e) {
+    throw new Error(`decodeReplay: not JSON: ${e.message}`);
+  }
+  validateReplay(replay, 'decodeReplay');
+  expandReplayInputs(replay.inputs, replay.steps, 'decodeReplay');
+  return replay;
+}
+
+/**
+ * Replay as a URL fragment ('replay=' and base64url JSON), to share as page.html#replay=...
+ */
+export function replayToFragment(replay) {
+  const base64 = btoa(encodeReplay(replay));
+  return REPLAY_FRAGMENT_KEY + base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Replay from a URL fragment made by replayToFragment (with or without the leading '#').
+ * @returns {Object|null} Replay, or null when the fragment holds none
+ * @throws {Error} When the fragment has a replay that cannot be read
+ */
+export function replayFromFragment(fragment) {
+  const text = String(fragment ?? '').replace(/^#/, '');
+  if (!text.startsWith(REPLAY_FRAGMENT_KEY)) return null;
+  const base64 = text.slice(REPLAY_FRAGMENT_KEY.length).replace(/-/g, '+').replace(/_/g, '/');
+  let json;
+  try {
+    json = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  } catch (e) {
+    throw new Error('replayFromFragment: not base64');
+  }
+  return decodeReplay(json);
+}
+
+/** Check a replay's shape; returns it. */
+function validateReplay(replay, caller) {
+  if (!replay || typeof replay !== 'object') throw new Error(`${caller}: replay must be an object`);
+  if (replay.version !== REPLAY_VERSION) throw new Error(`${caller}: unsupported replay version: ${replay.version}`);
+  if (!Number.isInteger(replay.steps) || replay.steps < 0) throw new Error(`${caller}: steps must be a non-negative integer`);
+  if (!(replay.dtMs > 0)) throw new Error(`${caller}: dtMs must be positive`);
+  if (!replay.settings || typeof replay.settings !== 'object') throw new Error(`${caller}: settings missing`);
+  if (typeof replay.inputs !== 'string') throw new Error(`${caller}: inputs must be a string`);
+  if (!Array.isArray(replay.degauss)) throw new Error(`${caller}: degauss must be an array`);
+  if (!Array.isArray(replay.serves)) throw new Error(`${caller}: serves must be an array`);
+  return replay;
+}
+
+/** Run-length inputs string to one code per step. */
+function expandReplayInputs(inputs, steps, caller) {
+  if (!/^([a-i]\d*)*$/.test(inputs)) throw new Error(`${caller}: malformed inputs`);
+  const codes = new Uint8Array(steps);
+  let step = 0;
+  for (const [, letter, count] of inputs.matchAll(/([a-i])(\d*)/g)) {
+    const n = count ? Number(count) : 1;
+    if (step + n > steps) throw new Error(`${caller}: inputs longer than ${steps} steps`);
+    codes.fill(letter.charCodeAt(0) - 97, step, step + n);
+    step += n;
+  }
+  if (step !== steps) throw new Error(`${caller}: inputs cover ${step} of ${steps} steps`);
+  return codes;
+}
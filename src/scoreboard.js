@@ -0,0 +1,119 @@
+/**
+ * Scoreboard HUD: scores, player names, match clock, rally counter and sets, drawn on one display layer.
+ *
+ * Each side of the court gets two rows, scores and names against the outer edge, clock (left) or rally counter
+ * (right) and sets against the midline, with HUD_MIDLINE_GAP columns left clear on both sides of it so the
+ * center line is never covered. Scores take as many digits as they need; when a row does not fit the half court,
+ * its wider item is shortened first (a name to initials, 'RALLY 12' to '12', 'SETS 2' to '2') and dropped last.
+ *
+ *   const scoreboard = new Scoreboard(display, { layer: 'hud' });
+ *   scoreboard.draw({ score: { left: 10, right: 7 }, names: { left: 'P1', right: 'CPU' }, timerMs: 83000, volley: 4 });
+ */
+import {
+  FONT_SMALL, FONT_PROPORTIONAL, HUD_MARGIN, HUD_MIDLINE_GAP, HUD_ROW_HEIGHT, HUD_ITEM_GAP
+} from './constants.js';
+
+/**
+ * Scoreboard - draws the HUD on a layer, redrawing only when what it shows changes.
+ * @param {PixelDisplay} display
+ * @param {Object} [options]
+ * @param {string} [options.layer='hud'] - Layer to draw on (cleared on every redraw)
+ */
+export class Scoreboard {
+  constructor(display, options = {}) {
+    this.display = display;
+    this.layer = options.layer ?? 'hud';
+    this._drawnKey = null;
+  }
+
+  /**
+   * Draw the HUD for info, unless that is already on the layer.
+   * @param {Object} info
+   * @param {{ left: number, right: number }} info.score
+   * @param {{ left: string, right: string }|null} [info.names] - Player names (or initials)
+   * @param {number|null} [info.timerMs] - Match clock to show, elapsed or remaining; null for none
+   * @param {boolean} [info.timerDown=false] - The clock counts down (rounds up to the next second)
+   * @param {number|null} [info.volley] - Rally counter; null for none
+   * @param {{ left: number, right: number }|null} [info.sets] - Sets won in series play; null for none
+   * @returns {boolean} Whether it redrew
+   */
+  draw(info) {
+    const { score, names = null, timerMs = null, timerDown = false, volley = null, sets = null } = info;
+    const clock = timerMs == null ? null : formatMatchClock(timerMs, timerDown);
+    const key = JSON.stringify([this.display.emulatedWidth, score, names, clock, volley, sets]);
+    if (key === this._drawnKey) return false;
+    this._drawnKey = key;
+
+    const setItem = (n) => ({ font: FONT_PROPORTIONAL, candidates: [`SETS ${n}`, String(n), ''] });
+    const nameItem = (name) => ({ font: FONT_PROPORTIONAL, candidates: [name, nameInitials(name), ''] });
+    this.display.withLayer(this.layer, () => {
+      this.display.clearLayer(this.layer);
+      const row2 = HUD_MARGIN + HUD_ROW_HEIGHT;
+      this._drawRow('left', HUD_MARGIN,
+        { font: FONT_SMALL, candidates: [String(score.left)] },
+        { font: FONT_PROPORTIONAL, candidates: clock == null ? [''] : [clock, ''] });
+      this._drawRow('right', HUD_MARGIN,
+        { font: FONT_SMALL, candidates: [String(score.right)] },
+        { font: FONT_PROPORTIONAL, candidates: volley == null ? [''] : [`RALLY ${volley}`, String(volley), ''] });
+      this._drawRow('left', row2, names && nameItem(names.left), sets && setItem(sets.left));
+      this._drawRow('right', row2, names && nameItem(names.right), sets && setItem(sets.right));
+    });
+    return true;
+  }
+
+  /**
+   * Forget what is drawn, so the next draw redraws (e.g. after the layer was cleared elsewhere).
+   */
+  invalidate() {
+    this._drawnKey = null;
+  }
+
+  /**
+   * Draw one row of a half: outer item against the screen edge, inner against the midline. Items are
+   * { font, candidates } with candidates longest first; the wider of the two steps down until they fit.
+   */
+  _drawRow(side, y, outer, inner) {
+    const width = this.display.emulatedWidth;
+    const midX = Math.floor(width / 2);
+    // Left half: [HUD_MARGIN, midX - HUD_MIDLINE_GAP); right half: [midX + HUD_MIDLINE_GAP + 1, width - HUD_MARGIN)
+    const room = side === 'left' ? midX - HUD_MIDLINE_GAP - HUD_MARGIN : width - HUD_MARGIN - (midX + HUD_MIDLINE_GAP + 1);
+    const o = outer && { ...outer, i: 0 };
+    const n = inner && { ...inner, i: 0 };
+    const items = [o, n].filter(Boolean);
+    const text = (item) => item.candidates[item.i];
+    const widthOf = (item) => (text(item) ? this.display.measureText(text(item), { font: item.font }).width : 0);
+    const total = () => {
+      const widths = items.map(widthOf);
+      return widths.reduce((a, b) => a + b, 0) + (widths.length === 2 && widths[0] && widths[1] ? HUD_ITEM_GAP : 0);
+    };
+    while (total() > room) {
+      const shrinkable = items.filter((item) => item.i < item.candidates.length - 1);
+      if (shrinkable.length === 0) break;
+      shrinkable.reduce((a, b) => (widthOf(b) > widthOf(a) ? b : a)).i++;
+    }
+    const draw = (item, x, align) => {
+      if (item && text(item)) this.display.drawText(text(item), x, y, { font: item.font, align });
+    };
+    if (side === 'left') {
+      draw(o, HUD_MARGIN, 'left');
+      draw(n, midX - HUD_MIDLINE_GAP, 'right');
+    } else {
+      draw(o, width - HUD_MARGIN, 'right');
+      draw(n, midX + HUD_MIDLINE_GAP + 1, 'left');
+    }
+  }
+}
+
+/**
+ * Match clock as m:ss. Counting down, part seconds round up, so 0:00 shows only when time is up.
+ */
+export function formatMatchClock(ms, roundUp = false) {
+  const seconds = Math.max(0, roundUp ? Math.ceil(ms / 1000 - 1e-9) : Math.floor(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/** Initials of a name: first letters of its words, or the first three letters of a single word. */
+function nameInitials(name) {
+  const words = String(name).trim().split(/\s+/);
+  return words.length > 1 ? words.map((w) => w[0]).join('') : words[0].slice(0, 3);
+}
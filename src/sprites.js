@@ -6,10 +6,154 @@
  */
 
 /**
- * Pixel Font - 5x7 grid for digits 0-9
- * Used for score display and menu numbers
+ * Pixel Font - 5x7 grid, printable ASCII (' ' to '~')
+ * Digits are the score display and menu numbers; registered as the small font for drawText
  */
 export const PIXEL_FONT = {
+  ' ': [
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [0,0,0,0,0]
+  ],
+  '!': [
+    [0,0,1,0,0],
+    [0,0,1,0,0],
+    [0,0,1,0,0],
+    [0,0,1,0,0],
+    [0,0,1,0,0],
+    [0,0,0,0,0],
+    [0,0,1,0,0]
+  ],
+  '"': [
+    [0,1,0,1,0],
+    [0,1,0,1,0],
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [0,0,0,0,0]
+  ],
+  '#': [
+    [0,1,0,1,0],
+    [0,1,0,1,0],
+    [1,1,1,1,1],
+    [0,1,0,1,0],
+    [1,1,1,1,1],
+    [0,1,0,1,0],
+    [0,1,0,1,0]
+  ],
+  '$': [
+    [0,0,1,0,0],
+    [1,1,1,1,1],
+    [1,0,1,0,0],
+    [1,1,1,1,1],
+    [0,0,1,0,1],
+    [1,1,1,1,1],
+    [0,0,1,0,0]
+  ],
+  '%': [
+    [1,1,0,0,1],
+    [1,1,0,0,1],
+    [0,0,0,1,0],
+    [0,0,1,0,0],
+    [0,1,0,0,0],
+    [1,0,0,1,1],
+    [1,0,0,1,1]
+  ],
+  '&': [
+    [0,1,1,0,0],
+    [1,0,0,1,0],
+    [1,0,1,0,0],
+    [0,1,0,0,0],
+    [1,0,1,0,1],
+    [1,0,0,1,0],
+    [0,1,1,0,1]
+  ],
+  "'": [
+    [0,0,1,0,0],
+    [0,0,1,0,0],
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [0,0,0,0,0]
+  ],
+  '(': [
+    [0,0,0,1,0],
+    [0,0,1,0,0],
+    [0,1,0,0,0],
+    [0,1,0,0,0],
+    [0,1,0,0,0],
+    [0,0,1,0,0],
+    [0,0,0,1,0]
+  ],
+  ')': [
+    [0,1,0,0,0],
+    [0,0,1,0,0],
+    [0,0,0,1,0],
+    [0,0,0,1,0],
+    [0,0,0,1,0],
+    [0,0,1,0,0],
+    [0,1,0,0,0]
+  ],
+  '*': [
+    [0,0,0,0,0],
+    [1,0,1,0,1],
+    [0,1,1,1,0],
+    [1,1,1,1,1],
+    [0,1,1,1,0],
+    [1,0,1,0,1],
+    [0,0,0,0,0]
+  ],
+  '+': [
+    [0,0,0,0,0],
+    [0,0,1,0,0],
+    [0,0,1,0,0],
+    [1,1,1,1,1],
+    [0,0,1,0,0],
+    [0,0,1,0,0],
+    [0,0,0,0,0]
+  ],
+  ',': [
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [0,1,1,0,0],
+    [0,0,1,0,0],
+    [0,1,0,0,0]
+  ],
+  '-': [
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [1,1,1,1,1],
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [0,0,0,0,0]
+  ],
+  '.': [
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [0,1,1,0,0],
+    [0,1,1,0,0]
+  ],
+  '/': [
+    [0,0,0,0,1],
+    [0,0,0,0,1],
+    [0,0,0,1,0],
+    [0,0,1,0,0],
+    [0,1,0,0,0],
+    [1,0,0,0,0],
+    [1,0,0,0,0]
+  ],
   0: [
     [1,1,1,1,1],
     [1,0,0,0,1],
@@ -99,177 +243,1718 @@ export const PIXEL_FONT = {
     [0,0,0,0,1],
     [0,0,0,0,1],
     [1,1,1,1,1]
-  ]
-};
-
-/**
- * Large Letter Patterns - 7x9 grid for block letters
- * Used for game over messages (WINNER!, LOSER!, etc.)
- */
-export const LARGE_LETTER_PATTERNS = {
-  '1': [
-    [0,0,1,1,1,0,0],
-    [0,1,1,1,1,0,0],
-    [0,0,0,1,0,0,0],
-    [0,0,0,1,0,0,0],
-    [0,0,0,1,0,0,0],
-    [0,0,0,1,0,0,0],
-    [0,0,0,1,0,0,0],
-    [0,0,0,1,0,0,0],
-    [0,1,1,1,1,1,0]
   ],
-  '2': [
-    [0,1,1,1,1,1,0],
-    [1,0,0,0,0,0,1],
-    [0,0,0,0,0,0,1],
-    [0,0,0,0,0,1,0],
-    [0,0,0,0,1,0,0],
-    [0,0,0,1,0,0,0],
-    [0,0,1,0,0,0,0],
-    [0,1,0,0,0,0,0],
-    [1,1,1,1,1,1,1]
+  ':': [
+    [0,0,0,0,0],
+    [0,1,1,0,0],
+    [0,1,1,0,0],
+    [0,0,0,0,0],
+    [0,1,1,0,0],
+    [0,1,1,0,0],
+    [0,0,0,0,0]
   ],
-  'W': [
-    [1,0,0,0,0,0,1],
-    [1,0,0,0,0,0,1],
-    [1,0,0,0,0,0,1],
-    [1,0,0,1,0,0,1],
-    [1,0,1,0,1,0,1],
-    [1,1,0,0,0,1,1],
-    [1,0,0,0,0,0,1],
-    [1,0,0,0,0,0,1],
-    [1,0,0,0,0,0,1]
+  ';': [
+    [0,0,0,0,0],
+    [0,1,1,0,0],
+    [0,1,1,0,0],
+    [0,0,0,0,0],
+    [0,1,1,0,0],
+    [0,0,1,0,0],
+    [0,1,0,0,0]
   ],
-  'I': [
-    [1,1,1,1,1,1,1],
-    [0,0,0,1,0,0,0],
-    [0,0,0,1,0,0,0],
-    [0,0,0,1,0,0,0],
-    [0,0,0,1,0,0,0],
-    [0,0,0,1,0,0,0],
-    [0,0,0,1,0,0,0],
-    [0,0,0,1,0,0,0],
-    [1,1,1,1,1,1,1]
+  '<': [
+    [0,0,0,1,0],
+    [0,0,1,0,0],
+    [0,1,0,0,0],
+    [1,0,0,0,0],
+    [0,1,0,0,0],
+    [0,0,1,0,0],
+    [0,0,0,1,0]
   ],
-  'N': [
-    [1,0,0,0,0,0,1],
-    [1,1,0,0,0,0,1],
-    [1,0,1,0,0,0,1],
-    [1,0,0,1,0,0,1],
-    [1,0,0,0,1,0,1],
-    [1,0,0,0,0,1,1],
-    [1,0,0,0,0,0,1],
-    [1,0,0,0,0,0,1],
-    [1,0,0,0,0,0,1]
+  '=': [
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [1,1,1,1,1],
+    [0,0,0,0,0],
+    [1,1,1,1,1],
+    [0,0,0,0,0],
+    [0,0,0,0,0]
   ],
-  'E': [
-    [1,1,1,1,1,1,1],
-    [1,0,0,0,0,0,0],
-    [1,0,0,0,0,0,0],
-    [1,0,0,0,0,0,0],
-    [1,1,1,1,1,1,1],
-    [1,0,0,0,0,0,0],
-    [1,0,0,0,0,0,0],
-    [1,0,0,0,0,0,0],
-    [1,1,1,1,1,1,1]
+  '>': [
+    [0,1,0,0,0],
+    [0,0,1,0,0],
+    [0,0,0,1,0],
+    [0,0,0,0,1],
+    [0,0,0,1,0],
+    [0,0,1,0,0],
+    [0,1,0,0,0]
   ],
-  'R': [
-    [1,1,1,1,1,1,0],
-    [1,0,0,0,0,0,1],
-    [1,0,0,0,0,0,1],
-    [1,1,1,1,1,1,0],
-    [1,0,0,0,1,0,0],
-    [1,0,0,0,0,1,0],
-    [1,0,0,0,0,0,1],
-    [1,0,0,0,0,0,1],
-    [1,0,0,0,0,0,1]
+  '?': [
+    [1,1,1,1,1],
+    [0,0,0,0,1],
+    [0,0,0,0,1],
+    [0,0,1,1,1],
+    [0,0,1,0,0],
+    [0,0,0,0,0],
+    [0,0,1,0,0]
   ],
-  '!': [
-    [0,0,0,1,0,0,0],
-    [0,0,0,1,0,0,0],
-    [0,0,0,1,0,0,0],
-    [0,0,0,1,0,0,0],
-    [0,0,0,1,0,0,0],
-    [0,0,0,0,0,0,0],
-    [0,0,0,0,0,0,0],
-    [0,0,0,1,0,0,0],
-    [0,0,0,1,0,0,0]
+  '@': [
+    [1,1,1,1,1],
+    [1,0,0,0,1],
+    [1,0,1,1,1],
+    [1,0,1,0,1],
+    [1,0,1,1,1],
+    [1,0,0,0,0],
+    [1,1,1,1,1]
   ],
-  'Y': [
-    [1,0,0,0,0,0,1],
-    [0,1,0,0,0,1,0],
-    [0,0,1,0,1,0,0],
-    [0,0,0,1,0,0,0],
-    [0,0,0,1,0,0,0],
-    [0,0,0,1,0,0,0],
-    [0,0,0,1,0,0,0],
-    [0,0,0,1,0,0,0],
-    [0,0,0,1,0,0,0]
+  'A': [
+    [1,1,1,1,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,1,1,1,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1]
   ],
-  'O': [
-    [0,1,1,1,1,1,0],
-    [1,0,0,0,0,0,1],
-    [1,0,0,0,0,0,1],
-    [1,0,0,0,0,0,1],
-    [1,0,0,0,0,0,1],
-    [1,0,0,0,0,0,1],
-    [1,0,0,0,0,0,1],
-    [1,0,0,0,0,0,1],
-    [0,1,1,1,1,1,0]
+  'B': [
+    [1,1,1,1,0],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,1,1,1,0],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,1,1,1,0]
   ],
-  'U': [
-    [1,0,0,0,0,0,1],
-    [1,0,0,0,0,0,1],
-    [1,0,0,0,0,0,1],
-    [1,0,0,0,0,0,1],
-    [1,0,0,0,0,0,1],
-    [1,0,0,0,0,0,1],
-    [1,0,0,0,0,0,1],
-    [1,0,0,0,0,0,1],
-    [0,1,1,1,1,1,0]
+  'C': [
+    [1,1,1,1,1],
+    [1,0,0,0,0],
+    [1,0,0,0,0],
+    [1,0,0,0,0],
+    [1,0,0,0,0],
+    [1,0,0,0,0],
+    [1,1,1,1,1]
   ],
-  'L': [
-    [1,0,0,0,0,0,0],
-    [1,0,0,0,0,0,0],
-    [1,0,0,0,0,0,0],
-    [1,0,0,0,0,0,0],
-    [1,0,0,0,0,0,0],
-    [1,0,0,0,0,0,0],
-    [1,0,0,0,0,0,0],
-    [1,0,0,0,0,0,0],
-    [1,1,1,1,1,1,1]
+  'D': [
+    [1,1,1,1,0],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,1,1,1,0]
   ],
-  'S': [
-    [0,1,1,1,1,1,0],
-    [1,0,0,0,0,0,1],
-    [1,0,0,0,0,0,0],
-    [1,0,0,0,0,0,0],
-    [0,1,1,1,1,1,0],
-    [0,0,0,0,0,0,1],
-    [0,0,0,0,0,0,1],
-    [1,0,0,0,0,0,1],
-    [0,1,1,1,1,1,0]
+  'E': [
+    [1,1,1,1,1],
+    [1,0,0,0,0],
+    [1,0,0,0,0],
+    [1,1,1,1,0],
+    [1,0,0,0,0],
+    [1,0,0,0,0],
+    [1,1,1,1,1]
   ],
-  'P': [
-    [1,1,1,1,1,1,0],
-    [1,0,0,0,0,0,1],
-    [1,0,0,0,0,0,1],
-    [1,1,1,1,1,1,0],
-    [1,0,0,0,0,0,0],
-    [1,0,0,0,0,0,0],
-    [1,0,0,0,0,0,0],
-    [1,0,0,0,0,0,0],
-    [1,0,0,0,0,0,0]
+  'F': [
+    [1,1,1,1,1],
+    [1,0,0,0,0],
+    [1,0,0,0,0],
+    [1,1,1,1,0],
+    [1,0,0,0,0],
+    [1,0,0,0,0],
+    [1,0,0,0,0]
   ],
   'G': [
-    [0,1,1,1,1,1,0],
-    [1,0,0,0,0,0,1],
+    [1,1,1,1,1],
+    [1,0,0,0,0],
+    [1,0,0,0,0],
+    [1,0,1,1,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,1,1,1,1]
+  ],
+  'H': [
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,1,1,1,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1]
+  ],
+  'I': [
+    [1,1,1,1,1],
+    [0,0,1,0,0],
+    [0,0,1,0,0],
+    [0,0,1,0,0],
+    [0,0,1,0,0],
+    [0,0,1,0,0],
+    [1,1,1,1,1]
+  ],
+  'J': [
+    [0,0,0,0,1],
+    [0,0,0,0,1],
+    [0,0,0,0,1],
+    [0,0,0,0,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,1,1,1,1]
+  ],
+  'K': [
+    [1,0,0,0,1],
+    [1,0,0,1,0],
+    [1,0,1,0,0],
+    [1,1,0,0,0],
+    [1,0,1,0,0],
+    [1,0,0,1,0],
+    [1,0,0,0,1]
+  ],
+  'L': [
+    [1,0,0,0,0],
+    [1,0,0,0,0],
+    [1,0,0,0,0],
+    [1,0,0,0,0],
+    [1,0,0,0,0],
+    [1,0,0,0,0],
+    [1,1,1,1,1]
+  ],
+  'M': [
+    [1,0,0,0,1],
+    [1,1,0,1,1],
+    [1,0,1,0,1],
+    [1,0,1,0,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1]
+  ],
+  'N': [
+    [1,0,0,0,1],
+    [1,1,0,0,1],
+    [1,0,1,0,1],
+    [1,0,0,1,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1]
+  ],
+  'O': [
+    [1,1,1,1,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,1,1,1,1]
+  ],
+  'P': [
+    [1,1,1,1,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,1,1,1,1],
+    [1,0,0,0,0],
+    [1,0,0,0,0],
+    [1,0,0,0,0]
+  ],
+  'Q': [
+    [1,1,1,1,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,0,1,0,1],
+    [1,0,0,1,0],
+    [1,1,1,0,1]
+  ],
+  'R': [
+    [1,1,1,1,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,1,1,1,1],
+    [1,0,1,0,0],
+    [1,0,0,1,0],
+    [1,0,0,0,1]
+  ],
+  'S': [
+    [1,1,1,1,1],
+    [1,0,0,0,0],
+    [1,0,0,0,0],
+    [1,1,1,1,1],
+    [0,0,0,0,1],
+    [0,0,0,0,1],
+    [1,1,1,1,1]
+  ],
+  'T': [
+    [1,1,1,1,1],
+    [0,0,1,0,0],
+    [0,0,1,0,0],
+    [0,0,1,0,0],
+    [0,0,1,0,0],
+    [0,0,1,0,0],
+    [0,0,1,0,0]
+  ],
+  'U': [
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,1,1,1,1]
+  ],
+  'V': [
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [0,1,0,1,0],
+    [0,0,1,0,0]
+  ],
+  'W': [
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,0,1,0,1],
+    [1,0,1,0,1],
+    [1,1,0,1,1],
+    [1,0,0,0,1]
+  ],
+  'X': [
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [0,1,0,1,0],
+    [0,0,1,0,0],
+    [0,1,0,1,0],
+    [1,0,0,0,1],
+    [1,0,0,0,1]
+  ],
+  'Y': [
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [0,1,0,1,0],
+    [0,0,1,0,0],
+    [0,0,1,0,0],
+    [0,0,1,0,0],
+    [0,0,1,0,0]
+  ],
+  'Z': [
+    [1,1,1,1,1],
+    [0,0,0,0,1],
+    [0,0,0,1,0],
+    [0,0,1,0,0],
+    [0,1,0,0,0],
+    [1,0,0,0,0],
+    [1,1,1,1,1]
+  ],
+  '[': [
+    [0,1,1,1,0],
+    [0,1,0,0,0],
+    [0,1,0,0,0],
+    [0,1,0,0,0],
+    [0,1,0,0,0],
+    [0,1,0,0,0],
+    [0,1,1,1,0]
+  ],
+  '\\': [
+    [1,0,0,0,0],
+    [1,0,0,0,0],
+    [0,1,0,0,0],
+    [0,0,1,0,0],
+    [0,0,0,1,0],
+    [0,0,0,0,1],
+    [0,0,0,0,1]
+  ],
+  ']': [
+    [0,1,1,1,0],
+    [0,0,0,1,0],
+    [0,0,0,1,0],
+    [0,0,0,1,0],
+    [0,0,0,1,0],
+    [0,0,0,1,0],
+    [0,1,1,1,0]
+  ],
+  '^': [
+    [0,0,1,0,0],
+    [0,1,0,1,0],
+    [1,0,0,0,1],
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [0,0,0,0,0]
+  ],
+  '_': [
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [1,1,1,1,1]
+  ],
+  '`': [
+    [0,1,0,0,0],
+    [0,0,1,0,0],
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [0,0,0,0,0]
+  ],
+  'a': [
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [1,1,1,1,1],
+    [0,0,0,0,1],
+    [1,1,1,1,1],
+    [1,0,0,0,1],
+    [1,1,1,1,1]
+  ],
+  'b': [
+    [1,0,0,0,0],
+    [1,0,0,0,0],
+    [1,1,1,1,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,1,1,1,1]
+  ],
+  'c': [
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [1,1,1,1,1],
+    [1,0,0,0,0],
+    [1,0,0,0,0],
+    [1,0,0,0,0],
+    [1,1,1,1,1]
+  ],
+  'd': [
+    [0,0,0,0,1],
+    [0,0,0,0,1],
+    [1,1,1,1,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,1,1,1,1]
+  ],
+  'e': [
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [1,1,1,1,1],
+    [1,0,0,0,1],
+    [1,1,1,1,1],
+    [1,0,0,0,0],
+    [1,1,1,1,1]
+  ],
+  'f': [
+    [0,0,1,1,1],
+    [0,0,1,0,0],
+    [1,1,1,1,1],
+    [0,0,1,0,0],
+    [0,0,1,0,0],
+    [0,0,1,0,0],
+    [0,0,1,0,0]
+  ],
+  'g': [
+    [0,0,0,0,0],
+    [1,1,1,1,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,1,1,1,1],
+    [0,0,0,0,1],
+    [1,1,1,1,1]
+  ],
+  'h': [
+    [1,0,0,0,0],
+    [1,0,0,0,0],
+    [1,1,1,1,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1]
+  ],
+  'i': [
+    [0,0,1,0,0],
+    [0,0,0,0,0],
+    [0,1,1,0,0],
+    [0,0,1,0,0],
+    [0,0,1,0,0],
+    [0,0,1,0,0],
+    [0,1,1,1,0]
+  ],
+  'j': [
+    [0,0,0,0,1],
+    [0,0,0,0,0],
+    [0,0,0,0,1],
+    [0,0,0,0,1],
+    [0,0,0,0,1],
+    [1,0,0,0,1],
+    [1,1,1,1,1]
+  ],
+  'k': [
+    [1,0,0,0,0],
+    [1,0,0,0,0],
+    [1,0,0,1,0],
+    [1,0,1,0,0],
+    [1,1,0,0,0],
+    [1,0,1,0,0],
+    [1,0,0,1,0]
+  ],
+  'l': [
+    [0,1,1,0,0],
+    [0,0,1,0,0],
+    [0,0,1,0,0],
+    [0,0,1,0,0],
+    [0,0,1,0,0],
+    [0,0,1,0,0],
+    [0,1,1,1,0]
+  ],
+  'm': [
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [1,1,1,1,0],
+    [1,0,1,0,1],
+    [1,0,1,0,1],
+    [1,0,1,0,1],
+    [1,0,1,0,1]
+  ],
+  'n': [
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [1,1,1,1,0],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1]
+  ],
+  'o': [
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [1,1,1,1,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,1,1,1,1]
+  ],
+  'p': [
+    [0,0,0,0,0],
+    [1,1,1,1,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,1,1,1,1],
+    [1,0,0,0,0],
+    [1,0,0,0,0]
+  ],
+  'q': [
+    [0,0,0,0,0],
+    [1,1,1,1,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,1,1,1,1],
+    [0,0,0,0,1],
+    [0,0,0,0,1]
+  ],
+  'r': [
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [1,0,1,1,1],
+    [1,1,0,0,0],
+    [1,0,0,0,0],
+    [1,0,0,0,0],
+    [1,0,0,0,0]
+  ],
+  's': [
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [1,1,1,1,1],
+    [1,0,0,0,0],
+    [1,1,1,1,1],
+    [0,0,0,0,1],
+    [1,1,1,1,1]
+  ],
+  't': [
+    [0,0,1,0,0],
+    [0,0,1,0,0],
+    [1,1,1,1,1],
+    [0,0,1,0,0],
+    [0,0,1,0,0],
+    [0,0,1,0,0],
+    [0,0,1,1,1]
+  ],
+  'u': [
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,1,1,1,1]
+  ],
+  'v': [
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [0,1,0,1,0],
+    [0,0,1,0,0]
+  ],
+  'w': [
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [1,0,0,0,1],
+    [1,0,1,0,1],
+    [1,0,1,0,1],
+    [1,0,1,0,1],
+    [0,1,0,1,0]
+  ],
+  'x': [
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [1,0,0,0,1],
+    [0,1,0,1,0],
+    [0,0,1,0,0],
+    [0,1,0,1,0],
+    [1,0,0,0,1]
+  ],
+  'y': [
+    [0,0,0,0,0],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,0,0,0,1],
+    [1,1,1,1,1],
+    [0,0,0,0,1],
+    [1,1,1,1,1]
+  ],
+  'z': [
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [1,1,1,1,1],
+    [0,0,0,1,0],
+    [0,0,1,0,0],
+    [0,1,0,0,0],
+    [1,1,1,1,1]
+  ],
+  '{': [
+    [0,0,0,1,1],
+    [0,0,1,0,0],
+    [0,0,1,0,0],
+    [0,1,0,0,0],
+    [0,0,1,0,0],
+    [0,0,1,0,0],
+    [0,0,0,1,1]
+  ],
+  '|': [
+    [0,0,1,0,0],
+    [0,0,1,0,0],
+    [0,0,1,0,0],
+    [0,0,1,0,0],
+    [0,0,1,0,0],
+    [0,0,1,0,0],
+    [0,0,1,0,0]
+  ],
+  '}': [
+    [1,1,0,0,0],
+    [0,0,1,0,0],
+    [0,0,1,0,0],
+    [0,0,0,1,0],
+    [0,0,1,0,0],
+    [0,0,1,0,0],
+    [1,1,0,0,0]
+  ],
+  '~': [
+    [0,0,0,0,0],
+    [0,0,0,0,0],
+    [0,1,0,0,0],
+    [1,0,1,0,1],
+    [0,0,0,1,0],
+    [0,0,0,0,0],
+    [0,0,0,0,0]
+  ]
+};
+
+/**
+ * Large Letter Patterns - 7x9 grid for block letters, printable ASCII (' ' to '~')
+ * Used for game over messages (WINNER!, YOU LOSE, 1P/2P) and the title; registered as the large font for drawText
+ */
+export const LARGE_LETTER_PATTERNS = {
+  ' ': [
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0]
+  ],
+  '!': [
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0]
+  ],
+  '"': [
+    [0,0,1,0,1,0,0],
+    [0,0,1,0,1,0,0],
+    [0,0,1,0,1,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0]
+  ],
+  '#': [
+    [0,0,1,0,1,0,0],
+    [0,0,1,0,1,0,0],
+    [1,1,1,1,1,1,1],
+    [0,0,1,0,1,0,0],
+    [0,0,1,0,1,0,0],
+    [0,0,1,0,1,0,0],
+    [1,1,1,1,1,1,1],
+    [0,0,1,0,1,0,0],
+    [0,0,1,0,1,0,0]
+  ],
+  '$': [
+    [0,0,0,1,0,0,0],
+    [0,1,1,1,1,1,0],
+    [1,0,0,1,0,0,0],
+    [1,0,0,1,0,0,0],
+    [0,1,1,1,1,1,0],
+    [0,0,0,1,0,0,1],
+    [0,0,0,1,0,0,1],
+    [0,1,1,1,1,1,0],
+    [0,0,0,1,0,0,0]
+  ],
+  '%': [
+    [0,0,0,0,0,0,0],
+    [0,1,0,0,0,0,1],
+    [1,0,1,0,0,1,0],
+    [0,1,0,0,1,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,1,0,0,1,0],
+    [0,1,0,0,1,0,1],
+    [1,0,0,0,0,1,0],
+    [0,0,0,0,0,0,0]
+  ],
+  '&': [
+    [0,0,1,1,0,0,0],
+    [0,1,0,0,1,0,0],
+    [0,1,0,0,1,0,0],
+    [0,0,1,1,0,0,0],
+    [0,1,1,0,0,0,1],
+    [1,0,0,1,0,1,0],
+    [1,0,0,0,1,0,0],
+    [1,0,0,1,0,1,0],
+    [0,1,1,0,0,0,1]
+  ],
+  "'": [
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0]
+  ],
+  '(': [
+    [0,0,0,0,1,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,1,0,0,0,0],
+    [0,0,1,0,0,0,0],
+    [0,0,1,0,0,0,0],
+    [0,0,1,0,0,0,0],
+    [0,0,1,0,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,0,1,0,0]
+  ],
+  ')': [
+    [0,0,1,0,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,0,1,0,0],
+    [0,0,0,0,1,0,0],
+    [0,0,0,0,1,0,0],
+    [0,0,0,0,1,0,0],
+    [0,0,0,0,1,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,1,0,0,0,0]
+  ],
+  '*': [
+    [0,0,0,0,0,0,0],
+    [0,0,0,1,0,0,0],
+    [1,0,0,1,0,0,1],
+    [0,1,0,1,0,1,0],
+    [0,0,1,1,1,0,0],
+    [0,1,0,1,0,1,0],
+    [1,0,0,1,0,0,1],
+    [0,0,0,1,0,0,0],
+    [0,0,0,0,0,0,0]
+  ],
+  '+': [
+    [0,0,0,0,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [1,1,1,1,1,1,1],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,0,0,0,0]
+  ],
+  ',': [
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,1,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,1,0,0,0,0]
+  ],
+  '-': [
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,1,1,1,1,1,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0]
+  ],
+  '.': [
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,1,1,0,0,0],
+    [0,0,1,1,0,0,0]
+  ],
+  '/': [
+    [0,0,0,0,0,0,1],
+    [0,0,0,0,0,0,1],
+    [0,0,0,0,0,1,0],
+    [0,0,0,0,1,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,1,0,0,0,0],
+    [0,1,0,0,0,0,0],
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,0]
+  ],
+  '0': [
+    [0,1,1,1,1,1,0],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,1,1],
+    [1,0,0,0,1,0,1],
+    [1,0,0,1,0,0,1],
+    [1,0,1,0,0,0,1],
+    [1,1,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [0,1,1,1,1,1,0]
+  ],
+  '1': [
+    [0,0,1,1,1,0,0],
+    [0,1,1,1,1,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,1,1,1,1,1,0]
+  ],
+  '2': [
+    [0,1,1,1,1,1,0],
+    [1,0,0,0,0,0,1],
+    [0,0,0,0,0,0,1],
+    [0,0,0,0,0,1,0],
+    [0,0,0,0,1,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,1,0,0,0,0],
+    [0,1,0,0,0,0,0],
+    [1,1,1,1,1,1,1]
+  ],
+  '3': [
+    [0,1,1,1,1,1,0],
+    [1,0,0,0,0,0,1],
+    [0,0,0,0,0,0,1],
+    [0,0,0,0,0,0,1],
+    [0,0,1,1,1,1,0],
+    [0,0,0,0,0,0,1],
+    [0,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [0,1,1,1,1,1,0]
+  ],
+  '4': [
+    [0,0,0,0,1,1,0],
+    [0,0,0,1,0,1,0],
+    [0,0,1,0,0,1,0],
+    [0,1,0,0,0,1,0],
+    [1,0,0,0,0,1,0],
+    [1,1,1,1,1,1,1],
+    [0,0,0,0,0,1,0],
+    [0,0,0,0,0,1,0],
+    [0,0,0,0,0,1,0]
+  ],
+  '5': [
+    [1,1,1,1,1,1,1],
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,0],
+    [1,1,1,1,1,1,0],
+    [0,0,0,0,0,0,1],
+    [0,0,0,0,0,0,1],
+    [0,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [0,1,1,1,1,1,0]
+  ],
+  '6': [
+    [0,0,1,1,1,1,0],
+    [0,1,0,0,0,0,0],
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,0],
+    [1,1,1,1,1,1,0],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [0,1,1,1,1,1,0]
+  ],
+  '7': [
+    [1,1,1,1,1,1,1],
+    [0,0,0,0,0,0,1],
+    [0,0,0,0,0,1,0],
+    [0,0,0,0,1,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0]
+  ],
+  '8': [
+    [0,1,1,1,1,1,0],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [0,1,1,1,1,1,0],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [0,1,1,1,1,1,0]
+  ],
+  '9': [
+    [0,1,1,1,1,1,0],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [0,1,1,1,1,1,1],
+    [0,0,0,0,0,0,1],
+    [0,0,0,0,0,0,1],
+    [0,0,0,0,0,1,0],
+    [0,1,1,1,1,0,0]
+  ],
+  ':': [
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,1,1,0,0,0],
+    [0,0,1,1,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,1,1,0,0,0],
+    [0,0,1,1,0,0,0],
+    [0,0,0,0,0,0,0]
+  ],
+  ';': [
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,1,1,0,0,0],
+    [0,0,1,1,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,1,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,1,0,0,0,0]
+  ],
+  '<': [
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,1,0],
+    [0,0,0,0,1,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,1,0,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,0,1,0,0],
+    [0,0,0,0,0,1,0],
+    [0,0,0,0,0,0,0]
+  ],
+  '=': [
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [1,1,1,1,1,1,1],
+    [0,0,0,0,0,0,0],
+    [1,1,1,1,1,1,1],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0]
+  ],
+  '>': [
+    [0,0,0,0,0,0,0],
+    [0,1,0,0,0,0,0],
+    [0,0,1,0,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,0,1,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,1,0,0,0,0],
+    [0,1,0,0,0,0,0],
+    [0,0,0,0,0,0,0]
+  ],
+  '?': [
+    [0,1,1,1,1,1,0],
+    [1,0,0,0,0,0,1],
+    [0,0,0,0,0,0,1],
+    [0,0,0,0,0,1,0],
+    [0,0,0,0,1,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,1,0,0,0]
+  ],
+  '@': [
+    [0,1,1,1,1,1,0],
+    [1,0,0,0,0,0,1],
+    [1,0,0,1,1,0,1],
+    [1,0,1,0,1,0,1],
+    [1,0,1,0,1,0,1],
+    [1,0,0,1,1,1,0],
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,0],
+    [0,1,1,1,1,1,0]
+  ],
+  'A': [
+    [0,0,1,1,1,0,0],
+    [0,1,0,0,0,1,0],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,1,1,1,1,1,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1]
+  ],
+  'B': [
+    [1,1,1,1,1,1,0],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,1,1,1,1,1,0],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,1,1,1,1,1,0]
+  ],
+  'C': [
+    [0,1,1,1,1,1,0],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,1],
+    [0,1,1,1,1,1,0]
+  ],
+  'D': [
+    [1,1,1,1,1,0,0],
+    [1,0,0,0,0,1,0],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,1,0],
+    [1,1,1,1,1,0,0]
+  ],
+  'E': [
+    [1,1,1,1,1,1,1],
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,0],
+    [1,1,1,1,1,1,1],
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,0],
+    [1,1,1,1,1,1,1]
+  ],
+  'F': [
+    [1,1,1,1,1,1,1],
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,0],
+    [1,1,1,1,1,1,1],
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,0]
+  ],
+  'G': [
+    [0,1,1,1,1,1,0],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,0],
+    [1,0,0,1,1,1,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [0,1,1,1,1,1,0]
+  ],
+  'H': [
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,1,1,1,1,1,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1]
+  ],
+  'I': [
+    [1,1,1,1,1,1,1],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [1,1,1,1,1,1,1]
+  ],
+  'J': [
+    [0,0,0,0,1,1,1],
+    [0,0,0,0,0,1,0],
+    [0,0,0,0,0,1,0],
+    [0,0,0,0,0,1,0],
+    [0,0,0,0,0,1,0],
+    [0,0,0,0,0,1,0],
+    [1,0,0,0,0,1,0],
+    [1,0,0,0,0,1,0],
+    [0,1,1,1,1,0,0]
+  ],
+  'K': [
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,1,0],
+    [1,0,0,0,1,0,0],
+    [1,0,0,1,0,0,0],
+    [1,1,1,0,0,0,0],
+    [1,0,0,1,0,0,0],
+    [1,0,0,0,1,0,0],
+    [1,0,0,0,0,1,0],
+    [1,0,0,0,0,0,1]
+  ],
+  'L': [
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,0],
+    [1,1,1,1,1,1,1]
+  ],
+  'M': [
+    [1,0,0,0,0,0,1],
+    [1,1,0,0,0,1,1],
+    [1,0,1,0,1,0,1],
+    [1,0,0,1,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1]
+  ],
+  'N': [
+    [1,0,0,0,0,0,1],
+    [1,1,0,0,0,0,1],
+    [1,0,1,0,0,0,1],
+    [1,0,0,1,0,0,1],
+    [1,0,0,0,1,0,1],
+    [1,0,0,0,0,1,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1]
+  ],
+  'O': [
+    [0,1,1,1,1,1,0],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [0,1,1,1,1,1,0]
+  ],
+  'P': [
+    [1,1,1,1,1,1,0],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,1,1,1,1,1,0],
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,0]
+  ],
+  'Q': [
+    [0,1,1,1,1,1,0],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,1,0,0,1],
+    [1,0,0,0,1,0,1],
+    [1,0,0,0,0,1,0],
+    [0,1,1,1,1,0,1]
+  ],
+  'R': [
+    [1,1,1,1,1,1,0],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,1,1,1,1,1,0],
+    [1,0,0,0,1,0,0],
+    [1,0,0,0,0,1,0],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1]
+  ],
+  'S': [
+    [0,1,1,1,1,1,0],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,0],
+    [0,1,1,1,1,1,0],
+    [0,0,0,0,0,0,1],
+    [0,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [0,1,1,1,1,1,0]
+  ],
+  'T': [
+    [1,1,1,1,1,1,1],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0]
+  ],
+  'U': [
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [0,1,1,1,1,1,0]
+  ],
+  'V': [
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [0,1,0,0,0,1,0],
+    [0,1,0,0,0,1,0],
+    [0,0,1,0,1,0,0],
+    [0,0,0,1,0,0,0]
+  ],
+  'W': [
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,1,0,0,1],
+    [1,0,1,0,1,0,1],
+    [1,1,0,0,0,1,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1]
+  ],
+  'X': [
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [0,1,0,0,0,1,0],
+    [0,0,1,0,1,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,1,0,1,0,0],
+    [0,1,0,0,0,1,0],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1]
+  ],
+  'Y': [
+    [1,0,0,0,0,0,1],
+    [0,1,0,0,0,1,0],
+    [0,0,1,0,1,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0]
+  ],
+  'Z': [
+    [1,1,1,1,1,1,1],
+    [0,0,0,0,0,0,1],
+    [0,0,0,0,0,1,0],
+    [0,0,0,0,1,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,1,0,0,0,0],
+    [0,1,0,0,0,0,0],
+    [1,0,0,0,0,0,0],
+    [1,1,1,1,1,1,1]
+  ],
+  '[': [
+    [0,0,1,1,1,1,0],
+    [0,0,1,0,0,0,0],
+    [0,0,1,0,0,0,0],
+    [0,0,1,0,0,0,0],
+    [0,0,1,0,0,0,0],
+    [0,0,1,0,0,0,0],
+    [0,0,1,0,0,0,0],
+    [0,0,1,0,0,0,0],
+    [0,0,1,1,1,1,0]
+  ],
+  '\\': [
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,0],
+    [0,1,0,0,0,0,0],
+    [0,0,1,0,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,0,1,0,0],
+    [0,0,0,0,0,1,0],
+    [0,0,0,0,0,0,1],
+    [0,0,0,0,0,0,1]
+  ],
+  ']': [
+    [0,1,1,1,1,0,0],
+    [0,0,0,0,1,0,0],
+    [0,0,0,0,1,0,0],
+    [0,0,0,0,1,0,0],
+    [0,0,0,0,1,0,0],
+    [0,0,0,0,1,0,0],
+    [0,0,0,0,1,0,0],
+    [0,0,0,0,1,0,0],
+    [0,1,1,1,1,0,0]
+  ],
+  '^': [
+    [0,0,0,1,0,0,0],
+    [0,0,1,0,1,0,0],
+    [0,1,0,0,0,1,0],
+    [1,0,0,0,0,0,1],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0]
+  ],
+  '_': [
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [1,1,1,1,1,1,1]
+  ],
+  '`': [
+    [0,0,1,0,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0]
+  ],
+  'a': [
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,1,1,1,1,0,0],
+    [0,0,0,0,0,1,0],
+    [0,1,1,1,1,1,0],
+    [1,0,0,0,0,1,0],
+    [1,0,0,0,0,1,0],
+    [0,1,1,1,1,0,1]
+  ],
+  'b': [
     [1,0,0,0,0,0,0],
     [1,0,0,0,0,0,0],
-    [1,0,0,1,1,1,1],
+    [1,0,0,0,0,0,0],
+    [1,0,1,1,1,0,0],
+    [1,1,0,0,0,1,0],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,1,0,0,0,1,0],
+    [1,0,1,1,1,0,0]
+  ],
+  'c': [
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,1,1,1,1,1,0],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,1],
+    [0,1,1,1,1,1,0]
+  ],
+  'd': [
+    [0,0,0,0,0,0,1],
+    [0,0,0,0,0,0,1],
+    [0,0,0,0,0,0,1],
+    [0,0,1,1,1,0,1],
+    [0,1,0,0,0,1,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [0,1,0,0,0,1,1],
+    [0,0,1,1,1,0,1]
+  ],
+  'e': [
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,1,1,1,1,1,0],
+    [1,0,0,0,0,0,1],
+    [1,1,1,1,1,1,1],
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,1],
+    [0,1,1,1,1,1,0]
+  ],
+  'f': [
+    [0,0,0,1,1,1,0],
+    [0,0,1,0,0,0,1],
+    [0,0,1,0,0,0,0],
+    [0,0,1,0,0,0,0],
+    [1,1,1,1,1,1,0],
+    [0,0,1,0,0,0,0],
+    [0,0,1,0,0,0,0],
+    [0,0,1,0,0,0,0],
+    [0,0,1,0,0,0,0]
+  ],
+  'g': [
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,1,1,1,1,1,0],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [0,1,1,1,1,1,1],
+    [0,0,0,0,0,0,1],
+    [0,1,1,1,1,1,0]
+  ],
+  'h': [
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,0],
+    [1,0,1,1,1,0,0],
+    [1,1,0,0,0,1,0],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1]
+  ],
+  'i': [
+    [0,0,0,1,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,1,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,1,1,1,0,0]
+  ],
+  'j': [
+    [0,0,0,0,0,1,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,1,1,0],
+    [0,0,0,0,0,1,0],
+    [0,0,0,0,0,1,0],
+    [0,0,0,0,0,1,0],
+    [0,0,0,0,0,1,0],
+    [1,0,0,0,0,1,0],
+    [0,1,1,1,1,0,0]
+  ],
+  'k': [
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,1,0],
+    [1,0,0,0,1,0,0],
+    [1,1,1,1,0,0,0],
+    [1,0,0,0,1,0,0],
+    [1,0,0,0,0,1,0],
+    [1,0,0,0,0,0,1]
+  ],
+  'l': [
+    [0,0,1,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,1,1,1,0,0]
+  ],
+  'm': [
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,1,1,0,1,1,0],
+    [1,0,0,1,0,0,1],
+    [1,0,0,1,0,0,1],
+    [1,0,0,1,0,0,1],
+    [1,0,0,1,0,0,1],
+    [1,0,0,1,0,0,1]
+  ],
+  'n': [
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [1,0,1,1,1,0,0],
+    [1,1,0,0,0,1,0],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1]
+  ],
+  'o': [
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,1,1,1,1,1,0],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [0,1,1,1,1,1,0]
+  ],
+  'p': [
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [1,0,1,1,1,0,0],
+    [1,1,0,0,0,1,0],
+    [1,0,0,0,0,0,1],
+    [1,1,0,0,0,1,0],
+    [1,0,1,1,1,0,0],
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,0]
+  ],
+  'q': [
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,1,1,1,0,1],
+    [0,1,0,0,0,1,1],
+    [1,0,0,0,0,0,1],
+    [0,1,0,0,0,1,1],
+    [0,0,1,1,1,0,1],
+    [0,0,0,0,0,0,1],
+    [0,0,0,0,0,0,1]
+  ],
+  'r': [
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [1,0,1,1,1,1,0],
+    [1,1,0,0,0,0,1],
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,0],
+    [1,0,0,0,0,0,0]
+  ],
+  's': [
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,1,1,1,1,1,0],
+    [1,0,0,0,0,0,0],
+    [0,1,1,1,1,1,0],
+    [0,0,0,0,0,0,1],
+    [0,0,0,0,0,0,1],
+    [1,1,1,1,1,1,0]
+  ],
+  't': [
+    [0,0,1,0,0,0,0],
+    [0,0,1,0,0,0,0],
+    [0,0,1,0,0,0,0],
+    [1,1,1,1,1,1,0],
+    [0,0,1,0,0,0,0],
+    [0,0,1,0,0,0,0],
+    [0,0,1,0,0,0,0],
+    [0,0,1,0,0,0,1],
+    [0,0,0,1,1,1,0]
+  ],
+  'u': [
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,1,1],
+    [0,1,1,1,1,0,1]
+  ],
+  'v': [
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [0,1,0,0,0,1,0],
+    [0,0,1,0,1,0,0],
+    [0,0,0,1,0,0,0]
+  ],
+  'w': [
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [1,0,0,0,0,0,1],
+    [1,0,0,0,0,0,1],
+    [1,0,0,1,0,0,1],
+    [1,0,0,1,0,0,1],
+    [1,0,0,1,0,0,1],
+    [0,1,1,0,1,1,0]
+  ],
+  'x': [
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [1,0,0,0,0,0,1],
+    [0,1,0,0,0,1,0],
+    [0,0,1,0,1,0,0],
+    [0,0,1,0,1,0,0],
+    [0,1,0,0,0,1,0],
+    [1,0,0,0,0,0,1]
+  ],
+  'y': [
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
     [1,0,0,0,0,0,1],
     [1,0,0,0,0,0,1],
     [1,0,0,0,0,0,1],
+    [1,0,0,0,0,1,1],
+    [0,1,1,1,1,0,1],
+    [0,0,0,0,0,0,1],
     [0,1,1,1,1,1,0]
+  ],
+  'z': [
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [1,1,1,1,1,1,1],
+    [0,0,0,0,0,1,0],
+    [0,0,0,1,1,0,0],
+    [0,0,1,0,0,0,0],
+    [0,1,0,0,0,0,0],
+    [1,1,1,1,1,1,1]
+  ],
+  '{': [
+    [0,0,0,0,1,1,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,1,1,0,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,0,1,1,0]
+  ],
+  '|': [
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0]
+  ],
+  '}': [
+    [0,1,1,0,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,0,1,1,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,0,0,1,0,0,0],
+    [0,1,1,0,0,0,0]
+  ],
+  '~': [
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,1,1,0,0,0,1],
+    [1,0,0,1,0,0,1],
+    [1,0,0,0,1,1,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0],
+    [0,0,0,0,0,0,0]
   ]
 };
+
+/**
+ * Proportional 5x7 - PIXEL_FONT with blank side columns trimmed, so each glyph advances by its own width
+ * ('i' is 3 wide, '!' 1, 'M' 5); space is 3 wide. For names and longer messages.
+ */
+export const PIXEL_FONT_PROPORTIONAL = trimGlyphColumns(PIXEL_FONT, 3);
+
+/**
+ * Copy of font with each glyph's blank leading and trailing columns removed; blank glyphs become spaceWidth wide.
+ */
+function trimGlyphColumns(font, spaceWidth) {
+  const out = {};
+  for (const [ch, pattern] of Object.entries(font)) {
+    const cols = pattern[0].length;
+    let first = cols, last = -1;
+    for (const row of pattern) {
+      for (let c = 0; c < cols; c++) {
+        if (row[c]) {
+          first = Math.min(first, c);
+          last = Math.max(last, c);
+        }
+      }
+    }
+    out[ch] = last < 0
+      ? pattern.map(() => new Array(spaceWidth).fill(0))
+      : pattern.map((row) => row.slice(first, last + 1));
+  }
+  return out;
+}
+
+/**
+ * Dots - square brushes for blit (thick curves, sparkles, single clipped points)
+ */
+export const DOT_1X1 = [[1]];
+
+export const DOT_3X3 = [
+  [1,1,1],
+  [1,1,1],
+  [1,1,1]
+];
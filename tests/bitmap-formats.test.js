@@ -0,0 +1,175 @@
+/**
+ * Bitmap format loader tests: BDF/PSF fonts and PBM/XBM images to patterns, plus malformed input.
+ */
+import { describe, it, expect } from 'vitest';
+import { parseBDF, parsePSF, parsePBM, encodePBM, parseXBM } from '../src/engine/bitmap-formats.js';
+import { PixelFont } from '../src/engine/fonts.js';
+
+const BDF = `STARTFONT 2.1
+FONT -test-tiny-medium-r-normal--4-40-75-75-c-40-iso10646-1
+SIZE 4 75 75
+FONTBOUNDINGBOX 4 4 0 -1
+STARTPROPERTIES 1
+DEFAULT_CHAR 63
+ENDPROPERTIES
+CHARS 3
+STARTCHAR A
+ENCODING 65
+SWIDTH 1000 0
+DWIDTH 4 0
+BBX 3 3 0 0
+BITMAP
+40
+A0
+E0
+ENDCHAR
+STARTCHAR g
+ENCODING 103
+DWIDTH 3 0
+BBX 2 3 0 -1
+BITMAP
+C0
+40
+C0
+ENDCHAR
+STARTCHAR question
+ENCODING 63
+DWIDTH 2 0
+BBX 1 2 1 1
+BITMAP
+80
+80
+ENDCHAR
+ENDFONT
+`;
+
+const rows = (pattern) => pattern.map((row) => row.map((v) => (v ? '#' : '.')).join(''));
+
+describe('bitmap formats', () => {
+  describe('parseBDF', () => {
+    it('places glyphs on the baseline in font-box-high cells as wide as their advance', () => {
+      const font = parseBDF(BDF);
+      expect(font).toBeInstanceOf(PixelFont);
+      expect(font.name).toBe('-test-tiny-medium-r-normal--4-40-75-75-c-40-iso10646-1');
+      expect(font.height).toBe(4);
+      expect(font.letterSpacing).toBe(0);
+      expect(rows(font.getGlyph('A'))).toEqual(['.#..', '#.#.', '###.', '....']);
+      expect(rows(font.getGlyph('g'))).toEqual(['...', '##.', '.#.', '##.']);
+      expect(rows(font.getGlyph('?'))).toEqual(['.#', '.#', '..', '..']);
+    });
+
+    it('uses DEFAULT_CHAR as the fallback and accepts bytes and a name option', () => {
+      const font = parseBDF(new TextEncoder().encode(BDF), { name: 'tiny' });
+      expect(font.name).toBe('tiny');
+      expect(font.getGlyph('Z')).toBe(font.getGlyph('?'));
+    });
+
+    it('reports malformed input with the line number', () => {
+      expect(() => parseBDF('hello')).toThrow('parseBDF: line 1: not a BDF font');
+      expect(() => parseBDF(BDF.replace('A0\n', 'A0\nZZ\n'))).toThrow('parseBDF: line 17: bad bitmap row: ZZ');
+      expect(() => parseBDF(BDF.replace('E0\n', ''))).toThrow('glyph A has 2 bitmap rows, BBX says 3');
+      expect(() => parseBDF(BDF.replace('ENDFONT\n', ''))).toThrow('parseBDF: missing ENDFONT');
+      expect(() => parseBDF(BDF.replace('BBX 3 3 0 0', 'BBX 3 x 0 0'))).toThrow('BBX needs 4 integers');
+    });
+  });
+
+  describe('parsePSF', () => {
+    const glyphA = [0x18, 0x24, 0x7e, 0x42];
+
+    it('reads PSF1 fonts, mapping glyph i to character i without a Unicode table', () => {
+      const bytes = new Uint8Array(4 + 256 * 4);
+      bytes.set([0x36, 0x04, 0x00, 4]);
+      bytes.set(glyphA, 4 + 65 * 4);
+      const font = parsePSF(bytes);
+      expect(font.height).toBe(4);
+      expect(rows(font.getGlyph('A'))).toEqual(['...##...', '..#..#..', '.######.', '.#....#.']);
+      expect(font.glyphWidth('B')).toBe(8);
+    });
+
+    it('reads PSF2 fonts with a UTF-8 Unicode table', () => {
+      const header = new Uint8Array(32);
+      const view = new DataView(header.buffer);
+      header.set([0x72, 0xb5, 0x4a, 0x86]);
+      view.setUint32(8, 32, true);
+      view.setUint32(12, 1, true);
+      view.setUint32(16, 2, true);
+      view.setUint32(20, 4, true);
+      view.setUint32(24, 2, true);
+      view.setUint32(28, 10, true);
+      const glyphs = [0xff, 0xc0, 0x80, 0x40, 0x00, 0x00, 0x00, 0x00];
+      const table = [0x41, 0x61, 0xff, ...new TextEncoder().encode('é'), 0xfe, 0x65, 0xcc, 0x81, 0xff];
+      const font = parsePSF(new Uint8Array([...header, ...glyphs, ...table]).buffer, { name: 'wide' });
+      expect(font.name).toBe('wide');
+      expect(rows(font.getGlyph('A'))).toEqual(['##########', '#........#']);
+      expect(font.getGlyph('a')).toBe(font.getGlyph('A'));
+      expect(font.getGlyph('é')).not.toBeNull();
+      expect(font.getGlyph('e')).toBeNull();
+    });
+
+    it('rejects bad magic and truncated data', () => {
+      expect(() => parsePSF(new Uint8Array([1, 2, 3, 4]))).toThrow('parsePSF: not a PSF font');
+      expect(() => parsePSF(new Uint8Array([0x36, 0x04, 0x00, 8, 0]))).toThrow('parsePSF: truncated');
+      expect(() => parsePSF(null)).toThrow('parsePSF: expected a string, Uint8Array or ArrayBuffer');
+    });
+  });
+
+  describe('parsePBM', () => {
+    it('reads plain P1 with comments and free whitespace', () => {
+      const pattern = parsePBM('P1\n# smiley\n3 2\n1 0 1\n010\n');
+      expect(pattern).toEqual([[1, 0, 1], [0, 1, 0]]);
+    });
+
+    it('reads raw P4 rows padded to whole bytes', () => {
+      const header = new TextEncoder().encode('P4\n10 2\n');
+      const pattern = parsePBM(new Uint8Array([...header, 0xff, 0xc0, 0x80, 0x40]));
+      expect(rows(pattern)).toEqual(['##########', '#........#']);
+    });
+
+    it('rejects other formats, bad sizes and short data', () => {
+      expect(() => parsePBM('P2\n1 1\n0\n')).toThrow('parsePBM: not a PBM image (magic "P2"');
+      expect(() => parsePBM('P1\n0 2\n')).toThrow('parsePBM: bad width: "0"');
+      expect(() => parsePBM('P1\n2 2\n1 0 1\n')).toThrow('parsePBM: truncated: expected 4 pixels, got 3');
+      expect(() => parsePBM('P1\n2 1\n1 2\n')).toThrow('parsePBM: bad pixel "2" at row 0, column 1');
+      expect(() => parsePBM('P4\n16 2\n\xff')).toThrow('parsePBM: truncated');
+    });
+  });
+
+  describe('encodePBM', () => {
+    const pattern = [[1, 0, 0, 0, 0, 0, 0, 0, 0, true], [0, 0.5, 0, 0, 0, 0, 0, 0, 0, 0]];
+
+    it('writes P4 bytes that parse back to the pattern', () => {
+      const bytes = encodePBM(pattern);
+      expect(Array.from(bytes.subarray(-4))).toEqual([0x80, 0x40, 0x40, 0x00]);
+      expect(parsePBM(bytes)).toEqual([[1, 0, 0, 0, 0, 0, 0, 0, 0, 1], [0, 1, 0, 0, 0, 0, 0, 0, 0, 0]]);
+    });
+
+    it('writes P1 text with an optional comment', () => {
+      expect(encodePBM([[1, 0], [0, 1]], { plain: true, comment: 'tile' })).toBe('P1\n# tile\n2 2\n10\n01\n');
+      expect(() => encodePBM([])).toThrow('encodePBM: pattern must be a non-empty array');
+    });
+  });
+
+  describe('parseXBM', () => {
+    it('reads X11 char arrays, least significant bit first', () => {
+      const xbm = `#define dot_width 10
+#define dot_height 2
+static unsigned char dot_bits[] = {
+   0x01, 0x02, 0xff, 0x03 };`;
+      expect(rows(parseXBM(xbm))).toEqual(['#........#', '##########']);
+    });
+
+    it('reads X10 short arrays', () => {
+      const xbm = '#define s_width 3\n#define s_height 1\nstatic short s_bits[] = { 0x0005 };';
+      expect(parseXBM(xbm)).toEqual([[1, 0, 1]]);
+    });
+
+    it('rejects missing defines, arrays and short data', () => {
+      expect(() => parseXBM('static char b_bits[] = { 0 };')).toThrow('parseXBM: missing #define ..._width');
+      expect(() => parseXBM('#define b_width 1\n#define b_height 1\n')).toThrow('parseXBM: missing ..._bits[]');
+      expect(() => parseXBM('#define b_width 9\n#define b_height 1\nchar b_bits[] = { 0x01 };'))
+        .toThrow('parseXBM: truncated: 9x1 needs 2 values, got 1');
+      expect(() => parseXBM('#define b_width 1\n#define b_height 1\nchar b_bits[] = { zz };'))
+        .toThrow('parseXBM: bad value in bits array: zz');
+    });
+  });
+});
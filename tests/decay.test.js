@@ -0,0 +1,67 @@
+/**
+ * Phosphor decay model tests: curve shapes, durations, specs and errors.
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  CRTDecay, ExponentialDecay, PowerLawDecay, LongPersistenceDecay, InstantDecay, createDecayModel
+} from '../src/engine/decay.js';
+
+describe('decay models', () => {
+  it('crt: linear fade-in and (1-t)^6 fade-out over 50/200ms', () => {
+    const m = new CRTDecay();
+    expect(m.fadeInMs).toBe(50);
+    expect(m.fadeOutMs).toBe(200);
+    expect(m.fadeIn(25)).toBeCloseTo(0.5, 5);
+    expect(m.fadeOut(100)).toBeCloseTo(Math.pow(0.5, 6), 5);
+  });
+
+  it('exponential: halves every halfLifeMs and ends below one 8-bit step', () => {
+    const m = new ExponentialDecay({ halfLifeMs: 40 });
+    expect(m.fadeOut(0)).toBe(1);
+    expect(m.fadeOut(40)).toBeCloseTo(0.5, 5);
+    expect(m.fadeOut(80)).toBeCloseTo(0.25, 5);
+    expect(m.fadeOut(m.fadeOutMs)).toBeCloseTo(1 / 255, 5);
+  });
+
+  it('powerLaw: has a longer tail than exponential with the same initial drop', () => {
+    const p = new PowerLawDecay({ tauMs: 20, exponent: 2 });
+    expect(p.fadeOut(20)).toBeCloseTo(0.25, 5);
+    expect(p.fadeOut(p.fadeOutMs)).toBeCloseTo(1 / 255, 5);
+    const e = new ExponentialDecay({ halfLifeMs: 10 });
+    expect(e.fadeOut(20)).toBeCloseTo(0.25, 5);
+    expect(p.fadeOut(100)).toBeGreaterThan(e.fadeOut(100));
+  });
+
+  it('longPersistence: fast flash then long afterglow; stage levels normalized', () => {
+    const m = new LongPersistenceDecay({ stages: [{ level: 3, halfLifeMs: 10 }, { level: 1, halfLifeMs: 1000 }] });
+    expect(m.fadeOut(0)).toBeCloseTo(1, 5);
+    expect(m.fadeOut(100)).toBeCloseTo(0.25 * Math.pow(2, -0.1), 2);
+    expect(m.fadeOutMs).toBeGreaterThan(5000);
+    expect(m.fadeOut(m.fadeOutMs)).toBeLessThanOrEqual(1 / 255 + 1e-9);
+  });
+
+  it('instant: no fade at all', () => {
+    const m = new InstantDecay();
+    expect(m.fadeInMs).toBe(0);
+    expect(m.fadeOutMs).toBe(0);
+    expect(m.fadeIn(0)).toBe(1);
+  });
+
+  it('createDecayModel accepts a name with params, a spec, or a model; toJSON round-trips', () => {
+    expect(createDecayModel('exponential', { halfLifeMs: 5 }).halfLifeMs).toBe(5);
+    const m = createDecayModel({ model: 'powerLaw', tauMs: 7 });
+    expect(m).toBeInstanceOf(PowerLawDecay);
+    expect(m.tauMs).toBe(7);
+    expect(createDecayModel(m)).toBe(m);
+    const again = createDecayModel(JSON.parse(JSON.stringify(m)));
+    expect(again.toJSON()).toEqual(m.toJSON());
+    expect(createDecayModel('instant').toJSON()).toEqual({ model: 'instant' });
+  });
+
+  it('rejects unknown models and bad parameters', () => {
+    expect(() => createDecayModel('plasma')).toThrow(/unknown decay model/);
+    expect(() => createDecayModel('exponential', { halfLifeMs: 0 })).toThrow(RangeError);
+    expect(() => createDecayModel('crt', { fadeInMs: -1 })).toThrow(RangeError);
+    expect(() => createDecayModel('longPersistence', { stages: [] })).toThrow(RangeError);
+  });
+});
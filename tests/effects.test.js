@@ -0,0 +1,266 @@
+/**
+ * Screen effects tests: registry, stacking and cooldown policies, each effect's hooks and display integration.
+ */
+import { describe, it, expect } from 'vitest';
+import { PixelDisplay } from '../src/engine/pixel-display.js';
+import { HeadlessRenderer } from '../src/engine/renderers.js';
+import {
+  ScreenEffect, createScreenEffect, registerScreenEffect, effectCooldownStrength, SCREEN_EFFECTS
+} from '../src/engine/effects.js';
+
+/** 10x10 display, 100x100 output (cell step 10px), with every cell lit at time 1. */
+function createLitDisplay() {
+  const renderer = new HeadlessRenderer();
+  const d = new PixelDisplay(null, 10, 10, 100, 100, 60, { renderer, decay: 'instant' });
+  d.setTime(1);
+  d.drawRectFilled(0, 0, 10, 10);
+  d.render(1, { now: 1 });
+  return { d, renderer };
+}
+
+/** Green channel at the middle of cell (x, y). */
+function green(renderer, x, y) {
+  return renderer.getPixelRGBA(x * 10 + 4, y * 10 + 4)[1];
+}
+
+describe('screen effects', () => {
+  describe('registry', () => {
+    it('builds effects from names and specs and rejects unknown ones', () => {
+      expect(Object.keys(SCREEN_EFFECTS)).toEqual(['degauss', 'shake', 'syncRoll', 'static', 'flicker', 'tint', 'powerOff', 'powerOn']);
+      const shake = createScreenEffect({ effect: 'shake', ampPx: 4 });
+      expect(shake.name).toBe('shake');
+      expect(shake.params.ampPx).toBe(4);
+      expect(createScreenEffect(shake)).toBe(shake);
+      expect(createScreenEffect(shake.toJSON()).params).toEqual(shake.params);
+      expect(() => createScreenEffect('wobble')).toThrow('createScreenEffect: unknown effect: "wobble"');
+      expect(() => createScreenEffect('tint', { color: 'red' })).toThrow("tint: color must be '#rrggbb'");
+      expect(() => createScreenEffect('flicker', { strength: 2 })).toThrow(RangeError);
+      expect(() => createScreenEffect('shake', { stacking: 'queue' })).toThrow('shake: unknown stacking: "queue"');
+    });
+
+    it('registers custom effects with their own hooks', () => {
+      class InvertRows extends ScreenEffect {
+        constructor(params = {}) {
+          super('invertRows', params, { durationMs: 100 });
+        }
+
+        warp(pos, display) {
+          pos.y = display.displayHeight - 1 - pos.y;
+        }
+      }
+      registerScreenEffect('invertRows', InvertRows);
+      const { d, renderer } = createLitDisplay();
+      d.setPixel(0, 0, false);
+      d.render(1, { now: 2 });
+      d.setTime(2);
+      expect(d.triggerEffect('invertRows')).toBeInstanceOf(InvertRows);
+      d.render(1, { now: 3 });
+      expect(green(renderer, 0, 9)).toBe(0);
+      expect(green(renderer, 0, 0)).toBeGreaterThan(0);
+      delete SCREEN_EFFECTS.invertRows;
+    });
+  });
+
+  describe('cooldown policies', () => {
+    it('none, block and ramp', () => {
+      const none = createScreenEffect('tint').cooldown;
+      expect(effectCooldownStrength(none, 0)).toBe(1);
+      const block = createScreenEffect('tint', { cooldown: 500 }).cooldown;
+      expect(effectCooldownStrength(block, 499)).toBe(0);
+      expect(effectCooldownStrength(block, 500)).toBe(1);
+      const ramp = createScreenEffect('degauss').cooldown;
+      expect(effectCooldownStrength(ramp, Infinity)).toBe(1);
+      expect(effectCooldownStrength(ramp, 1000)).toBe(0);
+      expect(effectCooldownStrength(ramp, 15500)).toBeCloseTo(Math.pow(0.5, 1.5));
+      expect(() => createScreenEffect('tint', { cooldown: { type: 'ramp', minMs: 10, fullMs: 5 } })).toThrow(RangeError);
+    });
+
+    it('block cooldowns ignore triggers until ms after the last run ended', () => {
+      const { d } = createLitDisplay();
+      d.setTime(100);
+      expect(d.triggerEffect('tint', { cooldown: 1000, durationMs: 50 })).not.toBeNull();
+      d.render(1, { now: 200 }); // ended at 200
+      d.setTime(1100);
+      expect(d.triggerEffect('tint', { cooldown: 1000 })).toBeNull();
+      d.setTime(1200);
+      expect(d.triggerEffect('tint', { cooldown: 1000 })).not.toBeNull();
+    });
+
+    it('degauss ramps back: shorter and weaker soon after a run, skipped (cooldown restarted) right after', () => {
+      const { d } = createLitDisplay();
+      d.setTime(1000);
+      d.degauss();
+      expect(d.degaussStrength).toBe(1);
+      expect(d.degaussDuration).toBe(2000);
+      d.render(1, { now: 3000 });
+      expect(d.degaussStartTime).toBe(0);
+      expect(d.lastDegaussEndTime).toBe(3000);
+      d.setTime(3500);
+      d.degauss();
+      expect(d.effects).toEqual([]);
+      expect(d.lastDegaussEndTime).toBe(3500);
+      d.setTime(3500 + 15500);
+      d.degauss();
+      expect(d.degaussStrength).toBeCloseTo(Math.pow(0.5, 1.5));
+      expect(d.degaussDuration).toBeCloseTo(2000 * Math.pow(0.5, 1.5));
+    });
+  });
+
+  describe('stacking', () => {
+    it('exclusive ignores, restart replaces, stack adds; group ties effects together', () => {
+      const { d } = createLitDisplay();
+      d.setTime(10);
+      const first = d.triggerEffect('syncRoll');
+      expect(d.triggerEffect('syncRoll')).toBeNull();
+      expect(d.effects).toEqual([first]);
+
+      const shake = d.triggerEffect('shake');
+      d.setTime(20);
+      const again = d.triggerEffect('shake');
+      expect(d.effects).toEqual([first, again]);
+      expect(again).not.toBe(shake);
+
+      d.triggerEffect('tint');
+      d.triggerEffect('tint');
+      expect(d.effects.filter((e) => e.name === 'tint').length).toBe(2);
+
+      expect(d.triggerEffect('flicker', { group: 'syncRoll', stacking: 'exclusive' })).toBeNull();
+      expect(d.stopEffect('tint')).toBe(2);
+      expect(d.stopEffect()).toBe(2);
+      expect(d.effects).toEqual([]);
+    });
+  });
+
+  describe('effects on the display', () => {
+    it('shake moves the whole picture and leaves black where it pulled away', () => {
+      const { d, renderer } = createLitDisplay();
+      d.setTime(10);
+      d.triggerEffect('shake', { ampPx: 30, durationMs: 1000 });
+      d.render(1, { now: 10 });
+      let dark = 0;
+      for (let y = 0; y < 10; y++) {
+        for (let x = 0; x < 10; x++) if (green(renderer, x, y) === 0) dark++;
+      }
+      expect(dark).toBeGreaterThan(0);
+      d.render(1, { now: 1010 });
+      expect(d.effects).toEqual([]);
+      expect(green(renderer, 0, 0)).toBeGreaterThan(0);
+    });
+
+    it('syncRoll shifts the rows below the tear sideways', () => {
+      const { d, renderer } = createLitDisplay();
+      d.setTime(0);
+      d.triggerEffect('syncRoll', { ampPx: 50, band: 0.5, speed: 0.001 });
+      d.render(1, { now: 350 }); // tear just below row 0, full swing
+      expect(green(renderer, 0, 1)).toBe(0);
+      expect(green(renderer, 9, 1)).toBeGreaterThan(0);
+      expect(green(renderer, 0, 0)).toBeGreaterThan(0); // above the tear
+      expect(green(renderer, 0, 8)).toBeGreaterThan(0); // below the band
+    });
+
+    it('static adds white snow, repeatable for the same start time', () => {
+      const frames = [];
+      for (let run = 0; run < 2; run++) {
+        const renderer = new HeadlessRenderer();
+        const d = new PixelDisplay(null, 10, 10, 100, 100, 60, { renderer });
+        d.setTime(5);
+        d.triggerEffect('static', { density: 0.5, level: 1 });
+        d.render(1, { now: 5 });
+        frames.push(Array.from(renderer.getRGBA()));
+      }
+      expect(frames[0]).toEqual(frames[1]);
+      const snowy = frames[0].filter((v, i) => i % 4 === 0 && v > 0).length;
+      expect(snowy).toBeGreaterThan(0);
+    });
+
+    it('flicker dims brightness and tint casts its color over the frame', () => {
+      const { d, renderer } = createLitDisplay();
+      const [red, full] = renderer.getPixelRGBA(54, 54);
+      d.setTime(10);
+      d.triggerEffect('flicker', { depth: 1, hz: 1 });
+      d.render(1, { now: 10 });
+      expect(green(renderer, 5, 5)).toBeLessThan(full);
+      d.stopEffect('flicker');
+      d.triggerEffect('tint', { color: '#0000ff', alpha: 0.5 });
+      d.render(1, { now: 10 });
+      const [r, g, b] = renderer.getPixelRGBA(54, 54);
+      expect(r).toBeLessThan(red);
+      expect(b).toBeGreaterThan(100);
+      expect(g).toBeLessThan(full);
+    });
+
+    it('leaves the dirty-region path once every effect has ended', () => {
+      const { d, renderer } = createLitDisplay();
+      const before = renderer.getPixelRGBA(54, 54);
+      d.setTime(10);
+      d.triggerEffect('tint', { color: '#0000ff', durationMs: 20 });
+      d.render(1, { now: 15 });
+      expect(renderer.getPixelRGBA(54, 54)).not.toEqual(before);
+      d.render(1, { now: 40 });
+      expect(renderer.getPixelRGBA(54, 54)).toEqual(before);
+    });
+  });
+
+  describe('power on/off', () => {
+    it('powerOff collapses to a line, then a dot, then stays dark; resolves true', async () => {
+      const { d, renderer } = createLitDisplay();
+      d.setTime(100);
+      let called = null;
+      const done = d.powerOff({ durationMs: 1000, onDone: (completed) => { called = completed; } });
+      d.render(1, { now: 550 }); // shrinking line: only the middle rows show
+      expect(green(renderer, 5, 0)).toBe(0);
+      expect(green(renderer, 2, 5)).toBeGreaterThan(0);
+      expect(green(renderer, 0, 5)).toBe(0);
+      d.render(1, { now: 900 }); // dot
+      expect(green(renderer, 2, 5)).toBe(0);
+      expect(green(renderer, 5, 5)).toBeGreaterThan(0);
+      d.render(1, { now: 1100 });
+      expect(d.powered).toBe(false);
+      expect(called).toBe(true);
+      await expect(done).resolves.toBe(true);
+      d.render(1, { now: 1200 });
+      expect(Array.from(renderer.getRGBA()).some((v, i) => i % 4 !== 3 && v > 0)).toBe(false);
+      await expect(d.powerOff()).resolves.toBe(true);
+    });
+
+    it('powerOn expands from a line and warms up to full brightness; cuts a running powerOff short', async () => {
+      const { d, renderer } = createLitDisplay();
+      const [, full] = renderer.getPixelRGBA(54, 54);
+      d.setTime(100);
+      const off = d.powerOff();
+      d.setTime(200);
+      const on = d.powerOn({ durationMs: 1000, glowAlpha: 0 });
+      await expect(off).resolves.toBe(false);
+      expect(d.powered).toBe(true);
+      d.render(1, { now: 250 }); // bright line
+      expect(green(renderer, 5, 0)).toBe(0);
+      expect(renderer.getPixelRGBA(4, 54)[0]).toBeGreaterThan(200);
+      d.render(1, { now: 800 }); // warming up
+      expect(green(renderer, 5, 0)).toBeGreaterThan(0);
+      expect(green(renderer, 5, 5)).toBeLessThan(full);
+      d.render(1, { now: 1200 });
+      await expect(on).resolves.toBe(true);
+      expect(green(renderer, 5, 5)).toBe(full);
+      expect(() => d.powerOn({ line: 0.8, expand: 0.5 })).toThrow('powerOn: phases must add up to at most 1');
+    });
+
+    it('settles on time without render(): setTime past the end, or a timer on the real clock', async () => {
+      const { d } = createLitDisplay();
+      d.setTime(100);
+      let called = null;
+      const off = d.powerOff({ durationMs: 500, onDone: (completed) => { called = completed; } });
+      d.setTime(400);
+      expect(called).toBe(null);
+      d.setTime(700);
+      expect(called).toBe(true);
+      await expect(off).resolves.toBe(true);
+      expect(d.powered).toBe(false);
+
+      d.setTime(undefined);
+      const on = d.powerOn({ durationMs: 20 });
+      expect(d.powered).toBe(true);
+      await expect(on).resolves.toBe(true);
+      expect(d.effects).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,50 @@
+/**
+ * Font registry tests: glyph lookup, metrics defaults and errors.
+ */
+import { describe, it, expect } from 'vitest';
+import { PixelFont, registerFont, getFont } from '../src/engine/fonts.js';
+
+const glyphs = {
+  A: [[1, 1], [1, 1], [1, 1]],
+  i: [[1], [0], [1]],
+  '?': [[1, 1, 1]]
+};
+
+describe('fonts', () => {
+  it('derives height and space width from the glyphs', () => {
+    const font = new PixelFont('t', glyphs);
+    expect(font.height).toBe(3);
+    expect(font.spaceWidth).toBe(3);
+    expect(font.letterSpacing).toBe(1);
+    expect(font.lineSpacing).toBe(1);
+    expect(font.glyphWidth('A')).toBe(2);
+    expect(font.glyphWidth('i')).toBe(1);
+    expect(font.glyphWidth(' ')).toBe(3);
+  });
+
+  it('lowercase falls back to uppercase; missing characters use the fallback glyph or are blank', () => {
+    const font = new PixelFont('t', glyphs);
+    expect(font.getGlyph('a')).toBe(glyphs.A);
+    expect(font.getGlyph('i')).toBe(glyphs.i);
+    expect(font.getGlyph('Z')).toBe(null);
+    const withFallback = new PixelFont('t', glyphs, { fallback: '?' });
+    expect(withFallback.getGlyph('Z')).toBe(glyphs['?']);
+    expect(withFallback.getGlyph(' ')).toBe(null);
+  });
+
+  it('registerFont / getFont by name; a PixelFont passes through', () => {
+    const font = registerFont('test-font', glyphs, { letterSpacing: 2 });
+    expect(getFont('test-font')).toBe(font);
+    expect(font.letterSpacing).toBe(2);
+    expect(getFont(font)).toBe(font);
+    const other = new PixelFont('other', glyphs);
+    expect(registerFont('test-font', other)).toBe(other);
+    expect(getFont('test-font')).toBe(other);
+  });
+
+  it('rejects unknown fonts and bad registrations', () => {
+    expect(() => getFont('no-such-font')).toThrow(/unknown font: no-such-font/);
+    expect(() => registerFont('', glyphs)).toThrow(/non-empty string/);
+    expect(() => registerFont('x', null)).toThrow(/must be an object/);
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * GameLoop tests: fixed steps, interpolation alpha, clamping, pause and time scale, and the injected frame source.
+ */
+import { describe, it, expect } from 'vitest';
+import { GameLoop } from '../src/engine/game-loop.js';
+
+/** Loop at 10 Hz (100 ms steps) recording every step and render. */
+function createRecordedLoop(options = {}) {
+  const log = [];
+  const loop = new GameLoop({
+    hz: 10,
+    update: (dtMs) => log.push(['update', dtMs]),
+    render: (alpha, frame) => log.push(['render', Number(alpha.toFixed(3)), frame.updates]),
+    ...options
+  });
+  return { loop, log };
+}
+
+describe('GameLoop', () => {
+  it('runs fixed steps for the time that passed and renders once per frame with alpha', () => {
+    const { loop, log } = createRecordedLoop();
+    expect(loop.tick(1000)).toBe(0); // first frame: nothing to catch up on
+    expect(loop.tick(1180)).toBe(1);
+    expect(loop.tick(1300)).toBe(2);
+    expect(log).toEqual([
+      ['render', 0, 0],
+      ['update', 100], ['render', 0.8, 1],
+      ['update', 100], ['update', 100], ['render', 0, 2]
+    ]);
+    expect(loop.stepCount).toBe(3);
+    expect(loop.frameCount).toBe(3);
+  });
+
+  it('runs whole steps for frame times summed from fractional step lengths', () => {
+    let steps = 0;
+    const loop = new GameLoop({ update: () => steps++ });
+    for (let n = 0; n <= 600; n++) loop.tick(1000 + n * (1000 / 60));
+    expect(steps).toBe(600);
+  });
+
+  it('clamps long frames and drops the backlog beyond maxUpdatesPerFrame', () => {
+    const { loop } = createRecordedLoop({ maxFrameMs: 1000, maxUpdatesPerFrame: 3 });
+    loop.tick(0);
+    expect(loop.tick(60000)).toBe(3);
+    expect(loop.accumulator).toBeLessThan(100);
+    expect(loop.tick(60100)).toBe(1);
+  });
+
+  it('pauses steps but keeps rendering; resume starts from an empty accumulator', () => {
+    const { loop, log } = createRecordedLoop();
+    loop.tick(0);
+    loop.pause();
+    loop.tick(500);
+    expect(log.filter((e) => e[0] === 'update').length).toBe(0);
+    expect(log.length).toBe(2);
+    loop.resume();
+    expect(loop.tick(550)).toBe(0);
+    expect(loop.tick(650)).toBe(1);
+  });
+
+  it('scales game time', () => {
+    const { loop } = createRecordedLoop({ timeScale: 0.5 });
+    loop.tick(0);
+    expect(loop.tick(200)).toBe(1);
+    loop.setTimeScale(2);
+    expect(loop.tick(300)).toBe(2);
+    expect(() => loop.setTimeScale(-1)).toThrow(RangeError);
+  });
+
+  it('start/stop drive tick from the injected clock and frame source', () => {
+    const queue = [];
+    let time = 0;
+    let cancelled = 0;
+    const frames = {
+      request: (fn) => { queue.push(fn); return queue.length; },
+      cancel: () => { cancelled++; }
+    };
+    const { loop, log } = createRecordedLoop({ now: () => time, frames });
+    loop.start();
+    loop.start();
+    expect(queue.length).toBe(1);
+    for (time = 0; time <= 300; time += 100) queue.shift()();
+    expect(log.filter((e) => e[0] === 'update').length).toBe(3);
+    expect(loop.running).toBe(true);
+    loop.stop();
+    expect(cancelled).toBe(1);
+    expect(loop.running).toBe(false);
+  });
+
+  it('rejects bad options', () => {
+    expect(() => new GameLoop({})).toThrow('GameLoop: update must be a function');
+    expect(() => new GameLoop({ update() {}, hz: 0 })).toThrow(RangeError);
+    expect(() => new GameLoop({ update() {}, maxUpdatesPerFrame: 0.5 })).toThrow(RangeError);
+  });
+});
@@ -0,0 +1,36 @@
+/**
+ * Match rules tests: defaults, validation and the menu's formats.
+ */
+import { describe, it, expect } from 'vitest';
+import { createMatchRules, DEFAULT_MATCH_RULES, MATCH_FORMATS, SERVE_POLICIES, SERVE_STARTS } from '../src/match-rules.js';
+import { GOALS_TO_WIN } from '../src/constants.js';
+
+describe('match-rules', () => {
+  it('fills in the defaults: first to GOALS_TO_WIN, random countdown serve', () => {
+    expect(createMatchRules()).toEqual({ targetScore: GOALS_TO_WIN, winByTwo: false, timeLimitMs: 0, serve: 'random', serveStart: 'countdown' });
+    expect(createMatchRules({ targetScore: 11, winByTwo: 1 })).toMatchObject({ targetScore: 11, winByTwo: true, serve: 'random' });
+    expect(createMatchRules()).not.toBe(DEFAULT_MATCH_RULES);
+    expect(Object.isFrozen(DEFAULT_MATCH_RULES)).toBe(true);
+  });
+
+  it('rejects rules out of range or that could never end', () => {
+    expect(() => createMatchRules({ targetScore: 0 })).toThrow('createMatchRules: targetScore must be a positive integer or null, got 0');
+    expect(() => createMatchRules({ targetScore: 2.5 })).toThrow(RangeError);
+    expect(() => createMatchRules({ timeLimitMs: -1 })).toThrow('createMatchRules: timeLimitMs must be 0 or more, got -1');
+    expect(() => createMatchRules({ targetScore: null })).toThrow('createMatchRules: a match needs a targetScore, a timeLimitMs or both');
+    expect(() => createMatchRules({ serve: 'winner' })).toThrow('createMatchRules: serve must be one of random, alternate, conceder, got winner');
+    expect(() => createMatchRules({ serveStart: 'never' })).toThrow(RangeError);
+    expect(createMatchRules({ targetScore: null, timeLimitMs: 60000 })).toMatchObject({ targetScore: null, timeLimitMs: 60000 });
+  });
+
+  it('has valid menu formats with every serve rule', () => {
+    for (const format of MATCH_FORMATS) {
+      for (const serve of SERVE_POLICIES) {
+        for (const serveStart of SERVE_STARTS) {
+          expect(() => createMatchRules({ ...format.rules, serve, serveStart })).not.toThrow();
+        }
+      }
+    }
+    expect(MATCH_FORMATS[0].rules.targetScore).toBe(GOALS_TO_WIN);
+  });
+});
@@ -20,9 +20,31 @@ export function createMockCanvas() {
   };
 }
 
+/**
+ * Create a mock canvas whose 2d context records every fillRect as { fillStyle, x, y, w, h }
+ * and every putImageData as { putImageData: imageData, x, y, w, h } (the dirty rect).
+ * Read calls from canvas.calls; reset with canvas.calls.length = 0.
+ */
+export function createRecordingCanvas() {
+  const calls = [];
+  const ctx = {
+    fillStyle: '',
+    fillRect(x, y, w, h) { calls.push({ fillStyle: ctx.fillStyle, x, y, w, h }); },
+    putImageData(imageData, dx, dy, x, y, w, h) { calls.push({ putImageData: imageData, x, y, w, h }); }
+  };
+  return {
+    calls,
+    getContext(id) {
+      return id === '2d' ? ctx : null;
+    },
+    width: 0,
+    height: 0
+  };
+}
+
 /**
  * Create a PixelDisplay for tests. Uses mock canvas by default.
- * @param {Object} overrides - Optional: { canvas, emulatedWidth, emulatedHeight, displayWidth, displayHeight }
+ * @param {Object} overrides - Optional: { canvas, emulatedWidth, emulatedHeight, displayWidth, displayHeight, options }
  */
 export function createDisplayForTest(overrides = {}) {
   const canvas = overrides.canvas ?? createMockCanvas();
@@ -30,5 +52,5 @@ export function createDisplayForTest(overrides = {}) {
   const emulatedHeight = overrides.emulatedHeight ?? 120;
   const displayWidth = overrides.displayWidth ?? 800;
   const displayHeight = overrides.displayHeight ?? 600;
-  return new PixelDisplay(canvas, emulatedWidth, emulatedHeight, displayWidth, displayHeight);
+  return new PixelDisplay(canvas, emulatedWidth, emulatedHeight, displayWidth, displayHeight, 60, overrides.options);
 }
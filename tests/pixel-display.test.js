@@ -2,8 +2,12 @@
  * PixelDisplay unit tests. Uses toASCII for Expected/Result assertions.
  */
 import { describe, it, expect } from 'vitest';
-import { createDisplayForTest } from './pixel-display-test-utils.js';
+import { createDisplayForTest, createMockCanvas, createRecordingCanvas } from './pixel-display-test-utils.js';
+import { PixelDisplay } from '../src/engine/pixel-display.js';
+import { HeadlessRenderer } from '../src/engine/renderers.js';
 import { PIXEL_FONT } from '../src/sprites.js';
+import { PixelFont } from '../src/engine/fonts.js';
+import { ScreenEffect } from '../src/engine/effects.js';
 
 describe('PixelDisplay', () => {
   describe('2.1 clear, setPixel, getPixel', () => {
@@ -68,7 +72,7 @@ describe('PixelDisplay', () => {
       d.setTime(1);  // onTimestamp>0 required by calculateBrightness
       d.setPixel(0, 0, true);
       d.setTime(52);
-      const b = d.calculateBrightness(d.pixels[0][0], 52);
+      const b = d.calculateBrightness(d.getPixelInfo(0, 0), 52);
       expect(b).toBe(1);
     });
 
@@ -79,10 +83,10 @@ describe('PixelDisplay', () => {
       d.setTime(100);
       d.setPixel(0, 0, false);
       d.setTime(150);
-      const bMid = d.calculateBrightness(d.pixels[0][0], 150);
+      const bMid = d.calculateBrightness(d.getPixelInfo(0, 0), 150);
       expect(bMid).toBeLessThan(1);
       d.setTime(350);
-      const bEnd = d.calculateBrightness(d.pixels[0][0], 350);
+      const bEnd = d.calculateBrightness(d.getPixelInfo(0, 0), 350);
       expect(bEnd).toBe(0);
     });
 
@@ -97,4 +101,965 @@ describe('PixelDisplay', () => {
       expect(d.degaussStartTime).toBe(0);
     });
   });
+
+  describe('2.5 typed framebuffer and dirty tracking', () => {
+    it('getPixelInfo returns state and timestamps; null out of bounds', () => {
+      const d = createDisplayForTest({ emulatedWidth: 5, emulatedHeight: 5 });
+      d.setTime(10);
+      d.setPixel(1, 2, true);
+      d.setTime(20);
+      d.setPixel(1, 2, false);
+      expect(d.getPixelInfo(1, 2)).toEqual({ state: false, color: 0, intensity: 1, onTimestamp: 10, offTimestamp: 20 });
+      expect(d.getPixelInfo(5, 0)).toBe(null);
+    });
+
+    it('first render paints the whole canvas; settled frames issue no draw calls', () => {
+      const canvas = createRecordingCanvas();
+      const d = createDisplayForTest({ canvas, emulatedWidth: 10, emulatedHeight: 10 });
+      d.setTime(1);
+      d.setPixel(3, 3, true);
+      d.setTime(100);
+      d.render();
+      expect(canvas.calls[0]).toMatchObject({ fillStyle: '#000000', x: 0, y: 0, w: 800, h: 600 });
+      expect(canvas.calls.length).toBe(2);
+      canvas.calls.length = 0;
+      d.setTime(200);
+      d.render();
+      expect(canvas.calls.length).toBe(0);
+    });
+
+    it('setPixel after a render revisits only that cell (black-out then lit)', () => {
+      const canvas = createRecordingCanvas();
+      const d = createDisplayForTest({ canvas, emulatedWidth: 10, emulatedHeight: 10 });
+      d.setTime(1);
+      d.render();
+      canvas.calls.length = 0;
+      d.setPixel(2, 1, true);
+      d.setTime(100);
+      d.render();
+      expect(canvas.calls.length).toBe(2);
+      expect(canvas.calls[0].fillStyle).toBe('#000000');
+      expect(canvas.calls[1].fillStyle).toMatch(/^rgba\(57, 255, 20, 1\)$/);
+      expect(canvas.calls[1].x).toBeCloseTo(2 * (d.pixelWidth + d.gapWidth));
+      expect(canvas.calls[1].y).toBeCloseTo(1 * (d.pixelHeight + d.gapHeight));
+    });
+
+    it('fading pixel stays queued until its fade-out ends', () => {
+      const canvas = createRecordingCanvas();
+      const d = createDisplayForTest({ canvas, emulatedWidth: 10, emulatedHeight: 10 });
+      d.setTime(1);
+      d.setPixel(0, 0, true);
+      d.setTime(100);
+      d.render();
+      d.setPixel(0, 0, false);
+      d.setTime(150);
+      canvas.calls.length = 0;
+      d.render();
+      expect(canvas.calls.length).toBe(2); // black-out + faded
+      d.setTime(400);
+      canvas.calls.length = 0;
+      d.render();
+      expect(canvas.calls.length).toBe(1); // black-out only, then dropped from the queue
+      canvas.calls.length = 0;
+      d.render();
+      expect(canvas.calls.length).toBe(0);
+    });
+
+    it('invalidate() forces the next render to repaint the whole canvas', () => {
+      const canvas = createRecordingCanvas();
+      const d = createDisplayForTest({ canvas, emulatedWidth: 10, emulatedHeight: 10 });
+      d.setTime(1);
+      d.render();
+      canvas.calls.length = 0;
+      d.invalidate();
+      d.render();
+      expect(canvas.calls[0]).toMatchObject({ x: 0, y: 0, w: 800, h: 600 });
+    });
+  });
+
+  describe('2.6 imageData render mode', () => {
+    const rgbaAt = (imageData, px, py) => {
+      const o = (py * imageData.width + px) * 4;
+      return Array.from(imageData.data.slice(o, o + 4));
+    };
+
+    it('blits one putImageData per frame and no per-pixel fillRect', () => {
+      const canvas = createRecordingCanvas();
+      const d = createDisplayForTest({ canvas, emulatedWidth: 10, emulatedHeight: 10, displayWidth: 100, displayHeight: 100, options: { renderMode: 'imageData' } });
+      d.setTime(1);
+      d.setPixel(1, 1, true);
+      d.setPixel(2, 1, true);
+      d.setTime(100);
+      d.render();
+      expect(canvas.calls.length).toBe(1);
+      expect(canvas.calls[0].putImageData).toBeTruthy();
+    });
+
+    it('lit cell is full CRT green, gap and unlit cells are opaque black', () => {
+      const canvas = createRecordingCanvas();
+      // 109px / 10 cells with 1px gaps: whole-pixel cells of 10px, step 11
+      const d = createDisplayForTest({ canvas, emulatedWidth: 10, emulatedHeight: 10, displayWidth: 109, displayHeight: 109, options: { renderMode: 'imageData' } });
+      d.setTime(1);
+      d.setPixel(1, 1, true);
+      d.setTime(100);
+      d.render();
+      const img = canvas.calls[0].putImageData;
+      expect(rgbaAt(img, 11, 11)).toEqual([57, 255, 20, 255]);
+      expect(rgbaAt(img, 20, 20)).toEqual([57, 255, 20, 255]);
+      expect(rgbaAt(img, 21, 15)).toEqual([0, 0, 0, 255]); // gap
+      expect(rgbaAt(img, 0, 0)).toEqual([0, 0, 0, 255]);
+    });
+
+    it('fade brightness scales the cell color; settled frames skip the blit', () => {
+      const canvas = createRecordingCanvas();
+      const d = createDisplayForTest({ canvas, emulatedWidth: 10, emulatedHeight: 10, displayWidth: 100, displayHeight: 100, options: { renderMode: 'imageData' } });
+      d.setTime(1);
+      d.setPixel(0, 0, true);
+      d.setTime(26); // halfway through the 50ms fade-in
+      d.render();
+      const img = canvas.calls[0].putImageData;
+      const [r, g] = rgbaAt(img, 2, 2);
+      expect(g).toBeGreaterThan(100);
+      expect(g).toBeLessThan(155);
+      expect(r).toBeLessThan(57);
+      d.setTime(100);
+      d.render();
+      canvas.calls.length = 0;
+      d.setTime(200);
+      d.render();
+      expect(canvas.calls.length).toBe(0);
+    });
+
+    it('degauss blends the magenta overlay into the buffer', () => {
+      const canvas = createRecordingCanvas();
+      const d = createDisplayForTest({ canvas, emulatedWidth: 10, emulatedHeight: 10, displayWidth: 100, displayHeight: 100, options: { renderMode: 'imageData' } });
+      d.setTime(1);
+      d.degauss();
+      d.setTime(2);
+      d.render();
+      const [r, g, b, a] = rgbaAt(canvas.calls[0].putImageData, 0, 0);
+      expect(r).toBeGreaterThan(0);
+      expect(g).toBe(0);
+      expect(b).toBe(r);
+      expect(a).toBe(255);
+    });
+  });
+
+  describe('2.7 per-pixel color and palettes', () => {
+    it('setPixel stores the palette index; OFF keeps it for the fade-out', () => {
+      const d = createDisplayForTest({ emulatedWidth: 5, emulatedHeight: 5 });
+      d.setPixel(1, 1, true, 3);
+      expect(d.getPixelColor(1, 1)).toBe(3);
+      d.setPixel(1, 1, false);
+      expect(d.getPixelColor(1, 1)).toBe(3);
+      expect(d.getPixel(1, 1)).toBe(false);
+    });
+
+    it('recoloring a lit pixel keeps its fade-in timestamp', () => {
+      const d = createDisplayForTest({ emulatedWidth: 5, emulatedHeight: 5 });
+      d.setTime(10);
+      d.setPixel(0, 0, true, 1);
+      d.setTime(20);
+      d.setPixel(0, 0, true, 2);
+      expect(d.getPixelInfo(0, 0)).toMatchObject({ state: true, color: 2, onTimestamp: 10 });
+    });
+
+    it('draw helpers pass the palette index through', () => {
+      const d = createDisplayForTest({ emulatedWidth: 20, emulatedHeight: 20 });
+      d.drawPattern([[1, 1]], 0, 0, 1, 4);
+      d.drawRectFilled(0, 2, 2, 2, 5);
+      d.drawLineH(5, 0, 3, 6);
+      d.drawLineV(10, 0, 3, 7);
+      d.drawLineVDashed(12, 0, 4, 2, 2);
+      d.drawRectOutline(14, 0, 3, 3, { color: 1 });
+      expect(d.getPixelColor(1, 0)).toBe(4);
+      expect(d.getPixelColor(1, 3)).toBe(5);
+      expect(d.getPixelColor(3, 5)).toBe(6);
+      expect(d.getPixelColor(10, 3)).toBe(7);
+      expect(d.getPixelColor(12, 4)).toBe(2);
+      expect(d.getPixelColor(16, 2)).toBe(1);
+    });
+
+    it('setPalette accepts presets and color lists; onColor is entry 0', () => {
+      const d = createDisplayForTest({ emulatedWidth: 5, emulatedHeight: 5 });
+      expect(d.getPalette()).toEqual(['#39ff14']);
+      d.setPalette('amber');
+      expect(d.onColor).toBe('#ffb000');
+      d.setPalette('multi');
+      expect(d.getPalette().length).toBe(8);
+      d.onColor = '#112233';
+      expect(d.getPalette()[0]).toBe('#112233');
+      expect(d.getPalette()[1]).toBe('#ffb000');
+    });
+
+    it('setPalette rejects unknown presets and malformed colors', () => {
+      const d = createDisplayForTest({ emulatedWidth: 5, emulatedHeight: 5 });
+      expect(() => d.setPalette('plasma')).toThrow(/unknown preset/);
+      expect(() => d.setPalette(['#12345'])).toThrow(/not '#rrggbb'/);
+      expect(() => d.setPalette([])).toThrow();
+    });
+
+    it('renders each pixel in its palette color; mono palettes map every index to entry 0', () => {
+      const canvas = createRecordingCanvas();
+      const d = createDisplayForTest({ canvas, emulatedWidth: 4, emulatedHeight: 1, options: { palette: 'multi' } });
+      d.setTime(1);
+      d.setPixel(0, 0, true, 0);
+      d.setPixel(1, 0, true, 3);
+      d.setTime(100);
+      d.render();
+      const styles = canvas.calls.map((c) => c.fillStyle);
+      expect(styles).toContain('rgba(57, 255, 20, 1)');
+      expect(styles).toContain('rgba(255, 48, 48, 1)');
+      d.setPalette('white');
+      canvas.calls.length = 0;
+      d.render();
+      expect(canvas.calls.filter((c) => c.fillStyle === 'rgba(232, 240, 255, 1)').length).toBe(2);
+    });
+
+    it('fading-out pixel keeps its color', () => {
+      const canvas = createRecordingCanvas();
+      const d = createDisplayForTest({ canvas, emulatedWidth: 4, emulatedHeight: 1, options: { palette: 'multi' } });
+      d.setTime(1);
+      d.setPixel(2, 0, true, 1);
+      d.setTime(100);
+      d.render();
+      d.setPixel(2, 0, false);
+      d.setTime(150);
+      canvas.calls.length = 0;
+      d.render();
+      expect(canvas.calls[1].fillStyle).toMatch(/^rgba\(255, 176, 0, 0\.\d+/);
+    });
+  });
+
+  describe('2.8 intensity levels', () => {
+    it('setPixel with a number sets intensity; getPixel/toASCII still report on/off', () => {
+      const d = createDisplayForTest({ emulatedWidth: 5, emulatedHeight: 1 });
+      d.setPixel(0, 0, 0.5);
+      d.setPixel(1, 0, true);
+      d.setPixel(2, 0, 0);
+      expect(d.getPixel(0, 0)).toBe(true);
+      expect(d.getPixel(2, 0)).toBe(false);
+      expect(d.toASCII(0, 0, 3, 1)).toBe('##.');
+      expect(d.getPixelIntensity(0, 0)).toBeCloseTo(0.5, 2);
+      expect(d.getPixelIntensity(1, 0)).toBe(1);
+      expect(d.getPixelIntensity(2, 0)).toBe(0);
+    });
+
+    it('brightness is scaled by intensity through fade-in, steady state and fade-out', () => {
+      const d = createDisplayForTest({ emulatedWidth: 5, emulatedHeight: 1 });
+      d.setTime(1);
+      d.setPixel(0, 0, 0.4);
+      expect(d.calculateBrightness(d.getPixelInfo(0, 0), 26)).toBeCloseTo(0.2, 2);
+      expect(d.calculateBrightness(d.getPixelInfo(0, 0), 100)).toBeCloseTo(0.4, 2);
+      d.setTime(100);
+      d.setPixel(0, 0, false);
+      expect(d.getPixelIntensity(0, 0)).toBe(0);
+      const mid = d.calculateBrightness(d.getPixelInfo(0, 0), 120);
+      expect(mid).toBeGreaterThan(0);
+      expect(mid).toBeLessThan(0.4);
+    });
+
+    it('changing intensity of a lit pixel re-levels it without a new fade-in', () => {
+      const d = createDisplayForTest({ emulatedWidth: 5, emulatedHeight: 1 });
+      d.setTime(1);
+      d.setPixel(0, 0, true);
+      d.setTime(100);
+      d.setPixel(0, 0, 0.25);
+      expect(d.getPixelInfo(0, 0).onTimestamp).toBe(1);
+      expect(d.calculateBrightness(d.getPixelInfo(0, 0), 100)).toBeCloseTo(0.25, 2);
+    });
+
+    it('drawPattern lights fractional cells at that intensity', () => {
+      const d = createDisplayForTest({ emulatedWidth: 5, emulatedHeight: 1 });
+      d.drawPattern([[1, 0.5, 0]], 0, 0, 1, 0, 0.8);
+      expect(d.getPixelIntensity(0, 0)).toBeCloseTo(0.8, 2);
+      expect(d.getPixelIntensity(1, 0)).toBeCloseTo(0.4, 2);
+      expect(d.getPixel(2, 0)).toBe(false);
+    });
+
+    it('draw helpers accept an intensity', () => {
+      const d = createDisplayForTest({ emulatedWidth: 10, emulatedHeight: 10 });
+      d.drawLineV(0, 0, 9, 0, 0.3);
+      d.drawRectFilled(2, 2, 2, 2, 0, 0.6);
+      d.drawRectOutline(5, 5, 3, 3, { intensity: 0.2 });
+      expect(d.getPixelIntensity(0, 5)).toBeCloseTo(0.3, 2);
+      expect(d.getPixelIntensity(3, 3)).toBeCloseTo(0.6, 2);
+      expect(d.getPixelIntensity(7, 7)).toBeCloseTo(0.2, 2);
+    });
+
+    it('drawPixelAA spreads a point between cells by overlap', () => {
+      const d = createDisplayForTest({ emulatedWidth: 5, emulatedHeight: 5 });
+      d.drawPixelAA(1.5, 2);
+      expect(d.getPixelIntensity(1, 2)).toBeCloseTo(0.5, 2);
+      expect(d.getPixelIntensity(2, 2)).toBeCloseTo(0.5, 2);
+      expect(d.getPixel(1, 3)).toBe(false);
+      d.drawPixelAA(3, 3);
+      expect(d.getPixelIntensity(3, 3)).toBe(1);
+      expect(d.toASCII(2, 2, 3, 3)).toBe('#..\n.#.\n...');
+    });
+  });
+
+  describe('2.9 decay models', () => {
+    function litThenOff(d) {
+      d.setTime(1);
+      d.setPixel(0, 0, true);
+      d.setTime(100);
+      d.setPixel(0, 0, false);
+    }
+
+    it('defaults to the crt model (fadeInTime/fadeOutTime reflect it)', () => {
+      const d = createDisplayForTest({ emulatedWidth: 5, emulatedHeight: 1 });
+      expect(d.getDecayModel().name).toBe('crt');
+      expect(d.fadeInTime).toBe(50);
+      expect(d.fadeOutTime).toBe(200);
+    });
+
+    it('options.decay selects a model with params', () => {
+      const d = createDisplayForTest({ emulatedWidth: 5, emulatedHeight: 1, options: { decay: { model: 'exponential', halfLifeMs: 20 } } });
+      litThenOff(d);
+      expect(d.calculateBrightness(d.getPixelInfo(0, 0), 120)).toBeCloseTo(0.5, 5);
+      expect(d.fadeOutTime).toBeCloseTo(20 * Math.log2(255), 5);
+    });
+
+    it('instant: full brightness immediately and dark right after OFF (no ghosting)', () => {
+      const d = createDisplayForTest({ emulatedWidth: 5, emulatedHeight: 1, options: { decay: 'instant' } });
+      d.setTime(1);
+      d.setPixel(0, 0, true);
+      expect(d.calculateBrightness(d.getPixelInfo(0, 0), 1)).toBe(1);
+      d.setTime(100);
+      d.setPixel(0, 0, false);
+      expect(d.calculateBrightness(d.getPixelInfo(0, 0), 100)).toBe(0);
+    });
+
+    it('setDecayModel switches at runtime, including pixels mid-fade, and repaints everything', () => {
+      const canvas = createRecordingCanvas();
+      const d = createDisplayForTest({ canvas, emulatedWidth: 5, emulatedHeight: 1 });
+      litThenOff(d);
+      d.render();
+      d.setDecayModel('longPersistence');
+      expect(d.getDecayModel().name).toBe('longPersistence');
+      expect(d.calculateBrightness(d.getPixelInfo(0, 0), 1100)).toBeGreaterThan(0);
+      canvas.calls.length = 0;
+      d.setTime(1100);
+      d.render();
+      expect(canvas.calls[0]).toEqual({ fillStyle: '#000000', x: 0, y: 0, w: 800, h: 600 });
+    });
+
+    it('pixels already dark under the old model stay dark after switching to a longer one', () => {
+      const d = createDisplayForTest({ emulatedWidth: 5, emulatedHeight: 1 });
+      litThenOff(d);
+      d.setTime(1000);
+      d.setDecayModel('longPersistence');
+      expect(d.calculateBrightness(d.getPixelInfo(0, 0), 1000)).toBe(0);
+    });
+
+    it('rejects unknown models', () => {
+      const d = createDisplayForTest({ emulatedWidth: 5, emulatedHeight: 1 });
+      expect(() => d.setDecayModel('plasma')).toThrow(/unknown decay model/);
+      expect(d.getDecayModel().name).toBe('crt');
+    });
+  });
+
+  describe('2.10 layers', () => {
+    function layered() {
+      const d = createDisplayForTest({ emulatedWidth: 5, emulatedHeight: 1 });
+      d.addLayer('back');
+      d.addLayer('front');
+      return d;
+    }
+
+    it('starts with a default layer; addLayer stacks above the top by default', () => {
+      const d = layered();
+      expect(d.getActiveLayer()).toBe('default');
+      expect(d.getLayers()).toEqual([
+        { name: 'default', z: 0, visible: true },
+        { name: 'back', z: 1, visible: true },
+        { name: 'front', z: 2, visible: true }
+      ]);
+    });
+
+    it('the topmost layer lighting a pixel sets its color and intensity', () => {
+      const d = layered();
+      d.setPalette('multi');
+      d.withLayer('back', () => d.setPixel(0, 0, 1, 3));
+      d.withLayer('front', () => d.setPixel(0, 0, 0.5, 5));
+      expect(d.getPixelColor(0, 0)).toBe(5);
+      expect(d.getPixelIntensity(0, 0)).toBeCloseTo(0.5, 2);
+      d.clearLayer('front');
+      expect(d.getPixelColor(0, 0)).toBe(3);
+      expect(d.getPixelIntensity(0, 0)).toBe(1);
+    });
+
+    it('clearLayer and clearRect only affect one layer; clear() affects all', () => {
+      const d = layered();
+      d.withLayer('back', () => d.drawLineH(0, 0, 1));
+      d.withLayer('front', () => d.drawLineH(0, 1, 2));
+      d.clearLayer('back');
+      expect(d.toASCII(0, 0, 5, 1)).toBe('.##..');
+      d.withLayer('front', () => d.clearRect(2, 0, 1, 1));
+      expect(d.toASCII(0, 0, 5, 1)).toBe('.#...');
+      d.clear();
+      expect(d.toASCII(0, 0, 5, 1)).toBe('.....');
+      expect(d.getLayerPixel('front', 1, 0)).toBe(false);
+    });
+
+    it('hidden layers keep their pixels and come back when shown', () => {
+      const d = layered();
+      d.withLayer('front', () => d.setPixel(2, 0, true));
+      d.setLayerVisible('front', false);
+      expect(d.getPixel(2, 0)).toBe(false);
+      expect(d.getLayerPixel('front', 2, 0)).toBe(true);
+      d.setLayerVisible('front', true);
+      expect(d.getPixel(2, 0)).toBe(true);
+    });
+
+    it('a mask hides lower layers (lit or not), survives clears and only applies while visible', () => {
+      const d = layered();
+      d.setLayerMask('front', 0, 0, 2, 1);
+      d.withLayer('back', () => d.drawLineH(0, 0, 4));
+      expect(d.toASCII(0, 0, 5, 1)).toBe('..###');
+      d.withLayer('front', () => d.setPixel(1, 0, true));
+      expect(d.toASCII(0, 0, 5, 1)).toBe('.####');
+      d.clear();
+      d.withLayer('back', () => d.drawLineH(0, 0, 4));
+      expect(d.toASCII(0, 0, 5, 1)).toBe('..###');
+      d.setLayerVisible('front', false);
+      expect(d.toASCII(0, 0, 5, 1)).toBe('#####');
+      d.setLayerVisible('front', true);
+      d.clearLayerMask('front');
+      expect(d.toASCII(0, 0, 5, 1)).toBe('#####');
+    });
+
+    it('setLayerZ reorders composition', () => {
+      const d = layered();
+      d.setPalette('multi');
+      d.withLayer('back', () => d.setPixel(0, 0, true, 2));
+      d.withLayer('front', () => d.setPixel(0, 0, true, 4));
+      d.setLayerZ('back', 10);
+      expect(d.getLayers().map((l) => l.name)).toEqual(['default', 'front', 'back']);
+      expect(d.getPixelColor(0, 0)).toBe(2);
+    });
+
+    it('a pixel covered by another layer does not restart its fade-in', () => {
+      const d = layered();
+      d.setTime(1);
+      d.withLayer('back', () => d.setPixel(0, 0, true));
+      d.setTime(30);
+      d.withLayer('front', () => d.setPixel(0, 0, true));
+      d.clearLayer('front');
+      expect(d.getPixelInfo(0, 0).onTimestamp).toBe(1);
+    });
+
+    it('removeLayer drops its pixels; withLayer restores the active layer even on throw', () => {
+      const d = layered();
+      d.withLayer('front', () => d.setPixel(0, 0, true));
+      expect(() => d.withLayer('back', () => { throw new Error('boom'); })).toThrow('boom');
+      expect(d.getActiveLayer()).toBe('default');
+      d.setLayer('front');
+      d.removeLayer('front');
+      expect(d.getPixel(0, 0)).toBe(false);
+      expect(d.getActiveLayer()).toBe('default');
+    });
+
+    it('rejects unknown and duplicate layers', () => {
+      const d = layered();
+      expect(() => d.setLayer('nope')).toThrow(/unknown layer: nope/);
+      expect(() => d.addLayer('back')).toThrow(/already exists/);
+      expect(() => d.removeLayer('default')).toThrow(/default layer/);
+    });
+  });
+
+  describe('2.11 sprite blit', () => {
+    // L shape: 3 rows x 2 cols
+    const L = [
+      [1, 0],
+      [1, 0],
+      [1, 1]
+    ];
+
+    function blitted(options, w = 5, h = 5) {
+      const d = createDisplayForTest({ emulatedWidth: w, emulatedHeight: h });
+      d.blit(L, 0, 0, options);
+      return d.toASCII(0, 0, w, h);
+    }
+
+    it('draws the pattern at (x, y) like drawPattern', () => {
+      expect(blitted({}, 3, 3)).toBe('#..\n#..\n##.');
+    });
+
+    it('flipH and flipV mirror the sprite', () => {
+      expect(blitted({ flipH: true }, 2, 3)).toBe('.#\n.#\n##');
+      expect(blitted({ flipV: true }, 2, 3)).toBe('##\n#.\n#.');
+    });
+
+    it('rotate turns the sprite clockwise in 90° steps (flips apply first)', () => {
+      expect(blitted({ rotate: 90 }, 3, 2)).toBe('###\n#..');
+      expect(blitted({ rotate: 180 }, 2, 3)).toBe('##\n.#\n.#');
+      expect(blitted({ rotate: 270 }, 3, 2)).toBe('..#\n###');
+      expect(blitted({ rotate: 90, flipH: true }, 3, 2)).toBe('#..\n###');
+    });
+
+    it('scales up and down', () => {
+      expect(blitted({ scale: 2 }, 4, 6)).toBe('##..\n##..\n##..\n##..\n####\n####');
+      const d = createDisplayForTest({ emulatedWidth: 4, emulatedHeight: 4 });
+      d.blit([[1, 0, 1, 0], [0, 0, 0, 0], [1, 0, 1, 0], [0, 0, 0, 0]], 0, 0, { scale: 0.5 });
+      expect(d.toASCII(0, 0, 4, 4)).toBe('##..\n##..\n....\n....');
+    });
+
+    it('blocks draws every cell as a ceil(scale) square at its scaled position', () => {
+      const d = createDisplayForTest({ emulatedWidth: 4, emulatedHeight: 1 });
+      d.blit([[1, 0, 1]], 0, 0, { scale: 1.5, blocks: true });
+      // cells at x = 0, 1.5, 3 -> blocks [0,1] and [3,4]
+      expect(d.toASCII(0, 0, 4, 1)).toBe('##.#');
+    });
+
+    it('clip limits drawing to a rect; off-screen parts are skipped', () => {
+      expect(blitted({ clip: { x: 0, y: 1, width: 1, height: 5 } }, 3, 3)).toBe('...\n#..\n#..');
+      const d = createDisplayForTest({ emulatedWidth: 3, emulatedHeight: 3 });
+      d.blit(L, -1, 0);
+      expect(d.toASCII(0, 0, 3, 3)).toBe('...\n...\n#..');
+    });
+
+    it('transparent keeps what is under 0 cells; opaque turns it off', () => {
+      const d = createDisplayForTest({ emulatedWidth: 2, emulatedHeight: 3 });
+      d.drawRectFilled(0, 0, 2, 3);
+      d.blit(L, 0, 0);
+      expect(d.toASCII(0, 0, 2, 3)).toBe('##\n##\n##');
+      d.blit(L, 0, 0, { mode: 'opaque' });
+      expect(d.toASCII(0, 0, 2, 3)).toBe('#.\n#.\n##');
+    });
+
+    it('xor inverts pixels under lit cells; erase turns them off', () => {
+      const d = createDisplayForTest({ emulatedWidth: 2, emulatedHeight: 3 });
+      d.drawLineV(1, 0, 2);
+      d.blit(L, 0, 0, { mode: 'xor' });
+      expect(d.toASCII(0, 0, 2, 3)).toBe('##\n##\n#.');
+      d.blit(L, 0, 0, { mode: 'xor' });
+      expect(d.toASCII(0, 0, 2, 3)).toBe('.#\n.#\n.#');
+      d.blit([[1, 1]], 0, 2, { mode: 'erase' });
+      expect(d.toASCII(0, 0, 2, 3)).toBe('.#\n.#\n..');
+    });
+
+    it('uses color and intensity for lit cells', () => {
+      const d = createDisplayForTest({ emulatedWidth: 2, emulatedHeight: 1 });
+      d.setPalette('multi');
+      d.blit([[1, 0.5]], 0, 0, { color: 3, intensity: 0.5 });
+      expect(d.getPixelColor(0, 0)).toBe(3);
+      expect(d.getPixelIntensity(0, 0)).toBeCloseTo(0.5, 2);
+      expect(d.getPixelIntensity(1, 0)).toBeCloseTo(0.25, 2);
+    });
+
+    it('rejects bad scale, rotation and mode', () => {
+      const d = createDisplayForTest({ emulatedWidth: 2, emulatedHeight: 2 });
+      expect(() => d.blit(L, 0, 0, { scale: 0 })).toThrow(RangeError);
+      expect(() => d.blit(L, 0, 0, { rotate: 45 })).toThrow(/rotate must be 0, 90, 180 or 270/);
+      expect(() => d.blit(L, 0, 0, { mode: 'add' })).toThrow(/unknown mode: add/);
+    });
+  });
+
+  describe('2.12 geometric primitives', () => {
+    const ascii = (rows) => rows.join('\n');
+
+    it('drawLine is Bresenham in every direction, ends included', () => {
+      const d = createDisplayForTest({ emulatedWidth: 8, emulatedHeight: 4 });
+      d.drawLine(0, 0, 7, 3);
+      expect(d.toASCII(0, 0, 8, 4)).toBe(ascii(['##......', '..##....', '....##..', '......##']));
+      const e = createDisplayForTest({ emulatedWidth: 8, emulatedHeight: 4 });
+      e.drawLine(7, 3, 0, 0);
+      expect(e.toASCII(0, 0, 8, 4)).toBe(d.toASCII(0, 0, 8, 4));
+      const f = createDisplayForTest({ emulatedWidth: 3, emulatedHeight: 3 });
+      f.drawLine(2, 0, 0, 2);
+      expect(f.toASCII(0, 0, 3, 3)).toBe(ascii(['..#', '.#.', '#..']));
+    });
+
+    it('drawLine dash patterns and dashOffset', () => {
+      const d = createDisplayForTest({ emulatedWidth: 10, emulatedHeight: 2 });
+      d.drawLine(0, 0, 9, 0, { dash: [3, 2] });
+      d.drawLine(0, 1, 9, 1, { dash: [3, 2], dashOffset: 1 });
+      expect(d.toASCII(0, 0, 10, 2)).toBe(ascii(['###..###..', '##..###..#']));
+      expect(() => d.drawLine(0, 0, 1, 1, { dash: [0, 0] })).toThrow(/zero length/);
+      expect(() => d.drawLine(0, 0, 1, 1, { dash: [1.5] })).toThrow(RangeError);
+    });
+
+    it('drawCircle outline and filled (midpoint)', () => {
+      const d = createDisplayForTest({ emulatedWidth: 7, emulatedHeight: 7 });
+      d.drawCircle(3, 3, 3);
+      const outline = ascii(['..###..', '.#...#.', '#.....#', '#.....#', '#.....#', '.#...#.', '..###..']);
+      expect(d.toASCII(0, 0, 7, 7)).toBe(outline);
+      d.clear();
+      d.drawCircle(3, 3, 3, { filled: true });
+      expect(d.toASCII(0, 0, 7, 7)).toBe(ascii(['..###..', '.#####.', '#######', '#######', '#######', '.#####.', '..###..']));
+      d.clear();
+      d.drawCircle(3, 3, 0);
+      expect(d.toASCII(2, 2, 3, 3)).toBe(ascii(['...', '.#.', '...']));
+    });
+
+    it('drawArc goes clockwise from startAngle to endAngle; filled draws the pie slice', () => {
+      const d = createDisplayForTest({ emulatedWidth: 7, emulatedHeight: 7 });
+      d.drawArc(3, 3, 3, 0, Math.PI / 2);
+      expect(d.toASCII(0, 0, 7, 7)).toBe(ascii(['.......', '.......', '.......', '......#', '......#', '.....#.', '...##..']));
+      d.clear();
+      d.drawArc(3, 3, 3, Math.PI, Math.PI * 1.5, { filled: true });
+      expect(d.toASCII(0, 0, 7, 7)).toBe(ascii(['..##...', '.###...', '####...', '####...', '.......', '.......', '.......']));
+      d.clear();
+      d.drawArc(3, 3, 3, Math.PI * 1.5, Math.PI / 2); // wraps past 0: the right half
+      expect(d.toASCII(0, 0, 7, 7)).toBe(ascii(['...##..', '.....#.', '......#', '......#', '......#', '.....#.', '...##..']));
+    });
+
+    it('drawPolygon / drawTriangle outline and filled', () => {
+      const d = createDisplayForTest({ emulatedWidth: 9, emulatedHeight: 5 });
+      d.drawTriangle(0, 4, 4, 0, 8, 4);
+      expect(d.toASCII(0, 0, 9, 5)).toBe(ascii(['....#....', '...#.#...', '..#...#..', '.#.....#.', '#########']));
+      d.clear();
+      d.drawTriangle(0, 4, 4, 0, 8, 4, { filled: true });
+      expect(d.toASCII(0, 0, 9, 5)).toBe(ascii(['....#....', '...###...', '..#####..', '.#######.', '#########']));
+      d.clear();
+      d.drawPolygon([[0, 0], [3, 0], [3, 3], [0, 3]], { filled: true });
+      expect(d.toASCII(0, 0, 5, 5)).toBe(ascii(['####.', '####.', '####.', '####.', '.....']));
+    });
+
+    it('shape options: clip and brush', () => {
+      const d = createDisplayForTest({ emulatedWidth: 7, emulatedHeight: 3 });
+      d.drawLine(0, 1, 6, 1, { clip: { x: 2, y: 0, width: 3, height: 3 } });
+      expect(d.toASCII(0, 0, 7, 3)).toBe(ascii(['.......', '..###..', '.......']));
+      d.clear();
+      d.drawLine(1, 1, 5, 1, { brush: [[1, 1, 1], [1, 1, 1], [1, 1, 1]] });
+      expect(d.toASCII(0, 0, 7, 3)).toBe(ascii(['#######', '#######', '#######']));
+    });
+
+    it('floodFill fills the connected region up to the other state', () => {
+      const d = createDisplayForTest({ emulatedWidth: 7, emulatedHeight: 5 });
+      d.drawRectOutline(0, 0, 5, 5);
+      expect(d.floodFill(2, 2)).toBe(9);
+      expect(d.toASCII(0, 0, 7, 5)).toBe(ascii(['#####..', '#####..', '#####..', '#####..', '#####..']));
+      expect(d.floodFill(6, 0)).toBe(10);
+      expect(d.toASCII(0, 0, 7, 5)).toBe(ascii(['#######', '#######', '#######', '#######', '#######']));
+    });
+
+    it('floodFill connectivity and clip', () => {
+      const d = createDisplayForTest({ emulatedWidth: 3, emulatedHeight: 3 });
+      d.drawLine(0, 2, 2, 0);
+      expect(d.floodFill(0, 0)).toBe(3);
+      d.clear();
+      d.drawLine(0, 2, 2, 0);
+      expect(d.floodFill(0, 0, { connectivity: 8 })).toBe(6);
+      d.clear();
+      expect(d.floodFill(0, 0, { clip: { x: 0, y: 0, width: 2, height: 1 } })).toBe(2);
+      expect(() => d.floodFill(0, 0, { connectivity: 6 })).toThrow(RangeError);
+    });
+  });
+
+  describe('2.13 text', () => {
+    // 2x3 block glyphs, 1px spacing, 3px space
+    const font = new PixelFont('blocks', {
+      A: [[1, 1], [1, 1], [1, 1]],
+      B: [[1, 0], [1, 1], [1, 0]]
+    });
+
+    it('drawText lays glyphs out left to right with letterSpacing; spaces advance spaceWidth', () => {
+      const d = createDisplayForTest({ emulatedWidth: 12, emulatedHeight: 3 });
+      const size = d.drawText('AB A', 0, 0, { font });
+      expect(d.toASCII(0, 0, 12, 3)).toBe('##.#.....##.\n##.##....##.\n##.#.....##.');
+      expect(size).toMatchObject({ width: 11, height: 3 });
+    });
+
+    it('align positions lines against x', () => {
+      const d = createDisplayForTest({ emulatedWidth: 9, emulatedHeight: 3 });
+      d.drawText('AA', 4, 0, { font, align: 'center' });
+      expect(d.toASCII(0, 0, 9, 1)).toBe('..##.##..');
+      d.clear();
+      d.drawText('AA', 9, 0, { font, align: 'right' });
+      expect(d.toASCII(0, 0, 9, 1)).toBe('....##.##');
+    });
+
+    it('scale scales glyphs and default spacings; letterSpacing overrides', () => {
+      const d = createDisplayForTest({ emulatedWidth: 10, emulatedHeight: 6 });
+      expect(d.measureText('AA', { font, scale: 2 })).toMatchObject({ width: 10, height: 6 });
+      d.drawText('AA', 0, 0, { font, scale: 2, letterSpacing: 0 });
+      expect(d.toASCII(0, 0, 10, 1)).toBe('########..');
+    });
+
+    it('wraps at maxWidth between words and splits words that do not fit', () => {
+      const d = createDisplayForTest({ emulatedWidth: 8, emulatedHeight: 12 });
+      const m = d.measureText('AA A AAA', { font, maxWidth: 5 });
+      expect(m.lines).toEqual([
+        { text: 'AA', width: 5 },
+        { text: 'A', width: 2 },
+        { text: 'AA', width: 5 },
+        { text: 'A', width: 2 }
+      ]);
+      expect(m.height).toBe(4 * 4 - 1);
+      expect(d.measureText('A\nAA', { font }).lines.map((l) => l.text)).toEqual(['A', 'AA']);
+      d.drawText('A A', 4, 0, { font, maxWidth: 4, align: 'center' });
+      expect(d.toASCII(0, 0, 8, 7)).toBe('...##...\n...##...\n...##...\n........\n...##...\n...##...\n...##...');
+    });
+
+    it('uses registered fonts by name and rejects bad options', () => {
+      const d = createDisplayForTest({ emulatedWidth: 4, emulatedHeight: 4 });
+      expect(() => d.drawText('A', 0, 0, { font: 'nope' })).toThrow(/unknown font: nope/);
+      expect(() => d.drawText('A', 0, 0, { font, align: 'middle' })).toThrow(/align must be/);
+      expect(() => d.measureText('A', { font, maxWidth: 0 })).toThrow(RangeError);
+    });
+  });
+
+  describe('2.14 serialization', () => {
+    it('fromASCII writes toASCII art back, turning . pixels OFF', () => {
+      const d = createDisplayForTest({ emulatedWidth: 6, emulatedHeight: 4 });
+      d.drawRectFilled(0, 0, 6, 4);
+      const art = '.##.\n#..#\n.##.';
+      expect(d.fromASCII(art, 1, 0)).toEqual({ width: 4, height: 3 });
+      expect(d.toASCII(1, 0, 4, 3)).toBe(art);
+      expect(d.toASCII(0, 0, 6, 1)).toBe('#.##.#');
+      d.fromASCII('##\r\n#\n', 4, 2, { intensity: 0.5 });
+      expect(d.toASCII(4, 2, 2, 2)).toBe('##\n##');
+      expect(d.getPixelIntensity(4, 3)).toBeCloseTo(0.5, 2);
+      expect(() => d.fromASCII('#x#', 0, 0)).toThrow('PixelDisplay.fromASCII: bad character "x" at row 0, column 1');
+    });
+
+    it('round-trips the framebuffer through PBM, whole or by region', () => {
+      const d = createDisplayForTest({ emulatedWidth: 10, emulatedHeight: 3 });
+      d.fromASCII('#........#\n.#......#.\n..######..');
+      const copy = createDisplayForTest({ emulatedWidth: 10, emulatedHeight: 3 });
+      copy.drawRectFilled(0, 0, 10, 3);
+      expect(copy.fromPBM(d.toPBM())).toEqual({ width: 10, height: 3 });
+      expect(copy.toASCII(0, 0, 10, 3)).toBe(d.toASCII(0, 0, 10, 3));
+      expect(d.toPBM({ x: 1, y: 1, width: 3, height: 2, plain: true })).toBe('P1\n3 2\n100\n011\n');
+      expect(() => d.toPBM({ x: 10 })).toThrow(RangeError);
+    });
+
+    it('restore puts back pixels, layers and fades, resuming fades where they were', () => {
+      const d = createDisplayForTest({ emulatedWidth: 4, emulatedHeight: 2 });
+      d.addLayer('top');
+      d.setTime(100);
+      d.setPixel(0, 0, true);
+      d.withLayer('top', () => d.setPixel(1, 0, true, 2));
+      d.setLayerMask('top', 3, 0, 1, 2);
+      d.setTime(120);
+      d.setPixel(0, 0, false);
+      d.setTime(130);
+      const fadingThen = d.calculateBrightness(d.getPixelInfo(0, 0), 130);
+      const snap = d.snapshot();
+
+      d.clear();
+      d.removeLayer('top');
+      d.setTime(5000);
+      d.restore(snap);
+      expect(d.toASCII(0, 0, 4, 2)).toBe('.#..\n....');
+      expect(d.getPixelColor(1, 0)).toBe(2);
+      expect(d.getLayers().map((l) => l.name)).toEqual(['default', 'top']);
+      expect(d.calculateBrightness(d.getPixelInfo(0, 0), 5000)).toBeCloseTo(fadingThen, 6);
+      d.setPixel(3, 0, true);
+      expect(d.getPixel(3, 0)).toBe(false); // mask restored
+
+      d.restore(snap, { rebase: false });
+      expect(d.getPixelInfo(0, 0).offTimestamp).toBe(120);
+    });
+
+    it('snapshots are independent copies and must match the display size', () => {
+      const d = createDisplayForTest({ emulatedWidth: 3, emulatedHeight: 1 });
+      const snap = d.snapshot();
+      d.setPixel(0, 0, true);
+      expect(snap.state[0]).toBe(0);
+      d.restore(snap);
+      expect(d.getPixel(0, 0)).toBe(false);
+      const other = createDisplayForTest({ emulatedWidth: 2, emulatedHeight: 1 });
+      expect(() => other.restore(snap)).toThrow('PixelDisplay.restore: snapshot is 3x1, display is 2x1');
+      expect(() => other.restore({})).toThrow('PixelDisplay.restore: not a snapshot');
+    });
+  });
+
+  describe('2.15 resize, auto-fit and fullscreen', () => {
+    const styledCanvas = () => ({ ...createMockCanvas(), style: {} });
+
+    it('resize recomputes canvas size, pixel size and gaps', () => {
+      const canvas = styledCanvas();
+      const d = createDisplayForTest({ canvas, emulatedWidth: 10, emulatedHeight: 5, displayWidth: 59, displayHeight: 29 });
+      expect(d.pixelWidth).toBe(5);
+      expect(d.resize(109, 54)).toEqual({ x: 0, y: 0, width: 109, height: 54 });
+      expect([canvas.width, canvas.height]).toEqual([109, 54]);
+      expect([d.pixelWidth, d.pixelHeight]).toEqual([10, 10]);
+      expect([canvas.style.width, canvas.style.height]).toEqual(['109px', '54px']);
+    });
+
+    it('scales the backing store and gaps by devicePixelRatio', () => {
+      const canvas = styledCanvas();
+      const d = createDisplayForTest({ canvas, emulatedWidth: 10, emulatedHeight: 5 });
+      d.resize(109, 54, { devicePixelRatio: 2 });
+      expect([canvas.width, canvas.height]).toEqual([218, 108]);
+      expect([d.gapWidth, d.gapHeight]).toEqual([2, 2]);
+      expect(d.pixelWidth).toBe(20);
+      expect(canvas.style.width).toBe('109px');
+      d.resize(109, 54, { devicePixelRatio: 1.5, gap: 0.25 });
+      expect(d.gapWidth).toBe(1);
+      expect(d.pixelWidth).toBeCloseTo(15.5, 5);
+    });
+
+    it('keeps at least a one device pixel gap, so cells never share output pixels', () => {
+      const renderer = new HeadlessRenderer();
+      const d = new PixelDisplay(null, 4, 2, 40, 20, 60, { renderer, decay: 'instant' });
+      expect(() => d.resize(79, 39, { gap: 0 })).toThrow('PixelDisplay.resize: gap must be positive, got 0');
+      expect(() => d.resize(79, 39, { gap: -1 })).toThrow(RangeError);
+      expect(d.gapWidth).toBe(1);
+      d.resize(79, 39, { devicePixelRatio: 1.5, gap: 0.1 });
+      expect(d.gapWidth).toBe(1);
+      d.setPixel(0, 0, true);
+      d.render(1, { now: 1000 });
+      d.setPixel(0, 0, false);
+      d.setPixel(1, 0, true);
+      d.render(1, { now: 2000 });
+      // The gap column between the two cells stays black, and the unlit cell left no lit edge behind
+      const gapX = Math.ceil(d.pixelWidth);
+      for (let x = 0; x < renderer.width; x++) {
+        const lit = renderer.getPixelRGBA(x, 5)[1] > 0;
+        expect(lit).toBe(x > gapX && x < 2 * d.pixelWidth + d.gapWidth);
+      }
+    });
+
+    it('letterboxes to the emulated aspect ratio with square pixels, centered by the margins', () => {
+      const canvas = styledCanvas();
+      const d = createDisplayForTest({ canvas, emulatedWidth: 10, emulatedHeight: 5 });
+      const box = d.resize(1000, 300, { letterbox: true });
+      expect(box).toEqual({ x: 199.5, y: 0, width: 601, height: 300 });
+      expect(d.pixelWidth).toBeCloseTo(d.pixelHeight, 5);
+      expect(canvas.style.margin).toBe('0px 199px');
+      expect(d.resize(100, 400, { letterbox: true })).toMatchObject({ width: 100, height: 50 });
+    });
+
+    it('renders at the new size after a resize', () => {
+      const renderer = new HeadlessRenderer();
+      const d = new PixelDisplay(null, 4, 2, 40, 20, 60, { renderer, decay: 'instant' });
+      d.setPixel(3, 1, true);
+      d.resize(79, 39);
+      d.render(1, { now: 1000 });
+      expect([renderer.width, renderer.height]).toEqual([79, 39]);
+      expect(renderer.getPixelRGBA(78, 38)[1]).toBeGreaterThan(0);
+      expect(renderer.getPixelRGBA(59, 38)[1]).toBe(0); // gap
+    });
+
+    it('rejects sizes too small for the emulated pixels', () => {
+      const d = createDisplayForTest({ emulatedWidth: 10, emulatedHeight: 5 });
+      expect(() => d.resize(9, 50)).toThrow('PixelDisplay.resize: 9x50 is too small for 10x5 pixels with 1px gaps');
+      expect(() => d.resize(0, 50)).toThrow(RangeError);
+      expect(() => d.resize(50, 50, { devicePixelRatio: 0 })).toThrow(RangeError);
+    });
+
+    it('autoFit follows an element until stopped', () => {
+      const listeners = {};
+      globalThis.window = {
+        devicePixelRatio: 2,
+        addEventListener: (type, fn) => { listeners[type] = fn; },
+        removeEventListener: (type, fn) => { if (listeners[type] === fn) delete listeners[type]; }
+      };
+      try {
+        const d = createDisplayForTest({ emulatedWidth: 10, emulatedHeight: 5 });
+        const box = { clientWidth: 109, clientHeight: 100 };
+        const stop = d.autoFit(box);
+        expect([d.displayWidth, d.displayHeight, d.devicePixelRatio]).toEqual([218, 108, 2]);
+        box.clientWidth = 59;
+        listeners.resize();
+        expect(d.displayWidth).toBe(118);
+        box.clientWidth = 5;
+        listeners.resize(); // too small: keeps the last size
+        expect(d.displayWidth).toBe(118);
+        stop();
+        expect(listeners.resize).toBeUndefined();
+      } finally {
+        delete globalThis.window;
+      }
+    });
+
+    it('toggleFullscreen resolves false without a DOM', async () => {
+      const d = createDisplayForTest();
+      expect(d.isFullscreen()).toBe(false);
+      await expect(d.toggleFullscreen()).resolves.toBe(false);
+    });
+  });
+
+  describe('2.16 client <-> pixel mapping', () => {
+    // 10x5 pixels of 9px with 1px gaps (99x49) shown stretched 2x at (100, 50)
+    const stretchedCanvas = (style = {}) => ({
+      ...createMockCanvas(),
+      style,
+      getBoundingClientRect: () => ({ left: 100, top: 50, width: 198, height: 98 })
+    });
+
+    it('maps client points through the on-screen rect and the gap layout', () => {
+      const d = createDisplayForTest({ canvas: stretchedCanvas(), emulatedWidth: 10, emulatedHeight: 5, displayWidth: 99, displayHeight: 49 });
+      expect(d.clientToPixel(100, 50)).toEqual({ x: 0, y: 0 });
+      expect(d.clientToPixel(100 + 2 * 19, 50 + 2 * 9)).toEqual({ x: 1, y: 0 }); // first half of a gap
+      expect(d.clientToPixel(100 + 2 * 19.6, 50 + 2 * 9.6)).toEqual({ x: 2, y: 1 }); // second half
+      expect(d.clientToPixel(100 + 2 * 18.9, 50)).toEqual({ x: 1, y: 0 });
+      expect(d.clientToPixel(297.9, 147.9)).toEqual({ x: 9, y: 4 });
+      expect(d.clientToPixel(99, 60)).toBeNull();
+      expect(d.clientToPixel(298, 60)).toBeNull();
+      expect(d.pixelToClient(1, 1)).toEqual({ x: 100 + 2 * 14.5, y: 50 + 2 * 14.5 });
+      expect(d.clientToPixel(d.pixelToClient(7, 3).x, d.pixelToClient(7, 3).y)).toEqual({ x: 7, y: 3 });
+      expect(d.pixelToClient(10, 0)).toBeNull();
+    });
+
+    it('accounts for object-fit: contain letterboxing inside the element', () => {
+      const canvas = { ...stretchedCanvas({ objectFit: 'contain' }), getBoundingClientRect: () => ({ left: 0, top: 0, width: 198, height: 198 }) };
+      const d = createDisplayForTest({ canvas, emulatedWidth: 10, emulatedHeight: 5, displayWidth: 99, displayHeight: 49 });
+      expect(d.clientToPixel(1, 10)).toBeNull(); // top bar
+      expect(d.clientToPixel(1, 51)).toEqual({ x: 0, y: 0 });
+      expect(d.pixelToClient(0, 4).y).toBeCloseTo(50 + 2 * 44.5, 5);
+    });
+
+    it('uses the CSS size without a DOM canvas, and follows resize', () => {
+      const d = createDisplayForTest({ emulatedWidth: 10, emulatedHeight: 5, displayWidth: 99, displayHeight: 49 });
+      expect(d.clientToPixel(95, 45)).toEqual({ x: 9, y: 4 });
+      d.resize(99, 49, { devicePixelRatio: 2 });
+      expect(d.clientToPixel(95, 45)).toEqual({ x: 9, y: 4 });
+      expect(d.pixelToClient(0, 0)).toEqual({ x: 4.5, y: 4.5 });
+    });
+
+    it('returns the pixel actually shown while degauss wobbles the picture', () => {
+      const d = createDisplayForTest({ emulatedWidth: 40, emulatedHeight: 30, displayWidth: 400, displayHeight: 300 });
+      d.setTime(1);
+      d.degauss();
+      d.render(1, { now: 60 });
+      const moved = [];
+      for (let x = 0; x < 40; x += 4) {
+        const p = d.pixelToClient(x, 1);
+        const hit = d.clientToPixel(p.x, p.y);
+        if (hit.x !== x || hit.y !== 1) moved.push(hit);
+      }
+      expect(moved.length).toBeGreaterThan(0);
+      d.render(1, { now: 10000 });
+      expect(d.clientToPixel(d.pixelToClient(8, 1).x, d.pixelToClient(8, 1).y)).toEqual({ x: 8, y: 1 });
+    });
+
+    it('hit-tests against the rendered frame without advancing running effects', () => {
+      /** Slides the picture one more pixel right on every update. */
+      class Slide extends ScreenEffect {
+        constructor() {
+          super('slide', {}, { durationMs: 1000 });
+          this.updates = 0;
+        }
+        update(elapsedMs) {
+          super.update(elapsedMs);
+          this.updates++;
+        }
+        warp(pos, display) {
+          pos.x -= this.updates * (display.pixelWidth + display.gapWidth);
+        }
+      }
+      const d = createDisplayForTest({ emulatedWidth: 40, emulatedHeight: 30, displayWidth: 400, displayHeight: 300 });
+      d.setTime(1);
+      const slide = d.triggerEffect(new Slide());
+      d.render(1, { now: 50 });
+      const { x, y } = d.pixelToClient(20, 5);
+      const shown = d.clientToPixel(x, y);
+      expect(shown).toEqual({ x: 20 - slide.updates, y: 5 });
+      const updates = slide.updates;
+      for (let i = 0; i < 5; i++) expect(d.clientToPixel(x, y)).toEqual(shown);
+      expect(slide.updates).toBe(updates);
+      // One triggered after the frame is not in it yet
+      d.setTime(60);
+      const later = d.triggerEffect(new Slide());
+      const laterUpdates = later.updates;
+      expect(d.clientToPixel(x, y)).toEqual(shown);
+      expect(later.updates).toBe(laterUpdates);
+    });
+  });
 });
@@ -0,0 +1,367 @@
+/**
+ * Pong simulation tests: determinism from seed and inputs, stepping, scoring, match end and the AI. No display.
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  createPongState, stepPong, clonePongState, pongRandom, pongSpinConfig, pongAISkill, servePongBall, movePongBall,
+  checkPongMatchEnd
+} from '../src/pong-sim.js';
+import { DT_MS, GOALS_TO_WIN, MAX_SPEED_MULTIPLIER } from '../src/constants.js';
+
+/** Scripted inputs: left paddle sweeps up and down, right (2P) the other way. */
+function scriptedInputs(step) {
+  const phase = Math.floor(step / 40) % 2;
+  return { left: phase ? 'up' : 'down', right: phase ? 'down' : 'up', degauss: null };
+}
+
+/** Play steps from a fresh state and return every state. */
+function play(options, steps, inputsFor = scriptedInputs) {
+  let state = createPongState(options);
+  const states = [state];
+  for (let i = 0; i < steps; i++) {
+    state = stepPong(state, inputsFor(i), DT_MS);
+    states.push(state);
+  }
+  return states;
+}
+
+describe('pong-sim', () => {
+  describe('pongRandom', () => {
+    it('repeats the same sequence for the same seed and stays in [0, 1)', () => {
+      const a = createPongState({ seed: 7 });
+      const b = createPongState({ seed: 7 });
+      const c = createPongState({ seed: 8 });
+      const seqA = Array.from({ length: 100 }, () => pongRandom(a));
+      const seqB = Array.from({ length: 100 }, () => pongRandom(b));
+      expect(seqA).toEqual(seqB);
+      expect(pongRandom(c)).not.toBe(seqA[0]);
+      expect(seqA.every((v) => v >= 0 && v < 1)).toBe(true);
+    });
+  });
+
+  describe('stepPong', () => {
+    it('plays the same match for the same seed and inputs', () => {
+      for (const rightPlayer of ['2P', 1, 3]) {
+        const a = play({ seed: 42, rightPlayer }, 3000);
+        const b = play({ seed: 42, rightPlayer }, 3000);
+        expect(b[3000]).toEqual(a[3000]);
+        expect(JSON.stringify(b)).toBe(JSON.stringify(a));
+      }
+    });
+
+    it('serves differently for a different seed', () => {
+      const a = play({ seed: 1 }, 1)[1];
+      const b = play({ seed: 2 }, 1)[1];
+      expect(a.ball.vx === b.ball.vx && a.ball.vy === b.ball.vy).toBe(false);
+    });
+
+    it('returns a new state and leaves the one passed in unchanged', () => {
+      const state = createPongState({ seed: 3 });
+      const before = JSON.stringify(state);
+      const next = stepPong(state, { left: 'up' }, DT_MS);
+      expect(JSON.stringify(state)).toBe(before);
+      expect(next).not.toBe(state);
+      expect(next.ball).not.toBe(state.ball);
+      expect(next.step).toBe(1);
+      expect(next.timeMs).toBe(DT_MS);
+    });
+
+    it('serves on the first step and moves paddles by input within the walls', () => {
+      const state = createPongState({ seed: 5, rightPlayer: '2P' });
+      expect(state.ball.vx).toBe(0);
+      let next = stepPong(state, { left: 'up', right: 'down' }, DT_MS);
+      expect(next.events[0]).toMatchObject({ type: 'serve' });
+      expect(next.serving).toBe(false);
+      expect(next.leftPaddle.y).toBeLessThan(state.leftPaddle.y);
+      expect(next.leftPaddle.vy).toBeLessThan(0);
+      expect(next.rightPaddle.y).toBeGreaterThan(state.rightPaddle.y);
+      for (let i = 0; i < 100; i++) next = stepPong(next, { left: 'up', right: 'down' }, DT_MS);
+      expect(next.leftPaddle.y).toBe(1);
+      expect(next.rightPaddle.y + next.rightPaddle.height).toBe(next.height - 1);
+    });
+
+    it('reports a goal, serves again and ends the match at goalsToWin', () => {
+      let state = createPongState({ seed: 9, rightPlayer: '2P', goalsToWin: 2 });
+      servePongBall(state);
+      state.score.right = 1;
+      state.ball.x = 0.5;
+      state.ball.vx = -1;
+      state.events = [];
+      state = stepPong(state, {}, DT_MS);
+      expect(state.events.map((e) => e.type)).toEqual(['goal', 'serve', 'gameOver']);
+      expect(state.events[0]).toMatchObject({ side: 'right', score: { left: 0, right: 2 } });
+      expect(state.winner).toBe('right');
+      expect(state.ball.vx).toBe(0);
+      const after = stepPong(state, { left: 'up' }, DT_MS);
+      expect(after.step).toBe(state.step);
+      expect(after.events).toEqual([]);
+    });
+
+    it('reports paddle hits with the side and volley count', () => {
+      const state = createPongState({ seed: 1, rightPlayer: '2P' });
+      state.serving = false;
+      state.ball.x = state.leftPaddle.x + 2.5;
+      state.ball.y = state.leftPaddle.y + 5;
+      state.ball.vx = -1;
+      const next = stepPong(state, {}, DT_MS);
+      expect(next.events).toEqual([{ type: 'hit', side: 'left', volley: 1 }]);
+      expect(next.ball.vx).toBeGreaterThan(0);
+    });
+  });
+
+  describe('movePongBall', () => {
+    /** 2P state in play with the ball at (x, y) moving by (vx, vy) per step, no spin. */
+    function inPlay(x, y, vx, vy) {
+      const state = createPongState({ seed: 1, rightPlayer: '2P' });
+      state.serving = false;
+      Object.assign(state.ball, { x, y, vx, vy, spin: 0 });
+      return state;
+    }
+
+    it('returns a ball fast enough to pass a paddle within one step', () => {
+      const probe = createPongState({ rightPlayer: '2P' });
+      const face = probe.leftPaddle.x + probe.leftPaddle.width;
+      const state = inPlay(face + 1, probe.leftPaddle.y + 7, -5, 0);
+      movePongBall(state);
+      expect(state.events).toEqual([{ type: 'hit', side: 'left', volley: 1 }]);
+      expect(state.ball.vx).toBeGreaterThan(0);
+      // Hit after a fifth of the step; the other four fifths are flown at the new speed
+      expect(state.ball.x).toBeCloseTo(face + state.ball.vx * 0.8, 10);
+      expect(state.score).toEqual({ left: 0, right: 0 });
+
+      const right = inPlay(probe.rightPaddle.x - 0.5, probe.rightPaddle.y + 3, 6, 0);
+      movePongBall(right);
+      expect(right.events).toEqual([{ type: 'hit', side: 'right', volley: 1 }]);
+      expect(right.ball.x).toBeLessThan(probe.rightPaddle.x);
+    });
+
+    it('hits the face at the point the path crosses it, corners included', () => {
+      const probe = createPongState({ rightPlayer: '2P' });
+      const paddle = probe.leftPaddle;
+      const face = paddle.x + paddle.width;
+      // Steep path that is above the paddle at the start of the step and below its top at the face
+      const state = inPlay(face + 2, paddle.y - 2, -4, 4);
+      movePongBall(state);
+      expect(state.events[0]).toMatchObject({ type: 'hit', side: 'left', volley: 1 });
+      expect(state.events[0].edge).toBeUndefined();
+      expect(state.ball.vy).toBeLessThan(0); // top of the paddle aims up
+      const corner = inPlay(face + 2, paddle.y - 2, -2, 2);
+      movePongBall(corner);
+      expect(corner.events).toEqual([{ type: 'hit', side: 'left', volley: 1 }]);
+    });
+
+    it('glances off the top and bottom edges of a paddle toward the goal', () => {
+      const probe = createPongState({ rightPlayer: '2P' });
+      const paddle = probe.leftPaddle;
+      const state = inPlay(paddle.x + 1.5, paddle.y - 1, -0.5, 3);
+      state.ball.spin = 1;
+      movePongBall(state);
+      expect(state.events).toEqual([{ type: 'hit', side: 'left', volley: 0, edge: 'top' }]);
+      expect(state.ball.vy).toBeLessThan(0);
+      expect(state.ball.vx).toBe(-0.5);
+      expect(state.ball.y).toBeLessThan(paddle.y);
+      expect(state.ball.spin).toBeLessThan(pongSpinConfig(state).dampingPerTick);
+
+      const below = inPlay(paddle.x + 1, paddle.y + paddle.height + 1, -0.5, -3);
+      movePongBall(below);
+      expect(below.events).toEqual([{ type: 'hit', side: 'left', volley: 0, edge: 'bottom' }]);
+      expect(below.ball.vy).toBeGreaterThan(0);
+      expect(below.ball.y).toBeGreaterThanOrEqual(paddle.y + paddle.height);
+    });
+
+    it('bounces off a wall at the point of contact and keeps the rest of the move', () => {
+      const state = inPlay(80, 2, 1, -3);
+      movePongBall(state);
+      expect(state.ball.y).toBeCloseTo(3, 10); // 1 up to the wall, 2 back down
+      expect(state.ball.vy).toBe(3);
+      expect(state.ball.x).toBeCloseTo(81, 10);
+      const bottom = inPlay(80, state.height - 3, 0, 2);
+      movePongBall(bottom);
+      expect(bottom.ball.y).toBeCloseTo(state.height - 3, 10);
+      expect(bottom.ball.vy).toBe(-2);
+    });
+
+    it('still scores past a paddle the ball misses', () => {
+      const probe = createPongState({ rightPlayer: '2P' });
+      const state = inPlay(4, probe.leftPaddle.y - 10, -5, 0);
+      movePongBall(state);
+      expect(state.events.map((e) => e.type)).toEqual(['goal', 'serve']);
+      expect(state.score.right).toBe(1);
+    });
+  });
+
+  describe('match rules', () => {
+    /** 2P state in play with the ball about to cross the left goal line. */
+    function aboutToConcede(rules, score) {
+      const state = createPongState({ seed: 2, rightPlayer: '2P', rules });
+      servePongBall(state);
+      Object.assign(state.score, score);
+      Object.assign(state.ball, { x: 0.5, y: 60, vx: -1, vy: 0 });
+      state.events = [];
+      return state;
+    }
+
+    it('plays on at the target until a side is two clear with winByTwo', () => {
+      let state = aboutToConcede({ targetScore: 3, winByTwo: true }, { left: 2, right: 2 });
+      state = stepPong(state, {}, DT_MS);
+      expect(state.score).toEqual({ left: 2, right: 3 });
+      expect(state.winner).toBe(null);
+      state = stepPong(aboutToConcede(state.rules, { left: 3, right: 3 }), {}, DT_MS);
+      expect(state.winner).toBe(null);
+      state = stepPong(aboutToConcede(state.rules, { left: 3, right: 4 }), {}, DT_MS);
+      expect(state.winner).toBe('right');
+      expect(state.events.map((e) => e.type)).toEqual(['goal', 'serve', 'gameOver']);
+    });
+
+    it('ends a timed match on the clock, with sudden death when level', () => {
+      const timed = { targetScore: null, timeLimitMs: 1000 };
+      let state = createPongState({ seed: 6, rightPlayer: '2P', rules: timed });
+      state.score.left = 1;
+      for (let i = 0; i < 70 && !state.winner; i++) state = stepPong(state, {}, DT_MS);
+      expect(state.winner).toBe('left');
+      expect(state.matchMs).toBeGreaterThanOrEqual(1000);
+
+      state = createPongState({ seed: 6, rightPlayer: '2P', rules: timed });
+      for (let i = 0; i < 70; i++) state = stepPong(state, {}, DT_MS);
+      expect(state.winner).toBe(null);
+      expect(state.suddenDeath).toBe(true);
+      state = stepPong(state, {}, DT_MS);
+      expect(state.events.some((e) => e.type === 'suddenDeath')).toBe(false); // reported once
+      Object.assign(state.ball, { x: 0.5, y: 60, vx: -1, vy: 0 });
+      state = stepPong(state, {}, DT_MS);
+      expect(state.winner).toBe('right');
+    });
+
+    it('picks the server by the serve rule and serves away from them', () => {
+      const servers = (serve, scorers) => {
+        const state = createPongState({ seed: 3, rightPlayer: '2P', rules: { targetScore: 99, serve } });
+        const seen = [state.server];
+        for (const scorer of scorers) {
+          Object.assign(state.ball, { x: scorer === 'right' ? -1 : state.width, vx: scorer === 'right' ? -1 : 1 });
+          state.events = [];
+          movePongBall(state);
+          const serveEvent = state.events.find((e) => e.type === 'serve');
+          expect(serveEvent).toMatchObject({ server: state.server, direction: state.server === 'left' ? 'right' : 'left' });
+          expect(Math.sign(state.ball.vx)).toBe(state.server === 'left' ? 1 : -1);
+          seen.push(state.server);
+        }
+        return seen;
+      };
+      const alternate = servers('alternate', ['left', 'left', 'right', 'left']);
+      expect(alternate.slice(1)).toEqual(alternate.slice(0, -1).map((s) => (s === 'left' ? 'right' : 'left')));
+      expect(servers('conceder', ['left', 'left', 'right']).slice(1)).toEqual(['right', 'right', 'left']);
+    });
+
+    it('waits for a manual serve with the clock stopped; the AI serves by itself', () => {
+      let state = createPongState({ seed: 4, rightPlayer: '2P', rules: { serveStart: 'manual' } });
+      for (let i = 0; i < 30; i++) state = stepPong(state, { left: 'up' }, DT_MS);
+      expect(state.serving).toBe(true);
+      expect(state.ball.vx).toBe(0);
+      expect(state.matchMs).toBe(0);
+      state = stepPong(state, { serve: { left: state.server === 'left', right: state.server === 'right' } }, DT_MS);
+      expect(state.events[0]).toMatchObject({ type: 'serve' });
+      expect(state.matchMs).toBe(DT_MS);
+
+      // After a goal the ball waits in the center again
+      Object.assign(state.ball, { x: 0.5, y: 60, vx: -1, vy: 0 });
+      state = stepPong(state, {}, DT_MS);
+      expect(state.events.map((e) => e.type)).toEqual(['goal']);
+      expect(state.ball).toMatchObject({ x: 80, y: 60, vx: 0, vy: 0 });
+
+      let ai = createPongState({ seed: 4, rightPlayer: 2, rules: { serveStart: 'manual' } });
+      ai.server = 'right';
+      let steps = 0;
+      while (ai.serving) {
+        ai = stepPong(ai, { serve: { left: true, right: true } }, DT_MS); // the human cannot serve for it
+        steps++;
+      }
+      expect(steps * DT_MS).toBeGreaterThan(900);
+      expect(ai.ball.vx).toBeLessThan(0);
+    });
+
+    it('only lets the server serve in a manual 2P match', () => {
+      for (const [server, other] of [['left', 'right'], ['right', 'left']]) {
+        let state = createPongState({ seed: 4, rightPlayer: '2P', rules: { serveStart: 'manual' } });
+        state.server = server;
+        for (let i = 0; i < 30; i++) state = stepPong(state, { serve: { [other]: true } }, DT_MS);
+        expect(state.serving).toBe(true);
+        expect(state.ball).toMatchObject({ x: 80, y: 60, vx: 0, vy: 0 });
+        state = stepPong(state, { serve: { [server]: true } }, DT_MS);
+        expect(state.events[0]).toMatchObject({ type: 'serve', server });
+      }
+    });
+
+    it('rejects a serve input that does not say which side pressed', () => {
+      const state = createPongState({ seed: 4, rightPlayer: '2P', rules: { serveStart: 'manual' } });
+      expect(() => stepPong(state, { serve: true }, DT_MS))
+        .toThrow(new TypeError('stepPong: inputs.serve must be { left, right } or null, got true'));
+      expect(stepPong(state, { serve: null }, DT_MS).serving).toBe(true);
+    });
+  });
+
+  describe('AI', () => {
+    it('sharpens the level 3 AI from 0.8 to 0.95 as the ball speeds up to MAX_SPEED_MULTIPLIER', () => {
+      const state = createPongState({ seed: 1, rightPlayer: 3 });
+      expect(pongAISkill({ ...state, speedMultiplier: 1 })).toBeCloseTo(0.8, 10);
+      expect(pongAISkill({ ...state, speedMultiplier: (1 + MAX_SPEED_MULTIPLIER) / 2 })).toBeCloseTo(0.875, 10);
+      expect(pongAISkill({ ...state, speedMultiplier: MAX_SPEED_MULTIPLIER })).toBeCloseTo(0.95, 10);
+      expect(pongAISkill({ ...state, rightPlayer: 1 })).toBe(0.2);
+    });
+
+    it('moves the right paddle toward the ball after its reaction delay', () => {
+      let state = createPongState({ seed: 11, rightPlayer: 3 });
+      state.serving = false;
+      state.ball.x = 100;
+      state.ball.y = 10;
+      state.ball.vx = 0.01;
+      state.ball.vy = -0.01;
+      const startY = state.rightPaddle.y;
+      for (let i = 0; i < 120; i++) state = stepPong(state, {}, DT_MS);
+      expect(state.rightPaddle.y).toBeLessThan(startY - 10);
+      expect(state.ai.reacting).toBe(false);
+    });
+
+    it('can be thrown off by a degauss, the same way for the same seed', () => {
+      const degaussed = (seed) => play({ seed, rightPlayer: 1 }, 200, (i) => ({
+        left: null,
+        degauss: i >= 50 && i < 150 ? { id: 1000, progress: (i - 50) / 100 } : null
+      }));
+      const a = degaussed(4);
+      expect(degaussed(4)).toEqual(a);
+      expect(a[51].ai.lastDegaussId).toBe(1000);
+      expect(a[151].ai.lastDegaussId).toBe(null);
+      const shaken = [1, 2, 3, 4, 5, 6, 7, 8].map((seed) => degaussed(seed)[60].ai.shakenOffActive);
+      expect(shaken).toContain(true);
+    });
+  });
+
+  describe('state', () => {
+    it('survives a JSON round trip and keeps playing the same', () => {
+      const states = play({ seed: 21, rightPlayer: 2 }, 600);
+      const restored = JSON.parse(JSON.stringify(states[300]));
+      let state = restored;
+      for (let i = 300; i < 600; i++) state = stepPong(state, scriptedInputs(i), DT_MS);
+      expect(state).toEqual(states[600]);
+    });
+
+    it('clonePongState copies nested objects', () => {
+      const state = createPongState();
+      const copy = clonePongState(state);
+      copy.ball.x = -5;
+      copy.score.left = 3;
+      expect(state.ball.x).not.toBe(-5);
+      expect(state.score.left).toBe(0);
+    });
+
+    it('validates options and checks the match end in place', () => {
+      expect(() => createPongState({ rightPlayer: 4 })).toThrow("createPongState: rightPlayer must be '2P', 1, 2 or 3, got 4");
+      const state = createPongState();
+      expect(state.rules.targetScore).toBe(GOALS_TO_WIN);
+      expect(checkPongMatchEnd(state)).toBe(null);
+      state.score.left = GOALS_TO_WIN;
+      expect(checkPongMatchEnd(state)).toBe('left');
+      movePongBall(state);
+      expect(state.winner).toBe('left');
+    });
+  });
+});
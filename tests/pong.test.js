@@ -4,7 +4,10 @@
 import { describe, it, expect } from 'vitest';
 import { createDisplayForTest } from './pixel-display-test-utils.js';
 import { Pong } from '../src/pong.js';
-import { GOALS_TO_WIN, BUTTON_PADDING, BUTTON_PADDING_V } from '../src/constants.js';
+import { GOALS_TO_WIN, DT_MS, BUTTON_PADDING, BUTTON_PADDING_V, PADDLE_LEFT_COLOR, PADDLE_RIGHT_COLOR, PONG_LAYERS,
+  FONT_SMALL, FONT_LARGE, FONT_PROPORTIONAL, NOTICE_MS, NOTICE_ROWS_FROM_BOTTOM } from '../src/constants.js';
+import { PIXEL_FONT } from '../src/sprites.js';
+import { HeadlessRenderer } from '../src/engine/renderers.js';
 
 function createPongForTest(displayOverrides = {}) {
   const display = createDisplayForTest({ emulatedWidth: 160, emulatedHeight: 120, ...displayOverrides });
@@ -12,61 +15,105 @@ function createPongForTest(displayOverrides = {}) {
 }
 
 describe('Pong', () => {
-  describe('_canDrawPixel', () => {
-    it('returns false for (midX, any), (any, 0), (any, height-1)', () => {
+  describe('setupLayers', () => {
+    it('adds the Pong layers above default, bottom to top', () => {
       const game = createPongForTest();
+      expect(game.display.getLayers().map((l) => l.name)).toEqual(['default', ...PONG_LAYERS]);
+    });
+
+    it('court mask keeps ui drawing off (midX, any), (any, 0), (any, height-1)', () => {
+      const game = createPongForTest();
+      const display = game.display;
       const midX = Math.floor(game.width / 2);
       const h = game.height;
-      expect(game._canDrawPixel(midX, 50)).toBe(false);
-      expect(game._canDrawPixel(10, 0)).toBe(false);
-      expect(game._canDrawPixel(10, h - 1)).toBe(false);
+      display.clear();
+      display.withLayer('ui', () => {
+        display.setPixel(midX, 51, true);
+        display.setPixel(10, 0, true);
+        display.setPixel(10, h - 1, true);
+        display.setPixel(midX - 1, 51, true);
+        display.setPixel(10, h - 2, true);
+      });
+      expect(display.getPixel(midX, 51)).toBe(false);
+      expect(display.getPixel(10, 0)).toBe(false);
+      expect(display.getPixel(10, h - 1)).toBe(false);
+      expect(display.getPixel(midX - 1, 51)).toBe(true);
+      expect(display.getPixel(10, h - 2)).toBe(true);
+    });
+
+    it('ui mask hides message-layer pixels in the restart-button region only', () => {
+      const game = createPongForTest();
+      const display = game.display;
+      const centerY = Math.floor(game.height / 2);
+      // Region: px > width - BUTTON_PADDING and py strictly in (centerY - BUTTON_PADDING_V, centerY + BUTTON_PADDING_V)
+      const inBtnX = game.width - BUTTON_PADDING + 1;
+      display.withLayer('message', () => {
+        for (const [x, y] of [[inBtnX, centerY], [inBtnX, centerY - BUTTON_PADDING_V], [inBtnX, centerY + BUTTON_PADDING_V], [50, centerY]]) {
+          display.setPixel(x, y, true);
+        }
+      });
+      expect(display.getPixel(inBtnX, centerY)).toBe(false);
+      expect(display.getPixel(inBtnX, centerY - BUTTON_PADDING_V)).toBe(true);
+      expect(display.getPixel(inBtnX, centerY + BUTTON_PADDING_V)).toBe(true);
+      expect(display.getPixel(50, centerY)).toBe(true);
     });
 
-    it('returns true for interior points not on court', () => {
+    it('ball and paddles draw over the court midline', () => {
       const game = createPongForTest();
       const midX = Math.floor(game.width / 2);
-      expect(game._canDrawPixel(0, 1)).toBe(true);
-      expect(game._canDrawPixel(midX - 1, 50)).toBe(true);
-      expect(game._canDrawPixel(midX + 1, 50)).toBe(true);
-      expect(game._canDrawPixel(10, game.height - 2)).toBe(true);
+      game.ball.x = midX;
+      game.ball.y = 51;
+      game.drawCurrentFrame(1);
+      expect(game.display.getPixel(midX, 51)).toBe(true);
+      game.clearFrame();
+      expect(game.display.getPixel(midX, 51)).toBe(false);
     });
 
-    it('with opts.excludeButton: true, returns false in restart-button region, true elsewhere when not on court', () => {
+    it('sprites and ui pixels are not masked in the restart-button region', () => {
       const game = createPongForTest();
+      const display = game.display;
       const centerY = Math.floor(game.height / 2);
-      // Implementation: px > width - BUTTON_PADDING and py strictly in (centerY - BUTTON_PADDING_V, centerY + BUTTON_PADDING_V)
       const inBtnX = game.width - BUTTON_PADDING + 1;
-      expect(game._canDrawPixel(inBtnX, centerY, { excludeButton: true })).toBe(false);
-      expect(game._canDrawPixel(inBtnX, centerY - 1, { excludeButton: true })).toBe(false);
-      // Boundaries are exclusive in implementation: centerY ± BUTTON_PADDING_V return true
-      expect(game._canDrawPixel(inBtnX, centerY - BUTTON_PADDING_V, { excludeButton: true })).toBe(true);
-      expect(game._canDrawPixel(inBtnX, centerY + BUTTON_PADDING_V, { excludeButton: true })).toBe(true);
-      // Outside button: left side
-      expect(game._canDrawPixel(50, centerY, { excludeButton: true })).toBe(true);
-      // Outside vertical band
-      expect(game._canDrawPixel(inBtnX, centerY - BUTTON_PADDING_V - 1, { excludeButton: true })).toBe(true);
-      expect(game._canDrawPixel(inBtnX, centerY + BUTTON_PADDING_V + 1, { excludeButton: true })).toBe(true);
+      display.withLayer('sprites', () => display.setPixel(inBtnX, centerY, true));
+      display.withLayer('ui', () => display.setPixel(inBtnX, centerY - 1, true));
+      expect(display.getPixel(inBtnX, centerY)).toBe(true);
+      expect(display.getPixel(inBtnX, centerY - 1)).toBe(true);
     });
+  });
 
-    it('with opts.excludeButton: false or omitted, does not exclude button region', () => {
+  describe('fonts', () => {
+    it('registers the small, large and proportional faces for drawText', () => {
       const game = createPongForTest();
-      const centerY = Math.floor(game.height / 2);
-      const inBtnX = game.width - BUTTON_PADDING + 1;
-      expect(game._canDrawPixel(inBtnX, centerY)).toBe(true);
-      expect(game._canDrawPixel(inBtnX, centerY, { excludeButton: false })).toBe(true);
-      expect(game._canDrawPixel(inBtnX, centerY - 1)).toBe(true);
-      expect(game._canDrawPixel(inBtnX, centerY, {})).toBe(true);
+      const display = game.display;
+      expect(display.measureText('Hi!', { font: FONT_SMALL }).width).toBe(17);
+      expect(display.measureText('Hi!', { font: FONT_LARGE }).width).toBe(23);
+      expect(display.measureText('Hi!', { font: FONT_PROPORTIONAL }).width).toBe(11);
     });
   });
 
-  describe('maintainCourt', () => {
+  describe('clearFrame', () => {
+    it('clears the per-frame layers and keeps court and scores', () => {
+      const game = createPongForTest();
+      const display = game.display;
+      const midX = Math.floor(game.width / 2);
+      display.withLayer('sprites', () => display.setPixel(20, 20, true));
+      display.withLayer('ui', () => display.setPixel(21, 20, true));
+      game.clearFrame();
+      expect(display.getPixel(20, 20)).toBe(false);
+      expect(display.getPixel(21, 20)).toBe(false);
+      expect(display.getPixel(midX, 0)).toBe(true);
+      expect(display.getPixel(2, 2)).toBe(true);
+    });
+  });
+
+  describe('drawCourt / updateScores', () => {
     it('draws dashed center line at midX (y=0,2,4,...), top border at y=0, bottom at y=height-1', () => {
       const game = createPongForTest();
       const display = game.display;
       const midX = Math.floor(game.width / 2);
       const h = game.height;
       display.clear();
-      game.maintainCourt();
+      game.drawCourt();
       expect(display.getPixel(midX, 0)).toBe(true);
       expect(display.getPixel(midX, 2)).toBe(true);
       expect(display.getPixel(midX, 4)).toBe(true);
@@ -74,11 +121,18 @@ describe('Pong', () => {
       expect(display.getPixel(midX, h - 1)).toBe(true);
     });
 
+    it('leaves the midline gaps dark and on the court layer', () => {
+      const game = createPongForTest();
+      const midX = Math.floor(game.width / 2);
+      expect(game.display.getPixel(midX, 1)).toBe(false);
+      expect(game.display.getLayerPixel('court', midX, 2)).toBe(true);
+    });
+
     it('draws score digits at (2,2) and (width-7,2)', () => {
       const game = createPongForTest();
       const display = game.display;
       display.clear();
-      game.maintainCourt();
+      game.updateScores();
       expect(display.getPixel(2, 2)).toBe(true);
       expect(display.getPixel(game.width - 7, 2)).toBe(true);
     });
@@ -171,12 +225,12 @@ describe('Pong', () => {
   });
 
   describe('drawNumber', () => {
-    it('draws digit 5 at (0,0) with correct pattern', () => {
+    it('draws digit 5 at (0,1) with correct pattern', () => {
       const game = createPongForTest();
       const display = game.display;
       display.clear();
-      game.drawNumber(0, 0, 5);
-      const result = display.toASCII(0, 0, 5, 7);
+      game.drawNumber(0, 1, 5);
+      const result = display.toASCII(0, 1, 5, 7);
       expect(result).toBe('#####\n#....\n#....\n#####\n....#\n....#\n#####');
     });
   });
@@ -204,6 +258,15 @@ describe('Pong', () => {
       expect(display.getPixel(game.PADDLE_RIGHT_X, game.rightPaddle.y)).toBe(true);
       expect(display.getPixel(Math.floor(game.ball.x), Math.floor(game.ball.y))).toBe(true);
     });
+
+    it('draws each paddle in its own palette color', () => {
+      const game = createPongForTest();
+      const display = game.display;
+      display.clear();
+      game.drawCurrentFrame(1);
+      expect(display.getPixelColor(game.PADDLE_LEFT_X, game.leftPaddle.y)).toBe(PADDLE_LEFT_COLOR);
+      expect(display.getPixelColor(game.PADDLE_RIGHT_X, game.rightPaddle.y)).toBe(PADDLE_RIGHT_COLOR);
+    });
   });
 
   describe('drawStartArrow', () => {
@@ -281,82 +344,126 @@ describe('Pong', () => {
   });
 
   describe('layering: court pixels stay on after overlay draws', () => {
-    it('maintainCourt then drawFrame overlapping midline: court (midX,2) still on', () => {
+    it('a new score replaces the old digit instead of drawing over it', () => {
+      const game = createPongForTest();
+      game.score.left = 1;
+      game.updateScores();
+      expect(game.display.toASCII(2, 2, 5, 7)).toBe(
+        PIXEL_FONT[1].map((row) => row.map((v) => (v ? '#' : '.')).join('')).join('\n'));
+    });
+
+    it('court then drawFrame overlapping midline: court (midX,2) still on', () => {
       const game = createPongForTest();
       const display = game.display;
       const midX = Math.floor(game.width / 2);
-      display.clear();
-      game.maintainCourt();
+      game.clearFrame();
       game.drawFrame(midX - 2, 2, 6, false);
       expect(display.getPixel(midX, 2)).toBe(true);
     });
 
-    it('maintainCourt then drawRestartArrow: court (midX,0) still on', () => {
+    it('court then drawRestartArrow: court (midX,0) still on', () => {
       const game = createPongForTest();
       const display = game.display;
       const midX = Math.floor(game.width / 2);
-      display.clear();
-      game.maintainCourt();
+      game.clearFrame();
       game.drawRestartArrow();
       expect(display.getPixel(midX, 0)).toBe(true);
     });
 
-    it('maintainCourt then drawEmojiFace: court (midX,2) still on', () => {
+    it('court then drawEmojiFace: court (midX,2) still on', () => {
       const game = createPongForTest();
       const display = game.display;
       const midX = Math.floor(game.width / 2);
-      display.clear();
-      game.maintainCourt();
+      game.clearFrame();
       game.drawEmojiFace(10, 10, 'smiley');
       expect(display.getPixel(midX, 2)).toBe(true);
     });
 
-    it('maintainCourt then drawGameOverMessage: court (midX,2) still on', () => {
+    it('court then drawGameOverMessage: court (midX,2) still on', () => {
       const game = createPongForTest();
       const display = game.display;
       const midX = Math.floor(game.width / 2);
-      display.clear();
       game.gameOverStartTime = 0;
       game.winner = 'left';
-      game.maintainCourt();
+      game.clearFrame();
       game.drawGameOverMessage();
       expect(display.getPixel(midX, 2)).toBe(true);
     });
 
-    it('maintainCourt then drawCountdown: court (midX,0) still on', () => {
+    it('court then drawCountdown: court (midX,0) still on', () => {
       const game = createPongForTest();
       const display = game.display;
       const midX = Math.floor(game.width / 2);
-      display.clear();
       display.setTime(100);
       game.countdownStartTime = 0;
       game.countdownNumber = 3;
-      game.maintainCourt();
+      game.clearFrame();
       game.drawCountdown();
       expect(display.getPixel(midX, 0)).toBe(true);
     });
 
-    it('maintainCourt then drawPauseButton: court (midX,0) still on', () => {
+    it('court then drawPauseButton: court (midX,0) still on', () => {
       const game = createPongForTest();
       const display = game.display;
       const midX = Math.floor(game.width / 2);
-      display.clear();
-      game.maintainCourt();
+      game.clearFrame();
       game.drawPauseButton();
       expect(display.getPixel(midX, 0)).toBe(true);
     });
 
-    it('maintainCourt then drawCurrentFrame: court (midX,2) still on', () => {
+    it('court then drawCurrentFrame: court (midX,2) still on', () => {
       const game = createPongForTest();
       const display = game.display;
       const midX = Math.floor(game.width / 2);
-      display.clear();
-      game.maintainCourt();
+      game.clearFrame();
       game.drawCurrentFrame(1);
       expect(display.getPixel(midX, 2)).toBe(true);
     });
   });
 
+  describe('toggleGhosting', () => {
+    it('switches the display to instant decay and back to the previous model', () => {
+      const game = createPongForTest({ options: { decay: { model: 'exponential', halfLifeMs: 25 } } });
+      game.toggleGhosting();
+      expect(game.noGhosting).toBe(true);
+      expect(game.display.getDecayModel().name).toBe('instant');
+      game.toggleGhosting();
+      expect(game.noGhosting).toBe(false);
+      expect(game.display.getDecayModel().toJSON()).toEqual({ model: 'exponential', fadeInMs: 50, halfLifeMs: 25 });
+    });
+  });
+
+  describe('toggleRecording', () => {
+    it('records rendered frames until toggled again, then saves a GIF', () => {
+      const game = createPongForTest({ options: { renderer: new HeadlessRenderer() } });
+      let saved = null;
+      game.saveRecording = (bytes) => { saved = bytes; };
+      game.toggleRecording();
+      expect(game.recorder.recording).toBe(true);
+      game.display.render(1, { now: 1000 });
+      game.display.render(1, { now: 1100 });
+      game.toggleRecording();
+      expect(game.recorder.recording).toBe(false);
+      expect(String.fromCharCode(...saved.subarray(0, 6))).toBe('GIF89a');
+      expect(saved[6] | (saved[7] << 8)).toBe(400);
+    });
+  });
+
+  describe('triggerEffects', () => {
+    it('shakes the screen on a goal and rolls it once at game over', () => {
+      const game = createPongForTest();
+      game.gameState = 'PLAYING';
+      game.ball.x = -1;
+      game.ball.vx = -1;
+      game.updateBall();
+      expect(game.display.effects.map((e) => e.name)).toEqual(['shake', 'static']);
+      game.score.left = GOALS_TO_WIN;
+      game.checkGameEnd();
+      game.checkGameEnd();
+      expect(game.display.effects.filter((e) => e.name === 'syncRoll').length).toBe(1);
+    });
+  });
+
   describe('checkGameEnd', () => {
     it('sets winner=left and gameState=GAME_OVER when score.left >= GOALS_TO_WIN', () => {
       const game = createPongForTest();
@@ -487,6 +594,251 @@ describe('Pong', () => {
     });
   });
 
+  describe('simulation', () => {
+    it('plays the same match for the same seed and inputs, with scores on the HUD', () => {
+      const playMatch = () => {
+        const game = new Pong(createDisplayForTest({ emulatedWidth: 160, emulatedHeight: 120 }), { seed: 99, now: () => 0 });
+        game.startNewGame();
+        game.gameState = 'PLAYING';
+        for (let i = 0; i < 2000 && game.gameState === 'PLAYING'; i++) {
+          game.updateLogic(DT_MS, { left: i % 90 < 45 ? 'up' : 'down', right: null, degauss: null });
+        }
+        return game;
+      };
+      const a = playMatch();
+      const b = playMatch();
+      expect(a.state).toEqual(b.state);
+      expect(a.state.seed).toBe(99);
+      expect(a.score.left + a.score.right).toBeGreaterThan(0);
+      expect(a.display.getPixel(2, 2) || a.display.getPixel(a.width - 7, 2)).toBe(true);
+    });
+  });
+
+  describe('match rules', () => {
+    it('cycles the format and serve rule from the menu and starts matches with them', () => {
+      const game = createPongForTest();
+      expect(game.getMatchRules()).toMatchObject({ targetScore: GOALS_TO_WIN, serve: 'random', serveStart: 'countdown' });
+      game.changeMatchFormat(-1);
+      expect(game.getMatchRules()).toMatchObject({ targetScore: null, timeLimitMs: 300000 });
+      game.changeMatchFormat(1);
+      game.changeMatchFormat(1);
+      game.changeMatchFormat(1);
+      expect(game.getMatchRules()).toMatchObject({ targetScore: 11, winByTwo: true });
+      const serveRules = [];
+      for (let i = 0; i < 6; i++) {
+        game.changeServeRule();
+        serveRules.push(`${game.servePolicy} ${game.serveStart}`);
+      }
+      expect(serveRules).toEqual(['alternate countdown', 'conceder countdown', 'random manual', 'alternate manual',
+        'conceder manual', 'random countdown']);
+      game.checkButtonClick(100, game.height - 5);
+      expect(game.servePolicy).toBe('alternate');
+      game.checkButtonClick(20, game.height - 5);
+      expect(game.matchFormatIndex).toBe(3);
+      game.startNewGame();
+      expect(game.state.rules).toMatchObject({ targetScore: 21, winByTwo: true, serve: 'alternate' });
+      expect(game.replayRecorder.toJSON().settings.rules).toEqual(game.state.rules);
+    });
+
+    it('draws the format and serve rule on either side of the midline', () => {
+      const game = createPongForTest();
+      for (let i = 0; i < 4; i++) game.changeServeRule();
+      game.clearFrame();
+      game.drawMatchRules();
+      const midX = Math.floor(game.width / 2);
+      const lit = (x0, x1) => {
+        let n = 0;
+        for (let y = game.height - 12; y < game.height - 1; y++) for (let x = x0; x < x1; x++) n += game.display.getPixel(x, y) ? 1 : 0;
+        return n;
+      };
+      expect(lit(0, midX - 1)).toBeGreaterThan(0);
+      expect(lit(midX + 2, game.width)).toBeGreaterThan(0);
+      // Labels keep a gap around the midline and inside the screen
+      expect(lit(midX - 1, midX + 2) - lit(midX, midX + 1)).toBe(0);
+      for (const text of ['21 WIN BY 2', 'RANDOM PRESS']) {
+        expect(game.display.measureText(text, { font: FONT_PROPORTIONAL }).width).toBeLessThan(midX - 4);
+      }
+    });
+
+    it('waits for the serve key or a click with manual serve', () => {
+      const game = new Pong(createDisplayForTest({ emulatedWidth: 160, emulatedHeight: 120 }), { seed: 3, now: () => 0 });
+      game.serveStart = 'manual';
+      game.startNewGame();
+      expect(game.gameState).toBe('PLAYING');
+      for (let i = 0; i < 10; i++) game.updateLogic(DT_MS);
+      expect(game.state.serving).toBe(true);
+      game.checkButtonClick(80, 60);
+      game.updateLogic(DT_MS);
+      expect(game.state.serving).toBe(false);
+      expect(game.ball.vx).not.toBe(0);
+      expect(game.replayRecorder.toJSON().serves).toEqual([[10, 'left']]);
+    });
+
+    it('takes the serve only from the server in 2P, clicking their half of the court', () => {
+      const game = new Pong(createDisplayForTest({ emulatedWidth: 160, emulatedHeight: 120 }), { seed: 3, now: () => 0 });
+      game.serveStart = 'manual';
+      game.rightPlayerOption = '2P';
+      game.startNewGame();
+      game.state.server = 'right';
+      game.pressServe('left');
+      game.checkButtonClick(20, 60);
+      game.updateLogic(DT_MS);
+      expect(game.state.serving).toBe(true);
+      game.checkButtonClick(140, 60);
+      game.updateLogic(DT_MS);
+      expect(game.state.serving).toBe(false);
+      expect(game.ball.vx).toBeLessThan(0);
+      expect(game.replayRecorder.toJSON().serves).toEqual([[0, 'left'], [1, 'right']]);
+    });
+  });
+
+  describe('scoreboard', () => {
+    /** Strings the scoreboard draws from now on. */
+    function recordHudText(game) {
+      const texts = [];
+      const drawText = game.display.drawText.bind(game.display);
+      game.display.drawText = (str, ...rest) => {
+        texts.push(str);
+        return drawText(str, ...rest);
+      };
+      return texts;
+    }
+
+    it('shows scores past 9, names, clock and rally in a match, and keeps the midline clear', () => {
+      const game = new Pong(createDisplayForTest({ emulatedWidth: 160, emulatedHeight: 120 }), { seed: 2, now: () => 0 });
+      game.changeMatchFormat(3); // 21 WIN BY 2
+      game.startNewGame();
+      game.gameState = 'PLAYING';
+      game.resetBall();
+      game.state.score.left = 12;
+      const texts = recordHudText(game);
+      game.updateLogic(DT_MS, {});
+      expect(texts).toEqual(['12', '0:00', '0', 'RALLY 0', 'P1', 'CPU 2']);
+      texts.length = 0;
+      game.updateLogic(DT_MS, {});
+      expect(texts).toEqual([]); // nothing it shows changed
+      for (let i = 0; i < 600 && game.state.matchMs < 1000; i++) game.updateLogic(DT_MS, {});
+      expect(texts).toContain('0:01');
+      const midX = Math.floor(game.width / 2);
+      for (let y = 1; y < 20; y++) {
+        for (let x = midX - 3; x <= midX + 3; x++) expect(game.display.getLayerPixel('hud', x, y)).toBe(false);
+      }
+    });
+
+    it('counts a timed match down and only shows scores on the menu', () => {
+      const game = new Pong(createDisplayForTest({ emulatedWidth: 160, emulatedHeight: 120 }), {
+        seed: 2, now: () => 0, playerNames: { left: 'ANA', right: 'BEN' }
+      });
+      game.changeMatchFormat(-1); // TIMED 5:00
+      const texts = recordHudText(game);
+      game.startNewGame();
+      expect(texts).toEqual(['0', '5:00', '0', 'RALLY 0', 'ANA', 'BEN']);
+      texts.length = 0;
+      game.goToMenu();
+      expect(texts).toEqual(['0', '0']);
+    });
+
+    it('counts sets won while the players and rules stay the same', () => {
+      const game = createPongForTest();
+      const win = (side) => {
+        game.startNewGame();
+        game.gameState = 'PLAYING';
+        game.score[side] = GOALS_TO_WIN;
+        game.checkGameEnd();
+        game.goToMenu();
+      };
+      win('left');
+      win('left');
+      win('right');
+      expect(game.series).toEqual({ left: 2, right: 1 });
+      game.startNewGame();
+      expect(game.getScoreboardInfo().sets).toEqual({ left: 2, right: 1 });
+      game.goToMenu();
+      game.changeMatchFormat(1);
+      game.startNewGame();
+      expect(game.series).toEqual({ left: 0, right: 0 });
+      expect(game.getScoreboardInfo().sets).toBe(null);
+    });
+  });
+
+  describe('replays', () => {
+    /** 1P match played from the countdown's serve for steps, with the AI degaussed at one point. */
+    function playRecordedMatch(steps) {
+      const game = new Pong(createDisplayForTest({ emulatedWidth: 160, emulatedHeight: 120 }), { seed: 5, now: () => 0 });
+      game.startNewGame();
+      game.gameState = 'PLAYING';
+      game.resetBall();
+      for (let i = 0; i < steps && game.gameState === 'PLAYING'; i++) {
+        const degauss = i >= 100 && i < 200 ? { id: 777, progress: (i - 100) / 100 } : null;
+        game.updateLogic(DT_MS, { left: i % 60 < 30 ? 'down' : 'up', right: null, degauss });
+      }
+      game.gameState = 'GAME_OVER';
+      return game;
+    }
+
+    it('watches the last match back to the same end and returns to where it was', () => {
+      const game = playRecordedMatch(1500);
+      const played = JSON.parse(JSON.stringify(game.state));
+      expect(game.watchLastReplay()).toBe(true);
+      expect(game.gameState).toBe('REPLAY');
+      expect(game.score).toEqual({ left: 0, right: 0 });
+      game.changeReplaySpeed(1);
+      game.changeReplaySpeed(1);
+      game.changeReplaySpeed(1);
+      expect(game.replayPlayer.speed).toBe(4);
+      while (!game.replayPlayer.finished) game.updateReplay(DT_MS);
+      expect(game.ball).toEqual(played.ball);
+      expect(game.score).toEqual(played.score);
+      expect(game.gameState).toBe('REPLAY');
+      game.exitReplay();
+      expect(game.gameState).toBe('GAME_OVER');
+      expect(game.state.rng).toBe(played.rng);
+    });
+
+    it('pauses and scrubs from clicks and draws the progress bar', () => {
+      const game = playRecordedMatch(600);
+      game.watchLastReplay();
+      game.checkButtonClick(80, 60);
+      expect(game.replayPlayer.paused).toBe(true);
+      game.updateReplay(DT_MS * 10);
+      expect(game.replayPlayer.step).toBe(0);
+      game.checkButtonClick(80, game.height - 2);
+      const middle = game.replayPlayer.step;
+      expect(middle / game.replayPlayer.length).toBeCloseTo(0.5, 1);
+      game.seekReplay(-5000);
+      expect(game.replayPlayer.step).toBe(middle - 300);
+      game.clearFrame();
+      game.update();
+      expect(game.display.getPixel(10, game.height - 3)).toBe(true);
+      const fragment = game.exportReplay();
+      expect(fragment.startsWith('replay=')).toBe(true);
+    });
+
+    it('shows a notice on the menu for NOTICE_MS, e.g. for a replay link it cannot read', () => {
+      let now = 0;
+      const game = new Pong(createDisplayForTest({ emulatedWidth: 160, emulatedHeight: 120 }), { now: () => now });
+      const noticeRows = () => {
+        let lit = 0;
+        const y0 = game.height - NOTICE_ROWS_FROM_BOTTOM;
+        for (let y = y0; y < y0 + 7; y++) {
+          for (let x = 0; x < game.width; x++) if (game.display.getLayerPixel('message', x, y)) lit++;
+        }
+        return lit;
+      };
+      game.showNotice('REPLAY', 'UNREADABLE');
+      game.clearFrame();
+      game.update();
+      expect(noticeRows()).toBeGreaterThan(0);
+      const midX = Math.floor(game.width / 2);
+      for (let y = 0; y < game.height; y++) expect(game.display.getLayerPixel('message', midX, y)).toBe(false);
+      now = NOTICE_MS;
+      game.clearFrame();
+      game.update();
+      expect(noticeRows()).toBe(0);
+      expect(game.notice).toBe(null);
+    });
+  });
+
   describe('spin: Magnus and damping', () => {
     it('increases vy and decreases spin over ticks when spin > 0 and no collision', () => {
       const game = createPongForTest();
@@ -0,0 +1,170 @@
+/**
+ * CRT post-processing tests: each stage on small RGBA frames, the chain, and display integration.
+ */
+import { describe, it, expect, vi } from 'vitest';
+import { createDisplayForTest, createRecordingCanvas } from './pixel-display-test-utils.js';
+import { HeadlessRenderer } from '../src/engine/renderers.js';
+import { PostProcessChain, createPostStage, BloomStage } from '../src/engine/postfx.js';
+
+/** w x h opaque frame filled with grey level v. */
+function frame(w, h, v = 0) {
+  const data = new Uint8ClampedArray(w * h * 4);
+  for (let o = 0; o < data.length; o += 4) {
+    data[o] = v; data[o + 1] = v; data[o + 2] = v; data[o + 3] = 255;
+  }
+  return { width: w, height: h, data };
+}
+
+function px(img, x, y) {
+  const o = (y * img.width + x) * 4;
+  return [img.data[o], img.data[o + 1], img.data[o + 2], img.data[o + 3]];
+}
+
+describe('post-processing stages', () => {
+  it('scanlines darken row edges more than row centers, scaled by strength', () => {
+    const display = { pixelHeight: 3, gapHeight: 1 };
+    const img = frame(2, 8, 200);
+    createPostStage({ type: 'scanlines', strength: 1 }).apply(img, 0, display);
+    expect(px(img, 0, 1)[0]).toBe(200);           // middle row of the first cell
+    expect(px(img, 0, 3)[0]).toBeLessThan(100);    // gap row
+    const half = frame(2, 8, 200);
+    createPostStage({ type: 'scanlines', strength: 0.5 }).apply(half, 0, display);
+    expect(px(half, 0, 3)[0]).toBeGreaterThan(px(img, 0, 3)[0]);
+  });
+
+  it('bloom spreads light into dark neighbours and leaves far pixels black', () => {
+    const img = frame(21, 21);
+    const o = (10 * 21 + 10) * 4;
+    img.data[o + 1] = 255;
+    createPostStage({ type: 'bloom', strength: 1, radius: 2 }).apply(img, 0);
+    expect(px(img, 10, 10)[1]).toBe(255);
+    expect(px(img, 12, 10)[1]).toBeGreaterThan(0);
+    expect(px(img, 12, 10)[0]).toBe(0);
+    expect(px(img, 0, 0)[1]).toBe(0);
+  });
+
+  it('curvature keeps the center, blacks out pulled-in corners', () => {
+    const img = frame(40, 30, 100);
+    createPostStage({ type: 'curvature', strength: 1 }).apply(img, 0);
+    expect(px(img, 20, 15)).toEqual([100, 100, 100, 255]);
+    expect(px(img, 0, 0)).toEqual([0, 0, 0, 255]);
+  });
+
+  it('vignette darkens corners more than edges, edges more than the center', () => {
+    const img = frame(40, 40, 200);
+    createPostStage({ type: 'vignette', strength: 1 }).apply(img, 0);
+    const center = px(img, 20, 20)[0];
+    const edge = px(img, 0, 20)[0];
+    const corner = px(img, 0, 0)[0];
+    expect(center).toBeGreaterThan(190);
+    expect(edge).toBeLessThan(center);
+    expect(corner).toBeLessThan(edge);
+  });
+
+  it('vignette reuses its falloff until the strength or the frame size changes', () => {
+    const stage = createPostStage({ type: 'vignette', strength: 1 });
+    const pow = vi.spyOn(Math, 'pow');
+    try {
+      stage.apply(frame(40, 30, 200), 0);
+      expect(pow).toHaveBeenCalledTimes(70);
+      const again = frame(40, 30, 200);
+      stage.apply(again, 1);
+      expect(pow).toHaveBeenCalledTimes(70);
+      stage.strength = 0.5;
+      const weaker = frame(40, 30, 200);
+      stage.apply(weaker, 2);
+      expect(pow).toHaveBeenCalledTimes(140);
+      stage.apply(frame(20, 10, 200), 3);
+      expect(pow).toHaveBeenCalledTimes(170);
+      const fresh = frame(40, 30, 200);
+      createPostStage({ type: 'vignette', strength: 0.5 }).apply(fresh, 0);
+      expect(weaker.data).toEqual(fresh.data);
+      expect(px(weaker, 0, 0)[0]).toBeGreaterThan(px(again, 0, 0)[0]);
+    } finally {
+      pow.mockRestore();
+    }
+  });
+
+  it('noise lifts black, changes with frame time and repeats for the same time and seed', () => {
+    const run = (t, seed = 1) => {
+      const img = frame(8, 8);
+      createPostStage({ type: 'noise', strength: 1, seed }).apply(img, t);
+      return Array.from(img.data);
+    };
+    const a = run(100);
+    expect(Math.max(...a.filter((_, i) => i % 4 !== 3))).toBeGreaterThan(0);
+    expect(Math.max(...a.filter((_, i) => i % 4 !== 3))).toBeLessThanOrEqual(32);
+    expect(run(100)).toEqual(a);
+    expect(run(116)).not.toEqual(a);
+    expect(run(100, 2)).not.toEqual(a);
+  });
+
+  it('strength 0 or enabled=false skips a stage', () => {
+    const img = frame(10, 10, 50);
+    new PostProcessChain([{ type: 'noise', strength: 0 }, { type: 'vignette', strength: 1, enabled: false }]).apply(img, 0);
+    expect(img.data.every((v, i) => v === (i % 4 === 3 ? 255 : 50))).toBe(true);
+  });
+});
+
+describe('PostProcessChain', () => {
+  it('keeps order, updates stages in place and serializes to specs', () => {
+    const chain = new PostProcessChain(['scanlines', { type: 'bloom', strength: 0.3, radius: 2 }]);
+    expect(chain.stages.map((s) => s.type)).toEqual(['scanlines', 'bloom']);
+    chain.set('bloom', { strength: 0.8 });
+    expect(chain.get('bloom')).toBeInstanceOf(BloomStage);
+    expect(chain.get('bloom').radius).toBe(2);
+    chain.set('vignette', { strength: 0.1 });
+    expect(chain.stages.map((s) => s.type)).toEqual(['scanlines', 'bloom', 'vignette']);
+    chain.remove('scanlines');
+    expect(new PostProcessChain(chain.toJSON()).toJSON()).toEqual(chain.toJSON());
+  });
+
+  it('rejects unknown stages and out-of-range strengths', () => {
+    expect(() => new PostProcessChain(['blur'])).toThrow(/unknown stage type/);
+    expect(() => createPostStage('bloom', { strength: 2 })).toThrow(RangeError);
+  });
+});
+
+describe('PixelDisplay post-processing', () => {
+  it('HeadlessRenderer output includes the chain; the bare cell buffer is unchanged', () => {
+    const renderer = new HeadlessRenderer();
+    const display = createDisplayForTest({
+      emulatedWidth: 10, emulatedHeight: 10, displayWidth: 109, displayHeight: 109,
+      options: { renderer, postProcess: [{ type: 'noise', strength: 1 }] }
+    });
+    display.setTime(100);
+    display.render();
+    const [r, g, b] = renderer.getPixelRGBA(4, 4);
+    expect(r).toBe(g);
+    expect(g).toBe(b);
+    expect(renderer.imageData.data[(4 * 109 + 4) * 4]).toBe(0);
+    display.setPostProcess([]);
+    display.render();
+    expect(renderer.getPixelRGBA(4, 4)).toEqual([0, 0, 0, 255]);
+  });
+
+  it('setPostStage tunes one stage and appends new ones', () => {
+    const display = createDisplayForTest({ emulatedWidth: 10, emulatedHeight: 10, options: { postProcess: ['scanlines'] } });
+    display.setPostStage('scanlines', { strength: 0.2 });
+    display.setPostStage('bloom', { strength: 0.4 });
+    expect(display.getPostProcess().toJSON().map((s) => [s.type, s.strength])).toEqual([['scanlines', 0.2], ['bloom', 0.4]]);
+  });
+
+  it('fillRect mode switches to one putImageData per frame while post-processing is on', () => {
+    const canvas = createRecordingCanvas();
+    const display = createDisplayForTest({ canvas, emulatedWidth: 10, emulatedHeight: 10, displayWidth: 109, displayHeight: 109 });
+    display.setTime(1);
+    display.setPixel(1, 1, true);
+    display.setPostStage('vignette', { strength: 0.5 });
+    canvas.calls.length = 0;
+    display.setTime(100);
+    display.render();
+    expect(canvas.calls).toHaveLength(1);
+    expect(canvas.calls[0]).toMatchObject({ x: 0, y: 0, w: 109, h: 109 });
+    expect(canvas.calls[0].putImageData).toBe(display.renderer._raster.outputImageData);
+    display.setPostProcess([]);
+    canvas.calls.length = 0;
+    display.render();
+    expect(canvas.calls.some((c) => c.putImageData)).toBe(false);
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * GIF/APNG encoders and FrameRecorder tests. GIFs are checked by decoding them back (decodeGIF below).
+ */
+import { describe, it, expect } from 'vitest';
+import { gifLZW, encodeGIF } from '../src/engine/gif.js';
+import { encodeAPNG } from '../src/engine/png.js';
+import { FrameRecorder } from '../src/engine/recorder.js';
+import { PixelDisplay } from '../src/engine/pixel-display.js';
+import { HeadlessRenderer } from '../src/engine/renderers.js';
+
+/** Reference LZW decoder (GIF variant) for round-trip checks. */
+function lzwDecode(bytes, minCodeSize, count) {
+  const clear = 1 << minCodeSize;
+  const end = clear + 1;
+  let size = minCodeSize + 1;
+  let table = [];
+  const reset = () => {
+    table = [];
+    for (let i = 0; i < clear; i++) table.push([i]);
+    table.push(null, null);
+    size = minCodeSize + 1;
+  };
+  reset();
+  const out = [];
+  let bit = 0;
+  let prev = null;
+  for (;;) {
+    let code = 0;
+    for (let k = 0; k < size; k++, bit++) code |= ((bytes[bit >> 3] >> (bit & 7)) & 1) << k;
+    if (code === clear) { reset(); prev = null; continue; }
+    if (code === end) break;
+    let entry;
+    if (code < table.length) entry = table[code];
+    else entry = [...prev, prev[0]];
+    out.push(...entry);
+    if (prev && table.length < 4096) table.push([...prev, entry[0]]);
+    if (table.length === (1 << size) && size < 12) size++;
+    prev = entry;
+  }
+  expect(out.length).toBe(count);
+  return out;
+}
+
+/** Minimal GIF reader: size, global palette, loop count and per-frame { delayMs, indices }. */
+function decodeGIF(bytes) {
+  const text = String.fromCharCode(...bytes.subarray(0, 6));
+  expect(text).toBe('GIF89a');
+  const u16 = (o) => bytes[o] | (bytes[o + 1] << 8);
+  const width = u16(6);
+  const height = u16(8);
+  const tableSize = 3 << ((bytes[10] & 7) + 1);
+  const palette = bytes.subarray(13, 13 + tableSize);
+  let o = 13 + tableSize;
+  let loop = null;
+  let delayMs = 0;
+  const frames = [];
+  while (bytes[o] !== 0x3b) {
+    if (bytes[o] === 0x21) {
+      const label = bytes[o + 1];
+      o += 2;
+      const blocks = [];
+      while (bytes[o] !== 0) { blocks.push(bytes.subarray(o + 1, o + 1 + bytes[o])); o += bytes[o] + 1; }
+      o++;
+      if (label === 0xf9) delayMs = (blocks[0][1] | (blocks[0][2] << 8)) * 10;
+      if (label === 0xff) loop = blocks[1][1] | (blocks[1][2] << 8);
+    } else {
+      expect(bytes[o]).toBe(0x2c);
+      const minCodeSize = bytes[o + 10];
+      o += 11;
+      const data = [];
+      while (bytes[o] !== 0) { data.push(...bytes.subarray(o + 1, o + 1 + bytes[o])); o += bytes[o] + 1; }
+      o++;
+      frames.push({ delayMs, indices: lzwDecode(Uint8Array.from(data), minCodeSize, width * height) });
+    }
+  }
+  return { width, height, palette, loop, frames };
+}
+
+function createRecordedDisplay(options = {}) {
+  const renderer = new HeadlessRenderer();
+  return new PixelDisplay(null, 8, 4, 40, 20, 60, { renderer, ...options });
+}
+
+describe('recording', () => {
+  describe('encodeGIF', () => {
+    it('round-trips long and repetitive index data through LZW (including table resets)', () => {
+      const indices = new Uint8Array(20000);
+      for (let i = 0; i < indices.length; i++) indices[i] = (i * 7 + (i >> 5)) % 13;
+      expect(lzwDecode(gifLZW(indices, 4), 4, indices.length)).toEqual(Array.from(indices));
+      const flat = new Uint8Array(5000);
+      expect(gifLZW(flat, 2).length).toBeLessThan(200);
+    });
+
+    it('writes frames, delays, palette and loop count', () => {
+      const palette = [0, 0, 0, 255, 0, 0, 0, 255, 0];
+      const gif = encodeGIF(3, 2, [
+        { indices: Uint8Array.from([0, 1, 2, 2, 1, 0]), delayMs: 70 },
+        { indices: Uint8Array.from([1, 1, 1, 0, 0, 0]), delayMs: 100 }
+      ], { palette, loop: 0 });
+      const decoded = decodeGIF(gif);
+      expect(decoded).toMatchObject({ width: 3, height: 2, loop: 0 });
+      expect(Array.from(decoded.palette.subarray(0, 9))).toEqual(palette);
+      expect(decoded.frames).toEqual([
+        { delayMs: 70, indices: [0, 1, 2, 2, 1, 0] },
+        { delayMs: 100, indices: [1, 1, 1, 0, 0, 0] }
+      ]);
+    });
+
+    it('rejects bad palettes and frame sizes', () => {
+      expect(() => encodeGIF(1, 1, [{ indices: new Uint8Array(1) }], { palette: [0, 0] })).toThrow(RangeError);
+      expect(() => encodeGIF(2, 1, [{ indices: new Uint8Array(1) }], { palette: [0, 0, 0] }))
+        .toThrow('encodeGIF: frame 0 has 1 indices, expected 2');
+    });
+  });
+
+  describe('encodeAPNG', () => {
+    it('writes acTL, one fcTL per frame and fdAT after the first frame', () => {
+      const rgba = new Uint8Array(2 * 2 * 4).fill(255);
+      const png = encodeAPNG(2, 2, [{ rgba, delayMs: 40 }, { rgba, delayMs: 60 }], { loop: 3 });
+      const chunks = [];
+      for (let o = 8; o < png.length;) {
+        const len = (png[o] << 24 | png[o + 1] << 16 | png[o + 2] << 8 | png[o + 3]) >>> 0;
+        chunks.push({ type: String.fromCharCode(...png.subarray(o + 4, o + 8)), data: png.subarray(o + 8, o + 8 + len) });
+        o += 12 + len;
+      }
+      expect(chunks.map((c) => c.type)).toEqual(['IHDR', 'acTL', 'fcTL', 'IDAT', 'fcTL', 'fdAT', 'IEND']);
+      expect(Array.from(chunks[1].data)).toEqual([0, 0, 0, 2, 0, 0, 0, 3]);
+      const delay = (c) => [(c.data[20] << 8) | c.data[21], (c.data[22] << 8) | c.data[23]];
+      expect(delay(chunks[2])).toEqual([40, 1000]);
+      expect(delay(chunks[4])).toEqual([60, 1000]);
+      expect(chunks[4].data[3]).toBe(1);
+      expect(chunks[5].data[3]).toBe(2);
+      expect(() => encodeAPNG(2, 2, [{ rgba: new Uint8Array(4) }])).toThrow(RangeError);
+    });
+  });
+
+  describe('FrameRecorder', () => {
+    it('samples rendered frames at fps, merging unchanged ones, into a GIF on a phosphor ramp', () => {
+      const d = createRecordedDisplay({ decay: 'instant' });
+      const recorder = new FrameRecorder(d, { fps: 10, scale: 0.2 });
+      recorder.start();
+      for (let t = 1000; t < 1500; t += 1000 / 60) {
+        if (t >= 1200) d.setPixel(0, 0, true);
+        d.render(1, { now: t });
+      }
+      expect(recorder.frameCount).toBe(2);
+      const gif = recorder.stop();
+      expect(recorder.recording).toBe(false);
+      const decoded = decodeGIF(gif);
+      expect(decoded).toMatchObject({ width: 8, height: 4 });
+      expect(decoded.frames.map((f) => f.delayMs)).toEqual([200, 300]);
+      expect(decoded.frames[0].indices.every((i) => i === 0)).toBe(true);
+      const lit = decoded.frames[1].indices[0];
+      expect(lit).toBeGreaterThan(0);
+      const rgb = Array.from(decoded.palette.subarray(lit * 3, lit * 3 + 3));
+      expect(rgb[0]).toBeLessThan(rgb[1]); // a shade of the green phosphor
+      expect(decoded.frames[1].indices[1]).toBe(0);
+    });
+
+    it('captures fade brightness and degauss frames', () => {
+      const d = createRecordedDisplay();
+      d.setTime(1000);
+      d.drawRectFilled(0, 0, 8, 4);
+      const recorder = new FrameRecorder(d, { format: 'apng', fps: 60, scale: 0.2 });
+      recorder.start();
+      d.render(1, { now: 1010 });
+      d.render(1, { now: 1100 });
+      d.setTime(1100);
+      d.degauss();
+      d.render(1, { now: 1150 });
+      const frames = recorder._frames.map((f) => Array.from(f.data.subarray(0, 3)));
+      expect(frames[0][1]).toBeLessThan(frames[1][1]); // still fading in
+      expect(frames[2][0]).toBeGreaterThan(frames[1][0]); // magenta degauss tint
+      expect(recorder.stop().subarray(1, 4)).toEqual(new Uint8Array([0x50, 0x4e, 0x47]));
+    });
+
+    it('stops on its own at maxDurationMs and calls onStop', () => {
+      const d = createRecordedDisplay();
+      let stopped = null;
+      const recorder = new FrameRecorder(d, { fps: 20, maxDurationMs: 200, onStop: (bytes) => { stopped = bytes; } });
+      recorder.start();
+      for (let t = 0; t <= 300; t += 50) {
+        d.setPixel(t / 50, 0, true);
+        d.render(1, { now: 1000 + t });
+      }
+      expect(recorder.recording).toBe(false);
+      expect(recorder.durationMs).toBe(200);
+      expect(decodeGIF(stopped).frames.map((f) => f.delayMs)).toEqual([50, 50, 50, 50]);
+      expect(recorder.stop()).toBeNull();
+    });
+
+    it('rejects bad options', () => {
+      const d = createRecordedDisplay();
+      expect(() => new FrameRecorder(d, { format: 'mp4' })).toThrow('FrameRecorder: unknown format: mp4');
+      expect(() => new FrameRecorder(d, { fps: 0 })).toThrow(RangeError);
+      expect(() => new FrameRecorder(d, { scale: 2 })).toThrow(RangeError);
+    });
+  });
+});
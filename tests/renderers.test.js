@@ -0,0 +1,132 @@
+/**
+ * Render backend and PNG encoder tests. HeadlessRenderer gives real RGBA frames in Node.
+ */
+import { describe, it, expect } from 'vitest';
+import { inflateSync } from 'node:zlib';
+import { createDisplayForTest, createRecordingCanvas } from './pixel-display-test-utils.js';
+import { HeadlessRenderer, Canvas2DRenderer } from '../src/engine/renderers.js';
+import { encodePNG, crc32 } from '../src/engine/png.js';
+
+/** Parse PNG chunks into [{ type, data }] and check each CRC. */
+function readChunks(png) {
+  const chunks = [];
+  let o = 8;
+  const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+  while (o < png.length) {
+    const len = view.getUint32(o);
+    const type = String.fromCharCode(...png.subarray(o + 4, o + 8));
+    const data = png.subarray(o + 8, o + 8 + len);
+    expect(view.getUint32(o + 8 + len)).toBe(crc32(png, o + 4, o + 8 + len));
+    chunks.push({ type, data });
+    o += 12 + len;
+  }
+  return chunks;
+}
+
+/** Decode an unfiltered RGBA PNG produced by encodePNG back to its RGBA bytes. */
+function decodeRGBA(png) {
+  const chunks = readChunks(png);
+  const ihdr = new DataView(chunks[0].data.buffer, chunks[0].data.byteOffset);
+  const width = ihdr.getUint32(0);
+  const height = ihdr.getUint32(4);
+  const raw = inflateSync(Buffer.concat(chunks.filter((c) => c.type === 'IDAT').map((c) => Buffer.from(c.data))));
+  const out = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    expect(raw[y * (width * 4 + 1)]).toBe(0);
+    out.set(raw.subarray(y * (width * 4 + 1) + 1, (y + 1) * (width * 4 + 1)), y * width * 4);
+  }
+  return { width, height, rgba: out };
+}
+
+function createHeadlessDisplay(w = 10, h = 10, displayWidth = 109, displayHeight = 109) {
+  const renderer = new HeadlessRenderer();
+  const display = createDisplayForTest({ emulatedWidth: w, emulatedHeight: h, displayWidth, displayHeight, options: { renderer } });
+  return { display, renderer };
+}
+
+describe('encodePNG', () => {
+  it('writes signature, IHDR, IDAT, IEND with valid CRCs', () => {
+    const png = encodePNG(2, 1, new Uint8Array([255, 0, 0, 255, 0, 255, 0, 128]));
+    expect(Array.from(png.subarray(0, 8))).toEqual([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    expect(readChunks(png).map((c) => c.type)).toEqual(['IHDR', 'IDAT', 'IEND']);
+  });
+
+  it('round-trips RGBA through zlib inflate, including images larger than one stored block', () => {
+    const w = 200, h = 100; // 80KB of pixels: two stored deflate blocks
+    const rgba = new Uint8Array(w * h * 4);
+    for (let i = 0; i < rgba.length; i++) rgba[i] = (i * 7) & 0xff;
+    const decoded = decodeRGBA(encodePNG(w, h, rgba));
+    expect(decoded.width).toBe(w);
+    expect(decoded.height).toBe(h);
+    expect(Buffer.compare(Buffer.from(decoded.rgba), Buffer.from(rgba))).toBe(0);
+  });
+
+  it('throws RangeError when the buffer size does not match', () => {
+    expect(() => encodePNG(2, 2, new Uint8Array(4))).toThrow(RangeError);
+  });
+});
+
+describe('HeadlessRenderer', () => {
+  it('renders lit cells in CRT green with black gaps', () => {
+    const { display, renderer } = createHeadlessDisplay();
+    display.setTime(1);
+    display.setPixel(1, 1, true);
+    display.setTime(100);
+    display.render();
+    expect(renderer.width).toBe(109);
+    expect(renderer.getPixelRGBA(15, 15)).toEqual([57, 255, 20, 255]);
+    expect(renderer.getPixelRGBA(21, 15)).toEqual([0, 0, 0, 255]);
+    expect(renderer.getPixelRGBA(4, 4)).toEqual([0, 0, 0, 255]);
+    expect(renderer.getPixelRGBA(109, 0)).toBe(null);
+  });
+
+  it('renders fade-out as dimmed green and fully dark after the fade', () => {
+    const { display, renderer } = createHeadlessDisplay();
+    display.setTime(1);
+    display.setPixel(0, 0, true);
+    display.setTime(100);
+    display.render();
+    display.setPixel(0, 0, false);
+    display.setTime(120);
+    display.render();
+    const [, g] = renderer.getPixelRGBA(5, 5);
+    expect(g).toBeGreaterThan(0);
+    expect(g).toBeLessThan(255);
+    display.setTime(400);
+    display.render();
+    expect(renderer.getPixelRGBA(5, 5)).toEqual([0, 0, 0, 255]);
+  });
+
+  it('renders degauss frames with the magenta overlay', () => {
+    const { display, renderer } = createHeadlessDisplay();
+    display.setTime(1);
+    display.degauss();
+    display.setTime(2);
+    display.render();
+    const [r, g, b] = renderer.getPixelRGBA(0, 0);
+    expect(r).toBeGreaterThan(0);
+    expect(g).toBe(0);
+    expect(b).toBe(r);
+  });
+
+  it('toPNG encodes the current frame', () => {
+    const { display, renderer } = createHeadlessDisplay();
+    display.setTime(1);
+    display.drawRectFilled(2, 2, 3, 3);
+    display.setTime(100);
+    display.render();
+    const decoded = decodeRGBA(renderer.toPNG());
+    expect(decoded.width).toBe(109);
+    expect(Buffer.compare(Buffer.from(decoded.rgba), Buffer.from(renderer.getRGBA()))).toBe(0);
+  });
+});
+
+describe('Canvas2DRenderer', () => {
+  it('sizes the canvas on attach and is the default backend', () => {
+    const canvas = createRecordingCanvas();
+    const display = createDisplayForTest({ canvas, emulatedWidth: 10, emulatedHeight: 10, displayWidth: 320, displayHeight: 240 });
+    expect(display.renderer).toBeInstanceOf(Canvas2DRenderer);
+    expect(canvas.width).toBe(320);
+    expect(canvas.height).toBe(240);
+  });
+});
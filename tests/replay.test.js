@@ -0,0 +1,146 @@
+/**
+ * Replay tests: recording, compact encoding, exact playback at every speed, pause, seeking, JSON and URL round trips.
+ */
+import { describe, it, expect } from 'vitest';
+import { createPongState, stepPong } from '../src/pong-sim.js';
+import {
+  ReplayRecorder, ReplayPlayer, encodeReplay, decodeReplay, replayToFragment, replayFromFragment
+} from '../src/replay.js';
+import { DT_MS, REPLAY_KEYFRAME_STEPS } from '../src/constants.js';
+
+/** Scripted inputs with a degauss in the middle and a serve press now and then (manual serve). */
+function inputsFor(step) {
+  return {
+    left: step % 70 < 30 ? 'up' : (step % 70 < 40 ? null : 'down'),
+    right: step % 50 < 25 ? 'down' : 'up',
+    degauss: step >= 400 && step < 520 ? { id: 12345.5, progress: (step - 400) / 120 } : null,
+    serve: step % 90 === 45 ? { left: step % 180 === 45, right: step % 180 === 135 } : null
+  };
+}
+
+/** Record steps of a match; returns the replay and every state. */
+function recordMatch(options, steps) {
+  let state = createPongState(options);
+  const recorder = new ReplayRecorder(state, { aiDifficultyLevel: 3 });
+  const states = [state];
+  for (let i = 0; i < steps && !state.winner; i++) {
+    const inputs = inputsFor(i);
+    recorder.record(inputs);
+    state = stepPong(state, inputs, DT_MS);
+    states.push(state);
+  }
+  return { replay: recorder.toJSON(), states };
+}
+
+describe('replay', () => {
+  describe('ReplayRecorder', () => {
+    it('keeps seed, settings and run-length encoded inputs', () => {
+      const state = createPongState({ seed: 77, rightPlayer: 3 });
+      const recorder = new ReplayRecorder(state, { aiDifficultyLevel: 3 });
+      for (let i = 0; i < 120; i++) recorder.record({ left: null, right: null });
+      for (let i = 0; i < 30; i++) recorder.record({ left: 'up', right: 'down' });
+      recorder.record({ left: 'down', right: 'down', degauss: { id: 5, progress: 0.25 } });
+      const replay = recorder.toJSON();
+      expect(replay).toMatchObject({ version: 1, seed: 77, dtMs: DT_MS, steps: 151, inputs: 'a120f30i', degauss: [[150, 5, 0.25]], serves: [] });
+      expect(replay.settings).toMatchObject({ rightPlayerOption: 3, aiDifficultyLevel: 3, rules: state.rules, width: 160, height: 120 });
+      expect(replay.settings.spin.speedFactor).toBeGreaterThan(1);
+      expect(() => recorder.record({ left: 'sideways' })).toThrow(RangeError);
+    });
+  });
+
+  describe('ReplayPlayer', () => {
+    it('plays a 2P and a 1P match back exactly', () => {
+      for (const rightPlayer of ['2P', 1]) {
+        const { replay, states } = recordMatch({ seed: 3, rightPlayer }, 2000);
+        const player = new ReplayPlayer(replay);
+        while (!player.finished) player.stepForward();
+        // The player's state carries the recorded spin config; everything else matches
+        const { events, spin, ...last } = player.state;
+        const { events: recordedEvents, spin: recordedSpin, ...recorded } = states[states.length - 1];
+        expect(last).toEqual(recorded);
+        expect(spin).toEqual(replay.settings.spin);
+        expect(player.step).toBe(replay.steps);
+      }
+    });
+
+    it('plays back manual serves and the match rules', () => {
+      const rules = { targetScore: 3, winByTwo: true, serve: 'alternate', serveStart: 'manual' };
+      const { replay, states } = recordMatch({ seed: 6, rightPlayer: '2P', rules }, 3000);
+      expect(replay.settings.rules).toEqual({ ...rules, timeLimitMs: 0 });
+      expect(replay.serves.length).toBeGreaterThan(0);
+      const player = new ReplayPlayer(replay);
+      expect(player.state.rules).toEqual(replay.settings.rules);
+      while (!player.finished) player.stepForward();
+      const last = states[states.length - 1];
+      expect(player.state.score).toEqual(last.score);
+      expect(player.state.ball).toEqual(last.ball);
+      expect(player.state.matchMs).toBe(last.matchMs);
+      expect(() => new ReplayPlayer({ ...replay, serves: undefined })).toThrow('ReplayPlayer: serves must be an array');
+    });
+
+    it('runs steps for real time scaled by the speed, and none while paused', () => {
+      const { replay } = recordMatch({ seed: 4, rightPlayer: '2P' }, 600);
+      const player = new ReplayPlayer(replay);
+      player.update(DT_MS * 10);
+      expect(player.step).toBe(10);
+      player.setSpeed(4);
+      player.update(DT_MS * 10);
+      expect(player.step).toBe(50);
+      player.setSpeed(0.5);
+      player.update(DT_MS * 10);
+      expect(player.step).toBe(55);
+      player.pause();
+      player.update(DT_MS * 10);
+      expect(player.step).toBe(55);
+      player.resume();
+      player.setSpeed(2);
+      const events = player.update(DT_MS * 1000);
+      expect(player.finished).toBe(true);
+      expect(events.some((e) => e.type === 'goal' || e.type === 'hit')).toBe(true);
+      expect(() => player.setSpeed(3)).toThrow('ReplayPlayer.setSpeed: speed must be one of 0.5, 1, 2, 4, got 3');
+    });
+
+    it('seeks back and forward to the same states as playing straight through', () => {
+      const { replay, states } = recordMatch({ seed: 8, rightPlayer: 2, goalsToWin: 99 }, REPLAY_KEYFRAME_STEPS * 3);
+      const player = new ReplayPlayer(replay);
+      const same = (step) => {
+        player.seek(step);
+        expect(player.step).toBe(step);
+        expect(player.state.ball).toEqual(states[step].ball);
+        expect(player.state.rng).toBe(states[step].rng);
+      };
+      same(REPLAY_KEYFRAME_STEPS * 2 + 17);
+      same(REPLAY_KEYFRAME_STEPS + 3);
+      same(5);
+      same(REPLAY_KEYFRAME_STEPS * 2 + 40);
+      player.seek(-10);
+      expect(player.step).toBe(0);
+      player.seek(1e9);
+      expect(player.finished).toBe(true);
+    });
+  });
+
+  describe('encoding', () => {
+    it('round-trips through JSON and the URL fragment', () => {
+      const { replay } = recordMatch({ seed: 12, rightPlayer: 1 }, 900);
+      expect(decodeReplay(encodeReplay(replay))).toEqual(replay);
+      const fragment = replayToFragment(replay);
+      expect(fragment).toMatch(/^replay=[A-Za-z0-9_-]+$/);
+      expect(replayFromFragment('#' + fragment)).toEqual(replay);
+      expect(replayFromFragment('#something-else')).toBe(null);
+      expect(replayFromFragment('')).toBe(null);
+    });
+
+    it('rejects replays it cannot play', () => {
+      const { replay } = recordMatch({ seed: 1 }, 10);
+      expect(() => decodeReplay('{')).toThrow(/^decodeReplay: not JSON/);
+      expect(() => decodeReplay(encodeReplay({ ...replay, version: 2 }))).toThrow('decodeReplay: unsupported replay version: 2');
+      expect(() => decodeReplay(encodeReplay({ ...replay, inputs: 'a5z' }))).toThrow('decodeReplay: malformed inputs');
+      expect(() => decodeReplay(encodeReplay({ ...replay, inputs: 'a5' }))).toThrow('decodeReplay: inputs cover 5 of 10 steps');
+      expect(() => new ReplayPlayer({ ...replay, steps: -1 })).toThrow('ReplayPlayer: steps must be a non-negative integer');
+      expect(() => new ReplayRecorder(createPongState({ seed: 1 })).record({ serve: true }))
+        .toThrow('ReplayRecorder.record: inputs.serve must be { left, right } or null, got true');
+      expect(() => replayFromFragment('#replay=%%%')).toThrow('replayFromFragment: not base64');
+    });
+  });
+});
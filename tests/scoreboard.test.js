@@ -0,0 +1,109 @@
+/**
+ * Scoreboard tests: multi-digit scores, clock format, fitting rows to the court width, the clear midline and
+ * redrawing only on changes.
+ */
+import { describe, it, expect } from 'vitest';
+import { createDisplayForTest } from './pixel-display-test-utils.js';
+import { Scoreboard, formatMatchClock } from '../src/scoreboard.js';
+import { registerFont } from '../src/engine/fonts.js';
+import { PIXEL_FONT, PIXEL_FONT_PROPORTIONAL } from '../src/sprites.js';
+import { FONT_SMALL, FONT_PROPORTIONAL, HUD_MARGIN, HUD_MIDLINE_GAP } from '../src/constants.js';
+
+registerFont(FONT_SMALL, PIXEL_FONT);
+registerFont(FONT_PROPORTIONAL, PIXEL_FONT_PROPORTIONAL);
+
+/** Scoreboard on a display of the given width, recording the strings it draws. */
+function createScoreboardForTest(width = 160) {
+  const display = createDisplayForTest({ emulatedWidth: width, emulatedHeight: 120 });
+  display.addLayer('hud', { z: 1 });
+  const texts = [];
+  const drawText = display.drawText.bind(display);
+  display.drawText = (str, x, y, options) => {
+    texts.push(str);
+    return drawText(str, x, y, options);
+  };
+  return { display, texts, scoreboard: new Scoreboard(display) };
+}
+
+/** Columns with a lit hud pixel in the top rows. */
+function litColumns(display) {
+  const columns = new Set();
+  for (let y = 0; y < 24; y++) {
+    for (let x = 0; x < display.emulatedWidth; x++) if (display.getLayerPixel('hud', x, y)) columns.add(x);
+  }
+  return columns;
+}
+
+const FULL = {
+  score: { left: 10, right: 107 },
+  names: { left: 'ALICE SMITH', right: 'BOB' },
+  timerMs: 83000,
+  volley: 12,
+  sets: { left: 2, right: 1 }
+};
+
+describe('scoreboard', () => {
+  describe('formatMatchClock', () => {
+    it('formats m:ss, rounding up when counting down', () => {
+      expect(formatMatchClock(0)).toBe('0:00');
+      expect(formatMatchClock(83999)).toBe('1:23');
+      expect(formatMatchClock(600000)).toBe('10:00');
+      expect(formatMatchClock(119983.3, true)).toBe('2:00');
+      expect(formatMatchClock(200, true)).toBe('0:01');
+      expect(formatMatchClock(-50, true)).toBe('0:00');
+    });
+  });
+
+  describe('Scoreboard', () => {
+    it('draws scores of any number of digits against the screen edges', () => {
+      const { display, texts, scoreboard } = createScoreboardForTest();
+      scoreboard.draw({ score: { left: 12, right: 105 } });
+      expect(texts).toEqual(['12', '105']);
+      const columns = litColumns(display);
+      const leftWidth = display.measureText('12', { font: FONT_SMALL }).width;
+      const rightWidth = display.measureText('105', { font: FONT_SMALL }).width;
+      expect(columns.has(HUD_MARGIN + leftWidth - 1)).toBe(true);
+      expect(columns.has(160 - HUD_MARGIN - 1)).toBe(true);
+      for (const x of columns) {
+        expect(x < HUD_MARGIN + leftWidth || x >= 160 - HUD_MARGIN - rightWidth).toBe(true);
+      }
+    });
+
+    it('shows names, clock, rally counter and sets in full when there is room', () => {
+      const { texts, scoreboard } = createScoreboardForTest(240);
+      scoreboard.draw(FULL);
+      expect(texts).toEqual(['10', '1:23', '107', 'RALLY 12', 'ALICE SMITH', 'SETS 2', 'BOB', 'SETS 1']);
+    });
+
+    it('shortens the wider item of a row first on a narrow court', () => {
+      const { texts, scoreboard } = createScoreboardForTest(100);
+      scoreboard.draw(FULL);
+      // 'RALLY 12' gives way to the score; the name shortens to initials before the sets do
+      expect(texts).toEqual(['10', '1:23', '107', '12', 'AS', '2', 'BOB', '1']);
+    });
+
+    it('keeps the midline columns and the margins clear at every width', () => {
+      for (const width of [64, 100, 160, 161, 320]) {
+        const { display, scoreboard } = createScoreboardForTest(width);
+        scoreboard.draw(FULL);
+        const midX = Math.floor(width / 2);
+        const columns = litColumns(display);
+        for (let x = midX - HUD_MIDLINE_GAP; x <= midX + HUD_MIDLINE_GAP; x++) expect(columns.has(x)).toBe(false);
+        for (let x = 0; x < HUD_MARGIN; x++) expect(columns.has(x) || columns.has(width - 1 - x)).toBe(false);
+        expect(columns.size).toBeGreaterThan(0);
+      }
+    });
+
+    it('redraws only when what it shows changes, or after invalidate', () => {
+      const { display, scoreboard } = createScoreboardForTest();
+      expect(scoreboard.draw(FULL)).toBe(true);
+      expect(scoreboard.draw({ ...FULL, timerMs: 83500 })).toBe(false);
+      expect(scoreboard.draw({ ...FULL, timerMs: 84000 })).toBe(true);
+      expect(scoreboard.draw({ ...FULL, timerMs: 84000, volley: 13 })).toBe(true);
+      display.clearLayer('hud');
+      scoreboard.invalidate();
+      expect(scoreboard.draw({ ...FULL, timerMs: 84000, volley: 13 })).toBe(true);
+      expect(litColumns(display).size).toBeGreaterThan(0);
+    });
+  });
+});
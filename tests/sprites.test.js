@@ -0,0 +1,48 @@
+/**
+ * Sprite data tests: font coverage and glyph sizes.
+ */
+import { describe, it, expect } from 'vitest';
+import { PIXEL_FONT, LARGE_LETTER_PATTERNS, PIXEL_FONT_PROPORTIONAL } from '../src/sprites.js';
+
+const PRINTABLE = Array.from({ length: 95 }, (_, i) => String.fromCharCode(32 + i));
+
+function expectGlyph(pattern, rows, cols) {
+  expect(pattern).toHaveLength(rows);
+  for (const row of pattern) {
+    if (cols !== undefined) expect(row).toHaveLength(cols);
+    for (const v of row) expect(v === 0 || v === 1).toBe(true);
+  }
+}
+
+describe('fonts', () => {
+  it('PIXEL_FONT covers printable ASCII in 5x7', () => {
+    for (const ch of PRINTABLE) expectGlyph(PIXEL_FONT[ch], 7, 5);
+  });
+
+  it('LARGE_LETTER_PATTERNS covers printable ASCII in 7x9', () => {
+    for (const ch of PRINTABLE) expectGlyph(LARGE_LETTER_PATTERNS[ch], 9, 7);
+  });
+
+  it('lowercase letters have their own glyphs', () => {
+    expect(PIXEL_FONT.a).not.toEqual(PIXEL_FONT.A);
+    expect(LARGE_LETTER_PATTERNS.a).not.toEqual(LARGE_LETTER_PATTERNS.A);
+  });
+
+  it('PIXEL_FONT_PROPORTIONAL trims blank side columns; space is 3 wide', () => {
+    for (const ch of PRINTABLE) {
+      const glyph = PIXEL_FONT_PROPORTIONAL[ch];
+      expectGlyph(glyph, 7);
+      const width = glyph[0].length;
+      if (ch === ' ') {
+        expect(width).toBe(3);
+      } else {
+        expect(glyph.some((row) => row[0] === 1)).toBe(true);
+        expect(glyph.some((row) => row[width - 1] === 1)).toBe(true);
+      }
+    }
+    expect(PIXEL_FONT_PROPORTIONAL['!'][0]).toHaveLength(1);
+    expect(PIXEL_FONT_PROPORTIONAL.i[0]).toHaveLength(3);
+    expect(PIXEL_FONT_PROPORTIONAL.M[0]).toHaveLength(5);
+    expect(PIXEL_FONT_PROPORTIONAL.M).toEqual(PIXEL_FONT.M);
+  });
+});